@@ -0,0 +1,141 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./PriceOracle.sol";
+
+/**
+ * @notice Chainlink aggregator interface (subset used by ChainlinkOracle)
+ */
+interface AggregatorV3Interface {
+    function decimals() external view returns (uint8);
+
+    function getRoundData(uint80 _roundId) external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
+
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
+}
+
+/**
+ * @title ChainlinkOracle
+ * @notice IPriceOracle adapter over Chainlink-style AggregatorV3 feeds
+ * @dev Each pair maps to one aggregator. Prices are normalized to 8 decimals and
+ *      rejected if older than the feed's heartbeat, or if they moved more than
+ *      the feed's deviation limit since the previous round.
+ */
+contract ChainlinkOracle is IPriceOracle, Ownable {
+    uint8 public constant PRICE_DECIMALS = 8;
+
+    struct Feed {
+        address aggregator;
+        uint256 heartbeat;          // Maximum age of an answer, in seconds
+        uint256 maxDeviationBps;    // Maximum move from the previous round (0 = unchecked)
+    }
+
+    // Mapping: currency pair => feed
+    mapping(string => Feed) public feeds;
+
+    event FeedSet(string currencyPair, address indexed aggregator, uint256 heartbeat, uint256 maxDeviationBps);
+
+    event FeedRemoved(string currencyPair);
+
+    constructor(address _owner) Ownable(_owner) {}
+
+    /**
+     * @notice Map a currency pair to an aggregator (owner only)
+     * @param _currencyPair The currency pair (e.g., "EUR/USD")
+     * @param _aggregator AggregatorV3 feed for the pair
+     * @param _heartbeat Maximum answer age in seconds
+     * @param _maxDeviationBps Maximum move between consecutive rounds, in basis points (0 disables)
+     */
+    function setFeed(
+        string memory _currencyPair,
+        address _aggregator,
+        uint256 _heartbeat,
+        uint256 _maxDeviationBps
+    ) external onlyOwner {
+        require(_aggregator != address(0), "Invalid aggregator");
+        require(_heartbeat > 0, "Invalid heartbeat");
+
+        feeds[_currencyPair] = Feed({
+            aggregator: _aggregator,
+            heartbeat: _heartbeat,
+            maxDeviationBps: _maxDeviationBps
+        });
+
+        emit FeedSet(_currencyPair, _aggregator, _heartbeat, _maxDeviationBps);
+    }
+
+    /**
+     * @notice Remove a pair's feed (owner only)
+     */
+    function removeFeed(string memory _currencyPair) external onlyOwner {
+        require(feeds[_currencyPair].aggregator != address(0), "Price feed not available");
+        delete feeds[_currencyPair];
+        emit FeedRemoved(_currencyPair);
+    }
+
+    function getPrice(string memory _currencyPair) external view override returns (uint256 price, uint256 timestamp) {
+        Feed memory feed = feeds[_currencyPair];
+        require(feed.aggregator != address(0), "Price feed not available");
+        return _readFeed(feed);
+    }
+
+    function isPriceFeedAvailable(string memory _currencyPair) external view override returns (bool available) {
+        Feed memory feed = feeds[_currencyPair];
+        if (feed.aggregator == address(0)) {
+            return false;
+        }
+        try this.getPrice(_currencyPair) returns (uint256, uint256) {
+            available = true;
+        } catch {
+            available = false;
+        }
+    }
+
+    /**
+     * @notice Read, validate and normalize the latest answer of a feed
+     */
+    function _readFeed(Feed memory _feed) internal view returns (uint256 price, uint256 timestamp) {
+        AggregatorV3Interface aggregator = AggregatorV3Interface(_feed.aggregator);
+        (uint80 roundId, int256 answer, , uint256 updatedAt, uint80 answeredInRound) = aggregator.latestRoundData();
+
+        require(answer > 0, "Invalid price");
+        require(updatedAt > 0 && answeredInRound >= roundId, "Incomplete round");
+        require(updatedAt <= block.timestamp, "Price from the future");
+        require(block.timestamp - updatedAt <= _feed.heartbeat, "Stale price");
+
+        if (_feed.maxDeviationBps > 0 && roundId > 1) {
+            (, int256 previous, , , ) = aggregator.getRoundData(roundId - 1);
+            if (previous > 0) {
+                uint256 move = answer > previous ? uint256(answer - previous) : uint256(previous - answer);
+                require(move * 10000 <= uint256(previous) * _feed.maxDeviationBps, "Price deviation too high");
+            }
+        }
+
+        price = _scale(uint256(answer), aggregator.decimals());
+        require(price > 0, "Invalid price");
+        timestamp = updatedAt;
+    }
+
+    /**
+     * @notice Convert a value with `_decimals` decimals to PRICE_DECIMALS
+     */
+    function _scale(uint256 _value, uint8 _decimals) internal pure returns (uint256) {
+        if (_decimals > PRICE_DECIMALS) {
+            return _value / 10 ** (_decimals - PRICE_DECIMALS);
+        }
+        return _value * 10 ** (PRICE_DECIMALS - _decimals);
+    }
+}
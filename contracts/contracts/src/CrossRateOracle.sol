@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./PriceOracle.sol";
+
+/**
+ * @title CrossRateOracle
+ * @notice IPriceOracle that derives cross rates (e.g. EUR/JPY) from USD legs
+ * @dev Pairs the source quotes directly are passed through. Any other
+ *      "BASE/QUOTE" pair (units of QUOTE per BASE) is computed as
+ *      (QUOTE/USD) / (BASE/USD), following the feeds' convention that a
+ *      "XXX/USD" price is the number of XXX per USD (e.g. JPY/USD = 150);
+ *      USD itself is 1. The result keeps 8 decimals and is stamped with the
+ *      older of the two leg timestamps, so consumers' staleness checks cover
+ *      both legs.
+ */
+contract CrossRateOracle is IPriceOracle {
+    uint256 public constant PRICE_UNIT = 1e8;
+
+    // Oracle quoting the USD legs
+    IPriceOracle public immutable source;
+
+    constructor(address _source) {
+        require(_source != address(0), "Invalid source");
+        source = IPriceOracle(_source);
+    }
+
+    function getPrice(string memory _currencyPair) public view override returns (uint256 price, uint256 timestamp) {
+        if (source.isPriceFeedAvailable(_currencyPair)) {
+            return source.getPrice(_currencyPair);
+        }
+
+        (string memory base, string memory quote) = _splitPair(_currencyPair);
+        (uint256 basePrice, uint256 baseTimestamp) = _usdLeg(base);
+        (uint256 quotePrice, uint256 quoteTimestamp) = _usdLeg(quote);
+
+        price = (quotePrice * PRICE_UNIT) / basePrice;
+        require(price > 0, "Invalid price");
+        timestamp = baseTimestamp < quoteTimestamp ? baseTimestamp : quoteTimestamp;
+    }
+
+    function isPriceFeedAvailable(string memory _currencyPair) external view override returns (bool available) {
+        try this.getPrice(_currencyPair) returns (uint256, uint256) {
+            available = true;
+        } catch {
+            available = false;
+        }
+    }
+
+    /**
+     * @notice Units of a currency per USD, in 8 decimals
+     * @dev USD itself never goes stale, so it reports the maximum timestamp
+     */
+    function _usdLeg(string memory _currency) internal view returns (uint256 price, uint256 timestamp) {
+        if (keccak256(bytes(_currency)) == keccak256("USD")) {
+            return (PRICE_UNIT, type(uint256).max);
+        }
+
+        (price, timestamp) = source.getPrice(string.concat(_currency, "/USD"));
+        require(price > 0, "Invalid price");
+    }
+
+    /**
+     * @notice Split "BASE/QUOTE" into its currencies
+     */
+    function _splitPair(string memory _currencyPair) internal pure returns (string memory base, string memory quote) {
+        bytes memory pair = bytes(_currencyPair);
+        uint256 separator = pair.length;
+        for (uint256 i = 0; i < pair.length; i++) {
+            if (pair[i] == "/") {
+                require(separator == pair.length, "Invalid pair");
+                separator = i;
+            }
+        }
+        require(separator > 0 && separator + 1 < pair.length, "Invalid pair");
+
+        bytes memory baseBytes = new bytes(separator);
+        bytes memory quoteBytes = new bytes(pair.length - separator - 1);
+        for (uint256 i = 0; i < baseBytes.length; i++) {
+            baseBytes[i] = pair[i];
+        }
+        for (uint256 i = 0; i < quoteBytes.length; i++) {
+            quoteBytes[i] = pair[separator + 1 + i];
+        }
+        return (string(baseBytes), string(quoteBytes));
+    }
+}
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title IMarketRegistry
+ * @notice Callback interface markets use to keep their factory's registry in sync
+ *         and to ask it whether new entries are allowed
+ */
+interface IMarketRegistry {
+    /**
+     * @notice Report a market state change (called by the market itself)
+     * @param _status New state: 1 = Resolved, 2 = Cancelled (matches the markets' MarketState)
+     */
+    function onMarketStatusChanged(uint8 _status) external;
+
+    /**
+     * @notice Check a new entry against pauses and circuit breakers (called by the market itself)
+     * @dev Reverts if entries are halted
+     * @param _oracle Oracle the market reads its pair from
+     */
+    function checkEntry(address _oracle) external;
+
+    /**
+     * @notice Whether an account may resolve, cancel or reconfigure settlement of the registry's markets
+     * @param _account Account calling a market's resolver-only function
+     */
+    function isResolver(address _account) external view returns (bool);
+}
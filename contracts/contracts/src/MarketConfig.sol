@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @notice Parameters shared by every market kind, set by MarketFactory at creation
+ */
+struct MarketConfig {
+    string currencyPair;        // e.g., "EUR/USD"
+    address collateralToken;    // USDC or other stablecoin
+    uint256 resolutionTime;     // Timestamp when market resolves
+    address oracle;             // Price oracle used for settlement
+    address owner;              // Market creator (receives creator fees)
+    uint256 protocolFeeBps;     // Entry fee sent to the treasury
+    uint256 creatorFeeBps;      // Entry fee accrued to the owner
+    address treasury;           // Receives protocol fees
+    address registry;           // Notified of state changes and grants resolution rights (optional)
+}
@@ -2,13 +2,90 @@
 pragma solidity ^0.8.24;
 
 import "./PredictionMarket.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "./RangeMarket.sol";
+import "./TouchMarket.sol";
+import "./IMarketRegistry.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
  * @title MarketFactory
  * @notice Factory contract to create and manage multiple prediction markets
+ * @dev Access is split into roles: admins configure the factory and manage
+ *      roles, market creators create markets, resolvers hold resolution rights
+ *      over every market (manual settlement, disputes, oracle, cancellation)
+ *      and guardians pause entries. The deployer's admin starts with every role.
+ *      Creation follows a policy: the pair must be allowlisted and priced by the
+ *      oracle, the duration within bounds, and targets within a band of the
+ *      oracle price.
+ *
+ * @dev Binary markets are EIP-1167 clones of a PredictionMarket implementation
+ *      deployed separately, so creating one costs a fraction of a full
+ *      deployment. Range and touch markets are deployed through deployer
+ *      contracts created in the constructor, which keeps this contract under
+ *      the size limit.
+ *      Also acts as the market registry: markets report resolution and
+ *      cancellation back through onMarketStatusChanged, so frontends can page
+ *      through live markets without replaying events.
+ *      Markets can only be created with allowlisted collateral tokens. Market
+ *      math is denominated in the collateral's own units, so any decimals work;
+ *      the registry records them so frontends can format amounts per token.
+ *
+ *      Markets check every new entry with the factory: a guardian can pause
+ *      entries globally or per market, and circuit breakers halt entries on a
+ *      pair when its price jumps too far from the last accepted entry or the
+ *      feed goes stale. Exits, claims and withdrawals never go through these
+ *      checks, so users can always get their funds out.
  */
-contract MarketFactory is Ownable {
+contract MarketFactory is AccessControl, IMarketRegistry {
+    using SafeERC20 for IERC20;
+
+    // Roles (DEFAULT_ADMIN_ROLE configures the factory and grants roles)
+    bytes32 public constant MARKET_CREATOR_ROLE = keccak256("MARKET_CREATOR_ROLE");
+    bytes32 public constant RESOLVER_ROLE = keccak256("RESOLVER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // Kinds of markets the factory creates
+    enum MarketKind {
+        Binary,  // PredictionMarket: settles above/below a target price
+        Range,   // RangeMarket: settles in one of N price buckets
+        Touch    // TouchMarket: settles on whether a barrier was hit
+    }
+
+    // Lifecycle status, mirrors the markets' MarketState
+    enum MarketStatus {
+        Active,
+        Resolved,
+        Cancelled
+    }
+
+    // Registry entry for a market created by this factory
+    struct MarketInfo {
+        address creator;
+        MarketKind kind;            // Market category
+        MarketStatus status;
+        uint256 resolutionTime;
+        address collateralToken;
+        uint8 collateralDecimals;
+        string currencyPair;
+    }
+
+    // Allowlist entry for a collateral token
+    struct CollateralInfo {
+        bool allowed;
+        uint8 decimals;             // Read from the token when allowlisted
+    }
+
+    // Limits new markets must respect (zero disables a limit)
+    struct CreationPolicy {
+        uint256 minDuration;            // Shortest time from creation to resolution, in seconds
+        uint256 maxDuration;            // Longest time from creation to resolution, in seconds
+        uint256 maxTargetDeviationBps;  // Farthest a target may be from the oracle price, in basis points
+    }
+
     // Array of all created markets
     address[] public markets;
     
@@ -18,6 +95,68 @@ contract MarketFactory is Ownable {
     // Oracle address (can be updated)
     address public oracle;
     
+    // Registry metadata per market
+    mapping(address => MarketInfo) internal marketInfo;
+    
+    // Markets still accepting positions or awaiting resolution (unordered)
+    address[] internal activeMarkets;
+    
+    // Position in activeMarkets plus one (zero = not active)
+    mapping(address => uint256) internal activeMarketIndex;
+    
+    // Mapping: creator => market addresses
+    mapping(address => address[]) internal marketsByCreator;
+    
+    // PredictionMarket implementation that binary markets are cloned from
+    address public immutable predictionMarketImplementation;
+    
+    // Deployers for range and touch markets
+    RangeMarketDeployer public immutable rangeMarketDeployer;
+    TouchMarketDeployer public immutable touchMarketDeployer;
+    
+    // Maximum protocol entry fee, in basis points (matches PredictionMarket.MAX_FEE_BPS)
+    uint256 public constant MAX_PROTOCOL_FEE_BPS = 500;
+    
+    // Protocol entry fee applied to newly created markets, in basis points.
+    // Markets send it here; this contract is the protocol treasury.
+    uint256 public protocolFeeBps;
+    
+    // Largest collateral decimals accepted, keeping share and probability math far from overflow
+    uint8 public constant MAX_COLLATERAL_DECIMALS = 18;
+    
+    // Collateral tokens markets can be created with
+    mapping(address => CollateralInfo) public collateralInfo;
+    
+    // Allowlisted collateral tokens (unordered)
+    address[] internal collateralTokens;
+    
+    // Halts entries into every market created by this factory
+    bool public entriesPaused;
+    
+    // Halts entries into a single market
+    mapping(address => bool) public marketPaused;
+    
+    // Circuit breaker: largest price move since the last accepted entry on a pair, in basis points (0 = off)
+    uint256 public maxPriceMoveBps;
+    
+    // Circuit breaker: maximum age of the oracle price when entering (0 = off)
+    uint256 public maxEntryPriceAge;
+    
+    // Price of each pair at its last accepted entry (the circuit breaker's reference)
+    mapping(string => uint256) public referencePrice;
+
+    // When each pair's reference price was taken
+    mapping(string => uint256) public referenceTime;
+
+    // References older than this are replaced rather than compared against
+    uint256 public constant CIRCUIT_BREAKER_WINDOW = 1 hours;
+    
+    // Currency pairs markets can be created on
+    mapping(string => bool) public allowedPairs;
+    
+    // Duration and target limits for new markets
+    CreationPolicy public creationPolicy;
+    
     // Events
     event MarketCreated(
         address indexed market,
@@ -27,40 +166,116 @@ contract MarketFactory is Ownable {
         uint256 resolutionTime
     );
     
+    event RangeMarketCreated(
+        address indexed market,
+        string indexed currencyPair,
+        address indexed collateralToken,
+        uint256[] boundaries,
+        uint256 resolutionTime
+    );
+    
+    event TouchMarketCreated(
+        address indexed market,
+        string indexed currencyPair,
+        address indexed collateralToken,
+        uint256 barrier,
+        bool upward,
+        uint256 resolutionTime
+    );
+    
     event OracleUpdated(address indexed newOracle);
+    
+    event MarketFeesSet(address indexed market, uint256 protocolFeeBps, uint256 creatorFeeBps);
+    
+    event ProtocolFeeUpdated(uint256 protocolFeeBps);
+    
+    event TreasuryWithdrawal(address indexed token, address indexed to, uint256 amount);
+    
+    event MarketStatusUpdated(address indexed market, MarketStatus status);
+    
+    event CollateralAdded(address indexed token, uint8 decimals);
+    
+    event CollateralRemoved(address indexed token);
+    
+    event EntriesPaused(bool paused);
+    
+    event MarketPaused(address indexed market, bool paused);
+    
+    event CircuitBreakerUpdated(uint256 maxPriceMoveBps, uint256 maxEntryPriceAge);
+    
+    event CircuitBreakerReset(string currencyPair, uint256 referencePrice);
+    
+    event PairAllowed(string currencyPair, bool allowed);
+    
+    event CreationPolicyUpdated(uint256 minDuration, uint256 maxDuration, uint256 maxTargetDeviationBps);
 
-    constructor(address _oracle, address _owner) Ownable(_owner) {
+    /**
+     * @param _oracle Price oracle for new markets
+     * @param _admin Factory admin, also granted the creator, resolver and guardian roles
+     * @param _predictionMarketImplementation Deployed PredictionMarket to clone binary markets from
+     */
+    constructor(
+        address _oracle,
+        address _admin,
+        address _predictionMarketImplementation
+    ) {
+        require(_admin != address(0), "Invalid admin");
         require(_oracle != address(0), "Invalid oracle");
+        require(_predictionMarketImplementation != address(0), "Invalid implementation");
         oracle = _oracle;
+        predictionMarketImplementation = _predictionMarketImplementation;
+        rangeMarketDeployer = new RangeMarketDeployer();
+        touchMarketDeployer = new TouchMarketDeployer();
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(MARKET_CREATOR_ROLE, _admin);
+        _grantRole(RESOLVER_ROLE, _admin);
+        _grantRole(GUARDIAN_ROLE, _admin);
     }
 
     /**
-     * @notice Create a new prediction market
+     * @notice Create a new prediction market (market creators only)
      * @param _currencyPair The currency pair (e.g., "USDC/EURC")
      * @param _collateralToken Address of collateral token
      * @param _targetPrice Target price in 8 decimals
      * @param _resolutionTime Unix timestamp for resolution
+     * @param _subsidy Collateral seeding the market maker, pulled from the caller
+     * @param _creatorFeeBps Entry fee paid to the creator, in basis points
+     * @param _twapWindow Settle on the oracle's TWAP over this many seconds before
+     *        resolution time, or 0 to settle on the spot price
      * @return marketAddress Address of the newly created market
      */
     function createMarket(
         string memory _currencyPair,
         address _collateralToken,
         uint256 _targetPrice,
-        uint256 _resolutionTime
-    ) external returns (address marketAddress) {
-        PredictionMarket market = new PredictionMarket(
+        uint256 _resolutionTime,
+        uint256 _subsidy,
+        uint256 _creatorFeeBps,
+        uint256 _twapWindow
+    ) public onlyRole(MARKET_CREATOR_ROLE) returns (address marketAddress) {
+        _requireCreationPolicy(_currencyPair, _collateralToken, _resolutionTime);
+        _requireNearPrice(_currencyPair, _targetPrice);
+        
+        marketAddress = _clonePredictionMarket(
+            _marketConfig(_currencyPair, _collateralToken, _resolutionTime, _creatorFeeBps),
+            _targetPrice,
+            _subsidy,
+            _twapWindow
+        );
+        
+        // Fund the market maker from the creator
+        IERC20(_collateralToken).safeTransferFrom(msg.sender, marketAddress, _subsidy);
+
+        _registerMarket(
+            marketAddress,
             _currencyPair,
             _collateralToken,
-            _targetPrice,
             _resolutionTime,
-            oracle,
-            msg.sender
+            MarketKind.Binary,
+            _creatorFeeBps
         );
         
-        marketAddress = address(market);
-        markets.push(marketAddress);
-        marketsByCurrencyPair[_currencyPair].push(marketAddress);
-        
         emit MarketCreated(
             marketAddress,
             _currencyPair,
@@ -78,13 +293,19 @@ contract MarketFactory is Ownable {
      * @param _collateralToken Address of collateral token (same for all)
      * @param _targetPrices Array of target prices
      * @param _resolutionTime Unix timestamp for resolution (same for all)
+     * @param _subsidy Market maker subsidy per market (same for all)
+     * @param _creatorFeeBps Creator entry fee per market (same for all)
+     * @param _twapWindow TWAP settlement window per market, 0 for spot (same for all)
      * @return marketAddresses Array of created market addresses
      */
     function createMultipleMarkets(
         string[] memory _currencyPairs,
         address _collateralToken,
         uint256[] memory _targetPrices,
-        uint256 _resolutionTime
+        uint256 _resolutionTime,
+        uint256 _subsidy,
+        uint256 _creatorFeeBps,
+        uint256 _twapWindow
     ) external returns (address[] memory marketAddresses) {
         require(
             _currencyPairs.length == _targetPrices.length,
@@ -98,13 +319,104 @@ contract MarketFactory is Ownable {
                 _currencyPairs[i],
                 _collateralToken,
                 _targetPrices[i],
-                _resolutionTime
+                _resolutionTime,
+                _subsidy,
+                _creatorFeeBps,
+                _twapWindow
             );
         }
         
         return marketAddresses;
     }
 
+    /**
+     * @notice Create a range market on which price bucket a pair settles in (market creators only)
+     * @dev The band around the oracle price applies to the inner boundaries;
+     *      the outer ones may be open-ended
+     * @param _currencyPair The currency pair (e.g., "EUR/USD")
+     * @param _collateralToken Address of collateral token
+     * @param _boundaries Ascending bucket boundaries in 8 decimals (N + 1 values for N buckets)
+     * @param _resolutionTime Unix timestamp for resolution
+     * @param _creatorFeeBps Entry fee paid to the creator, in basis points
+     * @return marketAddress Address of the newly created market
+     */
+    function createRangeMarket(
+        string memory _currencyPair,
+        address _collateralToken,
+        uint256[] memory _boundaries,
+        uint256 _resolutionTime,
+        uint256 _creatorFeeBps
+    ) external onlyRole(MARKET_CREATOR_ROLE) returns (address marketAddress) {
+        _requireCreationPolicy(_currencyPair, _collateralToken, _resolutionTime);
+        for (uint256 i = 1; i + 1 < _boundaries.length; i++) {
+            _requireNearPrice(_currencyPair, _boundaries[i]);
+        }
+        marketAddress = rangeMarketDeployer.deploy(
+            _marketConfig(_currencyPair, _collateralToken, _resolutionTime, _creatorFeeBps),
+            _boundaries
+        );
+        _registerMarket(
+            marketAddress,
+            _currencyPair,
+            _collateralToken,
+            _resolutionTime,
+            MarketKind.Range,
+            _creatorFeeBps
+        );
+        
+        emit RangeMarketCreated(
+            marketAddress,
+            _currencyPair,
+            _collateralToken,
+            _boundaries,
+            _resolutionTime
+        );
+    }
+
+    /**
+     * @notice Create a touch market on whether a pair hits a barrier before expiry (market creators only)
+     * @param _currencyPair The currency pair (e.g., "EUR/USD")
+     * @param _collateralToken Address of collateral token
+     * @param _barrier Barrier price in 8 decimals
+     * @param _upward True if the barrier is hit from below, false from above
+     * @param _resolutionTime Unix timestamp for expiry
+     * @param _creatorFeeBps Entry fee paid to the creator, in basis points
+     * @return marketAddress Address of the newly created market
+     */
+    function createTouchMarket(
+        string memory _currencyPair,
+        address _collateralToken,
+        uint256 _barrier,
+        bool _upward,
+        uint256 _resolutionTime,
+        uint256 _creatorFeeBps
+    ) external onlyRole(MARKET_CREATOR_ROLE) returns (address marketAddress) {
+        _requireCreationPolicy(_currencyPair, _collateralToken, _resolutionTime);
+        _requireNearPrice(_currencyPair, _barrier);
+        marketAddress = touchMarketDeployer.deploy(
+            _marketConfig(_currencyPair, _collateralToken, _resolutionTime, _creatorFeeBps),
+            _barrier,
+            _upward
+        );
+        _registerMarket(
+            marketAddress,
+            _currencyPair,
+            _collateralToken,
+            _resolutionTime,
+            MarketKind.Touch,
+            _creatorFeeBps
+        );
+        
+        emit TouchMarketCreated(
+            marketAddress,
+            _currencyPair,
+            _collateralToken,
+            _barrier,
+            _upward,
+            _resolutionTime
+        );
+    }
+
     /**
      * @notice Get all markets
      * @return Array of all market addresses
@@ -133,11 +445,414 @@ contract MarketFactory is Ownable {
     }
 
     /**
-     * @notice Update oracle address (owner only)
+     * @notice Registry metadata for a market
+     * @param _market Market address
+     */
+    function getMarketInfo(address _market) external view returns (MarketInfo memory) {
+        require(marketInfo[_market].creator != address(0), "Unknown market");
+        return marketInfo[_market];
+    }
+
+    /**
+     * @notice Whether a market was created by this factory
+     * @param _market Market address
+     */
+    function isMarket(address _market) external view returns (bool) {
+        return marketInfo[_market].creator != address(0);
+    }
+
+    /**
+     * @notice Page through markets that are neither resolved nor cancelled
+     * @dev Order is not stable: settling a market moves the last active market into its slot
+     * @param _offset Index of the first market to return
+     * @param _limit Maximum number of markets to return
+     * @return page Market addresses
+     * @return total Number of active markets
+     */
+    function getActiveMarkets(
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (address[] memory page, uint256 total) {
+        return (_slice(activeMarkets, _offset, _limit), activeMarkets.length);
+    }
+
+    /**
+     * @notice Page through the markets created by an account, oldest first
+     * @param _creator Market creator
+     * @param _offset Index of the first market to return
+     * @param _limit Maximum number of markets to return
+     * @return page Market addresses
+     * @return total Number of markets created by the account
+     */
+    function getMarketsByCreator(
+        address _creator,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (address[] memory page, uint256 total) {
+        address[] storage created = marketsByCreator[_creator];
+        return (_slice(created, _offset, _limit), created.length);
+    }
+
+    /**
+     * @notice Record a market's new status (called by the market itself)
+     * @param _status New status, as the market's MarketState
+     */
+    function onMarketStatusChanged(uint8 _status) external override {
+        MarketInfo storage info = marketInfo[msg.sender];
+        require(info.creator != address(0), "Unknown market");
+        require(
+            info.status == MarketStatus.Active && _status > uint8(MarketStatus.Active) && _status <= uint8(MarketStatus.Cancelled),
+            "Invalid status"
+        );
+
+        info.status = MarketStatus(_status);
+        _removeActiveMarket(msg.sender);
+
+        emit MarketStatusUpdated(msg.sender, info.status);
+    }
+
+    /**
+     * @notice Check a new entry against pauses and circuit breakers (called by the market itself)
+     * @dev Reverts while entries are paused, the pair's price has moved more than
+     *      maxPriceMoveBps since the last accepted entry within CIRCUIT_BREAKER_WINDOW,
+     *      or the price is older than maxEntryPriceAge. An older reference is
+     *      replaced by the current price, so drift over a quiet period never trips
+     *      the breaker and a tripped pair reopens after the window at the latest
+     *      (or when a guardian resets it).
+     * @param _oracle Oracle the market reads its pair from
+     */
+    function checkEntry(address _oracle) external override {
+        MarketInfo storage info = marketInfo[msg.sender];
+        require(info.creator != address(0), "Unknown market");
+        require(!entriesPaused && !marketPaused[msg.sender], "Entries paused");
+
+        if (maxPriceMoveBps == 0 && maxEntryPriceAge == 0) {
+            return;
+        }
+
+        (uint256 price, uint256 timestamp) = IPriceOracle(_oracle).getPrice(info.currencyPair);
+        require(price > 0, "Invalid price");
+        if (maxEntryPriceAge > 0) {
+            require(_isFreshPrice(timestamp), "Price feed stale");
+        }
+        if (maxPriceMoveBps > 0) {
+            uint256 lastPrice = referencePrice[info.currencyPair];
+            if (lastPrice > 0 && block.timestamp - referenceTime[info.currencyPair] <= CIRCUIT_BREAKER_WINDOW) {
+                uint256 move = price > lastPrice ? price - lastPrice : lastPrice - price;
+                require(move * 10000 <= lastPrice * maxPriceMoveBps, "Circuit breaker tripped");
+            }
+            referencePrice[info.currencyPair] = price;
+            referenceTime[info.currencyPair] = block.timestamp;
+        }
+    }
+
+    /**
+     * @notice Whether an account holds resolution rights over this factory's markets
+     * @param _account Account calling a market's resolver-only function
+     */
+    function isResolver(address _account) external view override returns (bool) {
+        return hasRole(RESOLVER_ROLE, _account);
+    }
+
+    /**
+     * @notice Pause or resume entries into every market (guardians only)
+     */
+    function setEntriesPaused(bool _paused) external onlyRole(GUARDIAN_ROLE) {
+        entriesPaused = _paused;
+        emit EntriesPaused(_paused);
+    }
+
+    /**
+     * @notice Pause or resume entries into one market (guardians only)
+     * @param _market Market created by this factory
+     */
+    function setMarketPaused(address _market, bool _paused) external onlyRole(GUARDIAN_ROLE) {
+        require(marketInfo[_market].creator != address(0), "Unknown market");
+        marketPaused[_market] = _paused;
+        emit MarketPaused(_market, _paused);
+    }
+
+    /**
+     * @notice Configure the circuit breakers (admin only)
+     * @param _maxPriceMoveBps Largest price move between accepted entries, in basis points (0 = off)
+     * @param _maxEntryPriceAge Maximum oracle price age when entering, in seconds (0 = off)
      */
-    function setOracle(address _oracle) external onlyOwner {
+    function setCircuitBreaker(uint256 _maxPriceMoveBps, uint256 _maxEntryPriceAge) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        maxPriceMoveBps = _maxPriceMoveBps;
+        maxEntryPriceAge = _maxEntryPriceAge;
+        emit CircuitBreakerUpdated(_maxPriceMoveBps, _maxEntryPriceAge);
+    }
+
+    /**
+     * @notice Re-open entries on a pair after a price move by taking the current price as reference (guardians only)
+     * @param _currencyPair Pair whose circuit breaker tripped
+     */
+    function resetCircuitBreaker(string memory _currencyPair) external onlyRole(GUARDIAN_ROLE) {
+        (uint256 price, ) = IPriceOracle(oracle).getPrice(_currencyPair);
+        require(price > 0, "Invalid price");
+        referencePrice[_currencyPair] = price;
+        referenceTime[_currencyPair] = block.timestamp;
+        emit CircuitBreakerReset(_currencyPair, price);
+    }
+
+    /**
+     * @notice Allow or disallow new markets on currency pairs (admin only)
+     * @dev Existing markets on a disallowed pair are unaffected
+     * @param _currencyPairs Pairs to update (e.g. "EUR/USD")
+     * @param _allowed Whether markets can be created on them
+     */
+    function setPairsAllowed(string[] calldata _currencyPairs, bool _allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < _currencyPairs.length; i++) {
+            allowedPairs[_currencyPairs[i]] = _allowed;
+            emit PairAllowed(_currencyPairs[i], _allowed);
+        }
+    }
+
+    /**
+     * @notice Set the limits new markets must respect (admin only)
+     * @param _minDuration Shortest time from creation to resolution, in seconds (0 = none)
+     * @param _maxDuration Longest time from creation to resolution, in seconds (0 = none)
+     * @param _maxTargetDeviationBps Farthest a target, barrier or inner range boundary
+     *        may be from the oracle price, in basis points (0 = none)
+     */
+    function setCreationPolicy(
+        uint256 _minDuration,
+        uint256 _maxDuration,
+        uint256 _maxTargetDeviationBps
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_maxDuration == 0 || _maxDuration >= _minDuration, "Invalid duration bounds");
+        creationPolicy = CreationPolicy({
+            minDuration: _minDuration,
+            maxDuration: _maxDuration,
+            maxTargetDeviationBps: _maxTargetDeviationBps
+        });
+        emit CreationPolicyUpdated(_minDuration, _maxDuration, _maxTargetDeviationBps);
+    }
+
+    /**
+     * @notice Update oracle address (admin only)
+     */
+    function setOracle(address _oracle) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(_oracle != address(0), "Invalid oracle");
         oracle = _oracle;
         emit OracleUpdated(_oracle);
     }
+
+    /**
+     * @notice Set the protocol entry fee for markets created from now on (admin only)
+     * @param _protocolFeeBps Fee in basis points
+     */
+    function setProtocolFee(uint256 _protocolFeeBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_protocolFeeBps <= MAX_PROTOCOL_FEE_BPS, "Fee too high");
+        protocolFeeBps = _protocolFeeBps;
+        emit ProtocolFeeUpdated(_protocolFeeBps);
+    }
+
+    /**
+     * @notice Withdraw collected protocol fees from the treasury (admin only)
+     * @param _token Collateral token the fees were paid in
+     * @param _to Recipient
+     * @param _amount Amount to withdraw
+     */
+    function withdrawFees(address _token, address _to, uint256 _amount) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_to != address(0), "Invalid recipient");
+        IERC20(_token).safeTransfer(_to, _amount);
+        emit TreasuryWithdrawal(_token, _to, _amount);
+    }
+
+    /**
+     * @notice Allow markets to be created with a collateral token (admin only)
+     * @dev Decimals are read from the token's metadata
+     * @param _token ERC-20 collateral token (e.g. USDC, EURC, JPYC)
+     */
+    function addCollateral(address _token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_token != address(0), "Invalid collateral token");
+        require(!collateralInfo[_token].allowed, "Collateral already allowed");
+
+        uint8 decimals = IERC20Metadata(_token).decimals();
+        require(decimals <= MAX_COLLATERAL_DECIMALS, "Unsupported decimals");
+
+        collateralInfo[_token] = CollateralInfo({ allowed: true, decimals: decimals });
+        collateralTokens.push(_token);
+
+        emit CollateralAdded(_token, decimals);
+    }
+
+    /**
+     * @notice Stop new markets from using a collateral token (admin only)
+     * @dev Existing markets keep settling in the token
+     * @param _token Allowlisted collateral token
+     */
+    function removeCollateral(address _token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(collateralInfo[_token].allowed, "Collateral not allowed");
+        delete collateralInfo[_token];
+
+        for (uint256 i = 0; i < collateralTokens.length; i++) {
+            if (collateralTokens[i] == _token) {
+                collateralTokens[i] = collateralTokens[collateralTokens.length - 1];
+                collateralTokens.pop();
+                break;
+            }
+        }
+
+        emit CollateralRemoved(_token);
+    }
+
+    /**
+     * @notice Get the allowlisted collateral tokens
+     * @return Array of token addresses (unordered)
+     */
+    function getCollateralTokens() external view returns (address[] memory) {
+        return collateralTokens;
+    }
+
+    /**
+     * @notice Check a new market's pair, collateral and duration against the creation policy
+     * @dev Pairs the oracle cannot price are rejected before a market is deployed on them
+     */
+    function _requireCreationPolicy(
+        string memory _currencyPair,
+        address _collateralToken,
+        uint256 _resolutionTime
+    ) internal view {
+        require(allowedPairs[_currencyPair], "Pair not allowed");
+        require(IPriceOracle(oracle).isPriceFeedAvailable(_currencyPair), "Price feed not available");
+        require(collateralInfo[_collateralToken].allowed, "Collateral not allowed");
+
+        require(_resolutionTime > block.timestamp, "Invalid resolution time");
+        uint256 duration = _resolutionTime - block.timestamp;
+        require(duration >= creationPolicy.minDuration, "Duration too short");
+        require(creationPolicy.maxDuration == 0 || duration <= creationPolicy.maxDuration, "Duration too long");
+    }
+
+    /**
+     * @notice Reject targets too far from the pair's oracle price
+     * @dev The price must pass the same maxEntryPriceAge check as entries, so a
+     *      stale feed cannot approve or reject a target
+     */
+    function _requireNearPrice(string memory _currencyPair, uint256 _target) internal view {
+        uint256 maxDeviationBps = creationPolicy.maxTargetDeviationBps;
+        if (maxDeviationBps == 0) {
+            return;
+        }
+
+        (uint256 price, uint256 timestamp) = IPriceOracle(oracle).getPrice(_currencyPair);
+        require(price > 0, "Invalid price");
+        if (maxEntryPriceAge > 0) {
+            require(_isFreshPrice(timestamp), "Price feed stale");
+        }
+        uint256 deviation = _target > price ? _target - price : price - _target;
+        require(deviation * 10000 <= price * maxDeviationBps, "Target too far from price");
+    }
+
+    /**
+     * @notice Whether an oracle price is within maxEntryPriceAge of the block
+     * @dev The repo's Chainlink, Pyth and median adapters never return prices
+     *      stamped ahead of the block, but other feeds set as the oracle may be a
+     *      little ahead of it; those count as fresh up to maxEntryPriceAge ahead
+     */
+    function _isFreshPrice(uint256 _timestamp) internal view returns (bool) {
+        if (_timestamp >= block.timestamp) {
+            return _timestamp - block.timestamp <= maxEntryPriceAge;
+        }
+        return block.timestamp - _timestamp <= maxEntryPriceAge;
+    }
+
+    /**
+     * @notice Clone the PredictionMarket implementation and initialize the clone
+     */
+    function _clonePredictionMarket(
+        MarketConfig memory _config,
+        uint256 _targetPrice,
+        uint256 _subsidy,
+        uint256 _twapWindow
+    ) internal returns (address market) {
+        market = Clones.clone(predictionMarketImplementation);
+        PredictionMarket(market).initialize(_config, _targetPrice, _subsidy, _twapWindow);
+    }
+
+    /**
+     * @notice Build market parameters with the caller as creator
+     */
+    function _marketConfig(
+        string memory _currencyPair,
+        address _collateralToken,
+        uint256 _resolutionTime,
+        uint256 _creatorFeeBps
+    ) internal view returns (MarketConfig memory) {
+        return MarketConfig({
+            currencyPair: _currencyPair,
+            collateralToken: _collateralToken,
+            resolutionTime: _resolutionTime,
+            oracle: oracle,
+            owner: msg.sender,
+            protocolFeeBps: protocolFeeBps,
+            creatorFeeBps: _creatorFeeBps,
+            treasury: address(this),
+            registry: address(this)
+        });
+    }
+
+    /**
+     * @notice Record a new market, created by the caller, in the factory's indexes
+     */
+    function _registerMarket(
+        address _market,
+        string memory _currencyPair,
+        address _collateralToken,
+        uint256 _resolutionTime,
+        MarketKind _kind,
+        uint256 _creatorFeeBps
+    ) internal {
+        markets.push(_market);
+        marketsByCurrencyPair[_currencyPair].push(_market);
+        marketsByCreator[msg.sender].push(_market);
+        marketInfo[_market] = MarketInfo({
+            creator: msg.sender,
+            kind: _kind,
+            status: MarketStatus.Active,
+            resolutionTime: _resolutionTime,
+            collateralToken: _collateralToken,
+            collateralDecimals: collateralInfo[_collateralToken].decimals,
+            currencyPair: _currencyPair
+        });
+        activeMarkets.push(_market);
+        activeMarketIndex[_market] = activeMarkets.length;
+        
+        emit MarketFeesSet(_market, protocolFeeBps, _creatorFeeBps);
+    }
+
+    /**
+     * @notice Swap-and-pop a market out of the active list
+     */
+    function _removeActiveMarket(address _market) internal {
+        uint256 index = activeMarketIndex[_market] - 1;
+        address last = activeMarkets[activeMarkets.length - 1];
+
+        activeMarkets[index] = last;
+        activeMarketIndex[last] = index + 1;
+        activeMarkets.pop();
+        delete activeMarketIndex[_market];
+    }
+
+    /**
+     * @notice Copy up to `_limit` entries of `_list` starting at `_offset`
+     */
+    function _slice(
+        address[] storage _list,
+        uint256 _offset,
+        uint256 _limit
+    ) internal view returns (address[] memory page) {
+        if (_offset >= _list.length) {
+            return new address[](0);
+        }
+        uint256 end = _offset + _limit;
+        if (end > _list.length) {
+            end = _list.length;
+        }
+        page = new address[](end - _offset);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = _list[_offset + i];
+        }
+    }
 }
@@ -0,0 +1,97 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title MarketMaker
+ * @notice Constant-product market maker math for binary outcome shares
+ * @dev Fixed-product market maker (FPMM): the pool holds a reserve of each outcome
+ *      share and keeps `reserveA * reserveB` constant across trades. Every unit of
+ *      collateral invested mints one complete set (one share of each outcome), so a
+ *      winning share always redeems for exactly one unit of collateral.
+ *
+ *      Shares are denominated in collateral units. Probabilities use 18 decimals.
+ */
+library MarketMaker {
+    // Precision of implied probabilities (1e18 = 100%)
+    uint256 internal constant PROBABILITY_PRECISION = 1e18;
+
+    /**
+     * @notice Shares received for investing collateral into one outcome
+     * @param _buyReserve Pool reserve of the outcome being bought
+     * @param _otherReserve Pool reserve of the opposite outcome
+     * @param _amount Collateral invested
+     * @return shares Outcome shares paid out to the buyer
+     */
+    function calcBuyShares(
+        uint256 _buyReserve,
+        uint256 _otherReserve,
+        uint256 _amount
+    ) internal pure returns (uint256 shares) {
+        // Round the remaining reserve up so the invariant never decreases
+        uint256 newBuyReserve = Math.mulDiv(
+            _buyReserve,
+            _otherReserve,
+            _otherReserve + _amount,
+            Math.Rounding.Ceil
+        );
+        shares = _buyReserve + _amount - newBuyReserve;
+    }
+
+    /**
+     * @notice Collateral required to buy an exact number of outcome shares
+     * @dev Solves (B + x - n)(O + x) = B * O for x, rounded up
+     * @param _buyReserve Pool reserve of the outcome being bought
+     * @param _otherReserve Pool reserve of the opposite outcome
+     * @param _shares Shares to buy
+     * @return cost Collateral to invest
+     */
+    function calcBuyCost(
+        uint256 _buyReserve,
+        uint256 _otherReserve,
+        uint256 _shares
+    ) internal pure returns (uint256 cost) {
+        uint256 sum = _buyReserve + _otherReserve;
+        uint256 diff = sum > _shares ? sum - _shares : _shares - sum;
+        uint256 root = Math.sqrt(diff * diff + 4 * _shares * _otherReserve, Math.Rounding.Ceil);
+        cost = sum > _shares ? root - diff : root + diff;
+        cost = (cost + 1) / 2;
+    }
+
+    /**
+     * @notice Collateral returned for selling outcome shares back to the pool
+     * @dev Solves (S + n - y)(O - y) = S * O for y, rounded down
+     * @param _sellReserve Pool reserve of the outcome being sold
+     * @param _otherReserve Pool reserve of the opposite outcome
+     * @param _shares Shares sold
+     * @return amount Collateral returned (before fees)
+     */
+    function calcSellReturn(
+        uint256 _sellReserve,
+        uint256 _otherReserve,
+        uint256 _shares
+    ) internal pure returns (uint256 amount) {
+        uint256 sum = _sellReserve + _shares + _otherReserve;
+        uint256 root = Math.sqrt(sum * sum - 4 * _shares * _otherReserve, Math.Rounding.Ceil);
+        amount = (sum - root) / 2;
+    }
+
+    /**
+     * @notice Implied probability of an outcome from pool reserves
+     * @param _reserve Pool reserve of the outcome
+     * @param _otherReserve Pool reserve of the opposite outcome
+     * @return probability Probability with 18 decimals
+     */
+    function impliedProbability(
+        uint256 _reserve,
+        uint256 _otherReserve
+    ) internal pure returns (uint256 probability) {
+        uint256 total = _reserve + _otherReserve;
+        if (total == 0) {
+            return PROBABILITY_PRECISION / 2;
+        }
+        // A scarcer reserve means more shares were bought, i.e. a higher price
+        probability = Math.mulDiv(_otherReserve, PROBABILITY_PRECISION, total);
+    }
+}
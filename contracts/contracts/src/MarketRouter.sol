@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./PredictionMarket.sol";
+
+/**
+ * @title MarketRouter
+ * @notice Batches entries and claims across many PredictionMarkets in one transaction
+ * @dev Stateless: collateral only passes through within a call, and positions,
+ *      payouts and refunds always belong to the user. Entries are all-or-nothing;
+ *      claims are best effort, so one market that has nothing to claim does not
+ *      block the rest. Calling with `eth_call` previews the summary.
+ */
+contract MarketRouter {
+    using SafeERC20 for IERC20;
+
+    // One position to take
+    struct Entry {
+        address market;
+        PredictionMarket.PositionType positionType;
+        uint256 amount;             // Collateral including entry fees
+        uint256 minShares;          // Slippage protection
+    }
+
+    // What a claim did on one market
+    enum ClaimKind {
+        Skipped,     // Nothing to claim (not settled, no position or already claimed)
+        Payout,      // claimPayout on a resolved market (amount may be zero for a losing position)
+        Withdrawal   // emergencyWithdraw on a cancelled market
+    }
+
+    struct ClaimResult {
+        address market;
+        address collateralToken;    // Zero if skipped
+        ClaimKind kind;
+        uint256 amount;
+    }
+
+    event EntriesRouted(address indexed user, uint256 entryCount);
+
+    event ClaimsRouted(address indexed user, uint256 marketCount, uint256 claimedCount);
+
+    /**
+     * @notice Take positions in several markets, paid from the caller's collateral
+     * @dev The caller approves this router for each collateral token. Reverts
+     *      entirely if any entry fails (e.g. slippage or a closed market)
+     * @param _entries Positions to take
+     * @return shares Shares bought per entry
+     */
+    function enterMarkets(Entry[] calldata _entries) external returns (uint256[] memory shares) {
+        require(_entries.length > 0, "No entries");
+
+        shares = new uint256[](_entries.length);
+        for (uint256 i = 0; i < _entries.length; i++) {
+            shares[i] = _enter(_entries[i]);
+        }
+
+        emit EntriesRouted(msg.sender, _entries.length);
+    }
+
+    /**
+     * @notice Claim payouts from resolved markets and refunds from cancelled ones
+     * @dev Callable by anyone for any user, since funds only ever go to the user.
+     *      Markets with nothing to claim are reported as Skipped
+     * @param _user Position holder
+     * @param _markets Markets to claim from
+     * @return results Outcome per market, in input order
+     * @return claimedCount Number of markets that paid out or refunded
+     */
+    function claimAll(
+        address _user,
+        address[] calldata _markets
+    ) external returns (ClaimResult[] memory results, uint256 claimedCount) {
+        require(_user != address(0), "Invalid user");
+
+        results = new ClaimResult[](_markets.length);
+        for (uint256 i = 0; i < _markets.length; i++) {
+            results[i] = _claim(_user, _markets[i]);
+            if (results[i].kind != ClaimKind.Skipped) {
+                claimedCount++;
+            }
+        }
+
+        emit ClaimsRouted(_user, _markets.length, claimedCount);
+    }
+
+    function _enter(Entry calldata _entry) internal returns (uint256) {
+        PredictionMarket market = PredictionMarket(_entry.market);
+        IERC20 collateral = IERC20(market.collateralToken());
+
+        collateral.safeTransferFrom(msg.sender, address(this), _entry.amount);
+        collateral.forceApprove(address(market), _entry.amount);
+
+        return market.takePositionFor(msg.sender, _entry.positionType, _entry.amount, _entry.minShares);
+    }
+
+    /**
+     * @notice Claim from one market, trying a payout first and a refund second
+     */
+    function _claim(address _user, address _market) internal returns (ClaimResult memory result) {
+        PredictionMarket market = PredictionMarket(_market);
+        result.market = _market;
+
+        try market.claimPayoutFor(_user) returns (uint256 payout) {
+            result.kind = ClaimKind.Payout;
+            result.amount = payout;
+        } catch {
+            try market.emergencyWithdrawFor(_user) returns (uint256 refund) {
+                result.kind = ClaimKind.Withdrawal;
+                result.amount = refund;
+            } catch {
+                return result;
+            }
+        }
+
+        result.collateralToken = market.collateralToken();
+    }
+}
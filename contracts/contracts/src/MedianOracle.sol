@@ -0,0 +1,264 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./PriceOracle.sol";
+
+/**
+ * @title MedianOracle
+ * @notice IPriceOracle that aggregates several underlying oracles into a median
+ * @dev For each read every source is queried; sources that revert or return a
+ *      stale price are skipped, and prices further than `maxDeviationBps` from
+ *      the median of the fresh prices are dropped as outliers (0 disables the
+ *      filter, as for ChainlinkOracle and PythOracle). The median of
+ *      what remains is returned if at least `quorum` sources contributed. The
+ *      reported timestamp is the oldest among contributing sources.
+ *
+ *      `getPrice` is a view, so it cannot log anything; keepers call
+ *      `reportPrice` to get the same price with events for dropped outliers and
+ *      for sources disagreeing beyond `disagreementBps`.
+ */
+contract MedianOracle is IPriceOracle, Ownable {
+    // Upper bound on sources, keeps reads within a sane gas budget
+    uint256 public constant MAX_SOURCES = 10;
+
+    struct Observation {
+        address source;
+        uint256 price;
+        uint256 timestamp;
+    }
+
+    // Underlying oracles
+    address[] public sources;
+    mapping(address => bool) public isSource;
+
+    // Minimum number of sources that must contribute to a price
+    uint256 public quorum;
+
+    // Maximum age of a source price, in seconds
+    uint256 public maxPriceAge;
+
+    // Maximum distance from the median before a price is dropped, in basis points (0 = unchecked)
+    uint256 public maxDeviationBps;
+
+    // Spread between the lowest and highest fresh price that triggers SourcesDisagree, in basis points
+    uint256 public disagreementBps;
+
+    event SourceAdded(address indexed source);
+
+    event SourceRemoved(address indexed source);
+
+    event ParametersUpdated(uint256 quorum, uint256 maxPriceAge, uint256 maxDeviationBps, uint256 disagreementBps);
+
+    event SourceDropped(string currencyPair, address indexed source, uint256 price, uint256 median);
+
+    event SourcesDisagree(string currencyPair, uint256 lowestPrice, uint256 highestPrice, uint256 median);
+
+    event PriceReported(string currencyPair, uint256 price, uint256 timestamp, uint256 sourceCount);
+
+    constructor(
+        address _owner,
+        uint256 _quorum,
+        uint256 _maxPriceAge,
+        uint256 _maxDeviationBps,
+        uint256 _disagreementBps
+    ) Ownable(_owner) {
+        _setParameters(_quorum, _maxPriceAge, _maxDeviationBps, _disagreementBps);
+    }
+
+    /**
+     * @notice Add an underlying oracle (owner only)
+     */
+    function addSource(address _source) external onlyOwner {
+        require(_source != address(0), "Invalid source");
+        require(!isSource[_source], "Source already added");
+        require(sources.length < MAX_SOURCES, "Too many sources");
+
+        sources.push(_source);
+        isSource[_source] = true;
+        emit SourceAdded(_source);
+    }
+
+    /**
+     * @notice Remove an underlying oracle (owner only)
+     */
+    function removeSource(address _source) external onlyOwner {
+        require(isSource[_source], "Unknown source");
+
+        for (uint256 i = 0; i < sources.length; i++) {
+            if (sources[i] == _source) {
+                sources[i] = sources[sources.length - 1];
+                sources.pop();
+                break;
+            }
+        }
+        isSource[_source] = false;
+        emit SourceRemoved(_source);
+    }
+
+    /**
+     * @notice Update aggregation parameters (owner only)
+     * @param _quorum Minimum contributing sources
+     * @param _maxPriceAge Maximum source price age in seconds
+     * @param _maxDeviationBps Outlier cutoff from the median, in basis points (0 disables)
+     * @param _disagreementBps Spread that triggers SourcesDisagree, in basis points
+     */
+    function setParameters(
+        uint256 _quorum,
+        uint256 _maxPriceAge,
+        uint256 _maxDeviationBps,
+        uint256 _disagreementBps
+    ) external onlyOwner {
+        _setParameters(_quorum, _maxPriceAge, _maxDeviationBps, _disagreementBps);
+    }
+
+    function getPrice(string memory _currencyPair) external view override returns (uint256 price, uint256 timestamp) {
+        (price, timestamp, , ) = _aggregate(_observe(_currencyPair));
+    }
+
+    function isPriceFeedAvailable(string memory _currencyPair) external view override returns (bool available) {
+        try this.getPrice(_currencyPair) returns (uint256, uint256) {
+            available = true;
+        } catch {
+            available = false;
+        }
+    }
+
+    /**
+     * @notice Aggregate a price like getPrice, logging outliers and disagreement
+     * @param _currencyPair The currency pair (e.g., "EUR/USD")
+     */
+    function reportPrice(string memory _currencyPair) external returns (uint256 price, uint256 timestamp) {
+        Observation[] memory fresh = _observe(_currencyPair);
+        uint256 used;
+        uint256 freshMedian;
+        (price, timestamp, used, freshMedian) = _aggregate(fresh);
+
+        for (uint256 i = 0; i < fresh.length; i++) {
+            if (_isOutlier(fresh[i].price, freshMedian)) {
+                emit SourceDropped(_currencyPair, fresh[i].source, fresh[i].price, freshMedian);
+            }
+        }
+
+        uint256 lowest = fresh[0].price;
+        uint256 highest = fresh[fresh.length - 1].price;
+        if ((highest - lowest) * 10000 > freshMedian * disagreementBps) {
+            emit SourcesDisagree(_currencyPair, lowest, highest, freshMedian);
+        }
+
+        emit PriceReported(_currencyPair, price, timestamp, used);
+    }
+
+    /**
+     * @notice Number of underlying oracles
+     */
+    function getSourceCount() external view returns (uint256) {
+        return sources.length;
+    }
+
+    function _setParameters(
+        uint256 _quorum,
+        uint256 _maxPriceAge,
+        uint256 _maxDeviationBps,
+        uint256 _disagreementBps
+    ) internal {
+        require(_quorum > 0 && _quorum <= MAX_SOURCES, "Invalid quorum");
+        require(_maxPriceAge > 0, "Invalid max price age");
+
+        quorum = _quorum;
+        maxPriceAge = _maxPriceAge;
+        maxDeviationBps = _maxDeviationBps;
+        disagreementBps = _disagreementBps;
+
+        emit ParametersUpdated(_quorum, _maxPriceAge, _maxDeviationBps, _disagreementBps);
+    }
+
+    /**
+     * @notice Fresh prices from every source that answers, sorted by price
+     */
+    function _observe(string memory _currencyPair) internal view returns (Observation[] memory fresh) {
+        Observation[] memory sorted = new Observation[](sources.length);
+        uint256 count;
+
+        for (uint256 i = 0; i < sources.length; i++) {
+            try IPriceOracle(sources[i]).getPrice(_currencyPair) returns (uint256 price, uint256 timestamp) {
+                if (price == 0 || timestamp > block.timestamp || block.timestamp - timestamp > maxPriceAge) {
+                    continue;
+                }
+
+                // Insertion sort, sources are few
+                uint256 j = count;
+                while (j > 0 && sorted[j - 1].price > price) {
+                    sorted[j] = sorted[j - 1];
+                    j--;
+                }
+                sorted[j] = Observation({source: sources[i], price: price, timestamp: timestamp});
+                count++;
+            } catch {
+                continue;
+            }
+        }
+
+        require(count >= quorum, "Quorum not reached");
+
+        fresh = new Observation[](count);
+        for (uint256 i = 0; i < count; i++) {
+            fresh[i] = sorted[i];
+        }
+    }
+
+    /**
+     * @notice Median of the fresh prices after dropping outliers
+     * @param _fresh Fresh observations sorted by price (non-empty)
+     * @return price Median of contributing prices
+     * @return timestamp Oldest contributing timestamp
+     * @return used Number of contributing sources
+     * @return freshMedian Median of all fresh prices, used to spot outliers
+     */
+    function _aggregate(Observation[] memory _fresh) internal view returns (
+        uint256 price,
+        uint256 timestamp,
+        uint256 used,
+        uint256 freshMedian
+    ) {
+        freshMedian = _median(_fresh, 0, _fresh.length);
+
+        // Sorted input means the contributing prices form one contiguous run
+        uint256 first = _fresh.length;
+        timestamp = type(uint256).max;
+        for (uint256 i = 0; i < _fresh.length; i++) {
+            if (_isOutlier(_fresh[i].price, freshMedian)) {
+                continue;
+            }
+            if (first == _fresh.length) {
+                first = i;
+            }
+            used++;
+            if (_fresh[i].timestamp < timestamp) {
+                timestamp = _fresh[i].timestamp;
+            }
+        }
+
+        require(used >= quorum, "Quorum not reached");
+        price = _median(_fresh, first, used);
+    }
+
+    /**
+     * @notice Median of `_count` sorted observations starting at `_start`
+     */
+    function _median(Observation[] memory _sorted, uint256 _start, uint256 _count) internal pure returns (uint256) {
+        uint256 mid = _start + _count / 2;
+        if (_count % 2 == 1) {
+            return _sorted[mid].price;
+        }
+        return (_sorted[mid - 1].price + _sorted[mid].price) / 2;
+    }
+
+    function _isOutlier(uint256 _price, uint256 _freshMedian) internal view returns (bool) {
+        if (maxDeviationBps == 0) {
+            return false;
+        }
+        uint256 distance = _price > _freshMedian ? _price - _freshMedian : _freshMedian - _price;
+        return distance * 10000 > _freshMedian * maxDeviationBps;
+    }
+}
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IENSRegistry {
+    function owner(bytes32 node) external view returns (address);
+
+    function isApprovedForAll(address owner, address operator) external view returns (bool);
+}
+
+/**
+ * @title MockPublicResolver
+ * @notice ENS public resolver with address and text records, for local deployments and tests
+ * @dev Like the ENS public resolver, a node's records are managed by its owner
+ *      in the registry and that owner's registry operators.
+ */
+contract MockPublicResolver {
+    IENSRegistry public immutable ens;
+
+    mapping(bytes32 => address) private addresses;
+    mapping(bytes32 => mapping(string => string)) private texts;
+
+    event AddrChanged(bytes32 indexed node, address a);
+    event TextChanged(bytes32 indexed node, string indexed indexedKey, string key, string value);
+
+    modifier authorised(bytes32 node) {
+        address nodeOwner = ens.owner(node);
+        require(nodeOwner == msg.sender || ens.isApprovedForAll(nodeOwner, msg.sender), "Not authorised");
+        _;
+    }
+
+    constructor(address _ens) {
+        ens = IENSRegistry(_ens);
+    }
+
+    function setAddr(bytes32 node, address a) external authorised(node) {
+        addresses[node] = a;
+        emit AddrChanged(node, a);
+    }
+
+    function setText(bytes32 node, string calldata key, string calldata value) external authorised(node) {
+        texts[node][key] = value;
+        emit TextChanged(node, key, key, value);
+    }
+
+    function addr(bytes32 node) external view returns (address payable) {
+        return payable(addresses[node]);
+    }
+
+    function text(bytes32 node, string calldata key) external view returns (string memory) {
+        return texts[node][key];
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == 0x01ffc9a7 // ERC-165
+            || interfaceId == 0x3b3b57de // addr(bytes32)
+            || interfaceId == 0x59d1d43c; // text(bytes32,string)
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./PythOracle.sol";
+
+/**
+ * @title MockPyth
+ * @notice Mock Pyth contract for testing PythOracle
+ * @dev Update data is `abi.encode(id, price, conf, expo, publishTime)` and is not
+ *      signature-checked. Updates older than the stored price are ignored, like Pyth.
+ */
+contract MockPyth is IPyth {
+    uint256 public immutable singleUpdateFee;
+
+    mapping(bytes32 => Price) private prices;
+
+    constructor(uint256 _singleUpdateFee) {
+        singleUpdateFee = _singleUpdateFee;
+    }
+
+    function getPriceUnsafe(bytes32 _id) external view override returns (Price memory) {
+        return prices[_id];
+    }
+
+    function getUpdateFee(bytes[] calldata _updateData) public view override returns (uint256) {
+        return singleUpdateFee * _updateData.length;
+    }
+
+    function updatePriceFeeds(bytes[] calldata _updateData) external payable override {
+        require(msg.value >= getUpdateFee(_updateData), "Insufficient fee");
+
+        for (uint256 i = 0; i < _updateData.length; i++) {
+            (bytes32 id, int64 price, uint64 conf, int32 expo, uint256 publishTime) =
+                abi.decode(_updateData[i], (bytes32, int64, uint64, int32, uint256));
+
+            if (publishTime > prices[id].publishTime) {
+                prices[id] = Price({price: price, conf: conf, expo: expo, publishTime: publishTime});
+            }
+        }
+    }
+}
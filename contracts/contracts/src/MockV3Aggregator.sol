@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./ChainlinkOracle.sol";
+
+/**
+ * @title MockV3Aggregator
+ * @notice Mock Chainlink aggregator for testing ChainlinkOracle
+ * @dev Every update opens a new round stamped with the current block time
+ */
+contract MockV3Aggregator is AggregatorV3Interface {
+    uint8 public immutable override decimals;
+
+    uint80 public latestRound;
+    mapping(uint80 => int256) public answers;
+    mapping(uint80 => uint256) public updatedAts;
+
+    constructor(uint8 _decimals, int256 _initialAnswer) {
+        decimals = _decimals;
+        updateAnswer(_initialAnswer);
+    }
+
+    function updateAnswer(int256 _answer) public {
+        updateRoundData(latestRound + 1, _answer, block.timestamp);
+    }
+
+    function updateRoundData(uint80 _roundId, int256 _answer, uint256 _updatedAt) public {
+        latestRound = _roundId;
+        answers[_roundId] = _answer;
+        updatedAts[_roundId] = _updatedAt;
+    }
+
+    function getRoundData(uint80 _roundId) external view override returns (uint80, int256, uint256, uint256, uint80) {
+        return (_roundId, answers[_roundId], updatedAts[_roundId], updatedAts[_roundId], _roundId);
+    }
+
+    function latestRoundData() external view override returns (uint80, int256, uint256, uint256, uint80) {
+        return (latestRound, answers[latestRound], updatedAts[latestRound], updatedAts[latestRound], latestRound);
+    }
+}
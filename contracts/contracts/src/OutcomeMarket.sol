@@ -0,0 +1,348 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./PriceOracle.sol";
+import "./IMarketRegistry.sol";
+import "./MarketConfig.sol";
+
+/**
+ * @title OutcomeMarket
+ * @notice Base contract for forex markets with several discrete outcomes
+ * @dev Pari-mutuel: stakes on every outcome form one pool, and holders of the
+ *      winning outcome split it pro rata to their stake. If nobody staked on the
+ *      winning outcome (or the price settles outside every outcome) the market
+ *      switches to refund mode. Entry fees work like in PredictionMarket.
+ *
+ *      Subclasses define the outcomes and decide which one won.
+ */
+abstract contract OutcomeMarket is ReentrancyGuard, Ownable {
+    using SafeERC20 for IERC20;
+
+    // Market states
+    enum MarketState {
+        Active,
+        Resolved,
+        Cancelled
+    }
+
+    string public currencyPair;
+    address public collateralToken;
+    uint256 public resolutionTime;
+    address public oracle;
+    MarketState public state;
+
+    // Number of outcomes users can stake on
+    uint256 public outcomeCount;
+
+    // Winning outcome, valid once resolved and not in refund mode
+    uint256 public winningOutcome;
+
+    // Settlement price (negative if not resolved or not price based)
+    int256 public finalPrice;
+
+    // Set at resolution when there is no winning stake to pay out
+    bool public refundMode;
+
+    // Collateral staked per outcome (after fees) and in total
+    mapping(uint256 => uint256) public outcomeStakes;
+    uint256 public totalStaked;
+
+    // User stakes: user => outcome => amount
+    mapping(address => mapping(uint256 => uint256)) public stakes;
+    mapping(address => bool) public claimed;
+
+    // Default maximum age of an oracle price used for settlement
+    uint256 public constant DEFAULT_MAX_PRICE_AGE = 1 hours;
+    uint256 public maxPriceAge;
+
+    // Maximum entry fee per recipient, in basis points
+    uint256 public constant MAX_FEE_BPS = 500;
+    uint256 public protocolFeeBps;
+    uint256 public creatorFeeBps;
+    address public treasury;
+    uint256 public accruedCreatorFees;
+
+    // Factory notified of state changes (optional)
+    address public registry;
+
+    // Events
+    event Staked(address indexed user, uint256 indexed outcome, uint256 amount);
+
+    event MarketResolved(uint256 winningOutcome, int256 finalPrice, uint256 totalPayout);
+
+    event RefundModeEnabled(int256 finalPrice);
+
+    event PayoutClaimed(address indexed user, uint256 payout);
+
+    event FeesCollected(address indexed user, uint256 protocolFee, uint256 creatorFee);
+
+    event CreatorFeesWithdrawn(address indexed creator, uint256 amount);
+
+    /**
+     * @notice Resolution rights: the registry's resolvers, or the owner of a market without registry
+     */
+    modifier onlyResolver() {
+        require(
+            registry == address(0) ? msg.sender == owner() : IMarketRegistry(registry).isResolver(msg.sender),
+            "Not resolver"
+        );
+        _;
+    }
+
+    /**
+     * @param _config Market parameters shared by all outcome markets
+     * @param _outcomeCount Number of outcomes (at least two)
+     */
+    constructor(MarketConfig memory _config, uint256 _outcomeCount) Ownable(_config.owner) {
+        require(_config.collateralToken != address(0), "Invalid collateral token");
+        require(_config.resolutionTime > block.timestamp, "Invalid resolution time");
+        require(_config.oracle != address(0), "Invalid oracle");
+        require(_outcomeCount >= 2, "Invalid outcomes");
+        require(
+            _config.protocolFeeBps <= MAX_FEE_BPS && _config.creatorFeeBps <= MAX_FEE_BPS,
+            "Fee too high"
+        );
+
+        currencyPair = _config.currencyPair;
+        collateralToken = _config.collateralToken;
+        resolutionTime = _config.resolutionTime;
+        oracle = _config.oracle;
+        outcomeCount = _outcomeCount;
+        finalPrice = -1;
+        maxPriceAge = DEFAULT_MAX_PRICE_AGE;
+        protocolFeeBps = _config.protocolFeeBps;
+        creatorFeeBps = _config.creatorFeeBps;
+        treasury = _config.treasury;
+        registry = _config.registry;
+    }
+
+    /**
+     * @notice Stake collateral on an outcome
+     * @param _outcome Outcome index
+     * @param _amount Collateral to deposit, including entry fees
+     */
+    function stake(uint256 _outcome, uint256 _amount) external nonReentrant {
+        require(state == MarketState.Active, "Market not active");
+        require(block.timestamp < resolutionTime, "Market closed");
+        require(_outcome < outcomeCount, "Invalid outcome");
+        require(_amount > 0, "Amount must be greater than 0");
+        _checkEntry();
+        _beforeStake(_outcome);
+
+        IERC20(collateralToken).safeTransferFrom(msg.sender, address(this), _amount);
+
+        // Entry fees come off the top
+        uint256 protocolFee = (_amount * protocolFeeBps) / 10000;
+        uint256 creatorFee = (_amount * creatorFeeBps) / 10000;
+        uint256 net = _amount - protocolFee - creatorFee;
+        if (protocolFee > 0 || creatorFee > 0) {
+            accruedCreatorFees += creatorFee;
+            if (protocolFee > 0) {
+                IERC20(collateralToken).safeTransfer(treasury, protocolFee);
+            }
+            emit FeesCollected(msg.sender, protocolFee, creatorFee);
+        }
+
+        stakes[msg.sender][_outcome] += net;
+        outcomeStakes[_outcome] += net;
+        totalStaked += net;
+
+        emit Staked(msg.sender, _outcome, net);
+    }
+
+    /**
+     * @notice Claim the payout (or refund) once the market is resolved
+     * @dev Winners split the whole pool pro rata to their stake on the winning outcome
+     */
+    function claimPayout() external nonReentrant {
+        require(state == MarketState.Resolved, "Market not resolved");
+        require(!claimed[msg.sender], "Already claimed");
+
+        uint256 userTotal = _userTotal(msg.sender);
+        require(userTotal > 0, "No position");
+
+        uint256 payout;
+        if (refundMode) {
+            payout = userTotal;
+        } else {
+            payout = (stakes[msg.sender][winningOutcome] * totalStaked) / outcomeStakes[winningOutcome];
+        }
+
+        claimed[msg.sender] = true;
+
+        if (payout > 0) {
+            IERC20(collateralToken).safeTransfer(msg.sender, payout);
+        }
+
+        emit PayoutClaimed(msg.sender, payout);
+    }
+
+    /**
+     * @notice Cancel market and refund all stakes (resolver only, emergency)
+     */
+    function cancelMarket() external onlyResolver {
+        require(state == MarketState.Active, "Market not active");
+        state = MarketState.Cancelled;
+        _notifyRegistry();
+    }
+
+    /**
+     * @notice Emergency withdraw for cancelled markets
+     */
+    function emergencyWithdraw() external nonReentrant {
+        require(state == MarketState.Cancelled, "Market not cancelled");
+        require(!claimed[msg.sender], "Already withdrawn");
+
+        uint256 amount = _userTotal(msg.sender);
+        require(amount > 0, "No collateral to withdraw");
+
+        claimed[msg.sender] = true;
+        IERC20(collateralToken).safeTransfer(msg.sender, amount);
+    }
+
+    /**
+     * @notice Withdraw accrued creator fees (owner only)
+     */
+    function withdrawCreatorFees() external onlyOwner nonReentrant {
+        uint256 amount = accruedCreatorFees;
+        require(amount > 0, "No fees to withdraw");
+
+        accruedCreatorFees = 0;
+        IERC20(collateralToken).safeTransfer(msg.sender, amount);
+
+        emit CreatorFeesWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @notice Update maximum accepted oracle price age (resolver only)
+     */
+    function setMaxPriceAge(uint256 _maxPriceAge) external onlyResolver {
+        require(_maxPriceAge > 0, "Invalid max price age");
+        maxPriceAge = _maxPriceAge;
+    }
+
+    /**
+     * @notice Collateral staked on each outcome
+     */
+    function getOutcomeStakes() external view returns (uint256[] memory totals) {
+        totals = new uint256[](outcomeCount);
+        for (uint256 i = 0; i < outcomeCount; i++) {
+            totals[i] = outcomeStakes[i];
+        }
+    }
+
+    /**
+     * @notice A user's stake on each outcome
+     */
+    function getUserStakes(address _user) external view returns (uint256[] memory amounts) {
+        amounts = new uint256[](outcomeCount);
+        for (uint256 i = 0; i < outcomeCount; i++) {
+            amounts[i] = stakes[_user][i];
+        }
+    }
+
+    /**
+     * @notice Implied probability of an outcome from the pool's stakes
+     * @return Probability with 18 decimals (1e18 = 100%)
+     */
+    function impliedProbability(uint256 _outcome) external view returns (uint256) {
+        require(_outcome < outcomeCount, "Invalid outcome");
+        if (totalStaked == 0) {
+            return 1e18 / outcomeCount;
+        }
+        return (outcomeStakes[_outcome] * 1e18) / totalStaked;
+    }
+
+    /**
+     * @notice Read a settlement price from the oracle, reverting if it is unusable
+     * @dev Prices stamped more than maxPriceAge after resolution time are
+     *      rejected, so nobody can wait for a favourable print
+     * @param _notBefore Earliest acceptable price timestamp
+     */
+    function _readOraclePrice(uint256 _notBefore) internal view returns (uint256 price) {
+        uint256 timestamp;
+        (price, timestamp) = IPriceOracle(oracle).getPrice(currencyPair);
+        require(price > 0, "Invalid price");
+        require(timestamp >= _notBefore, "Price too early");
+        require(timestamp <= resolutionTime + maxPriceAge, "Price too late");
+        require(timestamp <= block.timestamp, "Price from the future");
+        require(block.timestamp - timestamp <= maxPriceAge, "Stale price");
+    }
+
+    /**
+     * @notice Check whether the oracle currently provides a usable settlement price
+     */
+    function _hasValidOraclePrice(uint256 _notBefore) internal view returns (bool) {
+        try IPriceOracle(oracle).getPrice(currencyPair) returns (uint256 price, uint256 timestamp) {
+            return price > 0 &&
+                timestamp >= _notBefore &&
+                timestamp <= resolutionTime + maxPriceAge &&
+                timestamp <= block.timestamp &&
+                block.timestamp - timestamp <= maxPriceAge;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @notice Resolve to an outcome, falling back to refunds if nobody backed it
+     */
+    function _resolveOutcome(uint256 _outcome, int256 _finalPrice) internal {
+        if (outcomeStakes[_outcome] == 0) {
+            _enableRefund(_finalPrice);
+            return;
+        }
+
+        state = MarketState.Resolved;
+        winningOutcome = _outcome;
+        finalPrice = _finalPrice;
+
+        emit MarketResolved(_outcome, _finalPrice, totalStaked);
+        _notifyRegistry();
+    }
+
+    /**
+     * @notice Resolve in refund mode: every user reclaims their stakes
+     */
+    function _enableRefund(int256 _finalPrice) internal {
+        state = MarketState.Resolved;
+        refundMode = true;
+        finalPrice = _finalPrice;
+
+        emit RefundModeEnabled(_finalPrice);
+        _notifyRegistry();
+    }
+
+    /**
+     * @notice Report the current state to the factory registry
+     */
+    function _notifyRegistry() internal {
+        if (registry != address(0)) {
+            IMarketRegistry(registry).onMarketStatusChanged(uint8(state));
+        }
+    }
+
+    /**
+     * @notice Let the factory registry halt entries (guardian pause or circuit breaker)
+     */
+    function _checkEntry() internal {
+        if (registry != address(0)) {
+            IMarketRegistry(registry).checkEntry(oracle);
+        }
+    }
+
+    /**
+     * @notice Market-specific conditions on new stakes; reverts to reject the stake
+     */
+    function _beforeStake(uint256 _outcome) internal view virtual {}
+
+    function _userTotal(address _user) internal view returns (uint256 total) {
+        for (uint256 i = 0; i < outcomeCount; i++) {
+            total += stakes[_user][i];
+        }
+    }
+}
@@ -0,0 +1,249 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./OutcomeToken.sol";
+import "./PredictionMarket.sol";
+import "./MarketFactory.sol";
+
+/**
+ * @title OutcomeOrderBook
+ * @notice Peer-to-peer limit orders for PredictionMarket Long/Short shares, settled on-chain
+ * @dev Makers sign EIP-712 orders off-chain to buy or sell a market's outcome
+ *      tokens at a limit price in the market's collateral. A taker fills an
+ *      order directly (`fillOrder`), or anyone matches a crossing buy and sell
+ *      (`matchOrders`, executed at the sell price). Orders fill partially until
+ *      their amount is used up, and stop at expiry or when the maker cancels.
+ *      Only markets registered with the factory can be traded, and only while they
+ *      are active and before their resolution time. Makers may be contract
+ *      wallets (e.g. PieWallet) signing through ERC-1271.
+ *
+ *      Sellers approve this contract on the OutcomeToken (setApprovalForAll),
+ *      buyers approve it for the collateral. `postOrder` broadcasts a signed
+ *      order as an event so frontends can rebuild the book from the chain;
+ *      unposted orders can be filled all the same.
+ */
+contract OutcomeOrderBook is EIP712, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    struct Order {
+        address maker;
+        address market;         // PredictionMarket whose shares are traded
+        uint8 positionType;     // PredictionMarket.PositionType: 0 Long, 1 Short
+        bool isBuy;             // Maker buys shares (pays collateral) or sells them
+        uint256 price;          // Collateral per share with 18 decimals (1e18 = 1 collateral per share)
+        uint256 amount;         // Shares
+        uint256 expiry;         // Timestamp the order stops being fillable
+        uint256 salt;           // Distinguishes otherwise identical orders
+    }
+
+    bytes32 public constant ORDER_TYPEHASH = keccak256(
+        "Order(address maker,address market,uint8 positionType,bool isBuy,uint256 price,uint256 amount,uint256 expiry,uint256 salt)"
+    );
+
+    // A winning share redeems for one unit of collateral, so that is the highest sensible price
+    uint256 public constant PRICE_UNIT = 1e18;
+
+    OutcomeToken public immutable outcomeToken;
+
+    // Registry of the markets whose shares can be traded
+    MarketFactory public immutable factory;
+
+    // Order hash => shares filled so far
+    mapping(bytes32 => uint256) public filled;
+
+    // Order hash => cancelled by its maker
+    mapping(bytes32 => bool) public cancelled;
+
+    event OrderPosted(bytes32 indexed orderHash, address indexed market, address indexed maker, Order order, bytes signature);
+    event OrderFilled(
+        bytes32 indexed orderHash,
+        address indexed maker,
+        address indexed taker,
+        uint256 amount,
+        uint256 cost
+    );
+    event OrdersMatched(bytes32 indexed buyHash, bytes32 indexed sellHash, uint256 amount, uint256 cost);
+    event OrderCancelled(bytes32 indexed orderHash, address indexed maker);
+
+    /**
+     * @param _outcomeToken OutcomeToken the traded markets issue their shares on
+     * @param _factory MarketFactory the traded markets are registered with
+     */
+    constructor(address _outcomeToken, address _factory) EIP712("Laxo Order Book", "1") {
+        require(_outcomeToken != address(0), "Invalid outcome token");
+        require(_factory != address(0), "Invalid factory");
+        outcomeToken = OutcomeToken(_outcomeToken);
+        factory = MarketFactory(_factory);
+    }
+
+    /**
+     * @notice Broadcast a signed order so frontends can list it
+     * @dev Anyone may post an order for its maker; the signature is checked
+     */
+    function postOrder(Order calldata _order, bytes calldata _signature) external {
+        bytes32 orderHash = _validate(_order, _signature);
+        require(remaining(_order) > 0, "Order filled");
+
+        emit OrderPosted(orderHash, _order.market, _order.maker, _order, _signature);
+    }
+
+    /**
+     * @notice Take the other side of a signed order at its price
+     * @param _order Maker's order
+     * @param _signature Maker's EIP-712 signature
+     * @param _amount Shares to fill (partial fills allowed)
+     * @return cost Collateral paid by the buyer, rounded up
+     */
+    function fillOrder(
+        Order calldata _order,
+        bytes calldata _signature,
+        uint256 _amount
+    ) external nonReentrant returns (uint256 cost) {
+        bytes32 orderHash = _validate(_order, _signature);
+        _consume(orderHash, _order, _amount);
+
+        cost = _cost(_amount, _order.price);
+        if (_order.isBuy) {
+            _settle(_order, msg.sender, _order.maker, _amount, cost);
+        } else {
+            _settle(_order, _order.maker, msg.sender, _amount, cost);
+        }
+
+        emit OrderFilled(orderHash, _order.maker, msg.sender, _amount, cost);
+    }
+
+    /**
+     * @notice Match a buy and a sell order for the same shares whose prices cross
+     * @dev Executes at the sell price, so the buyer keeps any difference
+     * @param _amount Shares to trade, within what is left of both orders
+     * @return cost Collateral paid by the buyer to the seller
+     */
+    function matchOrders(
+        Order calldata _buy,
+        bytes calldata _buySignature,
+        Order calldata _sell,
+        bytes calldata _sellSignature,
+        uint256 _amount
+    ) external nonReentrant returns (uint256 cost) {
+        require(_buy.isBuy && !_sell.isBuy, "Orders not opposite");
+        require(
+            _buy.market == _sell.market && _buy.positionType == _sell.positionType,
+            "Orders for different shares"
+        );
+        require(_buy.price >= _sell.price, "Prices do not cross");
+
+        bytes32 buyHash = _validate(_buy, _buySignature);
+        bytes32 sellHash = _validate(_sell, _sellSignature);
+        _consume(buyHash, _buy, _amount);
+        _consume(sellHash, _sell, _amount);
+
+        cost = _cost(_amount, _sell.price);
+        _settle(_sell, _sell.maker, _buy.maker, _amount, cost);
+
+        emit OrderFilled(buyHash, _buy.maker, msg.sender, _amount, cost);
+        emit OrderFilled(sellHash, _sell.maker, msg.sender, _amount, cost);
+        emit OrdersMatched(buyHash, sellHash, _amount, cost);
+    }
+
+    /**
+     * @notice Cancel an order (maker only); what was already filled stays settled
+     */
+    function cancelOrder(Order calldata _order) external {
+        require(msg.sender == _order.maker, "Not maker");
+        bytes32 orderHash = hashOrder(_order);
+        cancelled[orderHash] = true;
+
+        emit OrderCancelled(orderHash, _order.maker);
+    }
+
+    /**
+     * @notice Shares still fillable on an order (0 once filled, cancelled or expired)
+     */
+    function remaining(Order calldata _order) public view returns (uint256) {
+        bytes32 orderHash = hashOrder(_order);
+        if (cancelled[orderHash] || block.timestamp >= _order.expiry) {
+            return 0;
+        }
+        return _order.amount - filled[orderHash];
+    }
+
+    /**
+     * @notice EIP-712 digest of an order, which its maker signs
+     */
+    function hashOrder(Order calldata _order) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            ORDER_TYPEHASH,
+            _order.maker,
+            _order.market,
+            _order.positionType,
+            _order.isBuy,
+            _order.price,
+            _order.amount,
+            _order.expiry,
+            _order.salt
+        )));
+    }
+
+    /**
+     * @dev Check an order is well-formed, live, for a registered market still open for
+     *      trading, and signed by its maker, as an ECDSA signature or through ERC-1271
+     *      for contract wallets
+     */
+    function _validate(Order calldata _order, bytes calldata _signature) internal view returns (bytes32 orderHash) {
+        require(_order.positionType <= uint8(PredictionMarket.PositionType.Short), "Invalid position type");
+        require(_order.price > 0 && _order.price <= PRICE_UNIT, "Invalid price");
+        require(block.timestamp < _order.expiry, "Order expired");
+        require(factory.isMarket(_order.market), "Unknown market");
+
+        // Shares of a settled market are already decided; resting orders must not fill against them
+        MarketFactory.MarketInfo memory info = factory.getMarketInfo(_order.market);
+        require(
+            info.status == MarketFactory.MarketStatus.Active && block.timestamp < info.resolutionTime,
+            "Market closed"
+        );
+
+        orderHash = hashOrder(_order);
+        require(!cancelled[orderHash], "Order cancelled");
+        require(SignatureChecker.isValidSignatureNow(_order.maker, orderHash, _signature), "Invalid signature");
+    }
+
+    function _consume(bytes32 _orderHash, Order calldata _order, uint256 _amount) internal {
+        require(_amount > 0, "Invalid amount");
+        require(filled[_orderHash] + _amount <= _order.amount, "Exceeds order amount");
+        filled[_orderHash] += _amount;
+    }
+
+    /**
+     * @dev Collateral for shares at a price, rounded up so sellers never get less than their price
+     */
+    function _cost(uint256 _amount, uint256 _price) internal pure returns (uint256) {
+        return Math.mulDiv(_amount, _price, PRICE_UNIT, Math.Rounding.Ceil);
+    }
+
+    /**
+     * @dev Pay the seller in the market's collateral and deliver the shares to the buyer
+     */
+    function _settle(
+        Order calldata _order,
+        address _seller,
+        address _buyer,
+        uint256 _amount,
+        uint256 _collateralAmount
+    ) internal {
+        IERC20 collateral = IERC20(PredictionMarket(_order.market).collateralToken());
+        collateral.safeTransferFrom(_buyer, _seller, _collateralAmount);
+        outcomeToken.safeTransferFrom(
+            _seller,
+            _buyer,
+            outcomeToken.tokenId(_order.market, _order.positionType),
+            _amount,
+            ""
+        );
+    }
+}
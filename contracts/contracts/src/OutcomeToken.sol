@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title OutcomeToken
+ * @notice ERC-1155 shares of prediction market outcomes, shared by every market on a network
+ * @dev A token ID packs the issuing market's address with the outcome index
+ *      (`market << 8 | outcome`, e.g. PredictionMarket Long = 0, Short = 1).
+ *      A market can only mint and burn IDs under its own address, so no
+ *      registration is needed and no market can touch another's shares.
+ *      Holders transfer shares freely; the market burns them when they are
+ *      sold back, claimed or refunded.
+ */
+contract OutcomeToken is ERC1155 {
+    constructor() ERC1155("") {}
+
+    /**
+     * @notice Mint shares of one of the caller's outcomes
+     * @param _to Recipient (contracts must accept ERC-1155 transfers)
+     * @param _outcome Outcome index within the calling market
+     * @param _amount Shares to mint
+     */
+    function mint(address _to, uint8 _outcome, uint256 _amount) external {
+        _mint(_to, tokenId(msg.sender, _outcome), _amount, "");
+    }
+
+    /**
+     * @notice Burn shares of one of the caller's outcomes from a holder
+     * @param _from Holder
+     * @param _outcome Outcome index within the calling market
+     * @param _amount Shares to burn
+     */
+    function burn(address _from, uint8 _outcome, uint256 _amount) external {
+        _burn(_from, tokenId(msg.sender, _outcome), _amount);
+    }
+
+    /**
+     * @notice Token ID of a market's outcome
+     */
+    function tokenId(address _market, uint8 _outcome) public pure returns (uint256) {
+        return (uint256(uint160(_market)) << 8) | _outcome;
+    }
+
+    /**
+     * @notice Market and outcome index a token ID belongs to
+     */
+    function decodeTokenId(uint256 _id) external pure returns (address market, uint8 outcome) {
+        return (address(uint160(_id >> 8)), uint8(_id));
+    }
+}
@@ -0,0 +1,196 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./PieWalletFactory.sol";
+
+/**
+ * @notice The parts of the ENS registry the registrar uses
+ */
+interface IENS {
+    function owner(bytes32 node) external view returns (address);
+
+    function resolver(bytes32 node) external view returns (address);
+
+    function setSubnodeRecord(bytes32 node, bytes32 label, address owner, address resolver, uint64 ttl) external;
+
+    function setSubnodeOwner(bytes32 node, bytes32 label, address owner) external returns (bytes32);
+}
+
+/**
+ * @notice The parts of an ENS public resolver the registrar uses
+ */
+interface IPieNameResolver {
+    function setAddr(bytes32 node, address a) external;
+
+    function setText(bytes32 node, string calldata key, string calldata value) external;
+}
+
+/**
+ * @title PieNameRegistrar
+ * @notice Issues `pie-<slug>.<user>.<parent>` ENS names (e.g. pie-majors.alice.laxo.eth) to pie wallets
+ * @dev The registrar must own the parent name (or be an ENS operator of its
+ *      owner). Each account claims one user label on its first registration;
+ *      the registrar keeps the user nodes so only it can issue pie names under
+ *      them. A pie name resolves to the caller's PieWallet for that pie, so it
+ *      always points at an account the caller controls, and carries text
+ *      records (e.g. the pie composition). Ownership of the pie name then
+ *      passes to the caller, who can update its records on the resolver.
+ *      Names are enumerable from PieNameRegistered events.
+ */
+contract PieNameRegistrar {
+    // One text record set on a new name
+    struct TextRecord {
+        string key;
+        string value;
+    }
+
+    uint256 public constant MAX_LABEL_LENGTH = 63;
+    uint256 public constant MAX_TEXT_RECORDS = 10;
+
+    IENS public immutable ens;
+    IPieNameResolver public immutable resolver;
+    PieWalletFactory public immutable walletFactory;
+    // Namehash of the parent name, e.g. namehash("laxo.eth")
+    bytes32 public immutable parentNode;
+    string public parentName;
+
+    // Account => claimed user label, and user node => account
+    mapping(address => string) public userLabels;
+    mapping(bytes32 => address) public userNodeOwners;
+
+    event UserNameClaimed(address indexed owner, bytes32 indexed node, string name);
+    event PieNameRegistered(
+        address indexed owner,
+        bytes32 indexed node,
+        bytes32 indexed pieId,
+        string name,
+        address wallet
+    );
+
+    /**
+     * @param _ens ENS registry
+     * @param _resolver Resolver set on every issued name
+     * @param _walletFactory Factory whose wallets the names resolve to
+     * @param _parentNode Namehash of the parent name
+     * @param _parentName Parent name, e.g. "laxo.eth"
+     */
+    constructor(
+        address _ens,
+        address _resolver,
+        address _walletFactory,
+        bytes32 _parentNode,
+        string memory _parentName
+    ) {
+        require(_ens != address(0), "Invalid registry");
+        require(_resolver != address(0), "Invalid resolver");
+        require(_walletFactory != address(0), "Invalid wallet factory");
+        require(bytes(_parentName).length > 0, "Invalid parent name");
+        ens = IENS(_ens);
+        resolver = IPieNameResolver(_resolver);
+        walletFactory = PieWalletFactory(_walletFactory);
+        parentNode = _parentNode;
+        parentName = _parentName;
+    }
+
+    /**
+     * @notice Register a pie name pointing at the caller's wallet for a pie
+     * @dev The wallet does not need to be deployed yet. The caller's first
+     *      registration claims `_userLabel`; later ones must pass the same label.
+     * @param _userLabel Caller's user label, e.g. "alice"
+     * @param _slug Pie label without the "pie-" prefix, e.g. "majors"
+     * @param _pieId Pie identifier, as passed to PieWalletFactory
+     * @param _texts Text records to set, e.g. the pie composition
+     * @return node Namehash of the pie name
+     */
+    function register(
+        string calldata _userLabel,
+        string calldata _slug,
+        bytes32 _pieId,
+        TextRecord[] calldata _texts
+    ) external returns (bytes32 node) {
+        require(_texts.length <= MAX_TEXT_RECORDS, "Too many text records");
+        bytes32 parent = _claimUserNode(_userLabel);
+        string memory pieLabel = string.concat("pie-", _slug);
+        return _issuePieName(parent, pieLabel, string.concat(pieLabel, ".", _userLabel, ".", parentName), _pieId, _texts);
+    }
+
+    /**
+     * @notice Namehash of a user label under the parent
+     */
+    function userNode(string memory _userLabel) public view returns (bytes32) {
+        return keccak256(abi.encodePacked(parentNode, keccak256(bytes(_userLabel))));
+    }
+
+    /**
+     * @notice Namehash of a pie name, e.g. pieNode("alice", "majors") for pie-majors.alice.<parent>
+     */
+    function pieNode(string calldata _userLabel, string calldata _slug) external view returns (bytes32) {
+        return keccak256(abi.encodePacked(userNode(_userLabel), keccak256(bytes(string.concat("pie-", _slug)))));
+    }
+
+    /**
+     * @dev Return the caller's user node, claiming `_userLabel` on first use
+     */
+    function _claimUserNode(string calldata _userLabel) internal returns (bytes32 node) {
+        node = userNode(_userLabel);
+        address labelOwner = userNodeOwners[node];
+        if (labelOwner == msg.sender) {
+            return node;
+        }
+
+        require(labelOwner == address(0), "User name taken");
+        require(bytes(userLabels[msg.sender]).length == 0, "User name already claimed");
+        _requireValidLabel(_userLabel);
+        require(ens.owner(node) == address(0), "User name taken");
+
+        userLabels[msg.sender] = _userLabel;
+        userNodeOwners[node] = msg.sender;
+        ens.setSubnodeRecord(parentNode, keccak256(bytes(_userLabel)), address(this), address(resolver), 0);
+
+        emit UserNameClaimed(msg.sender, node, string.concat(_userLabel, ".", parentName));
+    }
+
+    /**
+     * @dev Create a pie name under the caller's user node, resolving to the caller's wallet
+     */
+    function _issuePieName(
+        bytes32 _parent,
+        string memory _pieLabel,
+        string memory _name,
+        bytes32 _pieId,
+        TextRecord[] calldata _texts
+    ) internal returns (bytes32 node) {
+        _requireValidLabel(_pieLabel);
+        bytes32 labelHash = keccak256(bytes(_pieLabel));
+        node = keccak256(abi.encodePacked(_parent, labelHash));
+        require(ens.owner(node) == address(0), "Name taken");
+
+        address wallet = walletFactory.getWalletAddress(msg.sender, _pieId);
+
+        // Hold the name while writing its records, then hand it to the caller
+        ens.setSubnodeRecord(_parent, labelHash, address(this), address(resolver), 0);
+        resolver.setAddr(node, wallet);
+        for (uint256 i = 0; i < _texts.length; i++) {
+            resolver.setText(node, _texts[i].key, _texts[i].value);
+        }
+        ens.setSubnodeOwner(_parent, labelHash, msg.sender);
+
+        emit PieNameRegistered(msg.sender, node, _pieId, _name, wallet);
+    }
+
+    /**
+     * @dev Labels are already normalized: lowercase letters, digits and inner hyphens
+     */
+    function _requireValidLabel(string memory _label) internal pure {
+        bytes memory label = bytes(_label);
+        require(label.length > 0 && label.length <= MAX_LABEL_LENGTH, "Invalid label");
+        require(label[0] != "-" && label[label.length - 1] != "-", "Invalid label");
+        for (uint256 i = 0; i < label.length; i++) {
+            bytes1 char = label[i];
+            require(
+                (char >= "a" && char <= "z") || (char >= "0" && char <= "9") || char == "-",
+                "Invalid label"
+            );
+        }
+    }
+}
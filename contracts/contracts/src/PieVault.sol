@@ -0,0 +1,271 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./PriceOracle.sol";
+
+/**
+ * @title PieVault
+ * @notice Holds a weighted basket of stablecoins for a currency pie and issues shares in it
+ * @dev ERC-4626-style, with a basket instead of a single asset: "assets" are USD
+ *      value with 18 decimals, priced from the oracle's `XXX/USD` pairs (units of
+ *      XXX per USD, like every feed in the repo). Deposits
+ *      pull every component at its target weight (see quoteDeposit) and mint
+ *      shares at the current NAV; redemptions burn shares and pay out a pro-rata
+ *      slice of every component held, without touching the oracle, so a pie can
+ *      always be liquidated. Components and weights are fixed at deployment.
+ */
+contract PieVault is ERC20, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // One stablecoin in the basket
+    struct Component {
+        address token;
+        uint256 weightBps;          // Target share of deposited value, in basis points
+        string pricePair;           // Oracle pair quoting tokens per USD (e.g. "JPY/USD"), empty for USD stablecoins
+    }
+
+    // Oracle prices have 8 decimals; USD values have 18
+    uint256 private constant PRICE_UNIT = 1e8;
+    uint256 private constant VALUE_UNIT = 1e18;
+
+    uint256 public constant MAX_COMPONENTS = 10;
+
+    // Largest component decimals accepted
+    uint8 public constant MAX_TOKEN_DECIMALS = 18;
+
+    // Maximum oracle price age accepted when pricing the basket
+    uint256 public constant MAX_PRICE_AGE = 1 hours;
+
+    // Basket composition
+    Component[] internal components;
+
+    // Decimals of each component token
+    uint8[] internal componentDecimals;
+
+    // Prices the components
+    IPriceOracle public immutable oracle;
+
+    event Deposit(address indexed sender, address indexed owner, uint256 value, uint256 shares);
+
+    event Redeem(
+        address indexed sender,
+        address indexed receiver,
+        address indexed owner,
+        uint256 shares,
+        uint256[] amounts
+    );
+
+    /**
+     * @param _name Share token name (e.g. the pie's name)
+     * @param _symbol Share token symbol
+     * @param _oracle Oracle quoting each component's `XXX/USD` pair
+     * @param _components Basket composition; weights must sum to 10000
+     */
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        address _oracle,
+        Component[] memory _components
+    ) ERC20(_name, _symbol) {
+        require(_oracle != address(0), "Invalid oracle");
+        require(_components.length > 0 && _components.length <= MAX_COMPONENTS, "Invalid components");
+
+        uint256 totalWeight = 0;
+        for (uint256 i = 0; i < _components.length; i++) {
+            Component memory component = _components[i];
+            require(component.token != address(0), "Invalid token");
+            require(component.weightBps > 0, "Invalid weight");
+            for (uint256 j = 0; j < i; j++) {
+                require(_components[j].token != component.token, "Duplicate token");
+            }
+
+            uint8 decimals = IERC20Metadata(component.token).decimals();
+            require(decimals <= MAX_TOKEN_DECIMALS, "Unsupported decimals");
+
+            totalWeight += component.weightBps;
+            components.push(component);
+            componentDecimals.push(decimals);
+        }
+        require(totalWeight == 10000, "Weights must sum to 100%");
+
+        oracle = IPriceOracle(_oracle);
+    }
+
+    /**
+     * @notice Basket composition
+     */
+    function getComponents() external view returns (Component[] memory) {
+        return components;
+    }
+
+    /**
+     * @notice Component balances held by the vault and their USD values
+     * @return balances Token amounts, in each token's units
+     * @return values USD values with 18 decimals
+     */
+    function getHoldings() external view returns (uint256[] memory balances, uint256[] memory values) {
+        balances = new uint256[](components.length);
+        values = new uint256[](components.length);
+        for (uint256 i = 0; i < components.length; i++) {
+            balances[i] = IERC20(components[i].token).balanceOf(address(this));
+            values[i] = _valueOf(i, balances[i]);
+        }
+    }
+
+    /**
+     * @notice Net asset value: USD value of everything the vault holds, with 18 decimals
+     */
+    function totalAssets() public view returns (uint256 nav) {
+        for (uint256 i = 0; i < components.length; i++) {
+            nav += _valueOf(i, IERC20(components[i].token).balanceOf(address(this)));
+        }
+    }
+
+    /**
+     * @notice USD value of one share, with 18 decimals
+     */
+    function navPerShare() external view returns (uint256) {
+        return convertToAssets(10 ** decimals());
+    }
+
+    /**
+     * @notice Shares a deposit of `_value` USD would mint at the current NAV
+     * @dev Uses a virtual share and a virtual unit of value, like ERC-4626's
+     *      decimals offset, so donations cannot inflate the first depositor's price
+     */
+    function convertToShares(uint256 _value) public view returns (uint256) {
+        return Math.mulDiv(_value, totalSupply() + 1, totalAssets() + 1);
+    }
+
+    /**
+     * @notice USD value of `_shares` at the current NAV
+     */
+    function convertToAssets(uint256 _shares) public view returns (uint256) {
+        return Math.mulDiv(_shares, totalAssets() + 1, totalSupply() + 1);
+    }
+
+    /**
+     * @notice Shares `deposit(_value, ...)` would mint now
+     */
+    function previewDeposit(uint256 _value) external view returns (uint256) {
+        return convertToShares(_value);
+    }
+
+    /**
+     * @notice Component amounts `redeem(_shares, ...)` would pay now
+     */
+    function previewRedeem(uint256 _shares) public view returns (uint256[] memory amounts) {
+        uint256 supply = totalSupply();
+        amounts = new uint256[](components.length);
+        if (supply == 0) {
+            return amounts;
+        }
+        for (uint256 i = 0; i < components.length; i++) {
+            amounts[i] = Math.mulDiv(IERC20(components[i].token).balanceOf(address(this)), _shares, supply);
+        }
+    }
+
+    /**
+     * @notice Component amounts a deposit of `_value` USD pulls, split by target weight
+     * @dev Rounded up, so the vault never receives less than `_value`. The depositor
+     *      approves the vault for each amount
+     * @param _value USD value with 18 decimals
+     * @return amounts Token amounts, in component order
+     */
+    function quoteDeposit(uint256 _value) public view returns (uint256[] memory amounts) {
+        amounts = new uint256[](components.length);
+        for (uint256 i = 0; i < components.length; i++) {
+            uint256 componentValue = Math.mulDiv(_value, components[i].weightBps, 10000, Math.Rounding.Ceil);
+            amounts[i] = Math.mulDiv(
+                componentValue,
+                _priceOf(i) * 10 ** componentDecimals[i],
+                PRICE_UNIT * VALUE_UNIT,
+                Math.Rounding.Ceil
+            );
+        }
+    }
+
+    /**
+     * @notice Deposit `_value` USD worth of the basket and mint shares to `_receiver`
+     * @param _value USD value with 18 decimals, pulled from the caller per quoteDeposit
+     * @param _receiver Account receiving the shares
+     * @return shares Shares minted
+     */
+    function deposit(uint256 _value, address _receiver) external nonReentrant returns (uint256 shares) {
+        require(_value > 0, "Invalid amount");
+        require(_receiver != address(0), "Invalid receiver");
+
+        shares = convertToShares(_value);
+        require(shares > 0, "Zero shares");
+
+        uint256[] memory amounts = quoteDeposit(_value);
+        for (uint256 i = 0; i < components.length; i++) {
+            IERC20(components[i].token).safeTransferFrom(msg.sender, address(this), amounts[i]);
+        }
+        _mint(_receiver, shares);
+
+        emit Deposit(msg.sender, _receiver, _value, shares);
+    }
+
+    /**
+     * @notice Burn `_owner`'s shares and pay a pro-rata slice of every component to `_receiver`
+     * @dev Callers other than `_owner` spend their share allowance
+     * @param _shares Shares to burn
+     * @param _receiver Account receiving the tokens
+     * @param _owner Account whose shares are burned
+     * @return amounts Token amounts paid, in component order
+     */
+    function redeem(
+        uint256 _shares,
+        address _receiver,
+        address _owner
+    ) external nonReentrant returns (uint256[] memory amounts) {
+        require(_shares > 0, "Invalid shares");
+        require(_receiver != address(0), "Invalid receiver");
+        if (msg.sender != _owner) {
+            _spendAllowance(_owner, msg.sender, _shares);
+        }
+
+        amounts = previewRedeem(_shares);
+        _burn(_owner, _shares);
+        for (uint256 i = 0; i < components.length; i++) {
+            if (amounts[i] > 0) {
+                IERC20(components[i].token).safeTransfer(_receiver, amounts[i]);
+            }
+        }
+
+        emit Redeem(msg.sender, _receiver, _owner, _shares, amounts);
+    }
+
+    /**
+     * @notice USD value of an amount of a component, with 18 decimals
+     */
+    function _valueOf(uint256 _index, uint256 _amount) internal view returns (uint256) {
+        if (_amount == 0) {
+            return 0;
+        }
+        return Math.mulDiv(_amount, PRICE_UNIT * VALUE_UNIT, _priceOf(_index) * 10 ** componentDecimals[_index]);
+    }
+
+    /**
+     * @notice Fresh price of a component as tokens per USD, in 8 decimals; USD stablecoins are valued at 1
+     */
+    function _priceOf(uint256 _index) internal view returns (uint256 price) {
+        string memory pair = components[_index].pricePair;
+        if (bytes(pair).length == 0) {
+            return PRICE_UNIT;
+        }
+
+        uint256 timestamp;
+        (price, timestamp) = oracle.getPrice(pair);
+        require(price > 0, "Invalid price");
+        require(timestamp <= block.timestamp, "Price from the future");
+        require(block.timestamp - timestamp <= MAX_PRICE_AGE, "Stale price");
+    }
+}
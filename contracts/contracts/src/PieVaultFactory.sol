@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./PieVault.sol";
+
+/**
+ * @title PieVaultFactory
+ * @notice Deploys a PieVault for each currency pie, all priced by the same oracle
+ * @dev A vault's basket is fixed at deployment, so every pie gets its own. Anyone
+ *      may create a vault; the creator has no special rights over it.
+ */
+contract PieVaultFactory {
+    // Oracle every vault prices its components with
+    address public immutable oracle;
+
+    event PieVaultCreated(address indexed creator, address indexed vault, string name);
+
+    /**
+     * @param _oracle Oracle quoting the components' `XXX/USD` pairs
+     */
+    constructor(address _oracle) {
+        require(_oracle != address(0), "Invalid oracle");
+        oracle = _oracle;
+    }
+
+    /**
+     * @notice Deploy a vault for a pie's basket
+     * @param _name Share token name (e.g. the pie's name)
+     * @param _symbol Share token symbol
+     * @param _components Basket composition; weights must sum to 10000
+     * @return vault Deployed PieVault
+     */
+    function createVault(
+        string calldata _name,
+        string calldata _symbol,
+        PieVault.Component[] calldata _components
+    ) external returns (address vault) {
+        vault = address(new PieVault(_name, _symbol, oracle, _components));
+
+        emit PieVaultCreated(msg.sender, vault, _name);
+    }
+}
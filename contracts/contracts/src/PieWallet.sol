@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+
+/**
+ * @title PieWallet
+ * @notice Minimal smart wallet holding a currency pie's funds, controlled by the user's address
+ * @dev Wallets are EIP-1167 clones deployed by PieWalletFactory at CREATE2
+ *      addresses derived from the owner and the pie ID, so the address is known
+ *      (and can receive funds or an ENS record) before the wallet is deployed.
+ *      The implementation itself can never be initialized. It accepts ERC-1155
+ *      transfers so it can hold prediction market outcome tokens, and accepts
+ *      its owner's signatures through ERC-1271 (e.g. OutcomeOrderBook orders).
+ */
+contract PieWallet is Initializable, Ownable, ERC1155Holder, IERC1271 {
+    // One call made by the wallet
+    struct Call {
+        address target;
+        uint256 value;
+        bytes data;
+    }
+
+    event Executed(address indexed target, uint256 value, bytes data);
+
+    /**
+     * @notice Deploy the implementation that wallets are cloned from
+     * @dev Locks the implementation; clones start uninitialized and ownerless
+     */
+    constructor() Ownable(msg.sender) {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initialize a newly cloned wallet
+     * @param _owner Account controlling the wallet
+     */
+    function initialize(address _owner) external initializer {
+        require(_owner != address(0), "Invalid owner");
+        _transferOwnership(_owner);
+    }
+
+    /**
+     * @notice Make a call from the wallet (owner only)
+     * @param _target Contract or account to call
+     * @param _value Native currency to send
+     * @param _data Calldata, e.g. an ERC-20 transfer or a PieVault deposit
+     * @return result Data returned by the call; reverts are bubbled up
+     */
+    function execute(
+        address _target,
+        uint256 _value,
+        bytes calldata _data
+    ) external onlyOwner returns (bytes memory result) {
+        return _execute(_target, _value, _data);
+    }
+
+    /**
+     * @notice Make several calls from the wallet, all or nothing (owner only)
+     * @param _calls Calls in execution order
+     * @return results Data returned by each call
+     */
+    function executeBatch(Call[] calldata _calls) external onlyOwner returns (bytes[] memory results) {
+        results = new bytes[](_calls.length);
+        for (uint256 i = 0; i < _calls.length; i++) {
+            results[i] = _execute(_calls[i].target, _calls[i].value, _calls[i].data);
+        }
+    }
+
+    /**
+     * @notice ERC-1271: a signature is the wallet's if its owner signed the hash
+     * @dev Typed data should name the wallet itself (e.g. as an order's maker), so
+     *      one owner's signature is not valid for another of their wallets
+     */
+    function isValidSignature(bytes32 _hash, bytes calldata _signature) external view returns (bytes4) {
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(_hash, _signature);
+        if (err == ECDSA.RecoverError.NoError && signer == owner()) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+
+    receive() external payable {}
+
+    function _execute(address _target, uint256 _value, bytes calldata _data) internal returns (bytes memory) {
+        require(_target != address(0), "Invalid target");
+        bytes memory result = Address.functionCallWithValue(_target, _data, _value);
+        emit Executed(_target, _value, _data);
+        return result;
+    }
+}
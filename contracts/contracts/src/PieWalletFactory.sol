@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./PieWallet.sol";
+
+/**
+ * @title PieWalletFactory
+ * @notice Deploys one PieWallet per user and pie at a deterministic CREATE2 address
+ * @dev The salt commits to the owner, so anyone may deploy a user's wallet (e.g.
+ *      a relayer) but it always belongs to that user. Frontends compute the same
+ *      address off-chain from this factory, the implementation and the salt, and
+ *      can point ENS names at it before deployment.
+ */
+contract PieWalletFactory {
+    // PieWallet implementation that wallets are cloned from
+    address public immutable implementation;
+
+    event PieWalletCreated(address indexed owner, bytes32 indexed pieId, address wallet);
+
+    /**
+     * @param _implementation Deployed PieWallet to clone
+     */
+    constructor(address _implementation) {
+        require(_implementation != address(0), "Invalid implementation");
+        implementation = _implementation;
+    }
+
+    /**
+     * @notice Deploy a user's wallet for a pie, or return it if it already exists
+     * @param _owner Account controlling the wallet
+     * @param _pieId Pie identifier (keccak256 of the frontend's pie ID)
+     * @return wallet Wallet address, equal to getWalletAddress(_owner, _pieId)
+     */
+    function createWallet(address _owner, bytes32 _pieId) external returns (address wallet) {
+        require(_owner != address(0), "Invalid owner");
+
+        wallet = getWalletAddress(_owner, _pieId);
+        if (wallet.code.length > 0) {
+            return wallet;
+        }
+
+        Clones.cloneDeterministic(implementation, salt(_owner, _pieId));
+        PieWallet(payable(wallet)).initialize(_owner);
+
+        emit PieWalletCreated(_owner, _pieId, wallet);
+    }
+
+    /**
+     * @notice Counterfactual address of a user's wallet for a pie
+     */
+    function getWalletAddress(address _owner, bytes32 _pieId) public view returns (address) {
+        return Clones.predictDeterministicAddress(implementation, salt(_owner, _pieId));
+    }
+
+    /**
+     * @notice CREATE2 salt of a user's wallet for a pie
+     */
+    function salt(address _owner, bytes32 _pieId) public pure returns (bytes32) {
+        return keccak256(abi.encode(_owner, _pieId));
+    }
+}
@@ -1,17 +1,43 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./PriceOracle.sol";
+import "./MarketMaker.sol";
+import "./IMarketRegistry.sol";
+import "./TwapOracle.sol";
+import "./MarketConfig.sol";
+import "./OutcomeToken.sol";
 
 /**
  * @title PredictionMarket
  * @notice A prediction market contract for forex currency pairs with oracle-based resolution
- * @dev Supports ERC-7824 state channel integration for off-chain transactions
+ * @dev Supports ERC-7824 state channel integration for off-chain transactions.
+ *      Long/Short shares are priced by a constant-product market maker seeded with
+ *      a subsidy; each winning share redeems for one unit of collateral.
+ *
+ *      Markets are EIP-1167 clones of a single implementation deployed once per
+ *      network; MarketFactory clones it and calls `initialize` in the same
+ *      transaction. The implementation itself can never be initialized.
+ *
+ *      Calls relayed by the trusted ERC-2771 forwarder act for the user who
+ *      signed them. The forwarder is an immutable of the implementation, so
+ *      every clone shares it.
+ *
+ *      Shares are ERC-1155 tokens of the shared OutcomeToken (also an
+ *      immutable of the implementation), with IDs derived from the market and
+ *      side, so holders can transfer them. Selling, claiming and refunds burn
+ *      the caller's tokens. Cost basis is tracked per side rather than per
+ *      holder: a refund returns each share's pro-rata part of its side's
+ *      collateral.
  */
-contract PredictionMarket is ReentrancyGuard, Ownable {
+contract PredictionMarket is Initializable, ReentrancyGuard, Ownable, ERC2771Context {
     using SafeERC20 for IERC20;
 
     // Market states
@@ -33,29 +59,95 @@ contract PredictionMarket is ReentrancyGuard, Ownable {
         uint256 targetPrice;        // Price to predict (in 8 decimals, e.g., 1e8 = 1.0)
         uint256 resolutionTime;     // Timestamp when market resolves
         MarketState state;          // Current market state
-        uint256 totalLongShares;    // Total shares for long positions
-        uint256 totalShortShares;   // Total shares for short positions
-        uint256 totalCollateral;    // Total collateral deposited
+        uint256 totalLongShares;    // Long outcome tokens in circulation
+        uint256 totalShortShares;   // Short outcome tokens in circulation
+        uint256 totalCollateral;    // Total collateral deposited by users
         bool resolved;              // Whether market has been resolved
         int256 finalPrice;          // Final resolved price (negative if not resolved)
     }
 
-    struct Position {
-        PositionType positionType;
-        uint256 shares;
-        uint256 collateral;
-        bool claimed;
-    }
-
     // Market data
     Market public market;
     
-    // User positions: user => position
-    mapping(address => Position) public positions;
+    // ERC-1155 token holding every market's shares
+    OutcomeToken public immutable outcomeToken;
+    
+    // Collateral invested in each side and not yet sold back or refunded
+    mapping(PositionType => uint256) public sideCollateral;
+    
+    // Whether a user has claimed a payout or refund; claims burn their tokens,
+    // so shares received later can still be claimed
+    mapping(address => bool) public claimed;
+    
+    // Market maker pool reserves of outcome shares
+    uint256 public longReserve;
+    uint256 public shortReserve;
+    
+    // Collateral seeded into the market maker at creation
+    uint256 public subsidy;
+    
+    // Receives the pool's remaining value after resolution or cancellation
+    address public liquidityProvider;
+    bool public liquidityWithdrawn;
+    
+    // Fee charged on early exits, in basis points; accrues to the liquidity provider
+    uint256 public constant EXIT_FEE_BPS = 100;
+    uint256 public accruedExitFees;
+    
+    // Maximum entry fee per recipient, in basis points
+    uint256 public constant MAX_FEE_BPS = 500;
+    
+    // Entry fees in basis points, fixed at creation
+    uint256 public protocolFeeBps;
+    uint256 public creatorFeeBps;
+    
+    // Receives protocol fees (the creating MarketFactory)
+    address public treasury;
+    
+    // Creator fees not yet withdrawn by the owner
+    uint256 public accruedCreatorFees;
+    
+    // Factory notified of state changes (optional)
+    address public registry;
+    
+    // Set at resolution on a tie or when nobody holds the winning side;
+    // users then reclaim their collateral through claimPayout
+    bool public refundMode;
+    
+    // Optimistic resolution: with a non-zero dispute window, settlement prices
+    // are only proposed and become final once the window passes undisputed
+    uint256 public disputeWindow;
+    
+    // Collateral a challenger posts to dispute a proposed price
+    uint256 public disputeBond;
+    
+    // Settles disputes with a price of its own
+    address public arbiter;
+    
+    // Alternatively settles disputes by re-querying a second feed
+    address public secondaryOracle;
+    
+    // Pending proposal (proposedAt is 0 when nothing has been proposed)
+    int256 public proposedPrice;
+    uint256 public proposedAt;
+    address public challenger;
     
     // Oracle address (can be Chainlink, Pyth, or custom oracle)
     address public oracle;
     
+    // Default maximum age of an oracle price used for settlement
+    uint256 public constant DEFAULT_MAX_PRICE_AGE = 1 hours;
+    
+    // Maximum age (in seconds) of an oracle price accepted for settlement
+    uint256 public maxPriceAge;
+    
+    // Settlement mode: 0 settles on the spot price, otherwise on the oracle's
+    // TWAP over this many seconds ending at resolution time
+    uint256 public twapWindow;
+    
+    // Longest TWAP window a market can settle on
+    uint256 public constant MAX_TWAP_WINDOW = 1 days;
+    
     // Events
     event MarketCreated(
         string indexed currencyPair,
@@ -66,9 +158,10 @@ contract PredictionMarket is ReentrancyGuard, Ownable {
     
     event PositionTaken(
         address indexed user,
-        PositionType positionType,
+        PositionType indexed positionType,
         uint256 shares,
-        uint256 collateral
+        uint256 collateral,
+        uint256 totalShares
     );
     
     event MarketResolved(
@@ -77,37 +170,100 @@ contract PredictionMarket is ReentrancyGuard, Ownable {
         uint256 shortPayout
     );
     
+    event PositionSold(
+        address indexed user,
+        PositionType positionType,
+        uint256 shares,
+        uint256 payout,
+        uint256 fee
+    );
+    
     event PositionClaimed(
         address indexed user,
         uint256 payout
     );
+    
+    event MaxPriceAgeUpdated(uint256 maxPriceAge);
+    
+    event RefundModeEnabled(int256 finalPrice);
+    
+    event DisputeConfigUpdated(
+        uint256 disputeWindow,
+        uint256 disputeBond,
+        address arbiter,
+        address secondaryOracle
+    );
+    
+    event ResolutionProposed(int256 proposedPrice, uint256 disputeDeadline);
+    
+    event ResolutionDisputed(address indexed challenger, int256 proposedPrice, uint256 bond);
+    
+    event DisputeSettled(address indexed challenger, int256 finalPrice, bool challengerWon);
+    
+    event LiquidityWithdrawn(address indexed liquidityProvider, uint256 amount);
+    
+    event FeesCollected(address indexed user, uint256 protocolFee, uint256 creatorFee);
+    
+    event CreatorFeesWithdrawn(address indexed creator, uint256 amount);
 
     /**
-     * @notice Constructor to create a new prediction market
-     * @param _currencyPair The currency pair being predicted (e.g., "USDC/EURC")
-     * @param _collateralToken Address of the collateral token (USDC, EURC, etc.)
-     * @param _targetPrice The target price to predict (in 8 decimals)
-     * @param _resolutionTime Unix timestamp when market resolves
-     * @param _oracle Address of the price oracle contract
-     * @param _owner Owner of the market (can resolve/update oracle)
+     * @notice Resolution rights: the registry's resolvers, or the owner of a market without registry
+     */
+    modifier onlyResolver() {
+        require(
+            registry == address(0) ? _msgSender() == owner() : IMarketRegistry(registry).isResolver(_msgSender()),
+            "Not resolver"
+        );
+        _;
+    }
+
+    /**
+     * @notice Deploy the implementation that markets are cloned from
+     * @dev Locks the implementation; clones start uninitialized and ownerless
+     * @param _trustedForwarder ERC-2771 forwarder allowed to relay users' calls (zero disables)
+     * @param _outcomeToken OutcomeToken that markets mint their shares on
      */
     constructor(
-        string memory _currencyPair,
-        address _collateralToken,
+        address _trustedForwarder,
+        address _outcomeToken
+    ) Ownable(msg.sender) ERC2771Context(_trustedForwarder) {
+        require(_outcomeToken != address(0), "Invalid outcome token");
+        outcomeToken = OutcomeToken(_outcomeToken);
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initialize a newly cloned prediction market
+     * @param _config Market parameters; the owner receives creator fees and is the liquidity provider
+     * @param _targetPrice The target price to predict (in 8 decimals)
+     * @param _subsidy Collateral seeding the market maker (sets its depth)
+     * @param _twapWindow TWAP window to settle on, in seconds (0 settles on the spot price)
+     * @dev The creator must transfer `_subsidy` collateral to the market in the
+     *      same transaction (MarketFactory does this). TWAP settlement needs an
+     *      oracle implementing ITwapOracle.
+     */
+    function initialize(
+        MarketConfig calldata _config,
         uint256 _targetPrice,
-        uint256 _resolutionTime,
-        address _oracle,
-        address _owner
-    ) Ownable(_owner) {
-        require(_collateralToken != address(0), "Invalid collateral token");
-        require(_resolutionTime > block.timestamp, "Invalid resolution time");
-        require(_oracle != address(0), "Invalid oracle");
+        uint256 _subsidy,
+        uint256 _twapWindow
+    ) external initializer {
+        require(_config.owner != address(0), "Invalid owner");
+        require(_config.collateralToken != address(0), "Invalid collateral token");
+        require(_config.resolutionTime > block.timestamp, "Invalid resolution time");
+        require(_config.oracle != address(0), "Invalid oracle");
+        require(_subsidy > 0, "Invalid subsidy");
+        require(
+            _config.protocolFeeBps <= MAX_FEE_BPS && _config.creatorFeeBps <= MAX_FEE_BPS,
+            "Fee too high"
+        );
+        require(_twapWindow <= MAX_TWAP_WINDOW, "Invalid TWAP window");
         
         market = Market({
-            currencyPair: _currencyPair,
-            collateralToken: _collateralToken,
+            currencyPair: _config.currencyPair,
+            collateralToken: _config.collateralToken,
             targetPrice: _targetPrice,
-            resolutionTime: _resolutionTime,
+            resolutionTime: _config.resolutionTime,
             state: MarketState.Active,
             totalLongShares: 0,
             totalShortShares: 0,
@@ -116,45 +272,121 @@ contract PredictionMarket is ReentrancyGuard, Ownable {
             finalPrice: -1
         });
         
-        oracle = _oracle;
+        oracle = _config.oracle;
+        maxPriceAge = DEFAULT_MAX_PRICE_AGE;
+        twapWindow = _twapWindow;
+        
+        // Seed the pool with one complete set per unit of subsidy (50/50 odds)
+        subsidy = _subsidy;
+        longReserve = _subsidy;
+        shortReserve = _subsidy;
+        liquidityProvider = _config.owner;
+        
+        protocolFeeBps = _config.protocolFeeBps;
+        creatorFeeBps = _config.creatorFeeBps;
+        treasury = _config.treasury;
+        registry = _config.registry;
+        _transferOwnership(_config.owner);
         
-        emit MarketCreated(_currencyPair, _collateralToken, _targetPrice, _resolutionTime);
+        emit MarketCreated(_config.currencyPair, _config.collateralToken, _targetPrice, _config.resolutionTime);
     }
 
     /**
      * @notice Take a position in the market (Long or Short)
+     * @dev Entry fees are taken first; the rest buys shares priced by the market
+     *      maker from current pool inventory
      * @param _positionType Long (price up) or Short (price down)
-     * @param _amount Amount of collateral to deposit
+     * @param _amount Amount of collateral to deposit, including entry fees
+     * @param _minShares Minimum shares to receive (slippage protection)
      */
     function takePosition(
         PositionType _positionType,
-        uint256 _amount
+        uint256 _amount,
+        uint256 _minShares
+    ) external nonReentrant {
+        _takePosition(_msgSender(), _msgSender(), _positionType, _amount, _minShares);
+    }
+
+    /**
+     * @notice Take a position paid by the caller and credited to `_recipient`
+     * @dev Used by MarketRouter to batch entries across markets
+     * @param _recipient Account the position belongs to
+     * @param _positionType Long (price up) or Short (price down)
+     * @param _amount Amount of collateral to deposit, including entry fees
+     * @param _minShares Minimum shares to receive (slippage protection)
+     * @return shares Shares bought
+     */
+    function takePositionFor(
+        address _recipient,
+        PositionType _positionType,
+        uint256 _amount,
+        uint256 _minShares
+    ) external nonReentrant returns (uint256 shares) {
+        require(_recipient != address(0), "Invalid recipient");
+        return _takePosition(_msgSender(), _recipient, _positionType, _amount, _minShares);
+    }
+
+    /**
+     * @notice Take a position, approving the collateral with an EIP-2612 permit
+     * @dev Saves the separate approve transaction; combined with the trusted
+     *      forwarder a relayer can submit the whole entry for the user. The
+     *      permit must cover `_amount` for this market.
+     * @param _positionType Long (price up) or Short (price down)
+     * @param _amount Amount of collateral to deposit, including entry fees
+     * @param _minShares Minimum shares to receive (slippage protection)
+     * @param _deadline Permit deadline
+     * @param _v Permit signature v
+     * @param _r Permit signature r
+     * @param _s Permit signature s
+     */
+    function takePositionWithPermit(
+        PositionType _positionType,
+        uint256 _amount,
+        uint256 _minShares,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
     ) external nonReentrant {
+        address user = _msgSender();
+        // A permit front-run from the mempool has already set the allowance, so
+        // a failing call is ignored and the transfer below decides
+        try IERC20Permit(market.collateralToken).permit(user, address(this), _amount, _deadline, _v, _r, _s) {} catch {}
+        _takePosition(user, user, _positionType, _amount, _minShares);
+    }
+
+    /**
+     * @dev Shared by takePosition, takePositionFor and takePositionWithPermit
+     */
+    function _takePosition(
+        address _payer,
+        address _user,
+        PositionType _positionType,
+        uint256 _amount,
+        uint256 _minShares
+    ) private returns (uint256 shares) {
         require(market.state == MarketState.Active, "Market not active");
         require(block.timestamp < market.resolutionTime, "Market closed");
         require(_amount > 0, "Amount must be greater than 0");
+        _checkEntry();
         
         IERC20 collateral = IERC20(market.collateralToken);
         
-        // Transfer collateral from user
-        collateral.safeTransferFrom(msg.sender, address(this), _amount);
+        // Transfer collateral from the payer
+        collateral.safeTransferFrom(_payer, address(this), _amount);
+        uint256 investment = _collectEntryFees(_user, _amount);
         
-        // Calculate shares (1:1 for simplicity, can be adjusted)
-        uint256 shares = _amount;
-        
-        // Update user position
-        Position storage userPosition = positions[msg.sender];
-        if (userPosition.shares == 0) {
-            // New position
-            userPosition.positionType = _positionType;
-            userPosition.shares = shares;
-            userPosition.collateral = _amount;
+        // Calculate shares from the market maker and update pool reserves
+        if (_positionType == PositionType.Long) {
+            shares = MarketMaker.calcBuyShares(longReserve, shortReserve, investment);
+            longReserve = longReserve + investment - shares;
+            shortReserve += investment;
         } else {
-            // Add to existing position (must be same type)
-            require(userPosition.positionType == _positionType, "Cannot mix position types");
-            userPosition.shares += shares;
-            userPosition.collateral += _amount;
+            shares = MarketMaker.calcBuyShares(shortReserve, longReserve, investment);
+            shortReserve = shortReserve + investment - shares;
+            longReserve += investment;
         }
+        require(shares >= _minShares, "Slippage exceeded");
         
         // Update market totals
         if (_positionType == PositionType.Long) {
@@ -162,154 +394,628 @@ contract PredictionMarket is ReentrancyGuard, Ownable {
         } else {
             market.totalShortShares += shares;
         }
-        market.totalCollateral += _amount;
+        sideCollateral[_positionType] += investment;
+        market.totalCollateral += investment;
         
-        emit PositionTaken(msg.sender, _positionType, shares, _amount);
+        // Issue the shares to the user as outcome tokens
+        outcomeToken.mint(_user, uint8(_positionType), shares);
+        
+        emit PositionTaken(_user, _positionType, shares, investment, balanceOf(_user, _positionType));
+    }
+
+    /**
+     * @dev Take entry fees from a deposit: the protocol fee goes straight to the
+     *      treasury, the creator fee accrues until the owner withdraws it
+     * @return investment Collateral left to buy shares
+     */
+    function _collectEntryFees(address _user, uint256 _amount) private returns (uint256 investment) {
+        uint256 protocolFee = (_amount * protocolFeeBps) / 10000;
+        uint256 creatorFee = (_amount * creatorFeeBps) / 10000;
+        investment = _amount - protocolFee - creatorFee;
+        
+        if (protocolFee == 0 && creatorFee == 0) {
+            return investment;
+        }
+        
+        accruedCreatorFees += creatorFee;
+        if (protocolFee > 0) {
+            IERC20(market.collateralToken).safeTransfer(treasury, protocolFee);
+        }
+        
+        emit FeesCollected(_user, protocolFee, creatorFee);
+    }
+
+    /**
+     * @notice Sell shares back to the market maker before resolution
+     * @dev Returns collateral at the current pool price minus the exit fee.
+     *      Burns the caller's outcome tokens and releases their side's cost
+     *      basis pro rata.
+     * @param _positionType Side to sell
+     * @param _shares Number of shares to sell (partial closes allowed)
+     * @param _minPayout Minimum collateral to receive after fees (slippage protection)
+     */
+    function sellPosition(
+        PositionType _positionType,
+        uint256 _shares,
+        uint256 _minPayout
+    ) external nonReentrant {
+        require(market.state == MarketState.Active, "Market not active");
+        require(block.timestamp < market.resolutionTime, "Market closed");
+        require(_shares > 0, "Shares must be greater than 0");
+        
+        address user = _msgSender();
+        require(balanceOf(user, _positionType) >= _shares, "Insufficient shares");
+        
+        // Price the sale and burn complete sets from the pool
+        uint256 amount;
+        if (_positionType == PositionType.Long) {
+            amount = MarketMaker.calcSellReturn(longReserve, shortReserve, _shares);
+            longReserve = longReserve + _shares - amount;
+            shortReserve -= amount;
+        } else {
+            amount = MarketMaker.calcSellReturn(shortReserve, longReserve, _shares);
+            shortReserve = shortReserve + _shares - amount;
+            longReserve -= amount;
+        }
+        
+        uint256 fee = (amount * EXIT_FEE_BPS) / 10000;
+        uint256 payout = amount - fee;
+        require(payout >= _minPayout, "Slippage exceeded");
+        
+        market.totalCollateral -= _burnShares(user, _positionType, _shares);
+        accruedExitFees += fee;
+        
+        IERC20(market.collateralToken).safeTransfer(user, payout);
+        
+        emit PositionSold(user, _positionType, _shares, payout, fee);
+    }
+
+    /**
+     * @notice Quote the collateral received for selling shares
+     * @param _positionType Side to sell
+     * @param _shares Shares to sell
+     * @return payout Collateral after the exit fee
+     * @return fee Exit fee
+     */
+    function quoteSell(
+        PositionType _positionType,
+        uint256 _shares
+    ) external view returns (uint256 payout, uint256 fee) {
+        uint256 amount = _positionType == PositionType.Long
+            ? MarketMaker.calcSellReturn(longReserve, shortReserve, _shares)
+            : MarketMaker.calcSellReturn(shortReserve, longReserve, _shares);
+        fee = (amount * EXIT_FEE_BPS) / 10000;
+        payout = amount - fee;
     }
 
     /**
-     * @notice Resolve the market using oracle price
-     * @dev Can be called by owner or after resolution time
-     * @param _finalPrice Final price from oracle (in 8 decimals)
+     * @notice Quote the shares received for investing collateral
+     * @param _positionType Side to buy
+     * @param _amount Collateral to invest, including entry fees
      */
-    function resolveMarket(int256 _finalPrice) external {
+    function quoteShares(PositionType _positionType, uint256 _amount) external view returns (uint256) {
+        uint256 investment = _amount
+            - (_amount * protocolFeeBps) / 10000
+            - (_amount * creatorFeeBps) / 10000;
+        return _positionType == PositionType.Long
+            ? MarketMaker.calcBuyShares(longReserve, shortReserve, investment)
+            : MarketMaker.calcBuyShares(shortReserve, longReserve, investment);
+    }
+
+    /**
+     * @notice Quote the collateral cost of buying an exact number of shares, including entry fees
+     * @param _positionType Side to buy
+     * @param _shares Shares to buy
+     */
+    function quoteCost(PositionType _positionType, uint256 _shares) external view returns (uint256) {
+        uint256 investment = _positionType == PositionType.Long
+            ? MarketMaker.calcBuyCost(longReserve, shortReserve, _shares)
+            : MarketMaker.calcBuyCost(shortReserve, longReserve, _shares);
+        // Gross up for entry fees, rounding up
+        uint256 netBps = 10000 - protocolFeeBps - creatorFeeBps;
+        return (investment * 10000 + netBps - 1) / netBps;
+    }
+
+    /**
+     * @notice Implied probability that a side wins, from pool inventory
+     * @param _positionType Side to price
+     * @return Probability with 18 decimals (1e18 = 100%)
+     */
+    function impliedProbability(PositionType _positionType) external view returns (uint256) {
+        return _positionType == PositionType.Long
+            ? MarketMaker.impliedProbability(longReserve, shortReserve)
+            : MarketMaker.impliedProbability(shortReserve, longReserve);
+    }
+
+    /**
+     * @notice Resolve the market with a manually supplied price (resolver only, fallback)
+     * @dev Only usable after resolution time and only while the oracle cannot
+     *      provide a valid settlement price, so a resolver cannot override a live feed.
+     *      With a dispute window configured the price is only proposed.
+     * @param _finalPrice Final price (in 8 decimals)
+     */
+    function resolveMarket(int256 _finalPrice) external onlyResolver {
+        require(block.timestamp >= market.resolutionTime, "Too early");
+        require(market.state == MarketState.Active, "Market already resolved");
+        require(proposedAt == 0, "Resolution pending");
+        require(_finalPrice >= 0, "Invalid price");
+        require(!_hasValidOraclePrice(), "Oracle price available");
+        
+        _propose(_finalPrice);
+    }
+    
+    /**
+     * @notice Auto-resolve market using oracle
+     * @dev Fetches price from oracle and resolves automatically. Callable by anyone
+     *      once resolution time has passed. Only accepts a fresh price stamped
+     *      within maxPriceAge after resolution time, so callers cannot wait for a
+     *      favourable print; past that the resolver settles via resolveMarket.
+     *      With a dispute window configured the price is only proposed.
+     */
+    function autoResolveMarket() external {
+        require(block.timestamp >= market.resolutionTime, "Too early");
+        require(market.state == MarketState.Active, "Market already resolved");
+        require(proposedAt == 0, "Resolution pending");
+        require(oracle != address(0), "Oracle not set");
+        
+        _propose(_readOraclePrice(oracle));
+    }
+
+    /**
+     * @notice Configure optimistic resolution (resolver only)
+     * @dev Can only change before a price has been proposed. A zero window
+     *      disables disputes and resolves immediately.
+     * @param _disputeWindow Seconds a proposed price can be disputed
+     * @param _disputeBond Collateral a challenger must post
+     * @param _arbiter Address allowed to settle disputes with its own price
+     * @param _secondaryOracle Oracle re-queried to settle disputes (optional)
+     */
+    function configureDisputes(
+        uint256 _disputeWindow,
+        uint256 _disputeBond,
+        address _arbiter,
+        address _secondaryOracle
+    ) external onlyResolver {
+        require(market.state == MarketState.Active, "Market not active");
+        require(proposedAt == 0, "Resolution pending");
         require(
-            msg.sender == owner() || block.timestamp >= market.resolutionTime,
-            "Not authorized or too early"
+            _disputeWindow == 0 || _arbiter != address(0) || _secondaryOracle != address(0),
+            "No dispute resolver"
         );
+        
+        disputeWindow = _disputeWindow;
+        disputeBond = _disputeBond;
+        arbiter = _arbiter;
+        secondaryOracle = _secondaryOracle;
+        
+        emit DisputeConfigUpdated(_disputeWindow, _disputeBond, _arbiter, _secondaryOracle);
+    }
+
+    /**
+     * @notice Dispute the proposed settlement price by posting the dispute bond
+     * @dev The bond is returned if the dispute changes the outcome, otherwise it
+     *      goes to the liquidity provider
+     */
+    function disputeResolution() external nonReentrant {
+        require(market.state == MarketState.Active, "Market not active");
+        require(proposedAt > 0, "No proposal");
+        require(challenger == address(0), "Already disputed");
+        require(block.timestamp < proposedAt + disputeWindow, "Dispute window closed");
+        
+        challenger = _msgSender();
+        if (disputeBond > 0) {
+            IERC20(market.collateralToken).safeTransferFrom(_msgSender(), address(this), disputeBond);
+        }
+        
+        emit ResolutionDisputed(_msgSender(), proposedPrice, disputeBond);
+    }
+
+    /**
+     * @notice Finalize an undisputed proposal once the dispute window has passed
+     */
+    function finalizeResolution() external {
+        require(proposedAt > 0, "No proposal");
         require(market.state == MarketState.Active, "Market already resolved");
+        require(challenger == address(0), "Resolution disputed");
+        require(block.timestamp >= proposedAt + disputeWindow, "Dispute window open");
+        
+        _resolve(proposedPrice);
+    }
+
+    /**
+     * @notice Settle a dispute with the arbiter's price (arbiter only)
+     * @param _finalPrice Final price (in 8 decimals)
+     */
+    function arbitrateDispute(int256 _finalPrice) external nonReentrant {
+        require(_msgSender() == arbiter, "Not arbiter");
+        require(challenger != address(0), "Not disputed");
         require(_finalPrice >= 0, "Invalid price");
         
+        _settleDispute(_finalPrice);
+    }
+
+    /**
+     * @notice Settle a dispute by re-querying the secondary oracle
+     * @dev Callable by anyone; the secondary price must pass the same checks as
+     *      autoResolveMarket
+     */
+    function resolveDisputeFromOracle() external nonReentrant {
+        require(challenger != address(0), "Not disputed");
+        require(secondaryOracle != address(0), "No secondary oracle");
+        
+        _settleDispute(_readOraclePrice(secondaryOracle));
+    }
+
+    /**
+     * @notice Read a settlement price from an oracle, reverting if it is unusable
+     * @dev In TWAP mode the oracle only answers once its observations cover the
+     *      whole window, so no freshness checks are needed here
+     */
+    function _readOraclePrice(address _oracle) internal view returns (int256) {
+        if (twapWindow > 0) {
+            uint256 twap = ITwapOracle(_oracle).getTwap(market.currencyPair, market.resolutionTime, twapWindow);
+            require(twap > 0, "Invalid price");
+            return int256(twap);
+        }
+        
+        (uint256 price, uint256 timestamp) = IPriceOracle(_oracle).getPrice(market.currencyPair);
+        require(price > 0, "Invalid price");
+        require(timestamp >= market.resolutionTime, "Price predates resolution");
+        require(timestamp <= market.resolutionTime + maxPriceAge, "Price too late");
+        require(timestamp <= block.timestamp, "Price from the future");
+        require(block.timestamp - timestamp <= maxPriceAge, "Stale price");
+        return int256(price);
+    }
+
+    /**
+     * @notice Resolve immediately, or open the dispute window when one is configured
+     */
+    function _propose(int256 _price) internal {
+        if (disputeWindow == 0) {
+            _resolve(_price);
+            return;
+        }
+        
+        proposedPrice = _price;
+        proposedAt = block.timestamp;
+        
+        emit ResolutionProposed(_price, block.timestamp + disputeWindow);
+    }
+
+    /**
+     * @notice Resolve a disputed proposal and settle the challenger's bond
+     */
+    function _settleDispute(int256 _finalPrice) internal {
+        require(market.state == MarketState.Active, "Market already resolved");
+        
+        // The challenger wins if the final price lands on a different outcome
+        bool challengerWon = _outcome(_finalPrice) != _outcome(proposedPrice);
+        if (disputeBond > 0) {
+            IERC20(market.collateralToken).safeTransfer(
+                challengerWon ? challenger : liquidityProvider,
+                disputeBond
+            );
+        }
+        
+        emit DisputeSettled(challenger, _finalPrice, challengerWon);
+        
+        _resolve(_finalPrice);
+    }
+
+    /**
+     * @notice Outcome of a settlement price: 1 Long wins, -1 Short wins, 0 tie
+     */
+    function _outcome(int256 _price) internal view returns (int8) {
+        if (uint256(_price) > market.targetPrice) return 1;
+        if (uint256(_price) < market.targetPrice) return -1;
+        return 0;
+    }
+
+    /**
+     * @notice Check whether the oracle currently provides a usable settlement price
+     */
+    function _hasValidOraclePrice() internal view returns (bool) {
+        if (twapWindow > 0) {
+            try ITwapOracle(oracle).getTwap(market.currencyPair, market.resolutionTime, twapWindow) returns (uint256 twap) {
+                return twap > 0;
+            } catch {
+                return false;
+            }
+        }
+        
+        try IPriceOracle(oracle).getPrice(market.currencyPair) returns (uint256 price, uint256 timestamp) {
+            return price > 0 &&
+                timestamp >= market.resolutionTime &&
+                timestamp <= market.resolutionTime + maxPriceAge &&
+                timestamp <= block.timestamp &&
+                block.timestamp - timestamp <= maxPriceAge;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @notice Mark the market resolved at the given price
+     */
+    function _resolve(int256 _finalPrice) internal {
         market.state = MarketState.Resolved;
         market.resolved = true;
         market.finalPrice = _finalPrice;
         
+        // A tie at the target, or a winning side nobody holds, refunds everyone
+        uint256 winningShares = uint256(_finalPrice) > market.targetPrice
+            ? market.totalLongShares
+            : market.totalShortShares;
+        if (uint256(_finalPrice) == market.targetPrice || winningShares == 0) {
+            refundMode = true;
+            emit RefundModeEnabled(_finalPrice);
+            emit MarketResolved(_finalPrice, 0, 0);
+            _notifyRegistry();
+            return;
+        }
+        
         // Calculate payouts
         uint256 longPayout = 0;
         uint256 shortPayout = 0;
         
-        if (uint256(_finalPrice) >= market.targetPrice) {
+        // Each winning share redeems for one unit of collateral
+        if (uint256(_finalPrice) > market.targetPrice) {
             // Long wins
-            longPayout = market.totalCollateral;
+            longPayout = market.totalLongShares;
         } else {
             // Short wins
-            shortPayout = market.totalCollateral;
+            shortPayout = market.totalShortShares;
         }
         
         emit MarketResolved(_finalPrice, longPayout, shortPayout);
+        _notifyRegistry();
     }
-    
+
     /**
-     * @notice Auto-resolve market using oracle
-     * @dev Fetches price from oracle and resolves automatically
+     * @notice Report the current state to the factory registry
      */
-    function autoResolveMarket() external {
-        require(
-            msg.sender == owner() || block.timestamp >= market.resolutionTime,
-            "Not authorized or too early"
-        );
-        require(market.state == MarketState.Active, "Market already resolved");
-        require(oracle != address(0), "Oracle not set");
-        
-        // Get price from oracle
-        // Note: This requires implementing IPriceOracle interface
-        // For now, this is a placeholder - implement based on your oracle choice
-        // Example with interface:
-        // IPriceOracle priceOracle = IPriceOracle(oracle);
-        // (uint256 price, uint256 timestamp) = priceOracle.getPrice(market.currencyPair);
-        // resolveMarket(int256(price));
-        
-        // For demo, we'll require manual resolution with price
-        revert("Use resolveMarket() with price parameter");
+    function _notifyRegistry() internal {
+        if (registry != address(0)) {
+            IMarketRegistry(registry).onMarketStatusChanged(uint8(market.state));
+        }
+    }
+
+    /**
+     * @notice Let the factory registry halt entries (guardian pause or circuit breaker)
+     */
+    function _checkEntry() internal {
+        if (registry != address(0)) {
+            IMarketRegistry(registry).checkEntry(oracle);
+        }
     }
 
     /**
-     * @notice Claim payout for a resolved position
+     * @notice Claim payout for a resolved market
+     * @dev Burns the user's outcome tokens on both sides and pays the winning
+     *      side; shares on the losing side pay nothing. In refund mode each
+     *      share returns its side's pro-rata collateral instead.
      */
     function claimPayout() external nonReentrant {
+        _claimPayout(_msgSender());
+    }
+
+    /**
+     * @notice Claim a user's payout on their behalf; the payout always goes to the user
+     * @dev Lets MarketRouter claim across many markets in one transaction
+     * @param _user Position holder
+     * @return payout Collateral paid to the user
+     */
+    function claimPayoutFor(address _user) external nonReentrant returns (uint256 payout) {
+        return _claimPayout(_user);
+    }
+
+    function _claimPayout(address _user) private returns (uint256 payout) {
         require(market.resolved, "Market not resolved");
         
-        Position storage userPosition = positions[msg.sender];
-        require(userPosition.shares > 0, "No position");
-        require(!userPosition.claimed, "Already claimed");
-        
-        uint256 payout = 0;
-        bool isWinner = false;
+        uint256 longShares = balanceOf(_user, PositionType.Long);
+        uint256 shortShares = balanceOf(_user, PositionType.Short);
+        require(longShares > 0 || shortShares > 0, "No position");
         
-        if (market.finalPrice >= int256(market.targetPrice)) {
-            // Long wins
-            if (userPosition.positionType == PositionType.Long) {
-                isWinner = true;
-            }
+        uint256 refund = _burnShares(_user, PositionType.Long, longShares)
+            + _burnShares(_user, PositionType.Short, shortShares);
+        if (refundMode) {
+            payout = refund;
+            market.totalCollateral -= payout;
         } else {
-            // Short wins
-            if (userPosition.positionType == PositionType.Short) {
-                isWinner = true;
-            }
+            // Each winning share redeems for one unit of collateral
+            payout = market.finalPrice > int256(market.targetPrice)
+                ? longShares
+                : shortShares;
         }
         
-        if (isWinner && market.totalCollateral > 0) {
-            // Calculate proportional payout
-            uint256 totalShares = userPosition.positionType == PositionType.Long
-                ? market.totalLongShares
-                : market.totalShortShares;
-            
-            if (totalShares > 0) {
-                payout = (market.totalCollateral * userPosition.shares) / totalShares;
-            }
+        claimed[_user] = true;
+        
+        if (payout > 0) {
+            IERC20(market.collateralToken).safeTransfer(_user, payout);
         }
         
-        userPosition.claimed = true;
+        emit PositionClaimed(_user, payout);
+    }
+
+    /**
+     * @notice Withdraw the market maker's remaining value (liquidity provider only)
+     * @dev After resolution the pool's winning reserve plus exit fees is redeemable;
+     *      after cancellation or in refund mode everything not owed to users as
+     *      refunds is returned
+     */
+    function withdrawLiquidity() external nonReentrant {
+        require(_msgSender() == liquidityProvider, "Not liquidity provider");
+        require(!liquidityWithdrawn, "Liquidity already withdrawn");
         
-        if (payout > 0) {
-            IERC20(market.collateralToken).safeTransfer(msg.sender, payout);
+        uint256 amount;
+        if (market.state == MarketState.Resolved && !refundMode) {
+            amount = market.finalPrice > int256(market.targetPrice) ? longReserve : shortReserve;
+            amount += accruedExitFees;
+        } else {
+            require(market.state == MarketState.Cancelled || refundMode, "Market not settled");
+            // Outstanding refunds are tracked in totalCollateral; creator fees stay with the owner
+            uint256 balance = IERC20(market.collateralToken).balanceOf(address(this));
+            uint256 reserved = market.totalCollateral + accruedCreatorFees;
+            amount = balance > reserved ? balance - reserved : 0;
         }
         
-        emit PositionClaimed(msg.sender, payout);
+        liquidityWithdrawn = true;
+        
+        if (amount > 0) {
+            IERC20(market.collateralToken).safeTransfer(_msgSender(), amount);
+        }
+        
+        emit LiquidityWithdrawn(_msgSender(), amount);
+    }
+
+    /**
+     * @notice Withdraw accrued creator fees (owner only)
+     */
+    function withdrawCreatorFees() external onlyOwner nonReentrant {
+        uint256 amount = accruedCreatorFees;
+        require(amount > 0, "No fees to withdraw");
+        
+        accruedCreatorFees = 0;
+        IERC20(market.collateralToken).safeTransfer(_msgSender(), amount);
+        
+        emit CreatorFeesWithdrawn(_msgSender(), amount);
+    }
+
+    /**
+     * @notice Collateral token of the market (same getter as OutcomeMarket)
+     */
+    function collateralToken() external view returns (address) {
+        return market.collateralToken;
+    }
+
+    /**
+     * @notice OutcomeToken ID of a side's shares
+     */
+    function tokenId(PositionType _positionType) external view returns (uint256) {
+        return outcomeToken.tokenId(address(this), uint8(_positionType));
     }
 
     /**
-     * @notice Get user position details
+     * @notice Outcome tokens a user holds on a side
+     */
+    function balanceOf(address _user, PositionType _positionType) public view returns (uint256) {
+        return outcomeToken.balanceOf(_user, outcomeToken.tokenId(address(this), uint8(_positionType)));
+    }
+
+    /**
+     * @notice Get user position details for both sides
+     * @dev Collateral is the shares' pro-rata part of their side's cost basis,
+     *      which is what a refund would return
      */
     function getUserPosition(address _user) external view returns (
-        PositionType positionType,
-        uint256 shares,
-        uint256 collateral,
-        bool claimed
+        uint256 longShares,
+        uint256 longCollateral,
+        uint256 shortShares,
+        uint256 shortCollateral,
+        bool hasClaimed
     ) {
-        Position memory pos = positions[_user];
-        return (pos.positionType, pos.shares, pos.collateral, pos.claimed);
+        longShares = balanceOf(_user, PositionType.Long);
+        shortShares = balanceOf(_user, PositionType.Short);
+        longCollateral = _costBasis(PositionType.Long, longShares);
+        shortCollateral = _costBasis(PositionType.Short, shortShares);
+        hasClaimed = claimed[_user];
     }
 
     /**
-     * @notice Update oracle address (owner only)
+     * @notice Update oracle address (resolver only)
      */
-    function setOracle(address _oracle) external onlyOwner {
+    function setOracle(address _oracle) external onlyResolver {
         require(_oracle != address(0), "Invalid oracle");
         oracle = _oracle;
     }
 
     /**
-     * @notice Cancel market and refund all positions (owner only, emergency)
+     * @notice Update maximum accepted oracle price age (resolver only)
+     */
+    function setMaxPriceAge(uint256 _maxPriceAge) external onlyResolver {
+        require(_maxPriceAge > 0, "Invalid max price age");
+        maxPriceAge = _maxPriceAge;
+        emit MaxPriceAgeUpdated(_maxPriceAge);
+    }
+
+    /**
+     * @notice Cancel market and refund all positions (resolver only, emergency)
      */
-    function cancelMarket() external onlyOwner {
+    function cancelMarket() external onlyResolver {
         require(market.state == MarketState.Active, "Market not active");
         market.state = MarketState.Cancelled;
+        _notifyRegistry();
+        
+        // Return a pending challenger's bond
+        if (challenger != address(0) && disputeBond > 0) {
+            IERC20(market.collateralToken).safeTransfer(challenger, disputeBond);
+        }
     }
 
     /**
      * @notice Emergency withdraw for cancelled markets
      */
     function emergencyWithdraw() external nonReentrant {
+        _emergencyWithdraw(_msgSender());
+    }
+
+    /**
+     * @notice Withdraw a user's collateral from a cancelled market on their behalf
+     * @dev The refund always goes to the user
+     * @param _user Position holder
+     * @return amount Collateral returned to the user
+     */
+    function emergencyWithdrawFor(address _user) external nonReentrant returns (uint256 amount) {
+        return _emergencyWithdraw(_user);
+    }
+
+    function _emergencyWithdraw(address _user) private returns (uint256 amount) {
         require(market.state == MarketState.Cancelled, "Market not cancelled");
         
-        Position storage userPosition = positions[msg.sender];
-        require(userPosition.collateral > 0, "No collateral to withdraw");
-        require(!userPosition.claimed, "Already withdrawn");
+        // Burn both sides and refund their cost basis
+        amount = _burnShares(_user, PositionType.Long, balanceOf(_user, PositionType.Long))
+            + _burnShares(_user, PositionType.Short, balanceOf(_user, PositionType.Short));
+        require(amount > 0, "No collateral to withdraw");
         
-        uint256 amount = userPosition.collateral;
-        userPosition.claimed = true;
+        claimed[_user] = true;
+        market.totalCollateral -= amount;
         
-        IERC20(market.collateralToken).safeTransfer(msg.sender, amount);
+        IERC20(market.collateralToken).safeTransfer(_user, amount);
+    }
+
+    /**
+     * @dev Burn a holder's shares on one side and release their cost basis
+     * @return collateral The shares' pro-rata part of the side's collateral
+     */
+    function _burnShares(address _user, PositionType _positionType, uint256 _shares) private returns (uint256 collateral) {
+        if (_shares == 0) {
+            return 0;
+        }
+        
+        collateral = _costBasis(_positionType, _shares);
+        sideCollateral[_positionType] -= collateral;
+        if (_positionType == PositionType.Long) {
+            market.totalLongShares -= _shares;
+        } else {
+            market.totalShortShares -= _shares;
+        }
+        outcomeToken.burn(_user, uint8(_positionType), _shares);
+    }
+
+    function _costBasis(PositionType _positionType, uint256 _shares) private view returns (uint256) {
+        uint256 totalShares = _positionType == PositionType.Long ? market.totalLongShares : market.totalShortShares;
+        return totalShares == 0 ? 0 : (sideCollateral[_positionType] * _shares) / totalShares;
+    }
+
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
     }
 }
@@ -77,6 +77,15 @@ contract MockPriceOracle is IPriceOracle {
         timestamps[_currencyPair] = block.timestamp;
     }
     
+    /**
+     * @notice Update price with an explicit timestamp (for testing)
+     * @dev Lets tests reproduce feeds that report old or future timestamps
+     */
+    function updatePriceAt(string memory _currencyPair, uint256 _price, uint256 _timestamp) external {
+        prices[_currencyPair] = _price;
+        timestamps[_currencyPair] = _timestamp;
+    }
+    
     /**
      * @notice Add some randomness to prices (for demo)
      * @dev Simulates price movement
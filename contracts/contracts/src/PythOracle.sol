@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./PriceOracle.sol";
+
+/**
+ * @notice Pyth price contract interface (subset used by PythOracle)
+ * @dev Prices are `price * 10^expo` with a confidence interval of `conf * 10^expo`
+ */
+interface IPyth {
+    struct Price {
+        int64 price;
+        uint64 conf;
+        int32 expo;
+        uint256 publishTime;
+    }
+
+    function getPriceUnsafe(bytes32 _id) external view returns (Price memory price);
+
+    function getUpdateFee(bytes[] calldata _updateData) external view returns (uint256 feeAmount);
+
+    function updatePriceFeeds(bytes[] calldata _updateData) external payable;
+}
+
+/**
+ * @title PythOracle
+ * @notice IPriceOracle adapter over Pyth-style pull oracles
+ * @dev Prices are pulled on-chain by submitting signed update data through
+ *      `updatePriceFeeds` (or straight to the Pyth contract) before they are
+ *      read. Each pair maps to a Pyth price ID. Prices are normalized to
+ *      8 decimals and rejected if older than the feed's heartbeat, or if the
+ *      confidence interval exceeds the feed's deviation limit.
+ */
+contract PythOracle is IPriceOracle, Ownable {
+    uint8 public constant PRICE_DECIMALS = 8;
+
+    struct Feed {
+        bytes32 priceId;
+        uint256 heartbeat;          // Maximum age of a price, in seconds
+        uint256 maxDeviationBps;    // Maximum confidence interval relative to price (0 = unchecked)
+    }
+
+    IPyth public immutable pyth;
+
+    // Mapping: currency pair => feed
+    mapping(string => Feed) public feeds;
+
+    event FeedSet(string currencyPair, bytes32 indexed priceId, uint256 heartbeat, uint256 maxDeviationBps);
+
+    event FeedRemoved(string currencyPair);
+
+    constructor(address _pyth, address _owner) Ownable(_owner) {
+        require(_pyth != address(0), "Invalid Pyth contract");
+        pyth = IPyth(_pyth);
+    }
+
+    /**
+     * @notice Map a currency pair to a Pyth price ID (owner only)
+     * @param _currencyPair The currency pair (e.g., "EUR/USD")
+     * @param _priceId Pyth price feed ID for the pair
+     * @param _heartbeat Maximum price age in seconds
+     * @param _maxDeviationBps Maximum confidence interval, in basis points of the price (0 disables)
+     */
+    function setFeed(
+        string memory _currencyPair,
+        bytes32 _priceId,
+        uint256 _heartbeat,
+        uint256 _maxDeviationBps
+    ) external onlyOwner {
+        require(_priceId != bytes32(0), "Invalid price ID");
+        require(_heartbeat > 0, "Invalid heartbeat");
+
+        feeds[_currencyPair] = Feed({
+            priceId: _priceId,
+            heartbeat: _heartbeat,
+            maxDeviationBps: _maxDeviationBps
+        });
+
+        emit FeedSet(_currencyPair, _priceId, _heartbeat, _maxDeviationBps);
+    }
+
+    /**
+     * @notice Remove a pair's feed (owner only)
+     */
+    function removeFeed(string memory _currencyPair) external onlyOwner {
+        require(feeds[_currencyPair].priceId != bytes32(0), "Price feed not available");
+        delete feeds[_currencyPair];
+        emit FeedRemoved(_currencyPair);
+    }
+
+    /**
+     * @notice Push signed price updates to Pyth, paying its fee
+     * @dev Any excess ETH is returned to the caller
+     * @param _updateData Signed update data from the Pyth price service
+     */
+    function updatePriceFeeds(bytes[] calldata _updateData) external payable {
+        uint256 fee = pyth.getUpdateFee(_updateData);
+        require(msg.value >= fee, "Insufficient update fee");
+
+        pyth.updatePriceFeeds{value: fee}(_updateData);
+
+        if (msg.value > fee) {
+            (bool success, ) = msg.sender.call{value: msg.value - fee}("");
+            require(success, "Refund failed");
+        }
+    }
+
+    function getPrice(string memory _currencyPair) external view override returns (uint256 price, uint256 timestamp) {
+        Feed memory feed = feeds[_currencyPair];
+        require(feed.priceId != bytes32(0), "Price feed not available");
+        return _readFeed(feed);
+    }
+
+    function isPriceFeedAvailable(string memory _currencyPair) external view override returns (bool available) {
+        if (feeds[_currencyPair].priceId == bytes32(0)) {
+            return false;
+        }
+        try this.getPrice(_currencyPair) returns (uint256, uint256) {
+            available = true;
+        } catch {
+            available = false;
+        }
+    }
+
+    /**
+     * @notice Read, validate and normalize the latest price of a feed
+     */
+    function _readFeed(Feed memory _feed) internal view returns (uint256 price, uint256 timestamp) {
+        IPyth.Price memory data = pyth.getPriceUnsafe(_feed.priceId);
+
+        require(data.price > 0 && data.publishTime > 0, "Invalid price");
+        require(data.publishTime <= block.timestamp, "Price from the future");
+        require(block.timestamp - data.publishTime <= _feed.heartbeat, "Stale price");
+
+        uint256 raw = uint256(uint64(data.price));
+        if (_feed.maxDeviationBps > 0) {
+            require(uint256(data.conf) * 10000 <= raw * _feed.maxDeviationBps, "Price deviation too high");
+        }
+
+        price = _scale(raw, data.expo);
+        require(price > 0, "Invalid price");
+        timestamp = data.publishTime;
+    }
+
+    /**
+     * @notice Convert `_value * 10^_expo` to PRICE_DECIMALS
+     */
+    function _scale(uint256 _value, int32 _expo) internal pure returns (uint256) {
+        int256 shift = int256(_expo) + int256(uint256(PRICE_DECIMALS));
+        if (shift < 0) {
+            return _value / 10 ** uint256(-shift);
+        }
+        return _value * 10 ** uint256(shift);
+    }
+}
@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./OutcomeMarket.sol";
+
+/**
+ * @title RangeMarket
+ * @notice Forex market on which price bucket the pair settles in
+ * @dev Buckets are half-open ranges between consecutive boundaries, e.g.
+ *      [1.05, 1.07), [1.07, 1.09). A settlement price outside every bucket
+ *      refunds all stakes.
+ */
+contract RangeMarket is OutcomeMarket {
+    // Ascending bucket boundaries in 8 decimals; bucket i is [boundaries[i], boundaries[i + 1])
+    uint256[] public boundaries;
+
+    /**
+     * @param _config Shared market parameters
+     * @param _boundaries Ascending bucket boundaries (N + 1 values for N buckets)
+     */
+    constructor(
+        MarketConfig memory _config,
+        uint256[] memory _boundaries
+    ) OutcomeMarket(_config, _boundaries.length > 0 ? _boundaries.length - 1 : 0) {
+        for (uint256 i = 1; i < _boundaries.length; i++) {
+            require(_boundaries[i] > _boundaries[i - 1], "Boundaries not ascending");
+        }
+        boundaries = _boundaries;
+    }
+
+    /**
+     * @notice Resolve from the oracle price at resolution time
+     * @dev Callable by anyone once resolution time has passed, while the oracle
+     *      has a price stamped within maxPriceAge after it
+     */
+    function resolve() external {
+        require(block.timestamp >= resolutionTime, "Too early");
+        require(state == MarketState.Active, "Market already resolved");
+
+        _settle(_readOraclePrice(resolutionTime));
+    }
+
+    /**
+     * @notice Resolve with a manually supplied price (resolver only, fallback)
+     * @dev Only usable while the oracle cannot provide a valid settlement price,
+     *      e.g. when no price was published in time
+     * @param _finalPrice Final price (in 8 decimals)
+     */
+    function resolveMarket(uint256 _finalPrice) external onlyResolver {
+        require(block.timestamp >= resolutionTime, "Too early");
+        require(state == MarketState.Active, "Market already resolved");
+        require(_finalPrice > 0, "Invalid price");
+        require(!_hasValidOraclePrice(resolutionTime), "Oracle price available");
+
+        _settle(_finalPrice);
+    }
+
+    /**
+     * @notice Bucket containing a price
+     * @return found Whether the price falls inside any bucket
+     * @return bucket Bucket index (valid only if found)
+     */
+    function getBucket(uint256 _price) public view returns (bool found, uint256 bucket) {
+        for (uint256 i = 0; i < outcomeCount; i++) {
+            if (_price >= boundaries[i] && _price < boundaries[i + 1]) {
+                return (true, i);
+            }
+        }
+        return (false, 0);
+    }
+
+    /**
+     * @notice All bucket boundaries
+     */
+    function getBoundaries() external view returns (uint256[] memory) {
+        return boundaries;
+    }
+
+    /**
+     * @notice Resolve to the bucket containing the settlement price, or refund if there is none
+     */
+    function _settle(uint256 _price) internal {
+        (bool found, uint256 bucket) = getBucket(_price);
+        if (found) {
+            _resolveOutcome(bucket, int256(_price));
+        } else {
+            _enableRefund(int256(_price));
+        }
+    }
+}
+
+/**
+ * @title RangeMarketDeployer
+ * @notice Deploys RangeMarkets for MarketFactory
+ * @dev Keeps RangeMarket's bytecode out of the factory so it stays under the
+ *      contract size limit. Created by the factory, which is its only caller.
+ */
+contract RangeMarketDeployer {
+    address public immutable factory;
+
+    constructor() {
+        factory = msg.sender;
+    }
+
+    function deploy(
+        MarketConfig memory _config,
+        uint256[] memory _boundaries
+    ) external returns (address) {
+        require(msg.sender == factory, "Not factory");
+        return address(new RangeMarket(_config, _boundaries));
+    }
+}
@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./OutcomeMarket.sol";
+
+/**
+ * @title TouchMarket
+ * @notice Forex market on whether the pair hits a barrier before expiry
+ * @dev Anyone can report a touch with a fresh oracle price at or beyond the
+ *      barrier, which settles the market early as Touch. Stakes are refused while
+ *      the oracle price is at or beyond the barrier, so nobody can stake and report
+ *      a touch in the same transaction. Touches between reads that nobody reported
+ *      can be reported by a resolver until TOUCH_REPORT_WINDOW after resolution
+ *      time; only then does the market settle as NoTouch.
+ */
+contract TouchMarket is OutcomeMarket {
+    // Outcomes
+    uint256 public constant NO_TOUCH = 0;
+    uint256 public constant TOUCH = 1;
+
+    // Barrier price in 8 decimals
+    uint256 public barrier;
+
+    // True if the barrier is hit from below (price >= barrier), false from above (price <= barrier)
+    bool public upward;
+
+    // Prices before creation do not count as touches
+    uint256 public startTime;
+
+    // Time after resolution time in which a resolver can still report a touch
+    uint256 public constant TOUCH_REPORT_WINDOW = 1 hours;
+
+    /**
+     * @param _config Shared market parameters
+     * @param _barrier Barrier price in 8 decimals
+     * @param _upward Direction in which the barrier is hit
+     */
+    constructor(
+        MarketConfig memory _config,
+        uint256 _barrier,
+        bool _upward
+    ) OutcomeMarket(_config, 2) {
+        require(_barrier > 0, "Invalid barrier");
+        barrier = _barrier;
+        upward = _upward;
+        startTime = block.timestamp;
+    }
+
+    /**
+     * @notice Settle as Touch using the current oracle price
+     * @dev Callable by anyone before resolution time
+     */
+    function reportTouch() external {
+        require(state == MarketState.Active, "Market already resolved");
+        require(block.timestamp < resolutionTime, "Market expired");
+
+        uint256 price = _readOraclePrice(startTime);
+        require(_hitsBarrier(price), "Barrier not hit");
+
+        _resolveOutcome(TOUCH, int256(price));
+    }
+
+    /**
+     * @notice Settle as Touch with a barrier hit seen during the market (resolver only)
+     * @dev For touches between oracle reads that nobody reported on-chain
+     * @param _touchPrice Observed price at or beyond the barrier (in 8 decimals)
+     */
+    function resolveTouch(uint256 _touchPrice) external onlyResolver {
+        require(state == MarketState.Active, "Market already resolved");
+        require(block.timestamp < resolutionTime + TOUCH_REPORT_WINDOW, "Report window closed");
+        require(_touchPrice > 0 && _hitsBarrier(_touchPrice), "Barrier not hit");
+
+        _resolveOutcome(TOUCH, int256(_touchPrice));
+    }
+
+    /**
+     * @notice Settle as NoTouch once the touch report window after resolution time has passed
+     */
+    function resolve() external {
+        require(block.timestamp >= resolutionTime + TOUCH_REPORT_WINDOW, "Too early");
+        require(state == MarketState.Active, "Market already resolved");
+
+        _resolveOutcome(NO_TOUCH, -1);
+    }
+
+    /**
+     * @notice Refuse stakes while the oracle price is at or beyond the barrier
+     */
+    function _beforeStake(uint256) internal view override {
+        (uint256 price, ) = IPriceOracle(oracle).getPrice(currencyPair);
+        require(!_hitsBarrier(price), "Barrier hit");
+    }
+
+    function _hitsBarrier(uint256 _price) internal view returns (bool) {
+        return upward ? _price >= barrier : _price <= barrier;
+    }
+}
+
+/**
+ * @title TouchMarketDeployer
+ * @notice Deploys TouchMarkets for MarketFactory
+ * @dev Keeps TouchMarket's bytecode out of the factory so it stays under the
+ *      contract size limit. Created by the factory, which is its only caller.
+ */
+contract TouchMarketDeployer {
+    address public immutable factory;
+
+    constructor() {
+        factory = msg.sender;
+    }
+
+    function deploy(
+        MarketConfig memory _config,
+        uint256 _barrier,
+        bool _upward
+    ) external returns (address) {
+        require(msg.sender == factory, "Not factory");
+        return address(new TouchMarket(_config, _barrier, _upward));
+    }
+}
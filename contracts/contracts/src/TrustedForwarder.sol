@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title TrustedForwarder
+ * @notice ERC-2771 forwarder relaying users' signed requests to Laxo contracts
+ * @dev OpenZeppelin's ERC2771Forwarder under the "Laxo Forwarder" EIP-712
+ *      domain. A relayer submits `execute(request)` and pays the gas; the target
+ *      (PredictionMarket, YellowIntegration) sees the signer as the caller.
+ *      Requests carry a per-signer nonce and a deadline.
+ */
+contract TrustedForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("Laxo Forwarder") {}
+}
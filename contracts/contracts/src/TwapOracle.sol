@@ -0,0 +1,155 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./PriceOracle.sol";
+
+/**
+ * @title ITwapOracle
+ * @notice Oracle that can report time-weighted average prices
+ */
+interface ITwapOracle {
+    /**
+     * @notice Time-weighted average price over `[_endTime - _window, _endTime]`
+     * @param _currencyPair The currency pair (e.g., "EUR/USD")
+     * @param _endTime End of the averaging window
+     * @param _window Window length in seconds
+     * @return price The average price in 8 decimals
+     */
+    function getTwap(
+        string memory _currencyPair,
+        uint256 _endTime,
+        uint256 _window
+    ) external view returns (uint256 price);
+}
+
+/**
+ * @title TwapOracle
+ * @notice Records price observations from a source oracle and serves TWAPs
+ * @dev Keepers call `recordObservation` regularly; each observation stores the
+ *      running integral of price over time (like Uniswap's cumulative price), so
+ *      the average over any window is two lookups. Between observations the
+ *      price is taken to be the last observed one. A window can only be averaged
+ *      once observations cover it: one at or before its start and one at or
+ *      after its end.
+ *
+ *      Spot reads (`getPrice`) pass through to the source, so one TwapOracle can
+ *      back markets settling on either spot or TWAP prices.
+ */
+contract TwapOracle is IPriceOracle, ITwapOracle, Ownable {
+    struct Observation {
+        uint256 timestamp;          // Source price timestamp
+        uint256 price;              // Price in 8 decimals
+        uint256 cumulativePrice;    // Integral of price from the first observation up to timestamp
+    }
+
+    // Oracle observations are taken from
+    IPriceOracle public source;
+
+    // Mapping: currency pair => observations, oldest first
+    mapping(string => Observation[]) internal observations;
+
+    event ObservationRecorded(string currencyPair, uint256 price, uint256 timestamp);
+
+    event SourceUpdated(address indexed source);
+
+    constructor(address _source, address _owner) Ownable(_owner) {
+        require(_source != address(0), "Invalid source");
+        source = IPriceOracle(_source);
+    }
+
+    /**
+     * @notice Record the source's current price for a pair
+     * @dev Callable by anyone. Does nothing if the source has no newer price
+     * @param _currencyPair The currency pair (e.g., "EUR/USD")
+     * @return recorded Whether a new observation was stored
+     */
+    function recordObservation(string memory _currencyPair) external returns (bool recorded) {
+        (uint256 price, uint256 timestamp) = source.getPrice(_currencyPair);
+        require(price > 0, "Invalid price");
+        require(timestamp <= block.timestamp, "Price from the future");
+
+        Observation[] storage history = observations[_currencyPair];
+        uint256 cumulativePrice;
+        if (history.length > 0) {
+            Observation storage last = history[history.length - 1];
+            if (timestamp <= last.timestamp) {
+                return false;
+            }
+            cumulativePrice = last.cumulativePrice + last.price * (timestamp - last.timestamp);
+        }
+
+        history.push(Observation({timestamp: timestamp, price: price, cumulativePrice: cumulativePrice}));
+        emit ObservationRecorded(_currencyPair, price, timestamp);
+        return true;
+    }
+
+    function getTwap(
+        string memory _currencyPair,
+        uint256 _endTime,
+        uint256 _window
+    ) external view override returns (uint256 price) {
+        require(_window > 0 && _window <= _endTime, "Invalid window");
+
+        Observation[] storage history = observations[_currencyPair];
+        require(history.length > 0 && history[0].timestamp <= _endTime - _window, "Insufficient observations");
+        require(history[history.length - 1].timestamp >= _endTime, "Window not complete");
+
+        price = (_cumulativeAt(history, _endTime) - _cumulativeAt(history, _endTime - _window)) / _window;
+    }
+
+    function getPrice(string memory _currencyPair) external view override returns (uint256 price, uint256 timestamp) {
+        return source.getPrice(_currencyPair);
+    }
+
+    function isPriceFeedAvailable(string memory _currencyPair) external view override returns (bool available) {
+        return source.isPriceFeedAvailable(_currencyPair);
+    }
+
+    /**
+     * @notice Number of observations recorded for a pair
+     */
+    function getObservationCount(string memory _currencyPair) external view returns (uint256) {
+        return observations[_currencyPair].length;
+    }
+
+    /**
+     * @notice A recorded observation
+     */
+    function getObservation(
+        string memory _currencyPair,
+        uint256 _index
+    ) external view returns (Observation memory) {
+        return observations[_currencyPair][_index];
+    }
+
+    /**
+     * @notice Change the source oracle (owner only)
+     * @dev Existing observations are kept; new ones come from the new source
+     */
+    function setSource(address _source) external onlyOwner {
+        require(_source != address(0), "Invalid source");
+        source = IPriceOracle(_source);
+        emit SourceUpdated(_source);
+    }
+
+    /**
+     * @notice Price integral up to `_time`, which must not precede the first observation
+     */
+    function _cumulativeAt(Observation[] storage _history, uint256 _time) internal view returns (uint256) {
+        // Binary search for the last observation at or before _time
+        uint256 low = 0;
+        uint256 high = _history.length - 1;
+        while (low < high) {
+            uint256 mid = (low + high + 1) / 2;
+            if (_history[mid].timestamp <= _time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        Observation storage observation = _history[low];
+        return observation.cumulativePrice + observation.price * (_time - observation.timestamp);
+    }
+}
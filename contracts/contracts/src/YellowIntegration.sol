@@ -2,7 +2,13 @@
 pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
  * @title YellowIntegration
@@ -12,8 +18,35 @@ import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
  * ERC-7824 (Nitrolite) allows off-chain transactions through state channels.
  * This contract provides the on-chain settlement layer for prediction market positions
  * that were created off-chain via Yellow SDK.
+ *
+ * Position amounts are escrowed on record. Settlements must carry an EIP-712
+ * signature from an authorized ClearNode operator; payouts are paid from the
+ * session's own escrow, at most its amount, and the rest goes to the house.
+ *
+ * Positions can be recorded through a trusted ERC-2771 forwarder, with the
+ * escrow approved by an EIP-2612 permit, so users need neither ETH nor a
+ * separate approve transaction.
  */
-contract YellowIntegration is Ownable, ReentrancyGuard {
+contract YellowIntegration is Ownable, ReentrancyGuard, EIP712, ERC2771Context {
+    using SafeERC20 for IERC20;
+
+    // EIP-712 typehash for ClearNode settlement messages
+    bytes32 public constant SETTLEMENT_TYPEHASH = keccak256(
+        "Settlement(bytes32 sessionId,address user,address market,uint256 payout,uint256 nonce)"
+    );
+
+    // Token escrowed for off-chain positions (e.g., USDC)
+    IERC20 public immutable collateralToken;
+
+    // Authorized ClearNode operator signing keys
+    mapping(address => bool) public operators;
+
+    // Receives the escrow a settlement does not pay out to the user
+    address public house;
+
+    // Replay protection: sessionId => nonce => used
+    mapping(bytes32 => mapping(uint256 => bool)) public usedNonces;
+
     // Mapping: sessionId => settlement data
     mapping(bytes32 => SettlementData) public settlements;
     
@@ -41,6 +74,10 @@ contract YellowIntegration is Ownable, ReentrancyGuard {
         bytes32 indexed sessionId,
         address indexed user
     );
+    
+    event OperatorUpdated(address indexed operator, bool authorized);
+
+    event HouseUpdated(address indexed house);
 
     struct SettlementData {
         address user;
@@ -51,8 +88,45 @@ contract YellowIntegration is Ownable, ReentrancyGuard {
         uint256 payout;
     }
 
+    /**
+     * @param _owner Owner of the contract (manages ClearNode operators)
+     * @param _collateralToken Token escrowed for off-chain positions
+     * @param _trustedForwarder ERC-2771 forwarder allowed to relay users' calls (zero disables)
+     */
+    constructor(
+        address _owner,
+        address _collateralToken,
+        address _trustedForwarder
+    ) Ownable(_owner) EIP712("YellowIntegration", "1") ERC2771Context(_trustedForwarder) {
+        require(_collateralToken != address(0), "Invalid collateral token");
+        collateralToken = IERC20(_collateralToken);
+        house = _owner;
+    }
+
+    /**
+     * @notice Authorize or revoke a ClearNode operator signing key (owner only)
+     * @param _operator Operator address
+     * @param _authorized Whether the operator may sign settlements
+     */
+    function setOperator(address _operator, bool _authorized) external onlyOwner {
+        require(_operator != address(0), "Invalid operator");
+        operators[_operator] = _authorized;
+        emit OperatorUpdated(_operator, _authorized);
+    }
+
+    /**
+     * @notice Set the recipient of escrow not paid out by settlements (owner only)
+     * @param _house House address
+     */
+    function setHouse(address _house) external onlyOwner {
+        require(_house != address(0), "Invalid house");
+        house = _house;
+        emit HouseUpdated(_house);
+    }
+
     /**
      * @notice Record an off-chain position created via Yellow SDK
+     * @dev Transfers `_amount` of collateral from the caller into escrow
      * @param _sessionId Unique session identifier from Yellow Network
      * @param _market Address of the prediction market
      * @param _amount Amount of the position
@@ -61,13 +135,50 @@ contract YellowIntegration is Ownable, ReentrancyGuard {
         bytes32 _sessionId,
         address _market,
         uint256 _amount
-    ) external {
+    ) external nonReentrant {
+        _recordOffChainPosition(_msgSender(), _sessionId, _market, _amount);
+    }
+
+    /**
+     * @notice Record an off-chain position, approving the escrow with an EIP-2612 permit
+     * @param _sessionId Unique session identifier from Yellow Network
+     * @param _market Address of the prediction market
+     * @param _amount Amount of the position
+     * @param _deadline Permit deadline
+     * @param _v Permit signature v
+     * @param _r Permit signature r
+     * @param _s Permit signature s
+     */
+    function recordOffChainPositionWithPermit(
+        bytes32 _sessionId,
+        address _market,
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant {
+        address user = _msgSender();
+        // Ignore a failing permit (e.g. front-run); the transfer checks the allowance
+        try IERC20Permit(address(collateralToken)).permit(user, address(this), _amount, _deadline, _v, _r, _s) {} catch {}
+        _recordOffChainPosition(user, _sessionId, _market, _amount);
+    }
+
+    /**
+     * @dev Shared by recordOffChainPosition and recordOffChainPositionWithPermit
+     */
+    function _recordOffChainPosition(
+        address _user,
+        bytes32 _sessionId,
+        address _market,
+        uint256 _amount
+    ) internal {
         require(_market != address(0), "Invalid market");
         require(_amount > 0, "Invalid amount");
         require(settlements[_sessionId].user == address(0), "Session already exists");
         
         settlements[_sessionId] = SettlementData({
-            user: msg.sender,
+            user: _user,
             market: _market,
             amount: _amount,
             timestamp: block.timestamp,
@@ -75,33 +186,58 @@ contract YellowIntegration is Ownable, ReentrancyGuard {
             payout: 0
         });
         
-        userSessions[msg.sender].push(_sessionId);
+        userSessions[_user].push(_sessionId);
         
-        emit OffChainPositionCreated(_sessionId, msg.sender, _market, _amount, block.timestamp);
+        collateralToken.safeTransferFrom(_user, address(this), _amount);
+        
+        emit OffChainPositionCreated(_sessionId, _user, _market, _amount, block.timestamp);
     }
 
     /**
      * @notice Finalize settlement for an off-chain position
+     * @dev Anyone may submit; the payout is authorized by the operator signature.
+     *      It comes out of the session's escrow, and the rest of it goes to the house
      * @param _sessionId Session identifier
-     * @param _payout Payout amount (0 if position lost)
-     * @param _signature Signature from Yellow Network confirming settlement
+     * @param _payout Payout amount (0 if position lost), at most the escrowed amount
+     * @param _nonce Settlement nonce signed by the operator
+     * @param _signature EIP-712 signature from a ClearNode operator confirming settlement
      */
     function finalizeSettlement(
         bytes32 _sessionId,
         uint256 _payout,
+        uint256 _nonce,
         bytes memory _signature
     ) external nonReentrant {
         SettlementData storage settlement = settlements[_sessionId];
         require(settlement.user != address(0), "Session not found");
         require(!settlement.finalized, "Already finalized");
+        require(!usedNonces[_sessionId][_nonce], "Nonce already used");
+        require(_payout <= settlement.amount, "Payout exceeds escrow");
         
-        // In a production system, you would verify the signature from Yellow Network
-        // For now, we'll allow the user to finalize their own settlement
-        // In production, this should be called by a trusted Yellow Network operator
+        bytes32 structHash = hashSettlement(
+            _sessionId,
+            settlement.user,
+            settlement.market,
+            _payout,
+            _nonce
+        );
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(
+            _hashTypedDataV4(structHash),
+            _signature
+        );
+        require(err == ECDSA.RecoverError.NoError && operators[signer], "Invalid operator signature");
         
+        usedNonces[_sessionId][_nonce] = true;
         settlement.finalized = true;
         settlement.payout = _payout;
         
+        if (_payout > 0) {
+            collateralToken.safeTransfer(settlement.user, _payout);
+        }
+        if (settlement.amount > _payout) {
+            collateralToken.safeTransfer(house, settlement.amount - _payout);
+        }
+        
         emit SettlementFinalized(
             _sessionId,
             settlement.user,
@@ -117,10 +253,10 @@ contract YellowIntegration is Ownable, ReentrancyGuard {
      */
     function closeSession(bytes32 _sessionId) external {
         SettlementData storage settlement = settlements[_sessionId];
-        require(settlement.user == msg.sender, "Not your session");
+        require(settlement.user == _msgSender(), "Not your session");
         require(settlement.finalized, "Settlement not finalized");
         
-        emit SessionClosed(_sessionId, msg.sender);
+        emit SessionClosed(_sessionId, _msgSender());
     }
 
     /**
@@ -153,17 +289,48 @@ contract YellowIntegration is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Verify a signature (placeholder for Yellow Network signature verification)
-     * @dev In production, this would verify signatures from Yellow Network Clearnodes
+     * @notice Compute the EIP-712 struct hash of a settlement message
+     */
+    function hashSettlement(
+        bytes32 _sessionId,
+        address _user,
+        address _market,
+        uint256 _payout,
+        uint256 _nonce
+    ) public pure returns (bytes32) {
+        return keccak256(
+            abi.encode(SETTLEMENT_TYPEHASH, _sessionId, _user, _market, _payout, _nonce)
+        );
+    }
+
+    /**
+     * @notice Verify an EIP-712 signature from a Yellow Network ClearNode
+     * @param _messageHash EIP-712 struct hash (see hashSettlement)
+     * @param _signature Signature over the typed data digest
+     * @param _signer Expected signer
+     * @return Whether `_signer` produced the signature and is an authorized operator
      */
     function verifyYellowSignature(
         bytes32 _messageHash,
         bytes memory _signature,
         address _signer
-    ) public pure returns (bool) {
-        // Placeholder implementation
-        // In production, implement EIP-712 signature verification
-        // for Yellow Network Clearnode signatures
-        return true;
+    ) public view returns (bool) {
+        (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(
+            _hashTypedDataV4(_messageHash),
+            _signature
+        );
+        return err == ECDSA.RecoverError.NoError && recovered == _signer && operators[_signer];
+    }
+
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
     }
 }
@@ -6,6 +6,8 @@ module.exports = {
   solidity: {
     version: "0.8.24",
     settings: {
+      // OpenZeppelin's SignatureChecker (ERC-1271 makers on OutcomeOrderBook) uses mcopy
+      evmVersion: "cancun",
       optimizer: {
         enabled: true,
         runs: 200,
@@ -11,30 +11,30 @@ async function main() {
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   console.log("Account balance:", hre.ethers.formatEther(balance), "USDC");
 
-  // Deploy YellowIntegration
-  console.log("\n1. Deploying YellowIntegration...");
+  // Deploy MockERC20 for USDC (if needed)
+  console.log("\n1. Deploying MockERC20 (USDC) for testing...");
+  const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+  const mockUSDC = await MockERC20.deploy("USD Coin", "USDC", 6);
+  await mockUSDC.waitForDeployment();
+  const mockUSDCAddress = await mockUSDC.getAddress();
+  console.log("MockUSDC deployed to:", mockUSDCAddress);
+
+  // Deploy YellowIntegration (escrows USDC)
+  console.log("\n2. Deploying YellowIntegration...");
   const YellowIntegration = await hre.ethers.getContractFactory("YellowIntegration");
-  const yellowIntegration = await YellowIntegration.deploy();
+  const yellowIntegration = await YellowIntegration.deploy(deployer.address, mockUSDCAddress, hre.ethers.ZeroAddress);
   await yellowIntegration.waitForDeployment();
   const yellowIntegrationAddress = await yellowIntegration.getAddress();
   console.log("YellowIntegration deployed to:", yellowIntegrationAddress);
 
   // Deploy PriceOracle (mock for now)
-  console.log("\n2. Deploying PriceOracle...");
+  console.log("\n3. Deploying PriceOracle...");
   const PriceOracle = await hre.ethers.getContractFactory("PriceOracle");
   const priceOracle = await PriceOracle.deploy();
   await priceOracle.waitForDeployment();
   const priceOracleAddress = await priceOracle.getAddress();
   console.log("PriceOracle deployed to:", priceOracleAddress);
 
-  // Deploy MockERC20 for USDC (if needed)
-  console.log("\n3. Deploying MockERC20 (USDC) for testing...");
-  const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
-  const mockUSDC = await MockERC20.deploy("USD Coin", "USDC", 6);
-  await mockUSDC.waitForDeployment();
-  const mockUSDCAddress = await mockUSDC.getAddress();
-  console.log("MockUSDC deployed to:", mockUSDCAddress);
-
   // Deploy MarketFactory
   console.log("\n4. Deploying MarketFactory...");
   const MarketFactory = await hre.ethers.getContractFactory("MarketFactory");
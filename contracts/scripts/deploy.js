@@ -29,6 +29,37 @@ const TARGET_PRICES = [
   "100000000"   // 1.0 USDC/USYC
 ];
 
+// Market maker subsidy per market (in collateral units, e.g., 100 USDC)
+const MARKET_SUBSIDY = process.env.MARKET_SUBSIDY || "100000000";
+
+// Entry fees in basis points: protocol fee goes to the MarketFactory treasury,
+// creator fee accrues to the market creator
+const PROTOCOL_FEE_BPS = process.env.PROTOCOL_FEE_BPS || "0";
+const MARKET_CREATOR_FEE_BPS = process.env.MARKET_CREATOR_FEE_BPS || "0";
+// Settle on the oracle's TWAP over this many seconds (0 = spot price; needs a TwapOracle)
+const MARKET_TWAP_WINDOW = process.env.MARKET_TWAP_WINDOW || "0";
+// Accounts granted factory roles besides the deployer, who holds every role
+const GUARDIAN_ADDRESS = process.env.GUARDIAN_ADDRESS;
+const RESOLVER_ADDRESS = process.env.RESOLVER_ADDRESS;
+const MARKET_CREATOR_ADDRESSES = (process.env.MARKET_CREATOR_ADDRESSES || "")
+  .split(",")
+  .map(address => address.trim())
+  .filter(Boolean);
+// Creation policy: duration bounds in seconds and the band targets must sit in around the oracle price (0 = no limit)
+const MIN_MARKET_DURATION = process.env.MIN_MARKET_DURATION || "0";
+const MAX_MARKET_DURATION = process.env.MAX_MARKET_DURATION || "0";
+const MAX_TARGET_DEVIATION_BPS = process.env.MAX_TARGET_DEVIATION_BPS || "0";
+// Circuit breakers: halt entries on a price move above this many bps, or a price older than this many seconds (0 = off)
+const CIRCUIT_BREAKER_MAX_MOVE_BPS = process.env.CIRCUIT_BREAKER_MAX_MOVE_BPS || "0";
+const CIRCUIT_BREAKER_MAX_PRICE_AGE = process.env.CIRCUIT_BREAKER_MAX_PRICE_AGE || "0";
+// Parent name pie names are issued under; with no ENS_REGISTRY_ADDRESS a local ENS registry and resolver are deployed
+const PIE_NAME_PARENT = process.env.PIE_NAME_PARENT || "laxo.eth";
+// Further collateral tokens markets may use besides the main one (e.g. EURC, JPYC)
+const ADDITIONAL_COLLATERAL_TOKENS = (process.env.ADDITIONAL_COLLATERAL_TOKENS || "")
+  .split(",")
+  .map(address => address.trim())
+  .filter(Boolean);
+
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   
@@ -43,36 +74,195 @@ async function main() {
   // In production, replace with actual Chainlink/Pyth oracle address
   const oracleAddress = process.env.ORACLE_ADDRESS || deployer.address; // Placeholder
   
-  // Deploy YellowIntegration
-  console.log("\n1. Deploying YellowIntegration...");
+  // For testing, deploy a mock USDC token if not on mainnet/testnet with real USDC
+  let collateralTokenAddress = process.env.COLLATERAL_TOKEN_ADDRESS;
+  
+  if (!collateralTokenAddress) {
+    console.log("\n1. Deploying MockERC20 (USDC) for testing...");
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+    const mockUSDC = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await mockUSDC.waitForDeployment();
+    collateralTokenAddress = await mockUSDC.getAddress();
+    console.log("MockUSDC deployed to:", collateralTokenAddress);
+
+    // Mint enough mock USDC to subsidize every market
+    await (await mockUSDC.mint(deployer.address, BigInt(MARKET_SUBSIDY) * BigInt(CURRENCY_PAIRS.length))).wait();
+  } else {
+    console.log("\n1. Using existing collateral token:", collateralTokenAddress);
+  }
+
+  // ERC-2771 forwarder that relayers submit users' signed requests through
+  let trustedForwarderAddress = process.env.TRUSTED_FORWARDER_ADDRESS;
+  if (!trustedForwarderAddress) {
+    const TrustedForwarder = await hre.ethers.getContractFactory("TrustedForwarder");
+    const trustedForwarder = await TrustedForwarder.deploy();
+    await trustedForwarder.waitForDeployment();
+    trustedForwarderAddress = await trustedForwarder.getAddress();
+    console.log("TrustedForwarder deployed to:", trustedForwarderAddress);
+  } else {
+    console.log("Using existing trusted forwarder:", trustedForwarderAddress);
+  }
+
+  // Deploy YellowIntegration (escrows the collateral token)
+  console.log("\n2. Deploying YellowIntegration...");
   const YellowIntegration = await hre.ethers.getContractFactory("YellowIntegration");
-  const yellowIntegration = await YellowIntegration.deploy(deployer.address);
+  const yellowIntegration = await YellowIntegration.deploy(
+    deployer.address,
+    collateralTokenAddress,
+    trustedForwarderAddress
+  );
   await yellowIntegration.waitForDeployment();
   const yellowIntegrationAddress = await yellowIntegration.getAddress();
   console.log("YellowIntegration deployed to:", yellowIntegrationAddress);
 
+  // Authorize the ClearNode operator key that signs settlements
+  if (process.env.CLEARNODE_OPERATOR_ADDRESS) {
+    await (await yellowIntegration.setOperator(process.env.CLEARNODE_OPERATOR_ADDRESS, true)).wait();
+    console.log("ClearNode operator authorized:", process.env.CLEARNODE_OPERATOR_ADDRESS);
+  }
+
   // Deploy MarketFactory
-  console.log("\n2. Deploying MarketFactory...");
+  console.log("\n3. Deploying MarketFactory...");
   const MarketFactory = await hre.ethers.getContractFactory("MarketFactory");
-  const marketFactory = await MarketFactory.deploy(oracleAddress, deployer.address);
+  const PredictionMarket = await hre.ethers.getContractFactory("PredictionMarket");
+  // Every market issues its Long/Short shares on one ERC-1155 OutcomeToken
+  const OutcomeToken = await hre.ethers.getContractFactory("OutcomeToken");
+  const outcomeToken = await OutcomeToken.deploy();
+  await outcomeToken.waitForDeployment();
+  const outcomeTokenAddress = await outcomeToken.getAddress();
+  console.log("OutcomeToken deployed to:", outcomeTokenAddress);
+  const predictionMarketImplementation = await PredictionMarket.deploy(trustedForwarderAddress, outcomeTokenAddress);
+  await predictionMarketImplementation.waitForDeployment();
+  const predictionMarketImplementationAddress = await predictionMarketImplementation.getAddress();
+  console.log("PredictionMarket implementation deployed to:", predictionMarketImplementationAddress);
+
+  const marketFactory = await MarketFactory.deploy(
+    oracleAddress,
+    deployer.address,
+    predictionMarketImplementationAddress
+  );
   await marketFactory.waitForDeployment();
   const marketFactoryAddress = await marketFactory.getAddress();
   console.log("MarketFactory deployed to:", marketFactoryAddress);
 
-  // For testing, deploy a mock USDC token if not on mainnet/testnet with real USDC
-  let collateralTokenAddress = process.env.COLLATERAL_TOKEN_ADDRESS;
-  
-  if (!collateralTokenAddress) {
-    console.log("\n3. Deploying MockERC20 (USDC) for testing...");
-    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
-    const mockUSDC = await MockERC20.deploy("USD Coin", "USDC", 6);
-    await mockUSDC.waitForDeployment();
-    collateralTokenAddress = await mockUSDC.getAddress();
-    console.log("MockUSDC deployed to:", collateralTokenAddress);
+  // Allowlist the collateral tokens markets can be created with
+  const collateralTokens = [collateralTokenAddress, ...ADDITIONAL_COLLATERAL_TOKENS];
+  for (const token of collateralTokens) {
+    await (await marketFactory.addCollateral(token)).wait();
+    const { decimals } = await marketFactory.collateralInfo(token);
+    console.log(`Collateral allowed: ${token} (${decimals} decimals)`);
+  }
+
+  // Grant roles and allowlist the pairs markets are created on below
+  const roleGrants = [
+    ...MARKET_CREATOR_ADDRESSES.map(account => ["MARKET_CREATOR_ROLE", account]),
+    ...(RESOLVER_ADDRESS ? [["RESOLVER_ROLE", RESOLVER_ADDRESS]] : []),
+    ...(GUARDIAN_ADDRESS ? [["GUARDIAN_ROLE", GUARDIAN_ADDRESS]] : [])
+  ];
+  for (const [role, account] of roleGrants) {
+    await (await marketFactory.grantRole(await marketFactory[role](), account)).wait();
+    console.log(`${role} granted to:`, account);
+  }
+  await (await marketFactory.setPairsAllowed(CURRENCY_PAIRS, true)).wait();
+  console.log("Pairs allowed:", CURRENCY_PAIRS.join(", "));
+  if (MIN_MARKET_DURATION !== "0" || MAX_MARKET_DURATION !== "0" || MAX_TARGET_DEVIATION_BPS !== "0") {
+    await (await marketFactory.setCreationPolicy(MIN_MARKET_DURATION, MAX_MARKET_DURATION, MAX_TARGET_DEVIATION_BPS)).wait();
+    console.log(`Creation policy: ${MIN_MARKET_DURATION}s-${MAX_MARKET_DURATION}s duration, targets within ${MAX_TARGET_DEVIATION_BPS} bps`);
+  }
+  if (CIRCUIT_BREAKER_MAX_MOVE_BPS !== "0" || CIRCUIT_BREAKER_MAX_PRICE_AGE !== "0") {
+    await (await marketFactory.setCircuitBreaker(CIRCUIT_BREAKER_MAX_MOVE_BPS, CIRCUIT_BREAKER_MAX_PRICE_AGE)).wait();
+    console.log(`Circuit breakers: ${CIRCUIT_BREAKER_MAX_MOVE_BPS} bps max move, ${CIRCUIT_BREAKER_MAX_PRICE_AGE}s max price age`);
+  }
+
+  // Stateless router for batch entries and claims
+  const MarketRouter = await hre.ethers.getContractFactory("MarketRouter");
+  const marketRouter = await MarketRouter.deploy();
+  await marketRouter.waitForDeployment();
+  const marketRouterAddress = await marketRouter.getAddress();
+  console.log("MarketRouter deployed to:", marketRouterAddress);
+
+  // Signed limit orders for the factory's outcome shares, settled on the same OutcomeToken
+  const OutcomeOrderBook = await hre.ethers.getContractFactory("OutcomeOrderBook");
+  const orderBook = await OutcomeOrderBook.deploy(outcomeTokenAddress, marketFactoryAddress);
+  await orderBook.waitForDeployment();
+  const orderBookAddress = await orderBook.getAddress();
+  console.log("OutcomeOrderBook deployed to:", orderBookAddress);
+
+  // Per-pie smart wallets, cloned at CREATE2 addresses the frontend computes ahead of deployment
+  const PieWallet = await hre.ethers.getContractFactory("PieWallet");
+  const pieWalletImplementation = await PieWallet.deploy();
+  await pieWalletImplementation.waitForDeployment();
+  const pieWalletImplementationAddress = await pieWalletImplementation.getAddress();
+  const PieWalletFactory = await hre.ethers.getContractFactory("PieWalletFactory");
+  const pieWalletFactory = await PieWalletFactory.deploy(pieWalletImplementationAddress);
+  await pieWalletFactory.waitForDeployment();
+  const pieWalletFactoryAddress = await pieWalletFactory.getAddress();
+  console.log("PieWalletFactory deployed to:", pieWalletFactoryAddress);
+
+  // On-chain baskets backing pies, one PieVault per pie priced by the markets' oracle
+  const PieVaultFactory = await hre.ethers.getContractFactory("PieVaultFactory");
+  const pieVaultFactory = await PieVaultFactory.deploy(oracleAddress);
+  await pieVaultFactory.waitForDeployment();
+  const pieVaultFactoryAddress = await pieVaultFactory.getAddress();
+  console.log("PieVaultFactory deployed to:", pieVaultFactoryAddress);
+
+  // Registrar issuing pie-<slug>.<user>.<PIE_NAME_PARENT> names to pie wallets
+  let ensRegistryAddress = process.env.ENS_REGISTRY_ADDRESS;
+  let ensResolverAddress = process.env.ENS_RESOLVER_ADDRESS;
+  if (!ensRegistryAddress) {
+    const MockENSRegistry = await hre.ethers.getContractFactory("MockENSRegistry");
+    const ensRegistry = await MockENSRegistry.deploy();
+    await ensRegistry.waitForDeployment();
+    ensRegistryAddress = await ensRegistry.getAddress();
+    const MockPublicResolver = await hre.ethers.getContractFactory("MockPublicResolver");
+    const ensResolver = await MockPublicResolver.deploy(ensRegistryAddress);
+    await ensResolver.waitForDeployment();
+    ensResolverAddress = await ensResolver.getAddress();
+
+    // The deployer owns the root, so it can create the parent name
+    let node = hre.ethers.ZeroHash;
+    for (const label of PIE_NAME_PARENT.split(".").reverse()) {
+      await (await ensRegistry.setSubnodeOwner(node, hre.ethers.id(label), deployer.address)).wait();
+      node = hre.ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [node, hre.ethers.id(label)]);
+    }
+    console.log("Local ENS registry deployed to:", ensRegistryAddress);
+  } else if (!ensResolverAddress) {
+    throw new Error("ENS_RESOLVER_ADDRESS is required with ENS_REGISTRY_ADDRESS");
+  }
+
+  const parentNode = hre.ethers.namehash(PIE_NAME_PARENT);
+  const PieNameRegistrar = await hre.ethers.getContractFactory("PieNameRegistrar");
+  const pieNameRegistrar = await PieNameRegistrar.deploy(
+    ensRegistryAddress,
+    ensResolverAddress,
+    pieWalletFactoryAddress,
+    parentNode,
+    PIE_NAME_PARENT
+  );
+  await pieNameRegistrar.waitForDeployment();
+  const pieNameRegistrarAddress = await pieNameRegistrar.getAddress();
+  console.log("PieNameRegistrar deployed to:", pieNameRegistrarAddress);
+
+  const ensRegistry = await hre.ethers.getContractAt("MockENSRegistry", ensRegistryAddress);
+  if ((await ensRegistry.owner(parentNode)) === deployer.address) {
+    await (await ensRegistry.setOwner(parentNode, pieNameRegistrarAddress)).wait();
+    console.log(`${PIE_NAME_PARENT} transferred to the PieNameRegistrar`);
   } else {
-    console.log("\n3. Using existing collateral token:", collateralTokenAddress);
+    console.log(`Transfer ${PIE_NAME_PARENT} to the PieNameRegistrar (or approve it as an ENS operator) to issue pie names`);
   }
 
+  if (PROTOCOL_FEE_BPS !== "0") {
+    await (await marketFactory.setProtocolFee(PROTOCOL_FEE_BPS)).wait();
+    console.log("Protocol fee set to", PROTOCOL_FEE_BPS, "bps");
+  }
+
+  // Allow the factory to pull market maker subsidies
+  const collateralToken = await hre.ethers.getContractAt("IERC20", collateralTokenAddress);
+  await (await collateralToken.approve(
+    marketFactoryAddress,
+    BigInt(MARKET_SUBSIDY) * BigInt(CURRENCY_PAIRS.length)
+  )).wait();
+
   // Calculate resolution time (24 hours from now)
   const resolutionTime = Math.floor(Date.now() / 1000) + 86400;
 
@@ -87,7 +277,10 @@ async function main() {
       CURRENCY_PAIRS[i],
       collateralTokenAddress,
       TARGET_PRICES[i],
-      resolutionTime
+      resolutionTime,
+      MARKET_SUBSIDY,
+      MARKET_CREATOR_FEE_BPS,
+      MARKET_TWAP_WINDOW
     );
     
     const receipt = await tx.wait();
@@ -108,7 +301,19 @@ async function main() {
   console.log("\n=== Deployment Summary ===");
   console.log("YellowIntegration:", yellowIntegrationAddress);
   console.log("MarketFactory:", marketFactoryAddress);
+  console.log("PredictionMarket implementation:", predictionMarketImplementationAddress);
+  console.log("OutcomeToken:", outcomeTokenAddress);
+  console.log("MarketRouter:", marketRouterAddress);
+  console.log("OutcomeOrderBook:", orderBookAddress);
+  console.log("PieWalletFactory:", pieWalletFactoryAddress);
+  console.log("PieWallet implementation:", pieWalletImplementationAddress);
+  console.log("PieVaultFactory:", pieVaultFactoryAddress);
+  console.log("PieNameRegistrar:", pieNameRegistrarAddress, `(${PIE_NAME_PARENT})`);
   console.log("Collateral Token:", collateralTokenAddress);
+  if (ADDITIONAL_COLLATERAL_TOKENS.length > 0) {
+    console.log("Additional Collateral Tokens:", ADDITIONAL_COLLATERAL_TOKENS.join(", "));
+  }
+  console.log("Trusted Forwarder:", trustedForwarderAddress);
   console.log("\nMarkets created:");
   marketAddresses.forEach((addr, i) => {
     console.log(`  ${CURRENCY_PAIRS[i]}: ${addr}`);
@@ -122,7 +327,20 @@ async function main() {
     deployer: deployer.address,
     yellowIntegration: yellowIntegrationAddress,
     marketFactory: marketFactoryAddress,
+    predictionMarketImplementation: predictionMarketImplementationAddress,
+    outcomeToken: outcomeTokenAddress,
+    marketRouter: marketRouterAddress,
+    orderBook: orderBookAddress,
+    pieWalletFactory: pieWalletFactoryAddress,
+    pieWalletImplementation: pieWalletImplementationAddress,
+    pieVaultFactory: pieVaultFactoryAddress,
+    pieNameRegistrar: pieNameRegistrarAddress,
+    ensRegistry: ensRegistryAddress,
+    ensResolver: ensResolverAddress,
+    pieNameParent: PIE_NAME_PARENT,
     collateralToken: collateralTokenAddress,
+    collateralTokens,
+    trustedForwarder: trustedForwarderAddress,
     oracle: oracleAddress,
     markets: CURRENCY_PAIRS.reduce((acc, pair, i) => {
       acc[pair] = marketAddresses[i];
@@ -146,7 +364,7 @@ async function main() {
     try {
       await hre.run("verify:verify", {
         address: yellowIntegrationAddress,
-        constructorArguments: [deployer.address],
+        constructorArguments: [deployer.address, collateralTokenAddress, trustedForwarderAddress],
       });
       console.log("✓ YellowIntegration verified");
     } catch (error) {
@@ -156,12 +374,22 @@ async function main() {
     try {
       await hre.run("verify:verify", {
         address: marketFactoryAddress,
-        constructorArguments: [oracleAddress, deployer.address],
+        constructorArguments: [oracleAddress, deployer.address, predictionMarketImplementationAddress],
       });
       console.log("✓ MarketFactory verified");
     } catch (error) {
       console.log("MarketFactory verification failed:", error.message);
     }
+
+    try {
+      await hre.run("verify:verify", {
+        address: predictionMarketImplementationAddress,
+        constructorArguments: [trustedForwarderAddress],
+      });
+      console.log("✓ PredictionMarket implementation verified");
+    } catch (error) {
+      console.log("PredictionMarket implementation verification failed:", error.message);
+    }
   }
 
   console.log("\n✅ Deployment complete!");
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMarketFactory } = require("./helpers");
+
+describe("ChainlinkOracle", function () {
+  let chainlinkOracle;
+  let aggregator;
+  let owner;
+  let user1;
+
+  const CURRENCY_PAIR = "EUR/USD";
+  const HEARTBEAT = 3600;
+  const MAX_DEVIATION_BPS = 500; // 5%
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    // 18-decimal feed to exercise normalization
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    aggregator = await MockV3Aggregator.deploy(18, ethers.parseUnits("1.08", 18));
+    await aggregator.waitForDeployment();
+
+    const ChainlinkOracle = await ethers.getContractFactory("ChainlinkOracle");
+    chainlinkOracle = await ChainlinkOracle.deploy(owner.address);
+    await chainlinkOracle.waitForDeployment();
+
+    await chainlinkOracle.setFeed(CURRENCY_PAIR, await aggregator.getAddress(), HEARTBEAT, MAX_DEVIATION_BPS);
+  });
+
+  it("Should return prices normalized to 8 decimals", async function () {
+    const [price, timestamp] = await chainlinkOracle.getPrice(CURRENCY_PAIR);
+    expect(price).to.equal(ethers.parseUnits("1.08", 8));
+    expect(timestamp).to.equal((await aggregator.latestRoundData())[3]);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const sixDecimals = await MockV3Aggregator.deploy(6, 150000000); // 150.0
+    await chainlinkOracle.setFeed("JPY/USD", await sixDecimals.getAddress(), HEARTBEAT, 0);
+    expect((await chainlinkOracle.getPrice("JPY/USD"))[0]).to.equal(ethers.parseUnits("150", 8));
+  });
+
+  it("Should reject answers older than the heartbeat", async function () {
+    await time.increase(HEARTBEAT + 1);
+
+    await expect(chainlinkOracle.getPrice(CURRENCY_PAIR)).to.be.revertedWith("Stale price");
+    expect(await chainlinkOracle.isPriceFeedAvailable(CURRENCY_PAIR)).to.be.false;
+  });
+
+  it("Should reject moves beyond the deviation limit", async function () {
+    await aggregator.updateAnswer(ethers.parseUnits("1.12", 18)); // +3.7%
+    expect((await chainlinkOracle.getPrice(CURRENCY_PAIR))[0]).to.equal(ethers.parseUnits("1.12", 8));
+
+    await aggregator.updateAnswer(ethers.parseUnits("1.2", 18)); // +7.1%
+    await expect(chainlinkOracle.getPrice(CURRENCY_PAIR)).to.be.revertedWith("Price deviation too high");
+  });
+
+  it("Should reject invalid answers", async function () {
+    await aggregator.updateAnswer(0);
+    await expect(chainlinkOracle.getPrice(CURRENCY_PAIR)).to.be.revertedWith("Invalid price");
+  });
+
+  it("Should only serve mapped pairs", async function () {
+    await expect(chainlinkOracle.getPrice("GBP/USD")).to.be.revertedWith("Price feed not available");
+    expect(await chainlinkOracle.isPriceFeedAvailable("GBP/USD")).to.be.false;
+    expect(await chainlinkOracle.isPriceFeedAvailable(CURRENCY_PAIR)).to.be.true;
+
+    await expect(chainlinkOracle.removeFeed(CURRENCY_PAIR)).to.emit(chainlinkOracle, "FeedRemoved");
+    expect(await chainlinkOracle.isPriceFeedAvailable(CURRENCY_PAIR)).to.be.false;
+  });
+
+  it("Should only let the owner manage feeds", async function () {
+    await expect(
+      chainlinkOracle.connect(user1).setFeed("GBP/USD", await aggregator.getAddress(), HEARTBEAT, 0)
+    ).to.be.revertedWithCustomError(chainlinkOracle, "OwnableUnauthorizedAccount");
+  });
+
+  it("Should settle markets through the factory", async function () {
+    const { mockToken, marketFactory } = await deployMarketFactory(owner, [CURRENCY_PAIR], {
+      oracle: await chainlinkOracle.getAddress()
+    });
+
+    const resolutionTime = (await time.latest()) + 600;
+    await marketFactory.createRangeMarket(
+      CURRENCY_PAIR,
+      await mockToken.getAddress(),
+      [ethers.parseUnits("1.05", 8), ethers.parseUnits("1.07", 8), ethers.parseUnits("1.09", 8)],
+      resolutionTime,
+      0
+    );
+    const [marketAddress] = await marketFactory.getAllMarkets();
+    const rangeMarket = await ethers.getContractAt("RangeMarket", marketAddress);
+
+    await mockToken.mint(user1.address, ethers.parseUnits("100", 6));
+    await mockToken.connect(user1).approve(marketAddress, ethers.MaxUint256);
+    await rangeMarket.connect(user1).stake(1, ethers.parseUnits("100", 6));
+
+    await time.increaseTo(resolutionTime);
+    await aggregator.updateAnswer(ethers.parseUnits("1.08", 18));
+
+    await rangeMarket.resolve();
+    expect(await rangeMarket.winningOutcome()).to.equal(1);
+    expect(await rangeMarket.finalPrice()).to.equal(ethers.parseUnits("1.08", 8));
+  });
+});
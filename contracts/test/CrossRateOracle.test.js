@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMarketFactory } = require("./helpers");
+
+describe("CrossRateOracle", function () {
+  let crossRateOracle;
+  let source;
+  let owner;
+
+  const price = (value) => ethers.parseUnits(value, 8);
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    // Seeded legs are units per USD: EUR/USD = 1.0, JPY/USD = 150, BRL/USD = 5
+    source = await MockPriceOracle.deploy();
+    await source.waitForDeployment();
+
+    const CrossRateOracle = await ethers.getContractFactory("CrossRateOracle");
+    crossRateOracle = await CrossRateOracle.deploy(await source.getAddress());
+    await crossRateOracle.waitForDeployment();
+  });
+
+  it("Should derive crosses from the USD legs", async function () {
+    const [eurJpy] = await crossRateOracle.getPrice("EUR/JPY");
+    expect(eurJpy).to.equal(price("150"));
+
+    const [brlJpy] = await crossRateOracle.getPrice("BRL/JPY");
+    expect(brlJpy).to.equal(price("30")); // 150 JPY = 5 BRL = 1 USD
+
+    const [jpyBrl] = await crossRateOracle.getPrice("JPY/BRL");
+    expect(jpyBrl).to.equal(3333333n); // 0.03333333...
+
+    const [usdJpy] = await crossRateOracle.getPrice("USD/JPY");
+    expect(usdJpy).to.equal(price("150"));
+  });
+
+  it("Should stamp crosses with the older leg's timestamp", async function () {
+    const [, eurTimestamp] = await source.getPrice("EUR/USD");
+    await time.increase(600);
+    await source.updatePrice("JPY/USD", price("160"));
+
+    const [eurJpy, timestamp] = await crossRateOracle.getPrice("EUR/JPY");
+    expect(eurJpy).to.equal(price("160"));
+    expect(timestamp).to.equal(eurTimestamp);
+  });
+
+  it("Should pass through pairs the source quotes directly", async function () {
+    await source.updatePrice("BRL/MXN", price("3.5"));
+    expect((await crossRateOracle.getPrice("BRL/MXN"))[0]).to.equal(price("3.5"));
+    expect((await crossRateOracle.getPrice("JPY/USD"))[0]).to.equal(price("150"));
+  });
+
+  it("Should report pairs with a missing leg as unavailable", async function () {
+    expect(await crossRateOracle.isPriceFeedAvailable("EUR/JPY")).to.be.true;
+    expect(await crossRateOracle.isPriceFeedAvailable("EUR/CHF")).to.be.false;
+    await expect(crossRateOracle.getPrice("EUR/CHF")).to.be.revertedWith("Price feed not available");
+    await expect(crossRateOracle.getPrice("EURJPY")).to.be.revertedWith("Invalid pair");
+  });
+
+  it("Should let the factory create markets on crosses", async function () {
+    const { mockToken, marketFactory } = await deployMarketFactory(owner, ["EUR/JPY", "EUR/CHF"], {
+      oracle: await crossRateOracle.getAddress()
+    });
+
+    const resolutionTime = (await time.latest()) + 3600;
+    await marketFactory.createRangeMarket(
+      "EUR/JPY",
+      await mockToken.getAddress(),
+      [price("145"), price("150"), price("155")],
+      resolutionTime,
+      0
+    );
+    expect(await marketFactory.getMarketCount()).to.equal(1);
+
+    await expect(
+      marketFactory.createRangeMarket("EUR/CHF", await mockToken.getAddress(), [1, 2], resolutionTime, 0)
+    ).to.be.revertedWith("Price feed not available");
+  });
+});
@@ -1,27 +1,37 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMarketFactory } = require("./helpers");
 
 describe("MarketFactory", function () {
   let marketFactory;
   let mockToken;
+  let priceOracle;
   let owner;
   let user1;
   let oracle;
 
-  const RESOLUTION_TIME = Math.floor(Date.now() / 1000) + 86400;
+  let RESOLUTION_TIME;
+  const SUBSIDY = ethers.parseUnits("100", 6);
 
   beforeEach(async function () {
     [owner, user1, oracle] = await ethers.getSigners();
+    RESOLUTION_TIME = (await time.latest()) + 86400;
 
-    // Deploy mock ERC20 token
-    const MockERC20 = await ethers.getContractFactory("MockERC20");
-    mockToken = await MockERC20.deploy("USD Coin", "USDC", 6);
-    await mockToken.waitForDeployment();
+    // Deploy MarketFactory with mock USDC collateral
+    ({ mockToken, priceOracle, marketFactory } = await deployMarketFactory(
+      owner,
+      ["USDC/EURC", "USDC/JPYC", "USDC/BRLA", "EUR/USD", "GBP/USD", "USD/JPY", "CHF/USD"]
+    ));
 
-    // Deploy MarketFactory
-    const MarketFactory = await ethers.getContractFactory("MarketFactory");
-    marketFactory = await MarketFactory.deploy(oracle.address, owner.address);
-    await marketFactory.waitForDeployment();
+    // Feeds for every pair used below
+    for (const pair of ["USDC/EURC", "USDC/JPYC", "USDC/BRLA", "GBP/USD", "USD/JPY"]) {
+      await priceOracle.updatePrice(pair, ethers.parseUnits("1.0", 8));
+    }
+
+    // Fund market maker subsidies
+    await mockToken.mint(owner.address, ethers.parseUnits("10000", 6));
+    await mockToken.approve(await marketFactory.getAddress(), ethers.MaxUint256);
   });
 
   describe("Market Creation", function () {
@@ -34,7 +44,10 @@ describe("MarketFactory", function () {
           currencyPair,
           await mockToken.getAddress(),
           targetPrice,
-          RESOLUTION_TIME
+          RESOLUTION_TIME,
+          SUBSIDY,
+          0,
+          0
         )
       ).to.emit(marketFactory, "MarketCreated");
 
@@ -42,6 +55,100 @@ describe("MarketFactory", function () {
       expect(markets.length).to.equal(1);
     });
 
+    it("Should fund the market maker with the creator's subsidy", async function () {
+      await marketFactory.createMarket(
+        "USDC/EURC",
+        await mockToken.getAddress(),
+        ethers.parseUnits("1.0", 8),
+        RESOLUTION_TIME,
+        SUBSIDY,
+        0,
+        0
+      );
+
+      const [marketAddress] = await marketFactory.getAllMarkets();
+      const market = await ethers.getContractAt("PredictionMarket", marketAddress);
+      expect(await mockToken.balanceOf(marketAddress)).to.equal(SUBSIDY);
+      expect(await market.subsidy()).to.equal(SUBSIDY);
+      expect(await market.longReserve()).to.equal(SUBSIDY);
+      expect(await market.shortReserve()).to.equal(SUBSIDY);
+    });
+
+    it("Should deploy markets as minimal proxies of the implementation", async function () {
+      await marketFactory.createMarket(
+        "USDC/EURC",
+        await mockToken.getAddress(),
+        ethers.parseUnits("1.0", 8),
+        RESOLUTION_TIME,
+        SUBSIDY,
+        0,
+        0
+      );
+
+      const [marketAddress] = await marketFactory.getAllMarkets();
+      const implementation = await marketFactory.predictionMarketImplementation();
+      const code = await ethers.provider.getCode(marketAddress);
+      expect(ethers.dataLength(code)).to.equal(45);
+      expect(code.toLowerCase()).to.contain(implementation.slice(2).toLowerCase());
+
+      const market = await ethers.getContractAt("PredictionMarket", marketAddress);
+      expect(await market.owner()).to.equal(owner.address);
+      expect((await market.market()).currencyPair).to.equal("USDC/EURC");
+    });
+
+    it("Should not allow markets or the implementation to be initialized again", async function () {
+      await marketFactory.createMarket(
+        "USDC/EURC",
+        await mockToken.getAddress(),
+        ethers.parseUnits("1.0", 8),
+        RESOLUTION_TIME,
+        SUBSIDY,
+        0,
+        0
+      );
+      const [marketAddress] = await marketFactory.getAllMarkets();
+      const market = await ethers.getContractAt("PredictionMarket", marketAddress);
+      const implementation = await ethers.getContractAt(
+        "PredictionMarket",
+        await marketFactory.predictionMarketImplementation()
+      );
+
+      const config = {
+        currencyPair: "USDC/EURC",
+        collateralToken: await mockToken.getAddress(),
+        resolutionTime: RESOLUTION_TIME,
+        oracle: await priceOracle.getAddress(),
+        owner: user1.address,
+        protocolFeeBps: 0,
+        creatorFeeBps: 0,
+        treasury: user1.address,
+        registry: ethers.ZeroAddress,
+      };
+      await expect(
+        market.connect(user1).initialize(config, ethers.parseUnits("1.0", 8), SUBSIDY, 0)
+      ).to.be.revertedWithCustomError(market, "InvalidInitialization");
+      await expect(
+        implementation.connect(user1).initialize(config, ethers.parseUnits("1.0", 8), SUBSIDY, 0)
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should reject pairs the oracle cannot price", async function () {
+      await expect(
+        marketFactory.createMarket(
+          "CHF/USD",
+          await mockToken.getAddress(),
+          ethers.parseUnits("1.0", 8),
+          RESOLUTION_TIME,
+          SUBSIDY,
+          0,
+          0
+        )
+      ).to.be.revertedWith("Price feed not available");
+      await expect(
+        marketFactory.createRangeMarket("CHF/USD", await mockToken.getAddress(), [1, 2], RESOLUTION_TIME, 0)
+      ).to.be.revertedWith("Price feed not available");
+    });
+
     it("Should create multiple markets for different currency pairs", async function () {
       const currencyPairs = ["USDC/EURC", "USDC/JPYC", "USDC/BRLA"];
       const targetPrices = [
@@ -50,11 +157,23 @@ describe("MarketFactory", function () {
         ethers.parseUnits("5.0", 8)
       ];
 
-      const marketAddresses = await marketFactory.createMultipleMarkets(
+      const marketAddresses = await marketFactory.createMultipleMarkets.staticCall(
         currencyPairs,
         await mockToken.getAddress(),
         targetPrices,
-        RESOLUTION_TIME
+        RESOLUTION_TIME,
+        SUBSIDY,
+        0,
+        0
+      );
+      await marketFactory.createMultipleMarkets(
+        currencyPairs,
+        await mockToken.getAddress(),
+        targetPrices,
+        RESOLUTION_TIME,
+        SUBSIDY,
+        0,
+        0
       );
 
       expect(marketAddresses.length).to.equal(3);
@@ -71,14 +190,20 @@ describe("MarketFactory", function () {
         currencyPair,
         await mockToken.getAddress(),
         targetPrice,
-        RESOLUTION_TIME
+        RESOLUTION_TIME,
+        SUBSIDY,
+        0,
+        0
       );
       
       await marketFactory.createMarket(
         currencyPair,
         await mockToken.getAddress(),
         ethers.parseUnits("1.1", 8),
-        RESOLUTION_TIME
+        RESOLUTION_TIME,
+        SUBSIDY,
+        0,
+        0
       );
 
       const markets = await marketFactory.getMarketsByCurrencyPair(currencyPair);
@@ -86,6 +211,75 @@ describe("MarketFactory", function () {
     });
   });
 
+  describe("Outcome Markets", function () {
+    it("Should create range markets and record their kind", async function () {
+      const boundaries = [
+        ethers.parseUnits("1.05", 8),
+        ethers.parseUnits("1.07", 8),
+        ethers.parseUnits("1.09", 8)
+      ];
+
+      await expect(
+        marketFactory.createRangeMarket(
+          "EUR/USD",
+          await mockToken.getAddress(),
+          boundaries,
+          RESOLUTION_TIME,
+          0
+        )
+      ).to.emit(marketFactory, "RangeMarketCreated");
+
+      const [marketAddress] = await marketFactory.getAllMarkets();
+      expect((await marketFactory.getMarketInfo(marketAddress)).kind).to.equal(1); // Range
+      const market = await ethers.getContractAt("RangeMarket", marketAddress);
+      expect(await market.owner()).to.equal(owner.address);
+      expect(await market.treasury()).to.equal(await marketFactory.getAddress());
+    });
+
+    it("Should create touch markets and record their kind", async function () {
+      await expect(
+        marketFactory.createTouchMarket(
+          "EUR/USD",
+          await mockToken.getAddress(),
+          ethers.parseUnits("1.1", 8),
+          false,
+          RESOLUTION_TIME,
+          100
+        )
+      ).to.emit(marketFactory, "TouchMarketCreated");
+
+      const [marketAddress] = await marketFactory.getMarketsByCurrencyPair("EUR/USD");
+      expect((await marketFactory.getMarketInfo(marketAddress)).kind).to.equal(2); // Touch
+      const market = await ethers.getContractAt("TouchMarket", marketAddress);
+      expect(await market.upward()).to.be.false;
+      expect(await market.creatorFeeBps()).to.equal(100);
+    });
+
+    it("Should only let the factory use its deployers", async function () {
+      const deployer = await ethers.getContractAt(
+        "RangeMarketDeployer",
+        await marketFactory.rangeMarketDeployer()
+      );
+
+      await expect(
+        deployer.deploy(
+          {
+            currencyPair: "EUR/USD",
+            collateralToken: await mockToken.getAddress(),
+            resolutionTime: RESOLUTION_TIME,
+            oracle: oracle.address,
+            owner: owner.address,
+            protocolFeeBps: 0,
+            creatorFeeBps: 0,
+            treasury: owner.address,
+            registry: ethers.ZeroAddress
+          },
+          [1, 2, 3]
+        )
+      ).to.be.revertedWith("Not factory");
+    });
+  });
+
   describe("Market Queries", function () {
     beforeEach(async function () {
       // Create some markets
@@ -93,14 +287,20 @@ describe("MarketFactory", function () {
         "USDC/EURC",
         await mockToken.getAddress(),
         ethers.parseUnits("1.0", 8),
-        RESOLUTION_TIME
+        RESOLUTION_TIME,
+        SUBSIDY,
+        0,
+        0
       );
       
       await marketFactory.createMarket(
         "USDC/JPYC",
         await mockToken.getAddress(),
         ethers.parseUnits("150.0", 8),
-        RESOLUTION_TIME
+        RESOLUTION_TIME,
+        SUBSIDY,
+        0,
+        0
       );
     });
 
@@ -115,6 +315,562 @@ describe("MarketFactory", function () {
     });
   });
 
+  describe("Market Registry", function () {
+    let binaryMarket;
+    let touchMarket;
+
+    beforeEach(async function () {
+      await marketFactory.grantRole(await marketFactory.MARKET_CREATOR_ROLE(), user1.address);
+      await marketFactory.createMarket(
+        "EUR/USD",
+        await mockToken.getAddress(),
+        ethers.parseUnits("1.08", 8),
+        RESOLUTION_TIME,
+        SUBSIDY,
+        0,
+        0
+      );
+      await marketFactory.connect(user1).createTouchMarket(
+        "GBP/USD",
+        await mockToken.getAddress(),
+        ethers.parseUnits("1.3", 8),
+        true,
+        RESOLUTION_TIME,
+        0
+      );
+      await marketFactory.createRangeMarket(
+        "USD/JPY",
+        await mockToken.getAddress(),
+        [ethers.parseUnits("148", 8), ethers.parseUnits("150", 8), ethers.parseUnits("152", 8)],
+        RESOLUTION_TIME,
+        0
+      );
+
+      const [binaryAddress, touchAddress] = await marketFactory.getAllMarkets();
+      binaryMarket = await ethers.getContractAt("PredictionMarket", binaryAddress);
+      touchMarket = await ethers.getContractAt("TouchMarket", touchAddress);
+    });
+
+    it("Should record market metadata", async function () {
+      const info = await marketFactory.getMarketInfo(await touchMarket.getAddress());
+      expect(info.creator).to.equal(user1.address);
+      expect(info.kind).to.equal(2); // Touch
+      expect(info.status).to.equal(0); // Active
+      expect(info.resolutionTime).to.equal(RESOLUTION_TIME);
+      expect(info.collateralToken).to.equal(await mockToken.getAddress());
+      expect(info.collateralDecimals).to.equal(6);
+      expect(info.currencyPair).to.equal("GBP/USD");
+
+      await expect(marketFactory.getMarketInfo(user1.address)).to.be.revertedWith("Unknown market");
+    });
+
+    it("Should page through active markets", async function () {
+      const all = await marketFactory.getAllMarkets();
+
+      const [firstPage, total] = await marketFactory.getActiveMarkets(0, 2);
+      expect(total).to.equal(3);
+      expect(firstPage).to.deep.equal(all.slice(0, 2));
+
+      const [secondPage] = await marketFactory.getActiveMarkets(2, 2);
+      expect(secondPage).to.deep.equal(all.slice(2));
+
+      const [emptyPage] = await marketFactory.getActiveMarkets(5, 2);
+      expect(emptyPage.length).to.equal(0);
+    });
+
+    it("Should list markets by creator", async function () {
+      const [ownerMarkets, ownerTotal] = await marketFactory.getMarketsByCreator(owner.address, 0, 10);
+      expect(ownerTotal).to.equal(2);
+      expect(ownerMarkets[0]).to.equal(await binaryMarket.getAddress());
+
+      const [userMarkets, userTotal] = await marketFactory.getMarketsByCreator(user1.address, 0, 10);
+      expect(userTotal).to.equal(1);
+      expect(userMarkets[0]).to.equal(await touchMarket.getAddress());
+    });
+
+    it("Should sync status when a market is cancelled", async function () {
+      const marketAddress = await binaryMarket.getAddress();
+
+      await expect(binaryMarket.cancelMarket())
+        .to.emit(marketFactory, "MarketStatusUpdated")
+        .withArgs(marketAddress, 2); // Cancelled
+
+      expect((await marketFactory.getMarketInfo(marketAddress)).status).to.equal(2);
+      const [active, total] = await marketFactory.getActiveMarkets(0, 10);
+      expect(total).to.equal(2);
+      expect(active).to.not.include(marketAddress);
+    });
+
+    it("Should sync status when a market is resolved", async function () {
+      const marketAddress = await touchMarket.getAddress();
+      await time.increaseTo(RESOLUTION_TIME + Number(await touchMarket.TOUCH_REPORT_WINDOW()));
+
+      await expect(touchMarket.resolve())
+        .to.emit(marketFactory, "MarketStatusUpdated")
+        .withArgs(marketAddress, 1); // Resolved
+
+      expect((await marketFactory.getMarketInfo(marketAddress)).status).to.equal(1);
+      const [active] = await marketFactory.getActiveMarkets(0, 10);
+      expect(active).to.not.include(marketAddress);
+    });
+
+    it("Should only accept status updates from active markets", async function () {
+      await expect(marketFactory.onMarketStatusChanged(1)).to.be.revertedWith("Unknown market");
+    });
+  });
+
+  describe("Protocol Fees", function () {
+    it("Should let the owner set the protocol fee for new markets", async function () {
+      await expect(
+        marketFactory.connect(owner).setProtocolFee(150)
+      ).to.emit(marketFactory, "ProtocolFeeUpdated")
+        .withArgs(150);
+
+      await expect(
+        marketFactory.createMarket(
+          "USDC/EURC",
+          await mockToken.getAddress(),
+          ethers.parseUnits("1.0", 8),
+          RESOLUTION_TIME,
+          SUBSIDY,
+          50,
+          0
+        )
+      ).to.emit(marketFactory, "MarketFeesSet");
+
+      const [marketAddress] = await marketFactory.getAllMarkets();
+      const market = await ethers.getContractAt("PredictionMarket", marketAddress);
+      expect(await market.protocolFeeBps()).to.equal(150);
+      expect(await market.creatorFeeBps()).to.equal(50);
+      expect(await market.treasury()).to.equal(await marketFactory.getAddress());
+    });
+
+    it("Should reject protocol fees above the maximum", async function () {
+      await expect(
+        marketFactory.connect(owner).setProtocolFee(501)
+      ).to.be.revertedWith("Fee too high");
+
+      await expect(
+        marketFactory.connect(user1).setProtocolFee(100)
+      ).to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let only the owner withdraw collected fees", async function () {
+      const amount = ethers.parseUnits("5", 6);
+      await mockToken.mint(await marketFactory.getAddress(), amount);
+
+      await expect(
+        marketFactory.connect(user1).withdrawFees(await mockToken.getAddress(), user1.address, amount)
+      ).to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
+
+      await expect(
+        marketFactory.connect(owner).withdrawFees(await mockToken.getAddress(), user1.address, amount)
+      ).to.emit(marketFactory, "TreasuryWithdrawal")
+        .withArgs(await mockToken.getAddress(), user1.address, amount);
+
+      expect(await mockToken.balanceOf(user1.address)).to.equal(amount);
+    });
+  });
+
+  describe("Collateral Allowlist", function () {
+    let eurc;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      eurc = await MockERC20.deploy("Euro Coin", "EURC", 18);
+    });
+
+    it("Should let the owner allowlist collateral with its decimals", async function () {
+      await expect(marketFactory.connect(owner).addCollateral(await eurc.getAddress()))
+        .to.emit(marketFactory, "CollateralAdded")
+        .withArgs(await eurc.getAddress(), 18);
+
+      const info = await marketFactory.collateralInfo(await eurc.getAddress());
+      expect(info.allowed).to.equal(true);
+      expect(info.decimals).to.equal(18);
+      expect(await marketFactory.getCollateralTokens()).to.deep.equal([
+        await mockToken.getAddress(),
+        await eurc.getAddress(),
+      ]);
+
+      await expect(
+        marketFactory.addCollateral(await eurc.getAddress())
+      ).to.be.revertedWith("Collateral already allowed");
+      await expect(
+        marketFactory.connect(user1).addCollateral(await eurc.getAddress())
+      ).to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should reject tokens with more than 18 decimals", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Wide Token", "WIDE", 24);
+
+      await expect(
+        marketFactory.addCollateral(await token.getAddress())
+      ).to.be.revertedWith("Unsupported decimals");
+    });
+
+    it("Should only create markets with allowlisted collateral", async function () {
+      const eurcAddress = await eurc.getAddress();
+
+      await expect(
+        marketFactory.createMarket("USDC/EURC", eurcAddress, ethers.parseUnits("1.0", 8), RESOLUTION_TIME, 0, 0, 0)
+      ).to.be.revertedWith("Collateral not allowed");
+      await expect(
+        marketFactory.createRangeMarket("USD/JPY", eurcAddress, [1, 2], RESOLUTION_TIME, 0)
+      ).to.be.revertedWith("Collateral not allowed");
+      await expect(
+        marketFactory.createTouchMarket("GBP/USD", eurcAddress, 1, true, RESOLUTION_TIME, 0)
+      ).to.be.revertedWith("Collateral not allowed");
+
+      await marketFactory.addCollateral(eurcAddress);
+      await marketFactory.removeCollateral(await mockToken.getAddress());
+
+      await expect(
+        marketFactory.createMarket("USDC/EURC", await mockToken.getAddress(), ethers.parseUnits("1.0", 8), RESOLUTION_TIME, SUBSIDY, 0, 0)
+      ).to.be.revertedWith("Collateral not allowed");
+      expect(await marketFactory.getCollateralTokens()).to.deep.equal([eurcAddress]);
+      await expect(
+        marketFactory.removeCollateral(await mockToken.getAddress())
+      ).to.be.revertedWith("Collateral not allowed");
+    });
+
+    it("Should settle an 18-decimal market like its 6-decimal equivalent", async function () {
+      // Same trades on a USDC market and a EURC market, scaled by each token's decimals
+      const eurcAddress = await eurc.getAddress();
+      await marketFactory.addCollateral(eurcAddress);
+      await marketFactory.setProtocolFee(100);
+      await eurc.mint(owner.address, ethers.parseUnits("100", 18));
+      await eurc.approve(await marketFactory.getAddress(), ethers.MaxUint256);
+
+      const settle = async (token, decimals) => {
+        const unit = (value) => ethers.parseUnits(value, decimals);
+        await marketFactory.createMarket(
+          "USDC/EURC",
+          await token.getAddress(),
+          ethers.parseUnits("1.0", 8),
+          RESOLUTION_TIME,
+          unit("100"),
+          50,
+          0
+        );
+        const markets = await marketFactory.getAllMarkets();
+        const market = await ethers.getContractAt("PredictionMarket", markets[markets.length - 1]);
+        const marketAddress = await market.getAddress();
+
+        await token.mint(user1.address, unit("50"));
+        await token.connect(user1).approve(marketAddress, ethers.MaxUint256);
+        await market.connect(user1).takePosition(0, unit("30"), 0);
+        await market.connect(user1).takePosition(1, unit("20"), 0);
+
+        const shortShares = (await market.getUserPosition(user1.address)).shortShares;
+        await market.connect(user1).sellPosition(1, shortShares / 2n, 0);
+        return { market, marketAddress };
+      };
+
+      const usdcMarket = await settle(mockToken, 6);
+      const eurcMarket = await settle(eurc, 18);
+
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice("USDC/EURC", ethers.parseUnits("1.1", 8));
+      await usdcMarket.market.autoResolveMarket();
+      await eurcMarket.market.autoResolveMarket();
+
+      const usdcPosition = await usdcMarket.market.getUserPosition(user1.address);
+      const eurcPosition = await eurcMarket.market.getUserPosition(user1.address);
+      const scale = 10n ** 12n;
+      expect(eurcPosition.longShares).to.be.closeTo(usdcPosition.longShares * scale, scale);
+      expect(eurcPosition.shortCollateral).to.be.closeTo(usdcPosition.shortCollateral * scale, scale);
+
+      // Long wins: each share redeems for one unit of the market's own collateral
+      const usdcBefore = await mockToken.balanceOf(user1.address);
+      const eurcBefore = await eurc.balanceOf(user1.address);
+      await usdcMarket.market.connect(user1).claimPayout();
+      await eurcMarket.market.connect(user1).claimPayout();
+      expect(await mockToken.balanceOf(user1.address)).to.equal(usdcBefore + usdcPosition.longShares);
+      expect(await eurc.balanceOf(user1.address)).to.equal(eurcBefore + eurcPosition.longShares);
+
+      // 1% protocol fee on 50 units of entries, in each token's units
+      expect(await eurc.balanceOf(await marketFactory.getAddress())).to.equal(ethers.parseUnits("0.5", 18));
+      expect(await mockToken.balanceOf(await marketFactory.getAddress())).to.equal(ethers.parseUnits("0.5", 6));
+
+      // The liquidity provider takes what is left, emptying both markets
+      await usdcMarket.market.withdrawLiquidity();
+      await eurcMarket.market.withdrawLiquidity();
+      await usdcMarket.market.withdrawCreatorFees();
+      await eurcMarket.market.withdrawCreatorFees();
+      expect(await mockToken.balanceOf(usdcMarket.marketAddress)).to.equal(0);
+      expect(await eurc.balanceOf(eurcMarket.marketAddress)).to.equal(0);
+    });
+  });
+
+  describe("Roles and Creation Policy", function () {
+    const TARGET = ethers.parseUnits("1.0", 8);
+
+    beforeEach(async function () {
+      await priceOracle.updatePrice("EUR/USD", TARGET);
+    });
+
+    it("Should let only market creators create markets", async function () {
+      const CREATOR_ROLE = await marketFactory.MARKET_CREATOR_ROLE();
+      await mockToken.mint(user1.address, SUBSIDY);
+      await mockToken.connect(user1).approve(await marketFactory.getAddress(), ethers.MaxUint256);
+
+      await expect(
+        marketFactory.connect(user1).createMarket("EUR/USD", await mockToken.getAddress(), TARGET, RESOLUTION_TIME, SUBSIDY, 0, 0)
+      ).to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
+      await expect(
+        marketFactory.connect(user1).createTouchMarket("EUR/USD", await mockToken.getAddress(), TARGET, true, RESOLUTION_TIME, 0)
+      ).to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
+
+      await marketFactory.grantRole(CREATOR_ROLE, user1.address);
+      await marketFactory.connect(user1).createMarket("EUR/USD", await mockToken.getAddress(), TARGET, RESOLUTION_TIME, SUBSIDY, 0, 0);
+      expect((await marketFactory.getMarketsByCreator(user1.address, 0, 10)).total).to.equal(1);
+    });
+
+    it("Should only create markets on allowlisted pairs", async function () {
+      await expect(marketFactory.setPairsAllowed(["EUR/USD"], false))
+        .to.emit(marketFactory, "PairAllowed")
+        .withArgs("EUR/USD", false);
+      await expect(
+        marketFactory.connect(user1).setPairsAllowed(["EUR/USD"], true)
+      ).to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
+
+      await expect(
+        marketFactory.createMarket("EUR/USD", await mockToken.getAddress(), TARGET, RESOLUTION_TIME, SUBSIDY, 0, 0)
+      ).to.be.revertedWith("Pair not allowed");
+      await expect(
+        marketFactory.createRangeMarket("EUR/USD", await mockToken.getAddress(), [1, TARGET, TARGET * 2n], RESOLUTION_TIME, 0)
+      ).to.be.revertedWith("Pair not allowed");
+    });
+
+    it("Should enforce the duration bounds", async function () {
+      await expect(marketFactory.setCreationPolicy(7200, 3600, 0)).to.be.revertedWith("Invalid duration bounds");
+      await expect(marketFactory.setCreationPolicy(3600, 7 * 86400, 0))
+        .to.emit(marketFactory, "CreationPolicyUpdated")
+        .withArgs(3600, 7 * 86400, 0);
+
+      const now = await time.latest();
+      await expect(
+        marketFactory.createMarket("EUR/USD", await mockToken.getAddress(), TARGET, now + 1800, SUBSIDY, 0, 0)
+      ).to.be.revertedWith("Duration too short");
+      await expect(
+        marketFactory.createTouchMarket("EUR/USD", await mockToken.getAddress(), TARGET, true, now + 8 * 86400, 0)
+      ).to.be.revertedWith("Duration too long");
+      await marketFactory.createMarket("EUR/USD", await mockToken.getAddress(), TARGET, RESOLUTION_TIME, SUBSIDY, 0, 0);
+    });
+
+    it("Should keep targets within a band of the oracle price", async function () {
+      await marketFactory.setCreationPolicy(0, 0, 500);
+      const token = await mockToken.getAddress();
+
+      await expect(
+        marketFactory.createMarket("EUR/USD", token, ethers.parseUnits("1.06", 8), RESOLUTION_TIME, SUBSIDY, 0, 0)
+      ).to.be.revertedWith("Target too far from price");
+      await expect(
+        marketFactory.createTouchMarket("EUR/USD", token, ethers.parseUnits("0.94", 8), false, RESOLUTION_TIME, 0)
+      ).to.be.revertedWith("Target too far from price");
+      await expect(
+        marketFactory.createRangeMarket("EUR/USD", token, [1, ethers.parseUnits("0.9", 8), TARGET * 2n], RESOLUTION_TIME, 0)
+      ).to.be.revertedWith("Target too far from price");
+
+      // Outer range boundaries may be open-ended
+      await marketFactory.createRangeMarket("EUR/USD", token, [1, ethers.parseUnits("0.98", 8), ethers.parseUnits("1.02", 8), TARGET * 2n], RESOLUTION_TIME, 0);
+      await marketFactory.createMarket("EUR/USD", token, ethers.parseUnits("1.05", 8), RESOLUTION_TIME, SUBSIDY, 0, 0);
+    });
+
+    it("Should not check targets against a stale price", async function () {
+      await marketFactory.setCreationPolicy(0, 0, 500);
+      await marketFactory.setCircuitBreaker(0, 3600);
+      const token = await mockToken.getAddress();
+      await time.increase(3601);
+
+      await expect(
+        marketFactory.createMarket("EUR/USD", token, TARGET, RESOLUTION_TIME, SUBSIDY, 0, 0)
+      ).to.be.revertedWith("Price feed stale");
+
+      await priceOracle.updatePrice("EUR/USD", TARGET);
+      await marketFactory.createMarket("EUR/USD", token, TARGET, RESOLUTION_TIME, SUBSIDY, 0, 0);
+    });
+
+    it("Should give resolution rights to resolvers rather than creators", async function () {
+      const [, , , resolver] = await ethers.getSigners();
+      await marketFactory.grantRole(await marketFactory.MARKET_CREATOR_ROLE(), user1.address);
+      await mockToken.mint(user1.address, SUBSIDY);
+      await mockToken.connect(user1).approve(await marketFactory.getAddress(), ethers.MaxUint256);
+
+      const token = await mockToken.getAddress();
+      await marketFactory.connect(user1).createMarket("EUR/USD", token, TARGET, RESOLUTION_TIME, SUBSIDY, 0, 0);
+      await marketFactory.connect(user1).createTouchMarket("EUR/USD", token, ethers.parseUnits("1.1", 8), true, RESOLUTION_TIME, 0);
+      const [marketAddress, touchAddress] = await marketFactory.getAllMarkets();
+      const market = await ethers.getContractAt("PredictionMarket", marketAddress);
+      const touchMarket = await ethers.getContractAt("TouchMarket", touchAddress);
+
+      await expect(market.connect(user1).cancelMarket()).to.be.revertedWith("Not resolver");
+      await expect(market.connect(user1).setOracle(user1.address)).to.be.revertedWith("Not resolver");
+      await expect(touchMarket.connect(user1).cancelMarket()).to.be.revertedWith("Not resolver");
+
+      await marketFactory.grantRole(await marketFactory.RESOLVER_ROLE(), resolver.address);
+      expect(await marketFactory.isResolver(resolver.address)).to.equal(true);
+      await touchMarket.connect(resolver).cancelMarket();
+
+      await marketFactory.revokeRole(await marketFactory.RESOLVER_ROLE(), resolver.address);
+      await expect(market.connect(resolver).cancelMarket()).to.be.revertedWith("Not resolver");
+
+      // The creator keeps the creator's economics
+      expect(await market.owner()).to.equal(user1.address);
+      expect(await market.liquidityProvider()).to.equal(user1.address);
+    });
+  });
+
+  describe("Guardians and Circuit Breakers", function () {
+    let guardian;
+    let market;
+    let rangeMarket;
+    const AMOUNT = ethers.parseUnits("10", 6);
+
+    beforeEach(async function () {
+      guardian = oracle;
+      await marketFactory.grantRole(await marketFactory.GUARDIAN_ROLE(), guardian.address);
+
+      await marketFactory.createMarket("EUR/USD", await mockToken.getAddress(), ethers.parseUnits("1.0", 8), RESOLUTION_TIME, SUBSIDY, 0, 0);
+      await marketFactory.createRangeMarket("USD/JPY", await mockToken.getAddress(), [1, ethers.parseUnits("1", 8), ethers.parseUnits("2", 8)], RESOLUTION_TIME, 0);
+      const [marketAddress, rangeAddress] = await marketFactory.getAllMarkets();
+      market = await ethers.getContractAt("PredictionMarket", marketAddress);
+      rangeMarket = await ethers.getContractAt("RangeMarket", rangeAddress);
+
+      await mockToken.mint(user1.address, ethers.parseUnits("1000", 6));
+      await mockToken.connect(user1).approve(marketAddress, ethers.MaxUint256);
+      await mockToken.connect(user1).approve(rangeAddress, ethers.MaxUint256);
+    });
+
+    it("Should let only guardians pause entries", async function () {
+      await expect(
+        marketFactory.connect(user1).setEntriesPaused(true)
+      ).to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
+      await expect(
+        marketFactory.connect(user1).grantRole(await marketFactory.GUARDIAN_ROLE(), user1.address)
+      ).to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
+
+      await expect(marketFactory.connect(guardian).setEntriesPaused(true))
+        .to.emit(marketFactory, "EntriesPaused")
+        .withArgs(true);
+      await expect(marketFactory.setEntriesPaused(false))
+        .to.emit(marketFactory, "EntriesPaused")
+        .withArgs(false);
+    });
+
+    it("Should halt entries into every market while paused", async function () {
+      await market.connect(user1).takePosition(0, AMOUNT, 0);
+      await marketFactory.connect(guardian).setEntriesPaused(true);
+
+      await expect(market.connect(user1).takePosition(0, AMOUNT, 0)).to.be.revertedWith("Entries paused");
+      await expect(rangeMarket.connect(user1).stake(0, AMOUNT)).to.be.revertedWith("Entries paused");
+
+      // Exits stay open
+      const shares = (await market.getUserPosition(user1.address)).longShares;
+      await expect(market.connect(user1).sellPosition(0, shares / 2n, 0)).to.emit(market, "PositionSold");
+
+      await marketFactory.connect(guardian).setEntriesPaused(false);
+      await expect(rangeMarket.connect(user1).stake(0, AMOUNT)).to.emit(rangeMarket, "Staked");
+    });
+
+    it("Should keep claims and withdrawals working while paused", async function () {
+      await market.connect(user1).takePosition(0, AMOUNT, 0);
+      await rangeMarket.connect(user1).stake(0, AMOUNT);
+      await marketFactory.connect(guardian).setEntriesPaused(true);
+
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice("EUR/USD", ethers.parseUnits("1.1", 8));
+      await market.autoResolveMarket();
+      await expect(market.connect(user1).claimPayout()).to.emit(market, "PositionClaimed");
+
+      await rangeMarket.cancelMarket();
+      await expect(rangeMarket.connect(user1).emergencyWithdraw()).to.not.be.reverted;
+    });
+
+    it("Should pause a single market", async function () {
+      await expect(marketFactory.connect(guardian).setMarketPaused(await market.getAddress(), true))
+        .to.emit(marketFactory, "MarketPaused")
+        .withArgs(await market.getAddress(), true);
+
+      await expect(market.connect(user1).takePosition(0, AMOUNT, 0)).to.be.revertedWith("Entries paused");
+      await expect(rangeMarket.connect(user1).stake(0, AMOUNT)).to.emit(rangeMarket, "Staked");
+
+      await expect(
+        marketFactory.connect(guardian).setMarketPaused(user1.address, true)
+      ).to.be.revertedWith("Unknown market");
+      await expect(marketFactory.checkEntry(await priceOracle.getAddress())).to.be.revertedWith("Unknown market");
+    });
+
+    it("Should trip when the price jumps until the guardian resets it", async function () {
+      await expect(marketFactory.setCircuitBreaker(500, 0))
+        .to.emit(marketFactory, "CircuitBreakerUpdated")
+        .withArgs(500, 0);
+
+      // The first entry sets the reference; moves within 5% keep trading open
+      await market.connect(user1).takePosition(0, AMOUNT, 0);
+      expect(await marketFactory.referencePrice("EUR/USD")).to.equal(ethers.parseUnits("1.0", 8));
+      await priceOracle.updatePrice("EUR/USD", ethers.parseUnits("1.04", 8));
+      await market.connect(user1).takePosition(0, AMOUNT, 0);
+
+      await priceOracle.updatePrice("EUR/USD", ethers.parseUnits("0.98", 8));
+      await expect(market.connect(user1).takePosition(1, AMOUNT, 0)).to.be.revertedWith("Circuit breaker tripped");
+
+      // Still tripped once the price settles at its new level
+      await priceOracle.updatePrice("EUR/USD", ethers.parseUnits("0.975", 8));
+      await expect(market.connect(user1).takePosition(1, AMOUNT, 0)).to.be.revertedWith("Circuit breaker tripped");
+
+      await expect(
+        marketFactory.connect(user1).resetCircuitBreaker("EUR/USD")
+      ).to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
+      await expect(marketFactory.connect(guardian).resetCircuitBreaker("EUR/USD"))
+        .to.emit(marketFactory, "CircuitBreakerReset")
+        .withArgs("EUR/USD", ethers.parseUnits("0.975", 8));
+      await expect(market.connect(user1).takePosition(1, AMOUNT, 0)).to.emit(market, "PositionTaken");
+    });
+
+    it("Should not stay tripped on a reference older than the window", async function () {
+      await marketFactory.setCircuitBreaker(500, 0);
+      await market.connect(user1).takePosition(0, AMOUNT, 0);
+
+      // Drift over a quiet period is not a jump
+      await time.increase(3601);
+      await priceOracle.updatePrice("EUR/USD", ethers.parseUnits("1.08", 8));
+      await expect(market.connect(user1).takePosition(0, AMOUNT, 0)).to.emit(market, "PositionTaken");
+      expect(await marketFactory.referencePrice("EUR/USD")).to.equal(ethers.parseUnits("1.08", 8));
+
+      // A jump halts entries for the window at most
+      await priceOracle.updatePrice("EUR/USD", ethers.parseUnits("1.0", 8));
+      await expect(market.connect(user1).takePosition(1, AMOUNT, 0)).to.be.revertedWith("Circuit breaker tripped");
+      await time.increase(3601);
+      await expect(market.connect(user1).takePosition(1, AMOUNT, 0)).to.emit(market, "PositionTaken");
+    });
+
+    it("Should halt entries while the feed is stale", async function () {
+      await marketFactory.setCircuitBreaker(0, 3600);
+      await market.connect(user1).takePosition(0, AMOUNT, 0);
+
+      await time.increase(3601);
+      await expect(market.connect(user1).takePosition(0, AMOUNT, 0)).to.be.revertedWith("Price feed stale");
+      await expect(rangeMarket.connect(user1).stake(0, AMOUNT)).to.be.revertedWith("Price feed stale");
+
+      await priceOracle.updatePrice("EUR/USD", ethers.parseUnits("1.0", 8));
+      await expect(market.connect(user1).takePosition(0, AMOUNT, 0)).to.emit(market, "PositionTaken");
+    });
+
+    it("Should treat prices stamped slightly ahead of the block as fresh", async function () {
+      await marketFactory.setCircuitBreaker(0, 3600);
+      await priceOracle.updatePriceAt("EUR/USD", ethers.parseUnits("1.0", 8), (await time.latest()) + 30);
+
+      await expect(market.connect(user1).takePosition(0, AMOUNT, 0)).to.emit(market, "PositionTaken");
+
+      // But not prices from further ahead than the maximum age
+      await priceOracle.updatePriceAt("EUR/USD", ethers.parseUnits("1.0", 8), (await time.latest()) + 7200);
+      await expect(market.connect(user1).takePosition(0, AMOUNT, 0)).to.be.revertedWith("Price feed stale");
+    });
+  });
+
   describe("Oracle Management", function () {
     it("Should allow owner to update oracle", async function () {
       const newOracle = ethers.Wallet.createRandom().address;
@@ -127,12 +883,12 @@ describe("MarketFactory", function () {
       expect(await marketFactory.oracle()).to.equal(newOracle);
     });
 
-    it("Should not allow non-owner to update oracle", async function () {
+    it("Should not allow non-admins to update oracle", async function () {
       const newOracle = ethers.Wallet.createRandom().address;
       
       await expect(
         marketFactory.connect(user1).setOracle(newOracle)
-      ).to.be.revertedWithCustomError(marketFactory, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(marketFactory, "AccessControlUnauthorizedAccount");
     });
   });
 });
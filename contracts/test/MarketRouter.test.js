@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMarketFactory } = require("./helpers");
+
+describe("MarketRouter", function () {
+  let marketRouter;
+  let marketFactory;
+  let priceOracle;
+  let mockToken;
+  let markets;
+  let owner;
+  let user1;
+  let keeper;
+
+  const PAIRS = ["EUR/USD", "GBP/USD", "JPY/USD"];
+  const TARGET_PRICE = ethers.parseUnits("1.0", 8);
+  const SUBSIDY = ethers.parseUnits("1000", 6);
+  const AMOUNT = ethers.parseUnits("100", 6);
+  let RESOLUTION_TIME;
+
+  // ClaimKind
+  const SKIPPED = 0;
+  const PAYOUT = 1;
+  const WITHDRAWAL = 2;
+
+  beforeEach(async function () {
+    [owner, user1, keeper] = await ethers.getSigners();
+    RESOLUTION_TIME = (await time.latest()) + 86400;
+
+    ({ mockToken, priceOracle, marketFactory } = await deployMarketFactory(owner, PAIRS));
+    for (const pair of PAIRS) {
+      await priceOracle.updatePrice(pair, TARGET_PRICE);
+    }
+
+    await mockToken.mint(owner.address, SUBSIDY * BigInt(PAIRS.length));
+    await mockToken.approve(await marketFactory.getAddress(), ethers.MaxUint256);
+    await marketFactory.createMultipleMarkets(
+      PAIRS,
+      await mockToken.getAddress(),
+      PAIRS.map(() => TARGET_PRICE),
+      RESOLUTION_TIME,
+      SUBSIDY,
+      0,
+      0
+    );
+    markets = await Promise.all(
+      (await marketFactory.getAllMarkets()).map((address) => ethers.getContractAt("PredictionMarket", address))
+    );
+
+    const MarketRouter = await ethers.getContractFactory("MarketRouter");
+    marketRouter = await MarketRouter.deploy();
+
+    await mockToken.mint(user1.address, ethers.parseUnits("1000", 6));
+    await mockToken.connect(user1).approve(await marketRouter.getAddress(), ethers.MaxUint256);
+  });
+
+  async function enterAll(positionType) {
+    const entries = await Promise.all(
+      markets.map(async (market) => ({ market: await market.getAddress(), positionType, amount: AMOUNT, minShares: 0 }))
+    );
+    await marketRouter.connect(user1).enterMarkets(entries);
+  }
+
+  describe("Entries", function () {
+    it("Should take positions in several markets for the caller", async function () {
+      const entries = await Promise.all(
+        markets.map(async (market, i) => ({
+          market: await market.getAddress(),
+          positionType: i % 2,
+          amount: AMOUNT,
+          minShares: 0
+        }))
+      );
+
+      const shares = await marketRouter.connect(user1).enterMarkets.staticCall(entries);
+      await expect(marketRouter.connect(user1).enterMarkets(entries))
+        .to.emit(marketRouter, "EntriesRouted")
+        .withArgs(user1.address, PAIRS.length);
+
+      for (let i = 0; i < markets.length; i++) {
+        const position = await markets[i].getUserPosition(user1.address);
+        expect(i % 2 === 0 ? position.longShares : position.shortShares).to.equal(shares[i]);
+      }
+      expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseUnits("700", 6));
+      expect(await mockToken.balanceOf(await marketRouter.getAddress())).to.equal(0);
+    });
+
+    it("Should revert every entry if one fails", async function () {
+      const entries = await Promise.all(
+        markets.map(async (market) => ({ market: await market.getAddress(), positionType: 0, amount: AMOUNT, minShares: 0 }))
+      );
+      entries[2].minShares = AMOUNT * 10n;
+
+      await expect(marketRouter.connect(user1).enterMarkets(entries)).to.be.revertedWith("Slippage exceeded");
+      expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseUnits("1000", 6));
+    });
+  });
+
+  describe("Claims", function () {
+    beforeEach(async function () {
+      await enterAll(0);
+    });
+
+    it("Should claim payouts and refunds and skip markets with nothing to claim", async function () {
+      // Market 0 resolves with Long winning, market 1 is cancelled, market 2 stays unresolved
+      await markets[1].cancelMarket();
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(PAIRS[0], ethers.parseUnits("1.1", 8));
+      await markets[0].autoResolveMarket();
+
+      const addresses = await Promise.all(markets.map((market) => market.getAddress()));
+      const [results, claimedCount] = await marketRouter.claimAll.staticCall(user1.address, addresses);
+      expect(claimedCount).to.equal(2);
+      expect(results.map((result) => Number(result.kind))).to.deep.equal([PAYOUT, WITHDRAWAL, SKIPPED]);
+      expect(results[0].collateralToken).to.equal(await mockToken.getAddress());
+      expect(results[2].collateralToken).to.equal(ethers.ZeroAddress);
+
+      const longShares = (await markets[0].getUserPosition(user1.address)).longShares;
+      const collateral = (await markets[1].getUserPosition(user1.address)).longCollateral;
+      expect(results[0].amount).to.equal(longShares);
+      expect(results[1].amount).to.equal(collateral);
+
+      const balanceBefore = await mockToken.balanceOf(user1.address);
+      await expect(marketRouter.claimAll(user1.address, addresses))
+        .to.emit(marketRouter, "ClaimsRouted")
+        .withArgs(user1.address, 3, 2);
+      expect(await mockToken.balanceOf(user1.address)).to.equal(balanceBefore + longShares + collateral);
+    });
+
+    it("Should pay the user when a keeper claims for them", async function () {
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(PAIRS[0], ethers.parseUnits("1.1", 8));
+      await markets[0].autoResolveMarket();
+
+      const balanceBefore = await mockToken.balanceOf(user1.address);
+      await marketRouter.connect(keeper).claimAll(user1.address, [await markets[0].getAddress()]);
+
+      expect(await mockToken.balanceOf(user1.address)).to.be.gt(balanceBefore);
+      expect(await mockToken.balanceOf(keeper.address)).to.equal(0);
+      expect((await markets[0].getUserPosition(user1.address)).hasClaimed).to.equal(true);
+    });
+
+    it("Should skip markets already claimed", async function () {
+      await markets[0].cancelMarket();
+      const address = await markets[0].getAddress();
+      await marketRouter.claimAll(user1.address, [address]);
+
+      const [results, claimedCount] = await marketRouter.claimAll.staticCall(user1.address, [address]);
+      expect(claimedCount).to.equal(0);
+      expect(results[0].kind).to.equal(SKIPPED);
+    });
+  });
+});
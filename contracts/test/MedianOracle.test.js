@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMarketFactory } = require("./helpers");
+
+describe("MedianOracle", function () {
+  let medianOracle;
+  let sources;
+  let owner;
+  let user1;
+
+  const CURRENCY_PAIR = "EUR/USD";
+  const QUORUM = 2;
+  const MAX_PRICE_AGE = 3600;
+  const MAX_DEVIATION_BPS = 200; // 2%
+  const DISAGREEMENT_BPS = 100; // 1%
+
+  const price = (value) => ethers.parseUnits(value, 8);
+
+  async function setPrices(values) {
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] !== null) {
+        await sources[i].updatePrice(CURRENCY_PAIR, price(values[i]));
+      }
+    }
+  }
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    sources = [];
+    for (let i = 0; i < 3; i++) {
+      sources.push(await MockPriceOracle.deploy());
+    }
+
+    const MedianOracle = await ethers.getContractFactory("MedianOracle");
+    medianOracle = await MedianOracle.deploy(owner.address, QUORUM, MAX_PRICE_AGE, MAX_DEVIATION_BPS, DISAGREEMENT_BPS);
+    await medianOracle.waitForDeployment();
+
+    for (const source of sources) {
+      await medianOracle.addSource(await source.getAddress());
+    }
+  });
+
+  it("Should return the median of its sources", async function () {
+    await setPrices(["1.08", "1.09", "1.085"]);
+
+    const [median, timestamp] = await medianOracle.getPrice(CURRENCY_PAIR);
+    expect(median).to.equal(price("1.085"));
+    // Oldest contributing update
+    const [, firstTimestamp] = await sources[0].getPrice(CURRENCY_PAIR);
+    expect(timestamp).to.equal(firstTimestamp);
+  });
+
+  it("Should average the middle prices of an even number of sources", async function () {
+    await setPrices(["1.08", "1.09", null]);
+    await medianOracle.removeSource(await sources[2].getAddress());
+
+    expect((await medianOracle.getPrice(CURRENCY_PAIR))[0]).to.equal(price("1.085"));
+  });
+
+  it("Should drop outliers", async function () {
+    await setPrices(["1.08", "1.081", "1.5"]);
+
+    expect((await medianOracle.getPrice(CURRENCY_PAIR))[0]).to.equal(price("1.0805"));
+  });
+
+  it("Should keep every source when the deviation filter is disabled", async function () {
+    await medianOracle.setParameters(QUORUM, MAX_PRICE_AGE, 0, DISAGREEMENT_BPS);
+    await setPrices(["1.08", "1.09", null]);
+    await medianOracle.removeSource(await sources[2].getAddress());
+
+    // Neither price equals the average of the two, yet both contribute
+    expect((await medianOracle.getPrice(CURRENCY_PAIR))[0]).to.equal(price("1.085"));
+    await expect(medianOracle.reportPrice(CURRENCY_PAIR))
+      .to.not.emit(medianOracle, "SourceDropped");
+  });
+
+  it("Should skip stale and failing sources", async function () {
+    await time.increase(MAX_PRICE_AGE + 1);
+    await setPrices(["1.08", "1.09", null]); // third source is stale
+
+    expect((await medianOracle.getPrice(CURRENCY_PAIR))[0]).to.equal(price("1.085"));
+
+    // A pair only one source knows about
+    await sources[0].updatePrice("GBP/USD", price("1.27"));
+    await expect(medianOracle.getPrice("GBP/USD")).to.be.revertedWith("Quorum not reached");
+    expect(await medianOracle.isPriceFeedAvailable("GBP/USD")).to.be.false;
+  });
+
+  it("Should require a quorum after dropping outliers", async function () {
+    await medianOracle.setParameters(3, MAX_PRICE_AGE, MAX_DEVIATION_BPS, DISAGREEMENT_BPS);
+    await setPrices(["1.08", "1.081", "1.5"]);
+
+    await expect(medianOracle.getPrice(CURRENCY_PAIR)).to.be.revertedWith("Quorum not reached");
+  });
+
+  it("Should emit events when sources disagree", async function () {
+    await setPrices(["1.08", "1.081", "1.5"]);
+
+    await expect(medianOracle.reportPrice(CURRENCY_PAIR))
+      .to.emit(medianOracle, "SourceDropped")
+      .withArgs(CURRENCY_PAIR, await sources[2].getAddress(), price("1.5"), price("1.081"))
+      .and.to.emit(medianOracle, "SourcesDisagree")
+      .withArgs(CURRENCY_PAIR, price("1.08"), price("1.5"), price("1.081"))
+      .and.to.emit(medianOracle, "PriceReported");
+
+    await setPrices(["1.08", "1.081", "1.082"]);
+    await expect(medianOracle.reportPrice(CURRENCY_PAIR)).to.not.emit(medianOracle, "SourcesDisagree");
+  });
+
+  it("Should only let the owner manage sources", async function () {
+    await expect(
+      medianOracle.connect(user1).addSource(user1.address)
+    ).to.be.revertedWithCustomError(medianOracle, "OwnableUnauthorizedAccount");
+    await expect(medianOracle.addSource(await sources[0].getAddress())).to.be.revertedWith("Source already added");
+    await expect(medianOracle.setParameters(0, MAX_PRICE_AGE, 0, 0)).to.be.revertedWith("Invalid quorum");
+  });
+
+  it("Should settle markets created by a factory pointed at it", async function () {
+    const { mockToken, marketFactory } = await deployMarketFactory(owner, [CURRENCY_PAIR], {
+      oracle: await medianOracle.getAddress()
+    });
+
+    const resolutionTime = (await time.latest()) + 600;
+    await mockToken.mint(owner.address, ethers.parseUnits("100", 6));
+    await mockToken.approve(await marketFactory.getAddress(), ethers.MaxUint256);
+    await marketFactory.createMarket(
+      CURRENCY_PAIR,
+      await mockToken.getAddress(),
+      price("1.08"),
+      resolutionTime,
+      ethers.parseUnits("100", 6),
+      0,
+      0
+    );
+    const [marketAddress] = await marketFactory.getAllMarkets();
+    const market = await ethers.getContractAt("PredictionMarket", marketAddress);
+
+    await time.increaseTo(resolutionTime);
+    await setPrices(["1.09", "1.1", "0.5"]);
+
+    await market.autoResolveMarket();
+    expect((await market.market()).finalPrice).to.equal(price("1.095"));
+  });
+});
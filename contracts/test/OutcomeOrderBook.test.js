@@ -0,0 +1,303 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMarketFactory } = require("./helpers");
+
+describe("OutcomeOrderBook", function () {
+  let orderBook;
+  let predictionMarket;
+  let outcomeToken;
+  let marketFactory;
+  let mockToken;
+  let priceOracle;
+  let owner;
+  let user1;
+  let user2;
+  let user3;
+  let resolutionTime;
+
+  const CURRENCY_PAIR = "USDC/EURC";
+  const TARGET_PRICE = ethers.parseUnits("1.0", 8);
+  const SUBSIDY = ethers.parseUnits("1000", 6);
+  const LONG = 0;
+  const SHORT = 1;
+
+  const ORDER_TYPES = {
+    Order: [
+      { name: "maker", type: "address" },
+      { name: "market", type: "address" },
+      { name: "positionType", type: "uint8" },
+      { name: "isBuy", type: "bool" },
+      { name: "price", type: "uint256" },
+      { name: "amount", type: "uint256" },
+      { name: "expiry", type: "uint256" },
+      { name: "salt", type: "uint256" }
+    ]
+  };
+
+  // Build and sign an order the way frontend/lib/markets/orderBook.js does
+  async function signOrder(signer, fields) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "Laxo Order Book",
+      version: "1",
+      chainId,
+      verifyingContract: await orderBook.getAddress()
+    };
+    const order = {
+      maker: signer.address,
+      market: await predictionMarket.getAddress(),
+      positionType: LONG,
+      isBuy: false,
+      price: ethers.parseEther("0.6"),
+      amount: ethers.parseUnits("50", 6),
+      expiry: (await time.latest()) + 3600,
+      salt: 1n,
+      ...fields
+    };
+    const signature = await signer.signTypedData(domain, ORDER_TYPES, order);
+    return { order, signature };
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+    resolutionTime = (await time.latest()) + 86400;
+
+    const TrustedForwarder = await ethers.getContractFactory("TrustedForwarder");
+    const trustedForwarder = await TrustedForwarder.deploy();
+    ({ mockToken, priceOracle, outcomeToken, marketFactory } = await deployMarketFactory(
+      owner,
+      [CURRENCY_PAIR],
+      { forwarder: await trustedForwarder.getAddress() }
+    ));
+    await priceOracle.updatePrice(CURRENCY_PAIR, TARGET_PRICE);
+
+    await mockToken.mint(owner.address, SUBSIDY);
+    await mockToken.approve(await marketFactory.getAddress(), ethers.MaxUint256);
+    const receipt = await (await marketFactory.createMarket(
+      CURRENCY_PAIR,
+      await mockToken.getAddress(),
+      TARGET_PRICE,
+      resolutionTime,
+      SUBSIDY,
+      0,
+      0
+    )).wait();
+    const marketAddress = receipt.logs
+      .map((log) => marketFactory.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "MarketCreated").args.market;
+    predictionMarket = await ethers.getContractAt("PredictionMarket", marketAddress);
+
+    const OutcomeOrderBook = await ethers.getContractFactory("OutcomeOrderBook");
+    orderBook = await OutcomeOrderBook.deploy(await outcomeToken.getAddress(), await marketFactory.getAddress());
+
+    // user1 holds Long shares to sell; user2 and user3 trade with collateral
+    for (const user of [user1, user2, user3]) {
+      await mockToken.mint(user.address, ethers.parseUnits("1000", 6));
+      await mockToken.connect(user).approve(await predictionMarket.getAddress(), ethers.MaxUint256);
+      await mockToken.connect(user).approve(await orderBook.getAddress(), ethers.MaxUint256);
+      await outcomeToken.connect(user).setApprovalForAll(await orderBook.getAddress(), true);
+    }
+    await predictionMarket.connect(user1).takePosition(LONG, ethers.parseUnits("100", 6), 0);
+  });
+
+  it("Should fill a sell order in parts at the maker's price", async function () {
+    const longId = await predictionMarket.tokenId(LONG);
+    const { order, signature } = await signOrder(user1, {});
+    const orderHash = await orderBook.hashOrder(order);
+    const sellerBalance = await mockToken.balanceOf(user1.address);
+
+    await expect(orderBook.connect(user2).fillOrder(order, signature, ethers.parseUnits("20", 6)))
+      .to.emit(orderBook, "OrderFilled")
+      .withArgs(orderHash, user1.address, user2.address, ethers.parseUnits("20", 6), ethers.parseUnits("12", 6));
+    expect(await orderBook.remaining(order)).to.equal(ethers.parseUnits("30", 6));
+
+    await orderBook.connect(user3).fillOrder(order, signature, ethers.parseUnits("30", 6));
+    expect(await orderBook.filled(orderHash)).to.equal(order.amount);
+    expect(await orderBook.remaining(order)).to.equal(0);
+
+    expect(await outcomeToken.balanceOf(user2.address, longId)).to.equal(ethers.parseUnits("20", 6));
+    expect(await outcomeToken.balanceOf(user3.address, longId)).to.equal(ethers.parseUnits("30", 6));
+    expect(await mockToken.balanceOf(user1.address)).to.equal(sellerBalance + ethers.parseUnits("30", 6));
+
+    await expect(
+      orderBook.connect(user2).fillOrder(order, signature, 1)
+    ).to.be.revertedWith("Exceeds order amount");
+  });
+
+  it("Should let a holder sell into a buy order", async function () {
+    const longId = await predictionMarket.tokenId(LONG);
+    const { order, signature } = await signOrder(user2, { isBuy: true, price: ethers.parseEther("0.45") });
+    const buyerBalance = await mockToken.balanceOf(user2.address);
+
+    await orderBook.connect(user1).fillOrder(order, signature, ethers.parseUnits("10", 6));
+
+    expect(await outcomeToken.balanceOf(user2.address, longId)).to.equal(ethers.parseUnits("10", 6));
+    expect(await mockToken.balanceOf(user2.address)).to.equal(buyerBalance - ethers.parseUnits("4.5", 6));
+
+    // The taker needs the shares it sells
+    await expect(
+      orderBook.connect(user3).fillOrder(order, signature, ethers.parseUnits("10", 6))
+    ).to.be.revertedWithCustomError(outcomeToken, "ERC1155InsufficientBalance");
+  });
+
+  it("Should match crossing orders at the sell price", async function () {
+    const longId = await predictionMarket.tokenId(LONG);
+    const buy = await signOrder(user2, { isBuy: true, price: ethers.parseEther("0.7"), amount: ethers.parseUnits("30", 6) });
+    const sell = await signOrder(user1, { price: ethers.parseEther("0.6") });
+    const buyerBalance = await mockToken.balanceOf(user2.address);
+
+    await expect(
+      orderBook.connect(user3).matchOrders(buy.order, buy.signature, sell.order, sell.signature, ethers.parseUnits("30", 6))
+    ).to.emit(orderBook, "OrdersMatched")
+      .withArgs(
+        await orderBook.hashOrder(buy.order),
+        await orderBook.hashOrder(sell.order),
+        ethers.parseUnits("30", 6),
+        ethers.parseUnits("18", 6)
+      );
+
+    expect(await outcomeToken.balanceOf(user2.address, longId)).to.equal(ethers.parseUnits("30", 6));
+    expect(await mockToken.balanceOf(user2.address)).to.equal(buyerBalance - ethers.parseUnits("18", 6));
+    expect(await orderBook.remaining(buy.order)).to.equal(0);
+    expect(await orderBook.remaining(sell.order)).to.equal(ethers.parseUnits("20", 6));
+  });
+
+  it("Should only match orders for the same shares whose prices cross", async function () {
+    const sell = await signOrder(user1, { price: ethers.parseEther("0.6") });
+    const lowBid = await signOrder(user2, { isBuy: true, price: ethers.parseEther("0.5") });
+    const shortBid = await signOrder(user2, { isBuy: true, price: ethers.parseEther("0.7"), positionType: SHORT });
+    const amount = ethers.parseUnits("10", 6);
+
+    await expect(
+      orderBook.matchOrders(lowBid.order, lowBid.signature, sell.order, sell.signature, amount)
+    ).to.be.revertedWith("Prices do not cross");
+    await expect(
+      orderBook.matchOrders(shortBid.order, shortBid.signature, sell.order, sell.signature, amount)
+    ).to.be.revertedWith("Orders for different shares");
+    await expect(
+      orderBook.matchOrders(sell.order, sell.signature, lowBid.order, lowBid.signature, amount)
+    ).to.be.revertedWith("Orders not opposite");
+  });
+
+  it("Should let only the maker cancel an order", async function () {
+    const { order, signature } = await signOrder(user1, {});
+    await orderBook.connect(user2).fillOrder(order, signature, ethers.parseUnits("10", 6));
+
+    await expect(orderBook.connect(user2).cancelOrder(order)).to.be.revertedWith("Not maker");
+    await expect(orderBook.connect(user1).cancelOrder(order))
+      .to.emit(orderBook, "OrderCancelled")
+      .withArgs(await orderBook.hashOrder(order), user1.address);
+
+    expect(await orderBook.remaining(order)).to.equal(0);
+    await expect(
+      orderBook.connect(user2).fillOrder(order, signature, ethers.parseUnits("10", 6))
+    ).to.be.revertedWith("Order cancelled");
+  });
+
+  it("Should not fill expired orders", async function () {
+    const { order, signature } = await signOrder(user1, { expiry: (await time.latest()) + 60 });
+    await time.increase(61);
+
+    expect(await orderBook.remaining(order)).to.equal(0);
+    await expect(
+      orderBook.connect(user2).fillOrder(order, signature, ethers.parseUnits("10", 6))
+    ).to.be.revertedWith("Order expired");
+    await expect(orderBook.postOrder(order, signature)).to.be.revertedWith("Order expired");
+  });
+
+  it("Should reject orders not signed by their maker", async function () {
+    const { order, signature } = await signOrder(user1, {});
+    const tampered = { ...order, price: ethers.parseEther("0.01") };
+    const forged = await signOrder(user2, { maker: user1.address });
+
+    await expect(
+      orderBook.connect(user2).fillOrder(tampered, signature, ethers.parseUnits("10", 6))
+    ).to.be.revertedWith("Invalid signature");
+    await expect(
+      orderBook.connect(user2).fillOrder(forged.order, forged.signature, ethers.parseUnits("10", 6))
+    ).to.be.revertedWith("Invalid signature");
+    await expect(orderBook.postOrder(tampered, signature)).to.be.revertedWith("Invalid signature");
+  });
+
+  it("Should only trade markets registered with the factory", async function () {
+    // Any contract exposing collateralToken() could otherwise pick the token pulled from buyers
+    const { order, signature } = await signOrder(user2, { isBuy: true, market: await mockToken.getAddress() });
+
+    expect(await marketFactory.isMarket(await predictionMarket.getAddress())).to.equal(true);
+    expect(await marketFactory.isMarket(order.market)).to.equal(false);
+    await expect(
+      orderBook.connect(user1).fillOrder(order, signature, ethers.parseUnits("10", 6))
+    ).to.be.revertedWith("Unknown market");
+    await expect(orderBook.postOrder(order, signature)).to.be.revertedWith("Unknown market");
+  });
+
+  it("Should not fill orders past the market's resolution time", async function () {
+    const { order, signature } = await signOrder(user1, { expiry: resolutionTime + 86400 });
+    await orderBook.connect(user2).fillOrder(order, signature, ethers.parseUnits("10", 6));
+
+    await time.increaseTo(resolutionTime);
+    await expect(
+      orderBook.connect(user2).fillOrder(order, signature, ethers.parseUnits("10", 6))
+    ).to.be.revertedWith("Market closed");
+  });
+
+  it("Should not fill resting orders after the market settles", async function () {
+    const { order, signature } = await signOrder(user1, {});
+    await predictionMarket.connect(owner).cancelMarket();
+
+    await expect(
+      orderBook.connect(user2).fillOrder(order, signature, ethers.parseUnits("10", 6))
+    ).to.be.revertedWith("Market closed");
+    await expect(orderBook.postOrder(order, signature)).to.be.revertedWith("Market closed");
+  });
+
+  it("Should fill orders made by a PieWallet through ERC-1271", async function () {
+    const longId = await predictionMarket.tokenId(LONG);
+    const PieWallet = await ethers.getContractFactory("PieWallet");
+    const implementation = await PieWallet.deploy();
+    const PieWalletFactory = await ethers.getContractFactory("PieWalletFactory");
+    const pieWalletFactory = await PieWalletFactory.deploy(await implementation.getAddress());
+    const pieId = ethers.id("pie-1700000000000");
+    await pieWalletFactory.createWallet(user1.address, pieId);
+    const pieWallet = await ethers.getContractAt("PieWallet", await pieWalletFactory.getWalletAddress(user1.address, pieId));
+    const walletAddress = await pieWallet.getAddress();
+
+    // The wallet holds the shares and approves the order book; its owner signs
+    await outcomeToken.connect(user1).safeTransferFrom(user1.address, walletAddress, longId, ethers.parseUnits("50", 6), "0x");
+    await pieWallet.connect(user1).execute(
+      await outcomeToken.getAddress(),
+      0,
+      outcomeToken.interface.encodeFunctionData("setApprovalForAll", [await orderBook.getAddress(), true])
+    );
+    const { order, signature } = await signOrder(user1, { maker: walletAddress });
+    const forged = await signOrder(user2, { maker: walletAddress });
+
+    await expect(
+      orderBook.connect(user3).fillOrder(forged.order, forged.signature, ethers.parseUnits("10", 6))
+    ).to.be.revertedWith("Invalid signature");
+    await orderBook.connect(user3).fillOrder(order, signature, ethers.parseUnits("50", 6));
+
+    expect(await outcomeToken.balanceOf(user3.address, longId)).to.equal(ethers.parseUnits("50", 6));
+    expect(await mockToken.balanceOf(walletAddress)).to.equal(ethers.parseUnits("30", 6));
+  });
+
+  it("Should broadcast signed orders for the book", async function () {
+    const marketAddress = await predictionMarket.getAddress();
+    const { order, signature } = await signOrder(user1, {});
+
+    // Anyone can relay a maker's order
+    await expect(orderBook.connect(user3).postOrder(order, signature))
+      .to.emit(orderBook, "OrderPosted");
+
+    const events = await orderBook.queryFilter(orderBook.filters.OrderPosted(null, marketAddress));
+    expect(events).to.have.length(1);
+    expect(events[0].args.maker).to.equal(user1.address);
+    expect(events[0].args.order.amount).to.equal(order.amount);
+    expect(events[0].args.signature).to.equal(signature);
+
+    await expect(
+      orderBook.postOrder({ ...order, price: ethers.parseEther("1.5") }, signature)
+    ).to.be.revertedWith("Invalid price");
+  });
+});
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PieNameRegistrar", function () {
+  let ensRegistry;
+  let resolver;
+  let pieWalletFactory;
+  let registrar;
+  let owner;
+  let user1;
+  let user2;
+
+  const PIE_ID = ethers.id("pie-1700000000000");
+  const COMPOSITION = JSON.stringify({ EUR: 40, JPY: 35, BRL: 25 });
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    // Local ENS: root -> eth -> laxo.eth, owned by the deployer
+    const MockENSRegistry = await ethers.getContractFactory("MockENSRegistry");
+    ensRegistry = await MockENSRegistry.deploy();
+    const MockPublicResolver = await ethers.getContractFactory("MockPublicResolver");
+    resolver = await MockPublicResolver.deploy(await ensRegistry.getAddress());
+    await ensRegistry.setSubnodeOwner(ethers.ZeroHash, ethers.id("eth"), owner.address);
+    await ensRegistry.setSubnodeOwner(ethers.namehash("eth"), ethers.id("laxo"), owner.address);
+
+    const PieWallet = await ethers.getContractFactory("PieWallet");
+    const implementation = await PieWallet.deploy();
+    const PieWalletFactory = await ethers.getContractFactory("PieWalletFactory");
+    pieWalletFactory = await PieWalletFactory.deploy(await implementation.getAddress());
+
+    const PieNameRegistrar = await ethers.getContractFactory("PieNameRegistrar");
+    registrar = await PieNameRegistrar.deploy(
+      await ensRegistry.getAddress(),
+      await resolver.getAddress(),
+      await pieWalletFactory.getAddress(),
+      ethers.namehash("laxo.eth"),
+      "laxo.eth"
+    );
+    await ensRegistry.setOwner(ethers.namehash("laxo.eth"), await registrar.getAddress());
+  });
+
+  it("Should issue a pie name resolving to the caller's pie wallet", async function () {
+    const name = "pie-majors.alice.laxo.eth";
+    const node = ethers.namehash(name);
+    const wallet = await pieWalletFactory.getWalletAddress(user1.address, PIE_ID);
+
+    await expect(
+      registrar.connect(user1).register("alice", "majors", PIE_ID, [{ key: "laxo.pie.composition", value: COMPOSITION }])
+    )
+      .to.emit(registrar, "PieNameRegistered")
+      .withArgs(user1.address, node, PIE_ID, name, wallet)
+      .and.to.emit(registrar, "UserNameClaimed")
+      .withArgs(user1.address, ethers.namehash("alice.laxo.eth"), "alice.laxo.eth");
+
+    expect(await registrar.pieNode("alice", "majors")).to.equal(node);
+    expect(await ensRegistry.owner(node)).to.equal(user1.address);
+    expect(await ensRegistry.resolver(node)).to.equal(await resolver.getAddress());
+    expect(await resolver.addr(node)).to.equal(wallet);
+    expect(await resolver.text(node, "laxo.pie.composition")).to.equal(COMPOSITION);
+
+    // The registrar keeps the user node so only it issues pie names there
+    expect(await ensRegistry.owner(ethers.namehash("alice.laxo.eth"))).to.equal(await registrar.getAddress());
+    expect(await registrar.userLabels(user1.address)).to.equal("alice");
+  });
+
+  it("Should let the name owner update its records", async function () {
+    await registrar.connect(user1).register("alice", "majors", PIE_ID, []);
+    const node = ethers.namehash("pie-majors.alice.laxo.eth");
+
+    await resolver.connect(user1).setText(node, "laxo.pie.composition", COMPOSITION);
+    expect(await resolver.text(node, "laxo.pie.composition")).to.equal(COMPOSITION);
+    await expect(resolver.connect(user2).setText(node, "url", "https://example.com")).to.be.revertedWith("Not authorised");
+  });
+
+  it("Should reserve user labels for the account that claimed them", async function () {
+    await registrar.connect(user1).register("alice", "majors", PIE_ID, []);
+    await registrar.connect(user1).register("alice", "latam", ethers.id("pie-2"), []);
+
+    await expect(registrar.connect(user2).register("alice", "majors-2", PIE_ID, [])).to.be.revertedWith("User name taken");
+    await expect(registrar.connect(user1).register("alicia", "asia", PIE_ID, [])).to.be.revertedWith("User name already claimed");
+    await expect(registrar.connect(user1).register("alice", "majors", ethers.id("pie-3"), [])).to.be.revertedWith("Name taken");
+  });
+
+  it("Should only accept normalized labels", async function () {
+    await expect(registrar.connect(user1).register("Alice", "majors", PIE_ID, [])).to.be.revertedWith("Invalid label");
+    await expect(registrar.connect(user1).register("alice", "majors.fx", PIE_ID, [])).to.be.revertedWith("Invalid label");
+    await expect(registrar.connect(user1).register("alice", "majors-", PIE_ID, [])).to.be.revertedWith("Invalid label");
+    await expect(registrar.connect(user1).register("", "majors", PIE_ID, [])).to.be.revertedWith("Invalid label");
+  });
+
+  it("Should enumerate a user's pie names from events", async function () {
+    await registrar.connect(user1).register("alice", "majors", PIE_ID, []);
+    await registrar.connect(user2).register("bob", "majors", PIE_ID, []);
+    await registrar.connect(user1).register("alice", "latam", ethers.id("pie-2"), []);
+
+    const events = await registrar.queryFilter(registrar.filters.PieNameRegistered(user1.address));
+    expect(events.map((event) => event.args.name)).to.deep.equal([
+      "pie-majors.alice.laxo.eth",
+      "pie-latam.alice.laxo.eth"
+    ]);
+  });
+
+  it("Should not issue names without the parent", async function () {
+    const PieNameRegistrar = await ethers.getContractFactory("PieNameRegistrar");
+    const orphan = await PieNameRegistrar.deploy(
+      await ensRegistry.getAddress(),
+      await resolver.getAddress(),
+      await pieWalletFactory.getAddress(),
+      ethers.namehash("other.eth"),
+      "other.eth"
+    );
+    await expect(orphan.connect(user1).register("alice", "majors", PIE_ID, [])).to.be.revertedWith("Not authorised");
+  });
+});
@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("PieVault", function () {
+  let pieVault;
+  let priceOracle;
+  let usdc;
+  let eurc;
+  let jpyc;
+  let owner;
+  let user1;
+  let user2;
+
+  // MockPriceOracle seeds, in units per USD like every XXX/USD feed
+  const EUR_PRICE = ethers.parseUnits("1", 8);
+  const JPY_PRICE = ethers.parseUnits("150", 8);
+  const usd = (value) => ethers.parseUnits(value, 18);
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    eurc = await MockERC20.deploy("Euro Coin", "EURC", 6);
+    jpyc = await MockERC20.deploy("JPY Coin", "JPYC", 18);
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    priceOracle = await MockPriceOracle.deploy();
+
+    // 50% USDC, 30% EURC, 20% JPYC
+    const PieVault = await ethers.getContractFactory("PieVault");
+    pieVault = await PieVault.deploy("Majors Pie", "PIE-MAJ", await priceOracle.getAddress(), [
+      { token: await usdc.getAddress(), weightBps: 5000, pricePair: "" },
+      { token: await eurc.getAddress(), weightBps: 3000, pricePair: "EUR/USD" },
+      { token: await jpyc.getAddress(), weightBps: 2000, pricePair: "JPY/USD" }
+    ]);
+
+    for (const user of [user1, user2]) {
+      await usdc.mint(user.address, ethers.parseUnits("10000", 6));
+      await eurc.mint(user.address, ethers.parseUnits("10000", 6));
+      await jpyc.mint(user.address, ethers.parseUnits("10000000", 18));
+      for (const token of [usdc, eurc, jpyc]) {
+        await token.connect(user).approve(await pieVault.getAddress(), ethers.MaxUint256);
+      }
+    }
+  });
+
+  describe("Deployment", function () {
+    it("Should store the basket", async function () {
+      const components = await pieVault.getComponents();
+      expect(components.length).to.equal(3);
+      expect(components[1].token).to.equal(await eurc.getAddress());
+      expect(components[1].weightBps).to.equal(3000);
+      expect(components[1].pricePair).to.equal("EUR/USD");
+      expect(await pieVault.totalAssets()).to.equal(0);
+    });
+
+    it("Should reject invalid baskets", async function () {
+      const PieVault = await ethers.getContractFactory("PieVault");
+      const oracleAddress = await priceOracle.getAddress();
+      const usdcAddress = await usdc.getAddress();
+
+      await expect(
+        PieVault.deploy("Pie", "PIE", oracleAddress, [{ token: usdcAddress, weightBps: 9000, pricePair: "" }])
+      ).to.be.revertedWith("Weights must sum to 100%");
+      await expect(
+        PieVault.deploy("Pie", "PIE", oracleAddress, [
+          { token: usdcAddress, weightBps: 5000, pricePair: "" },
+          { token: usdcAddress, weightBps: 5000, pricePair: "" }
+        ])
+      ).to.be.revertedWith("Duplicate token");
+      await expect(PieVault.deploy("Pie", "PIE", oracleAddress, [])).to.be.revertedWith("Invalid components");
+      await expect(
+        PieVault.deploy("Pie", "PIE", ethers.ZeroAddress, [{ token: usdcAddress, weightBps: 10000, pricePair: "" }])
+      ).to.be.revertedWith("Invalid oracle");
+    });
+  });
+
+  describe("Deposits", function () {
+    it("Should pull every component at its weight and mint shares at NAV", async function () {
+      const value = usd("1000");
+      const amounts = await pieVault.quoteDeposit(value);
+
+      // $500 in USDC, $300 in EURC at 1 EUR per USD, $200 in JPYC at 150 JPY per USD
+      expect((await priceOracle.getPrice("JPY/USD")).price).to.equal(JPY_PRICE);
+      expect(amounts[0]).to.equal(ethers.parseUnits("500", 6));
+      expect(amounts[1]).to.equal(ethers.parseUnits("300", 6));
+      expect(amounts[2]).to.equal(ethers.parseUnits("30000", 18));
+
+      await expect(pieVault.connect(user1).deposit(value, user1.address))
+        .to.emit(pieVault, "Deposit")
+        .withArgs(user1.address, user1.address, value, value);
+
+      expect(await pieVault.balanceOf(user1.address)).to.equal(value);
+      expect(await usdc.balanceOf(await pieVault.getAddress())).to.equal(amounts[0]);
+      expect(await eurc.balanceOf(await pieVault.getAddress())).to.equal(amounts[1]);
+      expect(await jpyc.balanceOf(await pieVault.getAddress())).to.equal(amounts[2]);
+      expect(await pieVault.totalAssets()).to.equal(value);
+    });
+
+    it("Should report NAV from the oracle", async function () {
+      await pieVault.connect(user1).deposit(usd("1000"), user1.address);
+
+      // EUR +25% (0.8 EUR per USD) moves the 30% EUR leg from $300 to $375
+      await priceOracle.updatePrice("EUR/USD", (EUR_PRICE * 80n) / 100n);
+      expect(await pieVault.totalAssets()).to.equal(usd("1075"));
+      expect(await pieVault.navPerShare()).to.be.closeTo(usd("1.075"), usd("0.000001"));
+
+      const [balances, values] = await pieVault.getHoldings();
+      expect(balances[0]).to.equal(ethers.parseUnits("500", 6));
+      expect(values[1]).to.equal(usd("375"));
+    });
+
+    it("Should mint later deposits at the current NAV", async function () {
+      await pieVault.connect(user1).deposit(usd("1000"), user1.address);
+      await priceOracle.updatePrice("JPY/USD", JPY_PRICE * 2n);
+
+      // JPY halving (300 per USD) cuts NAV to $900, so $450 buys half of user1's shares
+      const shares = await pieVault.previewDeposit(usd("450"));
+      expect(shares).to.be.closeTo(usd("500"), usd("0.000001"));
+      await pieVault.connect(user2).deposit(usd("450"), user2.address);
+      expect(await pieVault.balanceOf(user2.address)).to.equal(shares);
+    });
+
+    it("Should reject deposits priced from stale feeds", async function () {
+      await time.increase(3601);
+      await expect(pieVault.connect(user1).deposit(usd("100"), user1.address)).to.be.revertedWith("Stale price");
+    });
+  });
+
+  describe("Redemptions", function () {
+    beforeEach(async function () {
+      await pieVault.connect(user1).deposit(usd("1000"), user1.address);
+      await pieVault.connect(user2).deposit(usd("500"), user2.address);
+    });
+
+    it("Should burn shares and pay a pro-rata slice of every component", async function () {
+      const shares = await pieVault.balanceOf(user2.address);
+      const amounts = await pieVault.previewRedeem(shares);
+      const usdcBefore = await usdc.balanceOf(user2.address);
+      const jpycBefore = await jpyc.balanceOf(user2.address);
+
+      await expect(pieVault.connect(user2).redeem(shares, user2.address, user2.address))
+        .to.emit(pieVault, "Redeem")
+        .withArgs(user2.address, user2.address, user2.address, shares, amounts);
+
+      expect(await pieVault.balanceOf(user2.address)).to.equal(0);
+      expect(await usdc.balanceOf(user2.address)).to.equal(usdcBefore + amounts[0]);
+      expect(await jpyc.balanceOf(user2.address)).to.equal(jpycBefore + amounts[2]);
+      expect(amounts[0]).to.be.closeTo(ethers.parseUnits("250", 6), 1);
+      expect(await pieVault.totalAssets()).to.be.closeTo(usd("1000"), usd("0.00001"));
+    });
+
+    it("Should let the last holder empty the vault even with stale prices", async function () {
+      await pieVault.connect(user2).redeem(await pieVault.balanceOf(user2.address), user2.address, user2.address);
+      await time.increase(3601);
+
+      await pieVault.connect(user1).redeem(await pieVault.balanceOf(user1.address), user1.address, user1.address);
+      for (const token of [usdc, eurc, jpyc]) {
+        expect(await token.balanceOf(await pieVault.getAddress())).to.equal(0);
+      }
+      expect(await pieVault.totalSupply()).to.equal(0);
+    });
+
+    it("Should require an allowance to redeem for another holder", async function () {
+      const shares = usd("100");
+      await expect(
+        pieVault.connect(user2).redeem(shares, user2.address, user1.address)
+      ).to.be.revertedWithCustomError(pieVault, "ERC20InsufficientAllowance");
+
+      await pieVault.connect(user1).approve(user2.address, shares);
+      const usdcBefore = await usdc.balanceOf(owner.address);
+      await pieVault.connect(user2).redeem(shares, owner.address, user1.address);
+
+      expect(await pieVault.balanceOf(user1.address)).to.equal(usd("900"));
+      expect(await usdc.balanceOf(owner.address)).to.be.gt(usdcBefore);
+    });
+  });
+});
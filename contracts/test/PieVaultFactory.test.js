@@ -0,0 +1,46 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PieVaultFactory", function () {
+  let pieVaultFactory;
+  let priceOracle;
+  let usdc;
+  let jpyc;
+  let user1;
+
+  beforeEach(async function () {
+    [, user1] = await ethers.getSigners();
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    priceOracle = await MockPriceOracle.deploy();
+    const PieVaultFactory = await ethers.getContractFactory("PieVaultFactory");
+    pieVaultFactory = await PieVaultFactory.deploy(await priceOracle.getAddress());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    jpyc = await MockERC20.deploy("JPY Coin", "JPYC", 18);
+  });
+
+  it("Should deploy a vault for a pie's basket on the factory's oracle", async function () {
+    const components = [
+      { token: await usdc.getAddress(), weightBps: 6000, pricePair: "" },
+      { token: await jpyc.getAddress(), weightBps: 4000, pricePair: "JPY/USD" }
+    ];
+    const vaultAddress = await pieVaultFactory.connect(user1).createVault.staticCall("Yen Pie", "PIE-JPY", components);
+
+    await expect(pieVaultFactory.connect(user1).createVault("Yen Pie", "PIE-JPY", components))
+      .to.emit(pieVaultFactory, "PieVaultCreated")
+      .withArgs(user1.address, vaultAddress, "Yen Pie");
+
+    const pieVault = await ethers.getContractAt("PieVault", vaultAddress);
+    expect(await pieVault.name()).to.equal("Yen Pie");
+    expect(await pieVault.oracle()).to.equal(await priceOracle.getAddress());
+    expect((await pieVault.getComponents())[1].pricePair).to.equal("JPY/USD");
+  });
+
+  it("Should reject invalid baskets", async function () {
+    await expect(
+      pieVaultFactory.createVault("Pie", "PIE", [{ token: await usdc.getAddress(), weightBps: 9000, pricePair: "" }])
+    ).to.be.revertedWith("Weights must sum to 100%");
+  });
+});
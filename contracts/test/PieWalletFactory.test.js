@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PieWalletFactory", function () {
+  let pieWalletFactory;
+  let implementation;
+  let mockToken;
+  let owner;
+  let user1;
+  let user2;
+
+  const PIE_ID = ethers.id("pie-1700000000000");
+
+  // Same derivation as frontend/lib/ens/pieWallet.js: CREATE2 of an EIP-1167 clone
+  function predictWalletAddress(factoryAddress, implementationAddress, userAddress, pieId) {
+    const salt = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [userAddress, pieId]));
+    const initCode = ethers.concat([
+      "0x3d602d80600a3d3981f3363d3d373d3d3d363d73",
+      implementationAddress,
+      "0x5af43d82803e903d91602b57fd5bf3"
+    ]);
+    return ethers.getCreate2Address(factoryAddress, salt, ethers.keccak256(initCode));
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const PieWallet = await ethers.getContractFactory("PieWallet");
+    implementation = await PieWallet.deploy();
+    const PieWalletFactory = await ethers.getContractFactory("PieWalletFactory");
+    pieWalletFactory = await PieWalletFactory.deploy(await implementation.getAddress());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("USD Coin", "USDC", 6);
+  });
+
+  it("Should deploy the wallet at its counterfactual address", async function () {
+    const predicted = predictWalletAddress(
+      await pieWalletFactory.getAddress(),
+      await implementation.getAddress(),
+      user1.address,
+      PIE_ID
+    );
+    expect(await pieWalletFactory.getWalletAddress(user1.address, PIE_ID)).to.equal(predicted);
+    expect(await ethers.provider.getCode(predicted)).to.equal("0x");
+
+    // Anyone may deploy it, but it belongs to the user
+    await expect(pieWalletFactory.connect(user2).createWallet(user1.address, PIE_ID))
+      .to.emit(pieWalletFactory, "PieWalletCreated")
+      .withArgs(user1.address, PIE_ID, predicted);
+
+    const wallet = await ethers.getContractAt("PieWallet", predicted);
+    expect(await wallet.owner()).to.equal(user1.address);
+  });
+
+  it("Should give each user and pie their own wallet", async function () {
+    const otherPie = ethers.id("pie-1700000000001");
+    const addresses = new Set([
+      await pieWalletFactory.getWalletAddress(user1.address, PIE_ID),
+      await pieWalletFactory.getWalletAddress(user1.address, otherPie),
+      await pieWalletFactory.getWalletAddress(user2.address, PIE_ID)
+    ]);
+    expect(addresses.size).to.equal(3);
+  });
+
+  it("Should return the existing wallet when created twice", async function () {
+    await pieWalletFactory.createWallet(user1.address, PIE_ID);
+    const wallet = await pieWalletFactory.createWallet.staticCall(user1.address, PIE_ID);
+
+    expect(wallet).to.equal(await pieWalletFactory.getWalletAddress(user1.address, PIE_ID));
+    await expect(pieWalletFactory.createWallet(user1.address, PIE_ID)).to.not.emit(pieWalletFactory, "PieWalletCreated");
+  });
+
+  it("Should keep funds sent before deployment under the owner's control", async function () {
+    const walletAddress = await pieWalletFactory.getWalletAddress(user1.address, PIE_ID);
+    await mockToken.mint(walletAddress, ethers.parseUnits("100", 6));
+    await pieWalletFactory.createWallet(user1.address, PIE_ID);
+    const wallet = await ethers.getContractAt("PieWallet", walletAddress);
+
+    const transfer = mockToken.interface.encodeFunctionData("transfer", [user2.address, ethers.parseUnits("40", 6)]);
+    await expect(
+      wallet.connect(user2).execute(await mockToken.getAddress(), 0, transfer)
+    ).to.be.revertedWithCustomError(wallet, "OwnableUnauthorizedAccount");
+
+    await expect(wallet.connect(user1).execute(await mockToken.getAddress(), 0, transfer))
+      .to.emit(wallet, "Executed")
+      .withArgs(await mockToken.getAddress(), 0, transfer);
+    expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseUnits("40", 6));
+  });
+
+  it("Should run batches all or nothing", async function () {
+    await pieWalletFactory.createWallet(user1.address, PIE_ID);
+    const wallet = await ethers.getContractAt("PieWallet", await pieWalletFactory.getWalletAddress(user1.address, PIE_ID));
+    await mockToken.mint(await wallet.getAddress(), ethers.parseUnits("100", 6));
+    const token = await mockToken.getAddress();
+    const transfer = (amount) => mockToken.interface.encodeFunctionData("transfer", [user2.address, ethers.parseUnits(amount, 6)]);
+
+    await expect(
+      wallet.connect(user1).executeBatch([
+        { target: token, value: 0, data: transfer("60") },
+        { target: token, value: 0, data: transfer("60") }
+      ])
+    ).to.be.revertedWithPanic(0x11);
+
+    await wallet.connect(user1).executeBatch([
+      { target: token, value: 0, data: transfer("60") },
+      { target: token, value: 0, data: transfer("40") }
+    ]);
+    expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseUnits("100", 6));
+  });
+
+  it("Should accept its owner's signatures through ERC-1271", async function () {
+    await pieWalletFactory.createWallet(user1.address, PIE_ID);
+    const wallet = await ethers.getContractAt("PieWallet", await pieWalletFactory.getWalletAddress(user1.address, PIE_ID));
+    const domain = { name: "Laxo Order Book", version: "1" };
+    const types = { Order: [{ name: "maker", type: "address" }] };
+    const order = { maker: await wallet.getAddress() };
+    const hash = ethers.TypedDataEncoder.hash(domain, types, order);
+
+    expect(await wallet.isValidSignature(hash, await user1.signTypedData(domain, types, order))).to.equal("0x1626ba7e");
+    expect(await wallet.isValidSignature(hash, await user2.signTypedData(domain, types, order))).to.equal("0xffffffff");
+    expect(await wallet.isValidSignature(hash, "0x")).to.equal("0xffffffff");
+  });
+
+  it("Should not allow initializing the implementation or a wallet twice", async function () {
+    await expect(implementation.initialize(user1.address)).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+
+    await pieWalletFactory.createWallet(user1.address, PIE_ID);
+    const wallet = await ethers.getContractAt("PieWallet", await pieWalletFactory.getWalletAddress(user1.address, PIE_ID));
+    await expect(wallet.initialize(user2.address)).to.be.revertedWithCustomError(wallet, "InvalidInitialization");
+  });
+});
@@ -1,10 +1,17 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployMarketFactory, signPermit, signForwardRequest } = require("./helpers");
 
 describe("PredictionMarket", function () {
   let predictionMarket;
   let marketFactory;
+  let priceOracle;
   let mockToken;
+  let yellowIntegration;
+  let trustedForwarder;
+  let outcomeToken;
   let owner;
   let user1;
   let user2;
@@ -12,35 +19,51 @@ describe("PredictionMarket", function () {
 
   const CURRENCY_PAIR = "USDC/EURC";
   const TARGET_PRICE = ethers.parseUnits("1.0", 8); // 1.0 with 8 decimals
-  const RESOLUTION_TIME = Math.floor(Date.now() / 1000) + 86400; // 24 hours from now
+  const SUBSIDY = ethers.parseUnits("1000", 6); // Market maker subsidy
+  let RESOLUTION_TIME;
 
   beforeEach(async function () {
     [owner, user1, user2, oracle] = await ethers.getSigners();
+    RESOLUTION_TIME = (await time.latest()) + 86400; // 24 hours from now
 
-    // Deploy mock ERC20 token (USDC)
-    const MockERC20 = await ethers.getContractFactory("MockERC20");
-    mockToken = await MockERC20.deploy("USD Coin", "USDC", 6);
-    await mockToken.waitForDeployment();
+    // Deploy the ERC-2771 forwarder relayers submit signed requests through
+    const TrustedForwarder = await ethers.getContractFactory("TrustedForwarder");
+    trustedForwarder = await TrustedForwarder.deploy();
+    await trustedForwarder.waitForDeployment();
+
+    // Deploy MarketFactory with mock USDC collateral
+    ({ mockToken, priceOracle, outcomeToken, marketFactory } = await deployMarketFactory(
+      owner,
+      [CURRENCY_PAIR],
+      { forwarder: await trustedForwarder.getAddress() }
+    ));
 
     // Deploy YellowIntegration
     const YellowIntegration = await ethers.getContractFactory("YellowIntegration");
-    yellowIntegration = await YellowIntegration.deploy(owner.address);
+    yellowIntegration = await YellowIntegration.deploy(owner.address, await mockToken.getAddress(), ethers.ZeroAddress);
     await yellowIntegration.waitForDeployment();
 
-    // Deploy MarketFactory
-    const MarketFactory = await ethers.getContractFactory("MarketFactory");
-    marketFactory = await MarketFactory.deploy(oracle.address, owner.address);
-    await marketFactory.waitForDeployment();
+    // Fund market maker subsidies
+    await mockToken.mint(owner.address, ethers.parseUnits("10000", 6));
+    await mockToken.approve(await marketFactory.getAddress(), ethers.MaxUint256);
+
+    // The factory only creates markets on pairs the oracle can price
+    await priceOracle.updatePrice(CURRENCY_PAIR, TARGET_PRICE);
 
     // Create a market
     const tx = await marketFactory.createMarket(
       CURRENCY_PAIR,
       await mockToken.getAddress(),
       TARGET_PRICE,
-      RESOLUTION_TIME
+      RESOLUTION_TIME,
+      SUBSIDY,
+      0,
+      0
     );
     const receipt = await tx.wait();
-    const marketAddress = receipt.logs[0].args.market;
+    const marketAddress = receipt.logs
+      .map((log) => marketFactory.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "MarketCreated").args.market;
     
     predictionMarket = await ethers.getContractAt("PredictionMarket", marketAddress);
 
@@ -63,95 +86,461 @@ describe("PredictionMarket", function () {
     });
 
     it("Should revert if resolution time is in the past", async function () {
-      const pastTime = Math.floor(Date.now() / 1000) - 3600;
+      const pastTime = (await time.latest()) - 3600;
       await expect(
         marketFactory.createMarket(
-          "USDC/JPYC",
+          CURRENCY_PAIR,
           await mockToken.getAddress(),
           TARGET_PRICE,
-          pastTime
+          pastTime,
+          SUBSIDY,
+          0,
+          0
         )
       ).to.be.revertedWith("Invalid resolution time");
     });
+
+    it("Should revert without a market maker subsidy", async function () {
+      await expect(
+        marketFactory.createMarket(
+          CURRENCY_PAIR,
+          await mockToken.getAddress(),
+          TARGET_PRICE,
+          RESOLUTION_TIME,
+          0,
+          0,
+          0
+        )
+      ).to.be.revertedWith("Invalid subsidy");
+    });
+
+    it("Should start at even odds", async function () {
+      const half = ethers.parseUnits("0.5", 18);
+      expect(await predictionMarket.impliedProbability(0)).to.equal(half);
+      expect(await predictionMarket.impliedProbability(1)).to.equal(half);
+    });
   });
 
   describe("Taking Positions", function () {
     it("Should allow user to take a long position", async function () {
       const amount = ethers.parseUnits("100", 6);
+      const expectedShares = await predictionMarket.quoteShares(0, amount);
       
       await expect(
-        predictionMarket.connect(user1).takePosition(0, amount) // 0 = Long
+        predictionMarket.connect(user1).takePosition(0, amount, 0) // 0 = Long
       ).to.emit(predictionMarket, "PositionTaken")
-        .withArgs(user1.address, 0, amount, amount);
+        .withArgs(user1.address, 0, expectedShares, amount, expectedShares);
 
       const position = await predictionMarket.getUserPosition(user1.address);
-      expect(position.positionType).to.equal(0); // Long
-      expect(position.shares).to.equal(amount);
-      expect(position.collateral).to.equal(amount);
+      expect(position.longShares).to.equal(expectedShares);
+      expect(position.longCollateral).to.equal(amount);
+      expect(position.shortShares).to.equal(0);
     });
 
     it("Should allow user to take a short position", async function () {
       const amount = ethers.parseUnits("100", 6);
+      const expectedShares = await predictionMarket.quoteShares(1, amount);
       
       await expect(
-        predictionMarket.connect(user1).takePosition(1, amount) // 1 = Short
+        predictionMarket.connect(user1).takePosition(1, amount, 0) // 1 = Short
       ).to.emit(predictionMarket, "PositionTaken")
-        .withArgs(user1.address, 1, amount, amount);
+        .withArgs(user1.address, 1, expectedShares, amount, expectedShares);
 
       const position = await predictionMarket.getUserPosition(user1.address);
-      expect(position.positionType).to.equal(1); // Short
+      expect(position.shortShares).to.equal(expectedShares);
+      expect(position.longShares).to.equal(0);
     });
 
     it("Should allow adding to existing position", async function () {
       const amount1 = ethers.parseUnits("100", 6);
       const amount2 = ethers.parseUnits("50", 6);
       
-      await predictionMarket.connect(user1).takePosition(0, amount1);
-      await predictionMarket.connect(user1).takePosition(0, amount2);
+      const shares1 = await predictionMarket.quoteShares(0, amount1);
+      await predictionMarket.connect(user1).takePosition(0, amount1, 0);
+      const shares2 = await predictionMarket.quoteShares(0, amount2);
+      await predictionMarket.connect(user1).takePosition(0, amount2, 0);
 
       const position = await predictionMarket.getUserPosition(user1.address);
-      expect(position.shares).to.equal(amount1 + amount2);
-      expect(position.collateral).to.equal(amount1 + amount2);
+      expect(position.longShares).to.equal(shares1 + shares2);
+      expect(position.longCollateral).to.equal(amount1 + amount2);
     });
 
-    it("Should revert if trying to mix position types", async function () {
-      const amount = ethers.parseUnits("100", 6);
+    it("Should allow holding both sides to hedge", async function () {
+      const longAmount = ethers.parseUnits("100", 6);
+      const shortAmount = ethers.parseUnits("40", 6);
       
-      await predictionMarket.connect(user1).takePosition(0, amount);
+      const longShares = await predictionMarket.quoteShares(0, longAmount);
+      await predictionMarket.connect(user1).takePosition(0, longAmount, 0);
+      const shortShares = await predictionMarket.quoteShares(1, shortAmount);
       
       await expect(
-        predictionMarket.connect(user1).takePosition(1, amount)
-      ).to.be.revertedWith("Cannot mix position types");
+        predictionMarket.connect(user1).takePosition(1, shortAmount, 0)
+      ).to.emit(predictionMarket, "PositionTaken")
+        .withArgs(user1.address, 1, shortShares, shortAmount, shortShares);
+
+      const position = await predictionMarket.getUserPosition(user1.address);
+      expect(position.longShares).to.equal(longShares);
+      expect(position.longCollateral).to.equal(longAmount);
+      expect(position.shortShares).to.equal(shortShares);
+      expect(position.shortCollateral).to.equal(shortAmount);
+    });
+
+    it("Should allow flipping direction by selling one side and buying the other", async function () {
+      const amount = ethers.parseUnits("100", 6);
+      await predictionMarket.connect(user1).takePosition(0, amount, 0);
+      
+      const { longShares } = await predictionMarket.getUserPosition(user1.address);
+      await predictionMarket.connect(user1).sellPosition(0, longShares, 0);
+      await predictionMarket.connect(user1).takePosition(1, amount, 0);
+
+      const position = await predictionMarket.getUserPosition(user1.address);
+      expect(position.longShares).to.equal(0);
+      expect(position.shortShares).to.be.greaterThan(0);
     });
 
     it("Should update market totals correctly", async function () {
       const longAmount = ethers.parseUnits("100", 6);
       const shortAmount = ethers.parseUnits("200", 6);
       
-      await predictionMarket.connect(user1).takePosition(0, longAmount);
-      await predictionMarket.connect(user2).takePosition(1, shortAmount);
+      await predictionMarket.connect(user1).takePosition(0, longAmount, 0);
+      await predictionMarket.connect(user2).takePosition(1, shortAmount, 0);
 
       const market = await predictionMarket.market();
-      expect(market.totalLongShares).to.equal(longAmount);
-      expect(market.totalShortShares).to.equal(shortAmount);
+      const longPosition = await predictionMarket.getUserPosition(user1.address);
+      const shortPosition = await predictionMarket.getUserPosition(user2.address);
+      expect(market.totalLongShares).to.equal(longPosition.longShares);
+      expect(market.totalShortShares).to.equal(shortPosition.shortShares);
       expect(market.totalCollateral).to.equal(longAmount + shortAmount);
     });
   });
 
+  describe("Gasless Entry", function () {
+    const AMOUNT = ethers.parseUnits("100", 6);
+
+    beforeEach(async function () {
+      // Entries below rely on permits, not standing approvals
+      await mockToken.connect(user1).approve(await predictionMarket.getAddress(), 0);
+    });
+
+    it("Should take a position with a permit instead of an approval", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(mockToken, user1, await predictionMarket.getAddress(), AMOUNT, deadline);
+
+      await expect(
+        predictionMarket.connect(user1).takePositionWithPermit(0, AMOUNT, 0, deadline, v, r, s)
+      ).to.emit(predictionMarket, "PositionTaken");
+
+      const position = await predictionMarket.getUserPosition(user1.address);
+      expect(position.longShares).to.be.gt(0);
+      expect(await mockToken.allowance(user1.address, await predictionMarket.getAddress())).to.equal(0);
+    });
+
+    it("Should still take the position if the permit was front-run", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(mockToken, user1, await predictionMarket.getAddress(), AMOUNT, deadline);
+      await mockToken.permit(user1.address, await predictionMarket.getAddress(), AMOUNT, deadline, v, r, s);
+
+      await expect(
+        predictionMarket.connect(user1).takePositionWithPermit(0, AMOUNT, 0, deadline, v, r, s)
+      ).to.emit(predictionMarket, "PositionTaken");
+    });
+
+    it("Should revert without a valid permit or allowance", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(mockToken, user2, await predictionMarket.getAddress(), AMOUNT, deadline);
+
+      await expect(
+        predictionMarket.connect(user1).takePositionWithPermit(0, AMOUNT, 0, deadline, v, r, s)
+      ).to.be.reverted;
+    });
+
+    it("Should credit the signer of a relayed request", async function () {
+      const marketAddress = await predictionMarket.getAddress();
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(mockToken, user1, marketAddress, AMOUNT, deadline);
+      const data = predictionMarket.interface.encodeFunctionData("takePositionWithPermit", [
+        1, AMOUNT, 0, deadline, v, r, s
+      ]);
+      const request = await signForwardRequest(trustedForwarder, user1, marketAddress, data);
+
+      const ethBefore = await ethers.provider.getBalance(user1.address);
+      await expect(trustedForwarder.connect(user2).execute(request))
+        .to.emit(predictionMarket, "PositionTaken")
+        .withArgs(user1.address, 1, anyValue, anyValue, anyValue);
+
+      const position = await predictionMarket.getUserPosition(user1.address);
+      expect(position.shortShares).to.be.gt(0);
+      expect((await predictionMarket.getUserPosition(user2.address)).shortShares).to.equal(0);
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(ethBefore);
+    });
+
+    it("Should trust only its forwarder", async function () {
+      expect(await predictionMarket.isTrustedForwarder(await trustedForwarder.getAddress())).to.equal(true);
+      expect(await predictionMarket.trustedForwarder()).to.equal(await trustedForwarder.getAddress());
+
+      // A request signed by someone else is rejected by the forwarder
+      const data = predictionMarket.interface.encodeFunctionData("claimPayout");
+      const request = await signForwardRequest(trustedForwarder, user2, await predictionMarket.getAddress(), data);
+      await expect(
+        trustedForwarder.execute({ ...request, from: user1.address })
+      ).to.be.revertedWithCustomError(trustedForwarder, "ERC2771ForwarderInvalidSigner");
+    });
+  });
+
+  describe("Market Maker Pricing", function () {
+    it("Should give later entrants on the same side fewer shares", async function () {
+      const amount = ethers.parseUnits("100", 6);
+
+      await predictionMarket.connect(user1).takePosition(0, amount, 0);
+      await predictionMarket.connect(user2).takePosition(0, amount, 0);
+
+      const early = await predictionMarket.getUserPosition(user1.address);
+      const late = await predictionMarket.getUserPosition(user2.address);
+      expect(early.longShares).to.be.greaterThan(amount);
+      expect(late.longShares).to.be.lessThan(early.longShares);
+    });
+
+    it("Should move implied probability toward the side being bought", async function () {
+      await predictionMarket.connect(user1).takePosition(0, ethers.parseUnits("300", 6), 0);
+
+      const probLong = await predictionMarket.impliedProbability(0);
+      const probShort = await predictionMarket.impliedProbability(1);
+      expect(probLong).to.be.greaterThan(ethers.parseUnits("0.5", 18));
+      expect(probLong + probShort).to.be.closeTo(ethers.parseUnits("1", 18), 1);
+    });
+
+    it("Should quote the cost of an exact number of shares", async function () {
+      const amount = ethers.parseUnits("250", 6);
+      const shares = await predictionMarket.quoteShares(1, amount);
+      const cost = await predictionMarket.quoteCost(1, shares);
+
+      expect(cost).to.be.closeTo(amount, 2);
+      expect(await predictionMarket.quoteShares(1, cost)).to.be.gte(shares);
+    });
+
+    it("Should enforce minimum shares", async function () {
+      const amount = ethers.parseUnits("100", 6);
+      const shares = await predictionMarket.quoteShares(0, amount);
+
+      await expect(
+        predictionMarket.connect(user1).takePosition(0, amount, shares + 1n)
+      ).to.be.revertedWith("Slippage exceeded");
+    });
+  });
+
+  describe("Selling Positions", function () {
+    const amount = ethers.parseUnits("100", 6);
+
+    beforeEach(async function () {
+      await predictionMarket.connect(user1).takePosition(0, amount, 0); // Long
+    });
+
+    it("Should sell a full position at the current price minus the exit fee", async function () {
+      const { longShares: shares } = await predictionMarket.getUserPosition(user1.address);
+      const [payout, fee] = await predictionMarket.quoteSell(0, shares);
+      const initialBalance = await mockToken.balanceOf(user1.address);
+
+      await expect(
+        predictionMarket.connect(user1).sellPosition(0, shares, payout)
+      ).to.emit(predictionMarket, "PositionSold")
+        .withArgs(user1.address, 0, shares, payout, fee);
+
+      // Round trip with no price movement returns the stake minus the fee
+      expect(payout + fee).to.be.closeTo(amount, 2);
+      expect(fee).to.equal(((payout + fee) * 100n) / 10000n);
+      expect(await mockToken.balanceOf(user1.address) - initialBalance).to.equal(payout);
+
+      const position = await predictionMarket.getUserPosition(user1.address);
+      expect(position.longShares).to.equal(0);
+      expect(position.longCollateral).to.equal(0);
+      expect((await predictionMarket.market()).totalLongShares).to.equal(0);
+    });
+
+    it("Should allow partial closes", async function () {
+      const { longShares: shares } = await predictionMarket.getUserPosition(user1.address);
+      const half = shares / 2n;
+
+      await predictionMarket.connect(user1).sellPosition(0, half, 0);
+
+      const position = await predictionMarket.getUserPosition(user1.address);
+      expect(position.longShares).to.equal(shares - half);
+      expect(position.longCollateral).to.equal(amount - (amount * half) / shares);
+    });
+
+    it("Should return more after the price moves in the seller's favor", async function () {
+      const { longShares: shares } = await predictionMarket.getUserPosition(user1.address);
+      await predictionMarket.connect(user2).takePosition(0, ethers.parseUnits("500", 6), 0);
+
+      const [payout] = await predictionMarket.quoteSell(0, shares);
+      expect(payout).to.be.greaterThan(amount);
+    });
+
+    it("Should not sell more shares than held", async function () {
+      const { longShares: shares } = await predictionMarket.getUserPosition(user1.address);
+
+      await expect(
+        predictionMarket.connect(user1).sellPosition(0, shares + 1n, 0)
+      ).to.be.revertedWith("Insufficient shares");
+    });
+
+    it("Should enforce minimum payout", async function () {
+      const { longShares: shares } = await predictionMarket.getUserPosition(user1.address);
+      const [payout] = await predictionMarket.quoteSell(0, shares);
+
+      await expect(
+        predictionMarket.connect(user1).sellPosition(0, shares, payout + 1n)
+      ).to.be.revertedWith("Slippage exceeded");
+    });
+
+    it("Should not allow selling after resolution time", async function () {
+      const { longShares: shares } = await predictionMarket.getUserPosition(user1.address);
+      await time.increaseTo(RESOLUTION_TIME);
+
+      await expect(
+        predictionMarket.connect(user1).sellPosition(0, shares, 0)
+      ).to.be.revertedWith("Market closed");
+    });
+
+    it("Should pay exit fees to the liquidity provider after resolution", async function () {
+      const { longShares: shares } = await predictionMarket.getUserPosition(user1.address);
+      await predictionMarket.connect(user1).sellPosition(0, shares / 2n, 0);
+      await predictionMarket.connect(user2).takePosition(1, amount, 0);
+      const fees = await predictionMarket.accruedExitFees();
+
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.1", 8));
+      await predictionMarket.autoResolveMarket();
+      await predictionMarket.connect(user1).claimPayout();
+      await predictionMarket.connect(user2).claimPayout();
+
+      const marketAddress = await predictionMarket.getAddress();
+      const expected = (await predictionMarket.longReserve()) + fees;
+      expect(await mockToken.balanceOf(marketAddress)).to.equal(expected);
+      await predictionMarket.connect(owner).withdrawLiquidity();
+      expect(await mockToken.balanceOf(marketAddress)).to.equal(0);
+    });
+  });
+
+  describe("Fees", function () {
+    const PROTOCOL_FEE_BPS = 100n; // 1%
+    const CREATOR_FEE_BPS = 200n; // 2%
+    const amount = ethers.parseUnits("100", 6);
+    let feeMarket;
+
+    beforeEach(async function () {
+      await marketFactory.connect(owner).setProtocolFee(PROTOCOL_FEE_BPS);
+      const tx = await marketFactory.createMarket(
+        CURRENCY_PAIR,
+        await mockToken.getAddress(),
+        TARGET_PRICE,
+        RESOLUTION_TIME,
+        SUBSIDY,
+        CREATOR_FEE_BPS,
+        0
+      );
+      const receipt = await tx.wait();
+      const marketAddress = receipt.logs
+        .map((log) => marketFactory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "MarketCreated").args.market;
+
+      feeMarket = await ethers.getContractAt("PredictionMarket", marketAddress);
+      await mockToken.connect(user1).approve(marketAddress, ethers.MaxUint256);
+    });
+
+    it("Should take protocol and creator fees on entry", async function () {
+      const protocolFee = (amount * PROTOCOL_FEE_BPS) / 10000n;
+      const creatorFee = (amount * CREATOR_FEE_BPS) / 10000n;
+      const investment = amount - protocolFee - creatorFee;
+      const expectedShares = await feeMarket.quoteShares(0, amount);
+
+      await expect(
+        feeMarket.connect(user1).takePosition(0, amount, expectedShares)
+      ).to.emit(feeMarket, "FeesCollected")
+        .withArgs(user1.address, protocolFee, creatorFee);
+
+      expect(await mockToken.balanceOf(await marketFactory.getAddress())).to.equal(protocolFee);
+      expect(await feeMarket.accruedCreatorFees()).to.equal(creatorFee);
+
+      const position = await feeMarket.getUserPosition(user1.address);
+      expect(position.longShares).to.equal(expectedShares);
+      expect(position.longCollateral).to.equal(investment);
+      expect((await feeMarket.market()).totalCollateral).to.equal(investment);
+    });
+
+    it("Should include entry fees in cost quotes", async function () {
+      const shares = await feeMarket.quoteShares(1, amount);
+      const cost = await feeMarket.quoteCost(1, shares);
+
+      expect(cost).to.be.closeTo(amount, 2);
+      expect(await feeMarket.quoteShares(1, cost)).to.be.gte(shares);
+    });
+
+    it("Should let the creator withdraw accrued fees", async function () {
+      await feeMarket.connect(user1).takePosition(0, amount, 0);
+      const creatorFee = await feeMarket.accruedCreatorFees();
+
+      await expect(
+        feeMarket.connect(user1).withdrawCreatorFees()
+      ).to.be.revertedWithCustomError(feeMarket, "OwnableUnauthorizedAccount");
+
+      const initialBalance = await mockToken.balanceOf(owner.address);
+      await expect(
+        feeMarket.connect(owner).withdrawCreatorFees()
+      ).to.emit(feeMarket, "CreatorFeesWithdrawn")
+        .withArgs(owner.address, creatorFee);
+
+      expect(await mockToken.balanceOf(owner.address) - initialBalance).to.equal(creatorFee);
+      await expect(
+        feeMarket.connect(owner).withdrawCreatorFees()
+      ).to.be.revertedWith("No fees to withdraw");
+    });
+
+    it("Should keep creator fees out of the cancelled market's liquidity refund", async function () {
+      await feeMarket.connect(user1).takePosition(0, amount, 0);
+      const creatorFee = await feeMarket.accruedCreatorFees();
+      await feeMarket.connect(owner).cancelMarket();
+
+      await feeMarket.connect(user1).emergencyWithdraw();
+      await feeMarket.connect(owner).withdrawLiquidity();
+      await feeMarket.connect(owner).withdrawCreatorFees();
+
+      expect(creatorFee).to.be.greaterThan(0);
+      expect(await mockToken.balanceOf(await feeMarket.getAddress())).to.equal(0);
+    });
+
+    it("Should reject creator fees above the maximum", async function () {
+      await expect(
+        marketFactory.createMarket(
+          CURRENCY_PAIR,
+          await mockToken.getAddress(),
+          TARGET_PRICE,
+          RESOLUTION_TIME,
+          SUBSIDY,
+          501,
+          0
+        )
+      ).to.be.revertedWith("Fee too high");
+    });
+  });
+
   describe("Market Resolution", function () {
     beforeEach(async function () {
       // Set up positions
-      await predictionMarket.connect(user1).takePosition(0, ethers.parseUnits("100", 6)); // Long
-      await predictionMarket.connect(user2).takePosition(1, ethers.parseUnits("100", 6)); // Short
+      await predictionMarket.connect(user1).takePosition(0, ethers.parseUnits("100", 6), 0); // Long
+      await predictionMarket.connect(user2).takePosition(1, ethers.parseUnits("100", 6), 0); // Short
     });
 
     it("Should resolve market when price is above target (Long wins)", async function () {
       const finalPrice = ethers.parseUnits("1.1", 8); // 1.1 > 1.0 target
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(CURRENCY_PAIR, finalPrice);
+      
+      const longShares = (await predictionMarket.market()).totalLongShares;
       
       await expect(
-        predictionMarket.connect(owner).resolveMarket(finalPrice)
+        predictionMarket.connect(user1).autoResolveMarket()
       ).to.emit(predictionMarket, "MarketResolved")
-        .withArgs(finalPrice, ethers.parseUnits("200", 6), 0);
+        .withArgs(finalPrice, longShares, 0);
 
       const market = await predictionMarket.market();
       expect(market.resolved).to.be.true;
@@ -160,63 +549,319 @@ describe("PredictionMarket", function () {
 
     it("Should resolve market when price is below target (Short wins)", async function () {
       const finalPrice = ethers.parseUnits("0.9", 8); // 0.9 < 1.0 target
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(CURRENCY_PAIR, finalPrice);
+      
+      const shortShares = (await predictionMarket.market()).totalShortShares;
       
       await expect(
-        predictionMarket.connect(owner).resolveMarket(finalPrice)
+        predictionMarket.connect(user2).autoResolveMarket()
       ).to.emit(predictionMarket, "MarketResolved")
-        .withArgs(finalPrice, 0, ethers.parseUnits("200", 6));
+        .withArgs(finalPrice, 0, shortShares);
 
       const market = await predictionMarket.market();
       expect(market.resolved).to.be.true;
     });
 
-    it("Should allow resolution after resolution time", async function () {
-      // Fast forward time (in a real test, use hardhat network time manipulation)
+    it("Should not allow resolution before resolution time", async function () {
+      await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.1", 8));
+
+      await expect(
+        predictionMarket.connect(owner).autoResolveMarket()
+      ).to.be.revertedWith("Too early");
+    });
+
+    it("Should reject prices stamped before resolution time", async function () {
+      await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.1", 8));
+      await time.increaseTo(RESOLUTION_TIME);
+
+      await expect(
+        predictionMarket.autoResolveMarket()
+      ).to.be.revertedWith("Price predates resolution");
+    });
+
+    it("Should reject stale prices", async function () {
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.1", 8));
+      await time.increase(3601);
+
+      await expect(
+        predictionMarket.autoResolveMarket()
+      ).to.be.revertedWith("Stale price");
+    });
+
+    it("Should reject a favourable price printed long after resolution time", async function () {
+      await time.increaseTo(RESOLUTION_TIME + 3 * 86400);
+      await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.1", 8));
+
+      await expect(
+        predictionMarket.connect(user1).autoResolveMarket()
+      ).to.be.revertedWith("Price too late");
+
+      // The resolver settles instead
+      const finalPrice = ethers.parseUnits("0.95", 8);
+      await predictionMarket.connect(owner).resolveMarket(finalPrice);
+      expect((await predictionMarket.market()).finalPrice).to.equal(finalPrice);
+    });
+
+    it("Should not allow non-resolvers to supply a settlement price", async function () {
+      await time.increaseTo(RESOLUTION_TIME);
+
+      await expect(
+        predictionMarket.connect(user1).resolveMarket(ethers.parseUnits("1.1", 8))
+      ).to.be.revertedWith("Not resolver");
+    });
+
+    it("Should not allow owner to override a valid oracle price", async function () {
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.1", 8));
+
+      await expect(
+        predictionMarket.connect(owner).resolveMarket(ethers.parseUnits("0.9", 8))
+      ).to.be.revertedWith("Oracle price available");
+    });
+
+    it("Should allow owner fallback resolution when the oracle has no valid price", async function () {
       const finalPrice = ethers.parseUnits("1.05", 8);
+      await time.increaseTo(RESOLUTION_TIME);
       
-      // This would work with time manipulation, but for now we test owner resolution
       await predictionMarket.connect(owner).resolveMarket(finalPrice);
       
       const market = await predictionMarket.market();
       expect(market.resolved).to.be.true;
+      expect(market.finalPrice).to.equal(finalPrice);
+    });
+  });
+
+  describe("Optimistic Resolution", function () {
+    const DISPUTE_WINDOW = 3600;
+    const BOND = ethers.parseUnits("50", 6);
+    const LONG_PRICE = ethers.parseUnits("1.1", 8);
+    const SHORT_PRICE = ethers.parseUnits("0.9", 8);
+    let secondaryOracle;
+    let arbiter;
+
+    beforeEach(async function () {
+      arbiter = oracle;
+      const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+      secondaryOracle = await MockPriceOracle.deploy();
+      await secondaryOracle.waitForDeployment();
+
+      await predictionMarket.connect(owner).configureDisputes(
+        DISPUTE_WINDOW,
+        BOND,
+        arbiter.address,
+        await secondaryOracle.getAddress()
+      );
+      await predictionMarket.connect(user1).takePosition(0, ethers.parseUnits("100", 6), 0); // Long
+      await predictionMarket.connect(user2).takePosition(1, ethers.parseUnits("100", 6), 0); // Short
+
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(CURRENCY_PAIR, LONG_PRICE);
+    });
+
+    it("Should only propose the oracle price and finalize after the dispute window", async function () {
+      await expect(
+        predictionMarket.autoResolveMarket()
+      ).to.emit(predictionMarket, "ResolutionProposed");
+
+      expect((await predictionMarket.market()).resolved).to.be.false;
+      expect(await predictionMarket.proposedPrice()).to.equal(LONG_PRICE);
+      await expect(
+        predictionMarket.connect(user1).claimPayout()
+      ).to.be.revertedWith("Market not resolved");
+      await expect(
+        predictionMarket.finalizeResolution()
+      ).to.be.revertedWith("Dispute window open");
+      await expect(
+        predictionMarket.autoResolveMarket()
+      ).to.be.revertedWith("Resolution pending");
+
+      await time.increase(DISPUTE_WINDOW);
+      await expect(
+        predictionMarket.finalizeResolution()
+      ).to.emit(predictionMarket, "MarketResolved");
+
+      expect((await predictionMarket.market()).finalPrice).to.equal(LONG_PRICE);
+      await predictionMarket.connect(user1).claimPayout();
+    });
+
+    it("Should let a bonded challenger block finalization", async function () {
+      await predictionMarket.autoResolveMarket();
+      const initialBalance = await mockToken.balanceOf(user2.address);
+
+      await expect(
+        predictionMarket.connect(user2).disputeResolution()
+      ).to.emit(predictionMarket, "ResolutionDisputed")
+        .withArgs(user2.address, LONG_PRICE, BOND);
+      expect(initialBalance - await mockToken.balanceOf(user2.address)).to.equal(BOND);
+
+      await expect(
+        predictionMarket.connect(user1).disputeResolution()
+      ).to.be.revertedWith("Already disputed");
+
+      await time.increase(DISPUTE_WINDOW);
+      await expect(
+        predictionMarket.finalizeResolution()
+      ).to.be.revertedWith("Resolution disputed");
+    });
+
+    it("Should return the bond when the arbiter overturns the outcome", async function () {
+      await predictionMarket.autoResolveMarket();
+      await predictionMarket.connect(user2).disputeResolution();
+      const balanceAfterBond = await mockToken.balanceOf(user2.address);
+
+      await expect(
+        predictionMarket.connect(user1).arbitrateDispute(SHORT_PRICE)
+      ).to.be.revertedWith("Not arbiter");
+
+      await expect(
+        predictionMarket.connect(arbiter).arbitrateDispute(SHORT_PRICE)
+      ).to.emit(predictionMarket, "DisputeSettled")
+        .withArgs(user2.address, SHORT_PRICE, true);
+
+      expect(await mockToken.balanceOf(user2.address) - balanceAfterBond).to.equal(BOND);
+      const market = await predictionMarket.market();
+      expect(market.resolved).to.be.true;
+      expect(market.finalPrice).to.equal(SHORT_PRICE);
+    });
+
+    it("Should forfeit the bond to the liquidity provider when the proposal stands", async function () {
+      await predictionMarket.autoResolveMarket();
+      await predictionMarket.connect(user2).disputeResolution();
+      const initialBalance = await mockToken.balanceOf(owner.address);
+
+      await expect(
+        predictionMarket.connect(arbiter).arbitrateDispute(ethers.parseUnits("1.12", 8))
+      ).to.emit(predictionMarket, "DisputeSettled")
+        .withArgs(user2.address, ethers.parseUnits("1.12", 8), false);
+
+      expect(await mockToken.balanceOf(owner.address) - initialBalance).to.equal(BOND);
+    });
+
+    it("Should settle a dispute from the secondary oracle", async function () {
+      await predictionMarket.autoResolveMarket();
+
+      await expect(
+        predictionMarket.resolveDisputeFromOracle()
+      ).to.be.revertedWith("Not disputed");
+
+      await predictionMarket.connect(user2).disputeResolution();
+      await secondaryOracle.updatePrice(CURRENCY_PAIR, SHORT_PRICE);
+      await predictionMarket.resolveDisputeFromOracle();
+
+      expect((await predictionMarket.market()).finalPrice).to.equal(SHORT_PRICE);
+      const { shortShares } = await predictionMarket.getUserPosition(user2.address);
+      await expect(
+        predictionMarket.connect(user2).claimPayout()
+      ).to.emit(predictionMarket, "PositionClaimed")
+        .withArgs(user2.address, shortShares);
+    });
+
+    it("Should reject disputes after the window", async function () {
+      await predictionMarket.autoResolveMarket();
+      await time.increase(DISPUTE_WINDOW);
+
+      await expect(
+        predictionMarket.connect(user2).disputeResolution()
+      ).to.be.revertedWith("Dispute window closed");
+    });
+
+    it("Should not reconfigure disputes while a proposal is pending", async function () {
+      await predictionMarket.autoResolveMarket();
+
+      await expect(
+        predictionMarket.connect(owner).configureDisputes(0, 0, ethers.ZeroAddress, ethers.ZeroAddress)
+      ).to.be.revertedWith("Resolution pending");
+    });
+
+    it("Should require a dispute resolver when a window is set", async function () {
+      await expect(
+        predictionMarket.connect(owner).configureDisputes(DISPUTE_WINDOW, BOND, ethers.ZeroAddress, ethers.ZeroAddress)
+      ).to.be.revertedWith("No dispute resolver");
+
+      await expect(
+        predictionMarket.connect(user1).configureDisputes(0, 0, ethers.ZeroAddress, ethers.ZeroAddress)
+      ).to.be.revertedWith("Not resolver");
+    });
+
+    it("Should return a pending challenger's bond on cancellation", async function () {
+      await predictionMarket.autoResolveMarket();
+      await predictionMarket.connect(user2).disputeResolution();
+      const balanceAfterBond = await mockToken.balanceOf(user2.address);
+
+      await predictionMarket.connect(owner).cancelMarket();
+
+      expect(await mockToken.balanceOf(user2.address) - balanceAfterBond).to.equal(BOND);
+    });
+
+    it("Should not take a dispute bond after cancellation", async function () {
+      await predictionMarket.autoResolveMarket();
+      await predictionMarket.connect(owner).cancelMarket();
+
+      await expect(
+        predictionMarket.connect(user2).disputeResolution()
+      ).to.be.revertedWith("Market not active");
     });
   });
 
   describe("Claiming Payouts", function () {
     beforeEach(async function () {
       // Set up positions
-      await predictionMarket.connect(user1).takePosition(0, ethers.parseUnits("100", 6)); // Long
-      await predictionMarket.connect(user2).takePosition(1, ethers.parseUnits("100", 6)); // Short
+      await predictionMarket.connect(user1).takePosition(0, ethers.parseUnits("100", 6), 0); // Long
+      await predictionMarket.connect(user2).takePosition(1, ethers.parseUnits("100", 6), 0); // Short
     });
 
+    async function resolveAt(finalPrice) {
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(CURRENCY_PAIR, finalPrice);
+      await predictionMarket.autoResolveMarket();
+    }
+
     it("Should allow long winner to claim payout", async function () {
-      const finalPrice = ethers.parseUnits("1.1", 8); // Long wins
-      await predictionMarket.connect(owner).resolveMarket(finalPrice);
+      await resolveAt(ethers.parseUnits("1.1", 8)); // Long wins
 
+      const { longShares: shares } = await predictionMarket.getUserPosition(user1.address);
       const initialBalance = await mockToken.balanceOf(user1.address);
       
       await expect(
         predictionMarket.connect(user1).claimPayout()
       ).to.emit(predictionMarket, "PositionClaimed")
-        .withArgs(user1.address, ethers.parseUnits("200", 6));
+        .withArgs(user1.address, shares);
 
       const finalBalance = await mockToken.balanceOf(user1.address);
-      expect(finalBalance - initialBalance).to.equal(ethers.parseUnits("200", 6));
+      expect(finalBalance - initialBalance).to.equal(shares);
     });
 
     it("Should allow short winner to claim payout", async function () {
-      const finalPrice = ethers.parseUnits("0.9", 8); // Short wins
-      await predictionMarket.connect(owner).resolveMarket(finalPrice);
+      await resolveAt(ethers.parseUnits("0.9", 8)); // Short wins
 
+      const { shortShares: shares } = await predictionMarket.getUserPosition(user2.address);
       const initialBalance = await mockToken.balanceOf(user2.address);
       
       await expect(
         predictionMarket.connect(user2).claimPayout()
       ).to.emit(predictionMarket, "PositionClaimed")
-        .withArgs(user2.address, ethers.parseUnits("200", 6));
+        .withArgs(user2.address, shares);
 
       const finalBalance = await mockToken.balanceOf(user2.address);
-      expect(finalBalance - initialBalance).to.equal(ethers.parseUnits("200", 6));
+      expect(finalBalance - initialBalance).to.equal(shares);
+    });
+
+    it("Should pay only the winning side of a hedged position", async function () {
+      await predictionMarket.connect(user1).takePosition(1, ethers.parseUnits("50", 6), 0);
+      await resolveAt(ethers.parseUnits("0.9", 8)); // Short wins
+
+      const position = await predictionMarket.getUserPosition(user1.address);
+      const initialBalance = await mockToken.balanceOf(user1.address);
+      
+      await expect(
+        predictionMarket.connect(user1).claimPayout()
+      ).to.emit(predictionMarket, "PositionClaimed")
+        .withArgs(user1.address, position.shortShares);
+
+      expect(await mockToken.balanceOf(user1.address) - initialBalance).to.equal(position.shortShares);
+      expect((await predictionMarket.getUserPosition(user1.address)).hasClaimed).to.be.true;
     });
 
     it("Should not allow claiming before resolution", async function () {
@@ -226,20 +871,132 @@ describe("PredictionMarket", function () {
     });
 
     it("Should not allow double claiming", async function () {
-      const finalPrice = ethers.parseUnits("1.1", 8);
-      await predictionMarket.connect(owner).resolveMarket(finalPrice);
+      await resolveAt(ethers.parseUnits("1.1", 8));
       
       await predictionMarket.connect(user1).claimPayout();
       
+      // Claiming burned the user's outcome tokens
       await expect(
         predictionMarket.connect(user1).claimPayout()
-      ).to.be.revertedWith("Already claimed");
+      ).to.be.revertedWith("No position");
+    });
+
+    it("Should leave exactly the pool's winning reserve for the liquidity provider", async function () {
+      await resolveAt(ethers.parseUnits("1.1", 8)); // Long wins
+      await predictionMarket.connect(user1).claimPayout();
+      await predictionMarket.connect(user2).claimPayout();
+
+      const marketAddress = await predictionMarket.getAddress();
+      const remaining = await mockToken.balanceOf(marketAddress);
+      expect(remaining).to.equal(await predictionMarket.longReserve());
+
+      await expect(
+        predictionMarket.connect(user1).withdrawLiquidity()
+      ).to.be.revertedWith("Not liquidity provider");
+
+      await expect(
+        predictionMarket.connect(owner).withdrawLiquidity()
+      ).to.emit(predictionMarket, "LiquidityWithdrawn")
+        .withArgs(owner.address, remaining);
+      expect(await mockToken.balanceOf(marketAddress)).to.equal(0);
+    });
+  });
+
+  describe("Refund Mode", function () {
+    const amount = ethers.parseUnits("100", 6);
+
+    async function resolveAt(finalPrice) {
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(CURRENCY_PAIR, finalPrice);
+      return predictionMarket.autoResolveMarket();
+    }
+
+    it("Should refund everyone when the price settles exactly at the target", async function () {
+      await predictionMarket.connect(user1).takePosition(0, amount, 0); // Long
+      await predictionMarket.connect(user2).takePosition(1, amount, 0); // Short
+
+      await expect(resolveAt(TARGET_PRICE))
+        .to.emit(predictionMarket, "RefundModeEnabled")
+        .withArgs(TARGET_PRICE)
+        .and.to.emit(predictionMarket, "MarketResolved")
+        .withArgs(TARGET_PRICE, 0, 0);
+      expect(await predictionMarket.refundMode()).to.be.true;
+
+      for (const user of [user1, user2]) {
+        const initialBalance = await mockToken.balanceOf(user.address);
+        await expect(
+          predictionMarket.connect(user).claimPayout()
+        ).to.emit(predictionMarket, "PositionClaimed")
+          .withArgs(user.address, amount);
+        expect(await mockToken.balanceOf(user.address) - initialBalance).to.equal(amount);
+      }
+    });
+
+    it("Should refund everyone when nobody holds the winning side", async function () {
+      await predictionMarket.connect(user1).takePosition(0, amount, 0); // Long
+      await predictionMarket.connect(user2).takePosition(0, amount, 0); // Long
+
+      await expect(resolveAt(ethers.parseUnits("0.9", 8))) // Short wins
+        .to.emit(predictionMarket, "RefundModeEnabled");
+
+      // Each share refunds its pro-rata part of the side's collateral, so the
+      // earlier (cheaper) entry gets back more than the later one
+      const initialBalance1 = await mockToken.balanceOf(user1.address);
+      const initialBalance2 = await mockToken.balanceOf(user2.address);
+      await predictionMarket.connect(user1).claimPayout();
+      await predictionMarket.connect(user2).claimPayout();
+      const refund1 = await mockToken.balanceOf(user1.address) - initialBalance1;
+      const refund2 = await mockToken.balanceOf(user2.address) - initialBalance2;
+
+      expect(refund1 + refund2).to.equal(amount * 2n);
+      expect(refund1).to.be.gt(refund2);
+      expect(await predictionMarket.sideCollateral(0)).to.equal(0);
+    });
+
+    it("Should refund both sides of a hedged position", async function () {
+      const shortAmount = ethers.parseUnits("40", 6);
+      await predictionMarket.connect(user1).takePosition(0, amount, 0);
+      await predictionMarket.connect(user1).takePosition(1, shortAmount, 0);
+      await resolveAt(TARGET_PRICE);
+
+      const initialBalance = await mockToken.balanceOf(user1.address);
+      await predictionMarket.connect(user1).claimPayout();
+      expect(await mockToken.balanceOf(user1.address) - initialBalance).to.equal(amount + shortAmount);
+
+      await expect(
+        predictionMarket.connect(user1).claimPayout()
+      ).to.be.revertedWith("No position");
+    });
+
+    it("Should refund only the remaining cost basis after a partial sell", async function () {
+      await predictionMarket.connect(user1).takePosition(0, amount, 0);
+      const { longShares } = await predictionMarket.getUserPosition(user1.address);
+      await predictionMarket.connect(user1).sellPosition(0, longShares / 2n, 0);
+      const { longCollateral } = await predictionMarket.getUserPosition(user1.address);
+      await resolveAt(ethers.parseUnits("0.9", 8)); // Short wins, nobody is short
+
+      await expect(
+        predictionMarket.connect(user1).claimPayout()
+      ).to.emit(predictionMarket, "PositionClaimed")
+        .withArgs(user1.address, longCollateral);
+    });
+
+    it("Should return the remaining pool to the liquidity provider after refunds", async function () {
+      await predictionMarket.connect(user1).takePosition(0, amount, 0);
+      await predictionMarket.connect(user2).takePosition(1, amount, 0);
+      await resolveAt(TARGET_PRICE);
+
+      await predictionMarket.connect(user1).claimPayout();
+      await predictionMarket.connect(owner).withdrawLiquidity();
+      await predictionMarket.connect(user2).claimPayout();
+
+      expect(await mockToken.balanceOf(await predictionMarket.getAddress())).to.equal(0);
     });
   });
 
   describe("Market Cancellation", function () {
     it("Should allow owner to cancel market", async function () {
-      await predictionMarket.connect(user1).takePosition(0, ethers.parseUnits("100", 6));
+      await predictionMarket.connect(user1).takePosition(0, ethers.parseUnits("100", 6), 0);
       
       await predictionMarket.connect(owner).cancelMarket();
       
@@ -248,15 +1005,115 @@ describe("PredictionMarket", function () {
     });
 
     it("Should allow emergency withdrawal after cancellation", async function () {
-      const amount = ethers.parseUnits("100", 6);
-      await predictionMarket.connect(user1).takePosition(0, amount);
+      const longAmount = ethers.parseUnits("100", 6);
+      const shortAmount = ethers.parseUnits("30", 6);
+      await predictionMarket.connect(user1).takePosition(0, longAmount, 0);
+      await predictionMarket.connect(user1).takePosition(1, shortAmount, 0);
       await predictionMarket.connect(owner).cancelMarket();
 
       const initialBalance = await mockToken.balanceOf(user1.address);
       await predictionMarket.connect(user1).emergencyWithdraw();
       
       const finalBalance = await mockToken.balanceOf(user1.address);
-      expect(finalBalance - initialBalance).to.equal(amount);
+      expect(finalBalance - initialBalance).to.equal(longAmount + shortAmount);
+
+      await expect(
+        predictionMarket.connect(user1).emergencyWithdraw()
+      ).to.be.revertedWith("No collateral to withdraw");
+    });
+
+    it("Should return the subsidy to the liquidity provider after cancellation", async function () {
+      await predictionMarket.connect(owner).cancelMarket();
+
+      await expect(
+        predictionMarket.connect(owner).withdrawLiquidity()
+      ).to.emit(predictionMarket, "LiquidityWithdrawn")
+        .withArgs(owner.address, SUBSIDY);
+    });
+  });
+
+  describe("Outcome Tokens", function () {
+    const amount = ethers.parseUnits("100", 6);
+
+    beforeEach(async function () {
+      await predictionMarket.connect(user1).takePosition(0, amount, 0); // Long
+      await predictionMarket.connect(user2).takePosition(1, amount, 0); // Short
+    });
+
+    async function resolveAt(finalPrice) {
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(CURRENCY_PAIR, finalPrice);
+      await predictionMarket.autoResolveMarket();
+    }
+
+    it("Should mint shares as ERC-1155 tokens with IDs derived from market and side", async function () {
+      const marketAddress = await predictionMarket.getAddress();
+      const longId = await predictionMarket.tokenId(0);
+      const shortId = await predictionMarket.tokenId(1);
+
+      expect(longId).to.equal(BigInt(marketAddress) << 8n);
+      expect(shortId).to.equal((BigInt(marketAddress) << 8n) | 1n);
+      const [decodedMarket, outcome] = await outcomeToken.decodeTokenId(shortId);
+      expect(decodedMarket).to.equal(marketAddress);
+      expect(outcome).to.equal(1);
+
+      const { longShares } = await predictionMarket.getUserPosition(user1.address);
+      expect(await outcomeToken.balanceOf(user1.address, longId)).to.equal(longShares);
+      expect(await outcomeToken.balanceOf(user1.address, shortId)).to.equal(0);
+    });
+
+    it("Should let the holder of transferred shares claim the payout", async function () {
+      const longId = await predictionMarket.tokenId(0);
+      const { longShares } = await predictionMarket.getUserPosition(user1.address);
+
+      // Gift a quarter of the position to owner
+      const gift = longShares / 4n;
+      await outcomeToken.connect(user1).safeTransferFrom(user1.address, owner.address, longId, gift, "0x");
+      await resolveAt(ethers.parseUnits("1.1", 8)); // Long wins
+
+      await expect(predictionMarket.connect(owner).claimPayout())
+        .to.emit(predictionMarket, "PositionClaimed")
+        .withArgs(owner.address, gift);
+      await expect(predictionMarket.connect(user1).claimPayout())
+        .to.emit(predictionMarket, "PositionClaimed")
+        .withArgs(user1.address, longShares - gift);
+      expect(await outcomeToken.balanceOf(user1.address, longId)).to.equal(0);
+    });
+
+    it("Should only sell shares the caller holds", async function () {
+      const longId = await predictionMarket.tokenId(0);
+      const { longShares } = await predictionMarket.getUserPosition(user1.address);
+      await outcomeToken.connect(user1).safeTransferFrom(user1.address, user2.address, longId, longShares, "0x");
+
+      await expect(
+        predictionMarket.connect(user1).sellPosition(0, longShares, 0)
+      ).to.be.revertedWith("Insufficient shares");
+      await predictionMarket.connect(user2).sellPosition(0, longShares, 0);
+      expect(await outcomeToken.balanceOf(user2.address, longId)).to.equal(0);
+    });
+
+    it("Should refund transferred shares with their cost basis", async function () {
+      const shortId = await predictionMarket.tokenId(1);
+      const { shortShares } = await predictionMarket.getUserPosition(user2.address);
+      await outcomeToken.connect(user2).safeTransferFrom(user2.address, owner.address, shortId, shortShares / 2n, "0x");
+      await predictionMarket.connect(owner).cancelMarket();
+
+      const before = await mockToken.balanceOf(owner.address);
+      await predictionMarket.connect(owner).emergencyWithdraw();
+      await predictionMarket.connect(user2).emergencyWithdraw();
+      expect(await mockToken.balanceOf(owner.address) - before).to.be.closeTo(amount / 2n, 1);
+      expect(await predictionMarket.sideCollateral(1)).to.equal(0);
+    });
+
+    it("Should not let anyone else burn or mint a market's shares", async function () {
+      const longId = await predictionMarket.tokenId(0);
+
+      // Calls from other accounts only reach IDs under their own address
+      await expect(
+        outcomeToken.connect(user2).burn(user1.address, 0, 1)
+      ).to.be.revertedWithCustomError(outcomeToken, "ERC1155InsufficientBalance");
+      await outcomeToken.connect(user2).mint(user2.address, 0, 1);
+      expect(await outcomeToken.balanceOf(user2.address, longId)).to.equal(0);
     });
   });
 });
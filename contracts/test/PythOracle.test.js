@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("PythOracle", function () {
+  let pythOracle;
+  let pyth;
+  let owner;
+  let user1;
+
+  const CURRENCY_PAIR = "EUR/USD";
+  const PRICE_ID = ethers.id("Crypto.EUR/USD");
+  const HEARTBEAT = 60;
+  const MAX_DEVIATION_BPS = 100; // confidence within 1% of price
+  const UPDATE_FEE = 1n;
+
+  // Update data understood by MockPyth
+  function priceUpdate(price, conf, expo, publishTime) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "int64", "uint64", "int32", "uint256"],
+      [PRICE_ID, price, conf, expo, publishTime]
+    );
+  }
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const MockPyth = await ethers.getContractFactory("MockPyth");
+    pyth = await MockPyth.deploy(UPDATE_FEE);
+    await pyth.waitForDeployment();
+
+    const PythOracle = await ethers.getContractFactory("PythOracle");
+    pythOracle = await PythOracle.deploy(await pyth.getAddress(), owner.address);
+    await pythOracle.waitForDeployment();
+
+    await pythOracle.setFeed(CURRENCY_PAIR, PRICE_ID, HEARTBEAT, MAX_DEVIATION_BPS);
+  });
+
+  it("Should pull updates and return prices normalized to 8 decimals", async function () {
+    const publishTime = await time.latest();
+    // 1.08123 with expo -5
+    await pythOracle.connect(user1).updatePriceFeeds([priceUpdate(108123, 50, -5, publishTime)], { value: UPDATE_FEE });
+
+    const [price, timestamp] = await pythOracle.getPrice(CURRENCY_PAIR);
+    expect(price).to.equal(ethers.parseUnits("1.08123", 8));
+    expect(timestamp).to.equal(publishTime);
+  });
+
+  it("Should scale down prices with more than 8 decimals", async function () {
+    const publishTime = await time.latest();
+    await pythOracle.updatePriceFeeds([priceUpdate(1081234567891n, 0, -12, publishTime)], { value: UPDATE_FEE });
+
+    expect((await pythOracle.getPrice(CURRENCY_PAIR))[0]).to.equal(108123456n);
+  });
+
+  it("Should require the update fee", async function () {
+    const update = priceUpdate(108000000, 0, -8, await time.latest());
+    await expect(pythOracle.updatePriceFeeds([update])).to.be.revertedWith("Insufficient update fee");
+  });
+
+  it("Should reject prices older than the heartbeat", async function () {
+    await pythOracle.updatePriceFeeds([priceUpdate(108000000, 0, -8, await time.latest())], { value: UPDATE_FEE });
+    await time.increase(HEARTBEAT + 1);
+
+    await expect(pythOracle.getPrice(CURRENCY_PAIR)).to.be.revertedWith("Stale price");
+    expect(await pythOracle.isPriceFeedAvailable(CURRENCY_PAIR)).to.be.false;
+  });
+
+  it("Should reject prices with a wide confidence interval", async function () {
+    // Confidence of 2% against a 1% limit
+    const update = priceUpdate(108000000, 2160000, -8, await time.latest());
+    await pythOracle.updatePriceFeeds([update], { value: UPDATE_FEE });
+
+    await expect(pythOracle.getPrice(CURRENCY_PAIR)).to.be.revertedWith("Price deviation too high");
+  });
+
+  it("Should only serve mapped pairs with a price", async function () {
+    expect(await pythOracle.isPriceFeedAvailable(CURRENCY_PAIR)).to.be.false; // no update yet
+    await expect(pythOracle.getPrice("GBP/USD")).to.be.revertedWith("Price feed not available");
+
+    await expect(
+      pythOracle.connect(user1).setFeed("GBP/USD", PRICE_ID, HEARTBEAT, 0)
+    ).to.be.revertedWithCustomError(pythOracle, "OwnableUnauthorizedAccount");
+  });
+});
@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMarketFactory } = require("./helpers");
+
+describe("RangeMarket", function () {
+  let rangeMarket;
+  let marketFactory;
+  let priceOracle;
+  let mockToken;
+  let owner;
+  let user1;
+  let user2;
+
+  const CURRENCY_PAIR = "EUR/USD";
+  // Buckets: [1.05, 1.07), [1.07, 1.09), [1.09, 1.11)
+  const BOUNDARIES = [
+    ethers.parseUnits("1.05", 8),
+    ethers.parseUnits("1.07", 8),
+    ethers.parseUnits("1.09", 8),
+    ethers.parseUnits("1.11", 8)
+  ];
+  let RESOLUTION_TIME;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    RESOLUTION_TIME = (await time.latest()) + 86400;
+
+    ({ mockToken, priceOracle, marketFactory } = await deployMarketFactory(owner, [CURRENCY_PAIR]));
+
+    const tx = await marketFactory.createRangeMarket(
+      CURRENCY_PAIR,
+      await mockToken.getAddress(),
+      BOUNDARIES,
+      RESOLUTION_TIME,
+      0
+    );
+    const receipt = await tx.wait();
+    const marketAddress = receipt.logs
+      .map((log) => marketFactory.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "RangeMarketCreated").args.market;
+
+    rangeMarket = await ethers.getContractAt("RangeMarket", marketAddress);
+
+    for (const user of [user1, user2]) {
+      await mockToken.mint(user.address, ethers.parseUnits("1000", 6));
+      await mockToken.connect(user).approve(marketAddress, ethers.MaxUint256);
+    }
+  });
+
+  async function resolveAt(price) {
+    await time.increaseTo(RESOLUTION_TIME);
+    await priceOracle.updatePrice(CURRENCY_PAIR, price);
+    return rangeMarket.resolve();
+  }
+
+  describe("Market Creation", function () {
+    it("Should create one outcome per bucket", async function () {
+      expect(await rangeMarket.outcomeCount()).to.equal(3);
+      expect(await rangeMarket.getBoundaries()).to.deep.equal(BOUNDARIES);
+      expect(await rangeMarket.owner()).to.equal(owner.address);
+    });
+
+    it("Should map prices to half-open buckets", async function () {
+      expect(await rangeMarket.getBucket(ethers.parseUnits("1.07", 8))).to.deep.equal([true, 1n]);
+      expect(await rangeMarket.getBucket(ethers.parseUnits("1.0699", 8))).to.deep.equal([true, 0n]);
+      expect((await rangeMarket.getBucket(ethers.parseUnits("1.11", 8)))[0]).to.be.false;
+    });
+
+    it("Should reject unordered or too few boundaries", async function () {
+      await expect(
+        marketFactory.createRangeMarket(
+          CURRENCY_PAIR,
+          await mockToken.getAddress(),
+          [BOUNDARIES[1], BOUNDARIES[0], BOUNDARIES[2]],
+          RESOLUTION_TIME,
+          0
+        )
+      ).to.be.revertedWith("Boundaries not ascending");
+
+      await expect(
+        marketFactory.createRangeMarket(
+          CURRENCY_PAIR,
+          await mockToken.getAddress(),
+          [BOUNDARIES[0], BOUNDARIES[1]],
+          RESOLUTION_TIME,
+          0
+        )
+      ).to.be.revertedWith("Invalid outcomes");
+    });
+  });
+
+  describe("Staking", function () {
+    it("Should track stakes per bucket", async function () {
+      const amount = ethers.parseUnits("100", 6);
+
+      await expect(
+        rangeMarket.connect(user1).stake(1, amount)
+      ).to.emit(rangeMarket, "Staked")
+        .withArgs(user1.address, 1, amount);
+
+      expect(await rangeMarket.getOutcomeStakes()).to.deep.equal([0n, amount, 0n]);
+      expect(await rangeMarket.getUserStakes(user1.address)).to.deep.equal([0n, amount, 0n]);
+      expect(await rangeMarket.impliedProbability(1)).to.equal(ethers.parseUnits("1", 18));
+    });
+
+    it("Should reject unknown buckets and late stakes", async function () {
+      await expect(
+        rangeMarket.connect(user1).stake(3, 1)
+      ).to.be.revertedWith("Invalid outcome");
+
+      await time.increaseTo(RESOLUTION_TIME);
+      await expect(
+        rangeMarket.connect(user1).stake(0, 1)
+      ).to.be.revertedWith("Market closed");
+    });
+  });
+
+  describe("Resolution", function () {
+    beforeEach(async function () {
+      await rangeMarket.connect(user1).stake(0, ethers.parseUnits("100", 6));
+      await rangeMarket.connect(user2).stake(1, ethers.parseUnits("300", 6));
+    });
+
+    it("Should pay the whole pool to the winning bucket", async function () {
+      const price = ethers.parseUnits("1.06", 8);
+      await expect(resolveAt(price))
+        .to.emit(rangeMarket, "MarketResolved")
+        .withArgs(0, price, ethers.parseUnits("400", 6));
+
+      const initialBalance = await mockToken.balanceOf(user1.address);
+      await expect(
+        rangeMarket.connect(user1).claimPayout()
+      ).to.emit(rangeMarket, "PayoutClaimed")
+        .withArgs(user1.address, ethers.parseUnits("400", 6));
+      expect(await mockToken.balanceOf(user1.address) - initialBalance).to.equal(ethers.parseUnits("400", 6));
+
+      await expect(
+        rangeMarket.connect(user2).claimPayout()
+      ).to.emit(rangeMarket, "PayoutClaimed")
+        .withArgs(user2.address, 0);
+    });
+
+    it("Should refund when the price settles outside every bucket", async function () {
+      await expect(resolveAt(ethers.parseUnits("1.2", 8)))
+        .to.emit(rangeMarket, "RefundModeEnabled");
+
+      await rangeMarket.connect(user2).claimPayout();
+      expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseUnits("1000", 6));
+    });
+
+    it("Should refund when nobody staked on the winning bucket", async function () {
+      await expect(resolveAt(ethers.parseUnits("1.1", 8)))
+        .to.emit(rangeMarket, "RefundModeEnabled");
+
+      await rangeMarket.connect(user1).claimPayout();
+      expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseUnits("1000", 6));
+    });
+
+    it("Should not resolve before resolution time", async function () {
+      await expect(rangeMarket.resolve()).to.be.revertedWith("Too early");
+    });
+
+    it("Should reject late prices and let the resolver settle instead", async function () {
+      await time.increaseTo(RESOLUTION_TIME + 3 * 86400);
+      await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.06", 8));
+      await expect(rangeMarket.resolve()).to.be.revertedWith("Price too late");
+
+      await expect(
+        rangeMarket.connect(user1).resolveMarket(ethers.parseUnits("1.08", 8))
+      ).to.be.revertedWith("Not resolver");
+      await expect(rangeMarket.connect(owner).resolveMarket(ethers.parseUnits("1.08", 8)))
+        .to.emit(rangeMarket, "MarketResolved")
+        .withArgs(1, ethers.parseUnits("1.08", 8), ethers.parseUnits("400", 6));
+    });
+
+    it("Should not let the resolver override a valid oracle price", async function () {
+      await time.increaseTo(RESOLUTION_TIME);
+      await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.06", 8));
+
+      await expect(
+        rangeMarket.connect(owner).resolveMarket(ethers.parseUnits("1.08", 8))
+      ).to.be.revertedWith("Oracle price available");
+    });
+
+    it("Should not allow double claiming", async function () {
+      await resolveAt(ethers.parseUnits("1.08", 8));
+      await rangeMarket.connect(user2).claimPayout();
+
+      await expect(
+        rangeMarket.connect(user2).claimPayout()
+      ).to.be.revertedWith("Already claimed");
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMarketFactory } = require("./helpers");
+
+describe("TouchMarket", function () {
+  let touchMarket;
+  let marketFactory;
+  let priceOracle;
+  let mockToken;
+  let owner;
+  let user1;
+  let user2;
+
+  const CURRENCY_PAIR = "EUR/USD";
+  const BARRIER = ethers.parseUnits("1.1", 8);
+  const NO_TOUCH = 0;
+  const TOUCH = 1;
+  let RESOLUTION_TIME;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    RESOLUTION_TIME = (await time.latest()) + 86400;
+
+    ({ mockToken, priceOracle, marketFactory } = await deployMarketFactory(owner, [CURRENCY_PAIR]));
+
+    const tx = await marketFactory.createTouchMarket(
+      CURRENCY_PAIR,
+      await mockToken.getAddress(),
+      BARRIER,
+      true, // hit from below
+      RESOLUTION_TIME,
+      0
+    );
+    const receipt = await tx.wait();
+    const marketAddress = receipt.logs
+      .map((log) => marketFactory.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "TouchMarketCreated").args.market;
+
+    touchMarket = await ethers.getContractAt("TouchMarket", marketAddress);
+
+    for (const user of [user1, user2]) {
+      await mockToken.mint(user.address, ethers.parseUnits("1000", 6));
+      await mockToken.connect(user).approve(marketAddress, ethers.MaxUint256);
+    }
+
+    await touchMarket.connect(user1).stake(TOUCH, ethers.parseUnits("100", 6));
+    await touchMarket.connect(user2).stake(NO_TOUCH, ethers.parseUnits("100", 6));
+  });
+
+  it("Should settle early as Touch when the barrier is hit", async function () {
+    await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.1", 8));
+
+    await expect(
+      touchMarket.connect(user2).reportTouch()
+    ).to.emit(touchMarket, "MarketResolved")
+      .withArgs(TOUCH, BARRIER, ethers.parseUnits("200", 6));
+
+    await touchMarket.connect(user1).claimPayout();
+    expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseUnits("1100", 6));
+
+    await expect(
+      touchMarket.connect(user1).stake(TOUCH, 1)
+    ).to.be.revertedWith("Market not active");
+  });
+
+  it("Should refuse stakes while the price is at or beyond the barrier", async function () {
+    // Otherwise a stake on Touch and reportTouch() in one transaction take the NoTouch pool risk-free
+    await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.1", 8));
+    await expect(
+      touchMarket.connect(user1).stake(TOUCH, ethers.parseUnits("100", 6))
+    ).to.be.revertedWith("Barrier hit");
+    await expect(
+      touchMarket.connect(user1).stake(NO_TOUCH, ethers.parseUnits("100", 6))
+    ).to.be.revertedWith("Barrier hit");
+
+    await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.09", 8));
+    await touchMarket.connect(user1).stake(TOUCH, ethers.parseUnits("100", 6));
+  });
+
+  it("Should let a resolver report a missed touch before NoTouch settles", async function () {
+    await time.increaseTo(RESOLUTION_TIME);
+    await expect(touchMarket.resolve()).to.be.revertedWith("Too early");
+
+    await expect(
+      touchMarket.connect(user2).resolveTouch(ethers.parseUnits("1.12", 8))
+    ).to.be.revertedWith("Not resolver");
+    await expect(
+      touchMarket.connect(owner).resolveTouch(ethers.parseUnits("1.09", 8))
+    ).to.be.revertedWith("Barrier not hit");
+
+    await expect(
+      touchMarket.connect(owner).resolveTouch(ethers.parseUnits("1.12", 8))
+    ).to.emit(touchMarket, "MarketResolved")
+      .withArgs(TOUCH, ethers.parseUnits("1.12", 8), ethers.parseUnits("200", 6));
+  });
+
+  it("Should reject touch reports that do not reach the barrier", async function () {
+    await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.09", 8));
+
+    await expect(
+      touchMarket.reportTouch()
+    ).to.be.revertedWith("Barrier not hit");
+  });
+
+  it("Should reject stale prices as touches", async function () {
+    await priceOracle.updatePrice(CURRENCY_PAIR, ethers.parseUnits("1.2", 8));
+    await time.increase(7200);
+
+    await expect(
+      touchMarket.reportTouch()
+    ).to.be.revertedWith("Stale price");
+  });
+
+  it("Should settle as NoTouch after expiry", async function () {
+    await expect(touchMarket.resolve()).to.be.revertedWith("Too early");
+
+    await time.increaseTo(RESOLUTION_TIME);
+    await expect(
+      touchMarket.reportTouch()
+    ).to.be.revertedWith("Market expired");
+
+    await expect(touchMarket.resolve()).to.be.revertedWith("Too early");
+
+    await time.increaseTo(RESOLUTION_TIME + 3600);
+    await expect(
+      touchMarket.connect(owner).resolveTouch(ethers.parseUnits("1.12", 8))
+    ).to.be.revertedWith("Report window closed");
+    await expect(
+      touchMarket.resolve()
+    ).to.emit(touchMarket, "MarketResolved")
+      .withArgs(NO_TOUCH, -1, ethers.parseUnits("200", 6));
+
+    await touchMarket.connect(user2).claimPayout();
+    expect(await mockToken.balanceOf(user2.address)).to.equal(ethers.parseUnits("1100", 6));
+  });
+
+  it("Should refund stakes after cancellation", async function () {
+    await touchMarket.connect(owner).cancelMarket();
+    await touchMarket.connect(user1).emergencyWithdraw();
+
+    expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseUnits("1000", 6));
+    await expect(
+      touchMarket.connect(user1).emergencyWithdraw()
+    ).to.be.revertedWith("Already withdrawn");
+  });
+});
@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMarketFactory } = require("./helpers");
+
+describe("TwapOracle", function () {
+  let twapOracle;
+  let source;
+  let owner;
+  let user1;
+  let start;
+
+  const CURRENCY_PAIR = "PHP/USD";
+  const price = (value) => ethers.parseUnits(value, 8);
+
+  // Publish a source price at `at` and record it
+  async function observe(value, at) {
+    await time.setNextBlockTimestamp(at);
+    await source.updatePrice(CURRENCY_PAIR, price(value));
+    await twapOracle.recordObservation(CURRENCY_PAIR);
+  }
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    source = await MockPriceOracle.deploy();
+    await source.waitForDeployment();
+
+    const TwapOracle = await ethers.getContractFactory("TwapOracle");
+    twapOracle = await TwapOracle.deploy(await source.getAddress(), owner.address);
+    await twapOracle.waitForDeployment();
+
+    start = (await time.latest()) + 100;
+  });
+
+  describe("Observations", function () {
+    it("Should record each new source price once", async function () {
+      await observe("56.0", start);
+      expect(await twapOracle.getObservationCount(CURRENCY_PAIR)).to.equal(1);
+
+      // Source has not moved: nothing to record
+      await twapOracle.recordObservation(CURRENCY_PAIR);
+      expect(await twapOracle.getObservationCount(CURRENCY_PAIR)).to.equal(1);
+
+      await observe("57.0", start + 60);
+      const observation = await twapOracle.getObservation(CURRENCY_PAIR, 1);
+      expect(observation.price).to.equal(price("57.0"));
+      expect(observation.cumulativePrice).to.equal(price("56.0") * 60n);
+    });
+
+    it("Should pass spot reads through to the source", async function () {
+      await source.updatePrice(CURRENCY_PAIR, price("56.5"));
+      expect((await twapOracle.getPrice(CURRENCY_PAIR))[0]).to.equal(price("56.5"));
+      expect(await twapOracle.isPriceFeedAvailable(CURRENCY_PAIR)).to.be.true;
+    });
+  });
+
+  describe("TWAP", function () {
+    beforeEach(async function () {
+      await observe("1.00", start);
+      await observe("1.10", start + 100);
+      await observe("1.20", start + 200);
+    });
+
+    it("Should average prices weighted by how long they held", async function () {
+      expect(await twapOracle.getTwap(CURRENCY_PAIR, start + 200, 200)).to.equal(price("1.05"));
+      // Window boundaries between observations
+      expect(await twapOracle.getTwap(CURRENCY_PAIR, start + 150, 100)).to.equal(price("1.05"));
+      expect(await twapOracle.getTwap(CURRENCY_PAIR, start + 200, 50)).to.equal(price("1.10"));
+    });
+
+    it("Should require observations covering the whole window", async function () {
+      await expect(
+        twapOracle.getTwap(CURRENCY_PAIR, start + 200, 300)
+      ).to.be.revertedWith("Insufficient observations");
+      await expect(
+        twapOracle.getTwap(CURRENCY_PAIR, start + 250, 100)
+      ).to.be.revertedWith("Window not complete");
+      await expect(twapOracle.getTwap(CURRENCY_PAIR, start + 200, 0)).to.be.revertedWith("Invalid window");
+    });
+  });
+
+  describe("Market Settlement", function () {
+    let marketFactory;
+    let mockToken;
+    let market;
+    let resolutionTime;
+    const WINDOW = 600;
+
+    beforeEach(async function () {
+      ({ mockToken, marketFactory } = await deployMarketFactory(owner, [CURRENCY_PAIR], {
+        oracle: await twapOracle.getAddress()
+      }));
+
+      await mockToken.mint(owner.address, ethers.parseUnits("200", 6));
+      await mockToken.approve(await marketFactory.getAddress(), ethers.MaxUint256);
+
+      resolutionTime = start + 3600;
+      await marketFactory.createMarket(
+        CURRENCY_PAIR,
+        await mockToken.getAddress(),
+        price("1.1"),
+        resolutionTime,
+        ethers.parseUnits("100", 6),
+        0,
+        WINDOW
+      );
+      const [marketAddress] = await marketFactory.getAllMarkets();
+      market = await ethers.getContractAt("PredictionMarket", marketAddress);
+
+      await mockToken.approve(marketAddress, ethers.MaxUint256);
+      await market.takePosition(1, ethers.parseUnits("10", 6), 0); // Short
+    });
+
+    it("Should settle on the TWAP instead of a last-second spike", async function () {
+      expect(await market.twapWindow()).to.equal(WINDOW);
+
+      await observe("1.00", resolutionTime - 1000);
+      await observe("1.50", resolutionTime - 10); // spike just before resolution
+      await observe("1.50", resolutionTime + 5);
+
+      await market.autoResolveMarket();
+      // (1.00 * 590s + 1.50 * 10s) / 600s
+      expect((await market.market()).finalPrice).to.equal(100833333n);
+      expect(await market.refundMode()).to.be.false;
+    });
+
+    it("Should wait until observations cover the window", async function () {
+      await observe("1.00", resolutionTime - 1000);
+      await time.increaseTo(resolutionTime + 1);
+
+      await expect(market.autoResolveMarket()).to.be.revertedWith("Window not complete");
+    });
+
+    it("Should reject TWAP windows that are too long", async function () {
+      await expect(
+        marketFactory.createMarket(
+          CURRENCY_PAIR,
+          await mockToken.getAddress(),
+          price("1.1"),
+          resolutionTime,
+          ethers.parseUnits("100", 6),
+          0,
+          2 * 86400
+        )
+      ).to.be.revertedWith("Invalid TWAP window");
+    });
+  });
+});
@@ -1,20 +1,66 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { signPermit, signForwardRequest } = require("./helpers");
 
 describe("YellowIntegration", function () {
   let yellowIntegration;
   let mockMarket;
+  let mockToken;
+  let trustedForwarder;
   let owner;
   let user1;
   let user2;
+  let operator;
+
+  // Sign a settlement message as a ClearNode operator (EIP-712)
+  async function signSettlement(signer, sessionId, user, market, payout, nonce) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "YellowIntegration",
+      version: "1",
+      chainId,
+      verifyingContract: await yellowIntegration.getAddress()
+    };
+    const types = {
+      Settlement: [
+        { name: "sessionId", type: "bytes32" },
+        { name: "user", type: "address" },
+        { name: "market", type: "address" },
+        { name: "payout", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+      ]
+    };
+    return signer.signTypedData(domain, types, { sessionId, user, market, payout, nonce });
+  }
 
   beforeEach(async function () {
-    [owner, user1, user2] = await ethers.getSigners();
+    [owner, user1, user2, operator] = await ethers.getSigners();
+
+    // Deploy mock ERC20 token (USDC)
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await mockToken.waitForDeployment();
+
+    // Deploy the ERC-2771 forwarder
+    const TrustedForwarder = await ethers.getContractFactory("TrustedForwarder");
+    trustedForwarder = await TrustedForwarder.deploy();
+    await trustedForwarder.waitForDeployment();
 
     // Deploy YellowIntegration
     const YellowIntegration = await ethers.getContractFactory("YellowIntegration");
-    yellowIntegration = await YellowIntegration.deploy(owner.address);
+    yellowIntegration = await YellowIntegration.deploy(
+      owner.address,
+      await mockToken.getAddress(),
+      await trustedForwarder.getAddress()
+    );
     await yellowIntegration.waitForDeployment();
+    await yellowIntegration.connect(owner).setOperator(operator.address, true);
+
+    // Fund users and approve escrow
+    for (const user of [user1, user2]) {
+      await mockToken.mint(user.address, ethers.parseUnits("1000", 6));
+      await mockToken.connect(user).approve(await yellowIntegration.getAddress(), ethers.MaxUint256);
+    }
 
     // Deploy mock market
     const MockMarket = await ethers.getContractFactory("MockMarket");
@@ -42,6 +88,20 @@ describe("YellowIntegration", function () {
       expect(settlement.finalized).to.be.false;
     });
 
+    it("Should escrow the position amount", async function () {
+      const sessionId = ethers.id("test-session-1");
+      const amount = ethers.parseUnits("100", 6);
+
+      await yellowIntegration.connect(user1).recordOffChainPosition(
+        sessionId,
+        await mockMarket.getAddress(),
+        amount
+      );
+
+      expect(await mockToken.balanceOf(await yellowIntegration.getAddress())).to.equal(amount);
+      expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseUnits("900", 6));
+    });
+
     it("Should track user sessions", async function () {
       const sessionId1 = ethers.id("session-1");
       const sessionId2 = ethers.id("session-2");
@@ -85,9 +145,61 @@ describe("YellowIntegration", function () {
     });
   });
 
+  describe("Gasless Recording", function () {
+    const amount = ethers.parseUnits("100", 6);
+
+    beforeEach(async function () {
+      await mockToken.connect(user1).approve(await yellowIntegration.getAddress(), 0);
+    });
+
+    it("Should record a position with a permit instead of an approval", async function () {
+      const sessionId = ethers.id("permit-session");
+      const block = await ethers.provider.getBlock("latest");
+      const deadline = block.timestamp + 3600;
+      const { v, r, s } = await signPermit(mockToken, user1, await yellowIntegration.getAddress(), amount, deadline);
+
+      await yellowIntegration.connect(user1).recordOffChainPositionWithPermit(
+        sessionId,
+        await mockMarket.getAddress(),
+        amount,
+        deadline,
+        v,
+        r,
+        s
+      );
+
+      expect((await yellowIntegration.getSettlement(sessionId)).user).to.equal(user1.address);
+      expect(await mockToken.balanceOf(await yellowIntegration.getAddress())).to.equal(amount);
+    });
+
+    it("Should record relayed positions for the signer", async function () {
+      const sessionId = ethers.id("relayed-session");
+      const block = await ethers.provider.getBlock("latest");
+      const deadline = block.timestamp + 3600;
+      const { v, r, s } = await signPermit(mockToken, user1, await yellowIntegration.getAddress(), amount, deadline);
+      const data = yellowIntegration.interface.encodeFunctionData("recordOffChainPositionWithPermit", [
+        sessionId,
+        await mockMarket.getAddress(),
+        amount,
+        deadline,
+        v,
+        r,
+        s
+      ]);
+      const request = await signForwardRequest(trustedForwarder, user1, await yellowIntegration.getAddress(), data);
+
+      await expect(trustedForwarder.connect(user2).execute(request))
+        .to.emit(yellowIntegration, "OffChainPositionCreated");
+
+      expect((await yellowIntegration.getSettlement(sessionId)).user).to.equal(user1.address);
+      expect(await yellowIntegration.getUserSessions(user2.address)).to.deep.equal([]);
+    });
+  });
+
   describe("Settlement Finalization", function () {
+    const sessionId = ethers.id("test-session");
+
     beforeEach(async function () {
-      const sessionId = ethers.id("test-session");
       const amount = ethers.parseUnits("100", 6);
       
       await yellowIntegration.connect(user1).recordOffChainPosition(
@@ -95,34 +207,122 @@ describe("YellowIntegration", function () {
         await mockMarket.getAddress(),
         amount
       );
+      await yellowIntegration.connect(user2).recordOffChainPosition(
+        ethers.id("other-session"),
+        await mockMarket.getAddress(),
+        amount
+      );
     });
 
-    it("Should finalize settlement", async function () {
-      const sessionId = ethers.id("test-session");
-      const payout = ethers.parseUnits("150", 6);
-      const signature = "0x00"; // Mock signature
+    it("Should finalize settlement and transfer payout from escrow", async function () {
+      const payout = ethers.parseUnits("60", 6);
+      const signature = await signSettlement(
+        operator, sessionId, user1.address, await mockMarket.getAddress(), payout, 1
+      );
+      const initialBalance = await mockToken.balanceOf(user1.address);
+      const houseBalance = await mockToken.balanceOf(owner.address);
       
       await expect(
-        yellowIntegration.connect(user1).finalizeSettlement(sessionId, payout, signature)
+        yellowIntegration.connect(user2).finalizeSettlement(sessionId, payout, 1, signature)
       ).to.emit(yellowIntegration, "SettlementFinalized")
         .withArgs(sessionId, user1.address, await mockMarket.getAddress(), payout, true);
 
       const settlement = await yellowIntegration.getSettlement(sessionId);
       expect(settlement.finalized).to.be.true;
       expect(settlement.payout).to.equal(payout);
+      expect(await mockToken.balanceOf(user1.address) - initialBalance).to.equal(payout);
+
+      // The rest of the session's escrow goes to the house, other sessions' escrow stays
+      expect(await mockToken.balanceOf(owner.address) - houseBalance).to.equal(ethers.parseUnits("40", 6));
+      expect(await mockToken.balanceOf(await yellowIntegration.getAddress())).to.equal(ethers.parseUnits("100", 6));
     });
 
-    it("Should not allow double finalization", async function () {
-      const sessionId = ethers.id("test-session");
+    it("Should not pay out more than the session's escrow", async function () {
       const payout = ethers.parseUnits("150", 6);
-      const signature = "0x00";
+      const signature = await signSettlement(
+        operator, sessionId, user1.address, await mockMarket.getAddress(), payout, 1
+      );
+
+      await expect(
+        yellowIntegration.connect(user1).finalizeSettlement(sessionId, payout, 1, signature)
+      ).to.be.revertedWith("Payout exceeds escrow");
+    });
+
+    it("Should let the owner change the house", async function () {
+      await expect(
+        yellowIntegration.connect(user1).setHouse(user1.address)
+      ).to.be.revertedWithCustomError(yellowIntegration, "OwnableUnauthorizedAccount");
+      await expect(yellowIntegration.connect(owner).setHouse(user2.address))
+        .to.emit(yellowIntegration, "HouseUpdated")
+        .withArgs(user2.address);
+
+      const signature = await signSettlement(operator, sessionId, user1.address, await mockMarket.getAddress(), 0, 1);
+      const houseBalance = await mockToken.balanceOf(user2.address);
+      await yellowIntegration.finalizeSettlement(sessionId, 0, 1, signature);
+      expect(await mockToken.balanceOf(user2.address) - houseBalance).to.equal(ethers.parseUnits("100", 6));
+    });
+
+    it("Should reject signatures from non-operators", async function () {
+      const payout = ethers.parseUnits("60", 6);
+      const signature = await signSettlement(
+        user1, sessionId, user1.address, await mockMarket.getAddress(), payout, 1
+      );
+
+      await expect(
+        yellowIntegration.connect(user1).finalizeSettlement(sessionId, payout, 1, signature)
+      ).to.be.revertedWith("Invalid operator signature");
+    });
+
+    it("Should reject a signature for a different payout", async function () {
+      const signature = await signSettlement(
+        operator, sessionId, user1.address, await mockMarket.getAddress(), ethers.parseUnits("10", 6), 1
+      );
+
+      await expect(
+        yellowIntegration.connect(user1).finalizeSettlement(sessionId, ethers.parseUnits("20", 6), 1, signature)
+      ).to.be.revertedWith("Invalid operator signature");
+    });
+
+    it("Should reject signatures from revoked operators", async function () {
+      const payout = ethers.parseUnits("60", 6);
+      const signature = await signSettlement(
+        operator, sessionId, user1.address, await mockMarket.getAddress(), payout, 1
+      );
+      await yellowIntegration.connect(owner).setOperator(operator.address, false);
+
+      await expect(
+        yellowIntegration.connect(user1).finalizeSettlement(sessionId, payout, 1, signature)
+      ).to.be.revertedWith("Invalid operator signature");
+    });
+
+    it("Should not allow double finalization", async function () {
+      const payout = ethers.parseUnits("60", 6);
+      const signature = await signSettlement(
+        operator, sessionId, user1.address, await mockMarket.getAddress(), payout, 1
+      );
       
-      await yellowIntegration.connect(user1).finalizeSettlement(sessionId, payout, signature);
+      await yellowIntegration.connect(user1).finalizeSettlement(sessionId, payout, 1, signature);
       
       await expect(
-        yellowIntegration.connect(user1).finalizeSettlement(sessionId, payout, signature)
+        yellowIntegration.connect(user1).finalizeSettlement(sessionId, payout, 1, signature)
       ).to.be.revertedWith("Already finalized");
     });
+
+    it("Should only allow owner to manage operators", async function () {
+      await expect(
+        yellowIntegration.connect(user1).setOperator(user1.address, true)
+      ).to.be.revertedWithCustomError(yellowIntegration, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should verify operator signatures", async function () {
+      const payout = ethers.parseUnits("60", 6);
+      const market = await mockMarket.getAddress();
+      const signature = await signSettlement(operator, sessionId, user1.address, market, payout, 1);
+      const structHash = await yellowIntegration.hashSettlement(sessionId, user1.address, market, payout, 1);
+
+      expect(await yellowIntegration.verifyYellowSignature(structHash, signature, operator.address)).to.be.true;
+      expect(await yellowIntegration.verifyYellowSignature(structHash, signature, user1.address)).to.be.false;
+    });
   });
 
   describe("Session Management", function () {
@@ -136,7 +336,10 @@ describe("YellowIntegration", function () {
         amount
       );
       
-      await yellowIntegration.connect(user1).finalizeSettlement(sessionId, 0, "0x00");
+      const signature = await signSettlement(
+        operator, sessionId, user1.address, await mockMarket.getAddress(), 0, 1
+      );
+      await yellowIntegration.connect(user1).finalizeSettlement(sessionId, 0, 1, signature);
       
       await expect(
         yellowIntegration.connect(user1).closeSession(sessionId)
@@ -0,0 +1,84 @@
+const { ethers } = require("hardhat");
+
+// Shared fixtures and signing helpers for the contract tests
+
+// Deploy a MarketFactory with mock USDC collateral, allowlisting `pairs`. Prices come
+// from `oracle`, or from a fresh MockPriceOracle returned as `priceOracle` if none is given
+async function deployMarketFactory(owner, pairs, { oracle, forwarder = ethers.ZeroAddress } = {}) {
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const mockToken = await MockERC20.deploy("USD Coin", "USDC", 6);
+  await mockToken.waitForDeployment();
+
+  let priceOracle;
+  if (!oracle) {
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    priceOracle = await MockPriceOracle.deploy();
+    await priceOracle.waitForDeployment();
+    oracle = await priceOracle.getAddress();
+  }
+
+  const MarketFactory = await ethers.getContractFactory("MarketFactory");
+  const PredictionMarket = await ethers.getContractFactory("PredictionMarket");
+  const OutcomeToken = await ethers.getContractFactory("OutcomeToken");
+  const outcomeToken = await OutcomeToken.deploy();
+  const predictionMarketImplementation = await PredictionMarket.deploy(forwarder, await outcomeToken.getAddress());
+  const marketFactory = await MarketFactory.deploy(
+    oracle,
+    owner.address,
+    await predictionMarketImplementation.getAddress()
+  );
+  await marketFactory.waitForDeployment();
+  await marketFactory.addCollateral(await mockToken.getAddress());
+  await marketFactory.setPairsAllowed(pairs, true);
+
+  return { mockToken, priceOracle, outcomeToken, marketFactory };
+}
+
+// Sign an EIP-2612 permit for `token`
+async function signPermit(token, signer, spender, value, deadline) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = { name: await token.name(), version: "1", chainId, verifyingContract: await token.getAddress() };
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+  const nonce = await token.nonces(signer.address);
+  return ethers.Signature.from(
+    await signer.signTypedData(domain, types, { owner: signer.address, spender, value, nonce, deadline })
+  );
+}
+
+// Sign an ERC-2771 request for `forwarder` to relay
+async function signForwardRequest(forwarder, signer, to, data) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = { name: "Laxo Forwarder", version: "1", chainId, verifyingContract: await forwarder.getAddress() };
+  const types = {
+    ForwardRequest: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "gas", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint48" },
+      { name: "data", type: "bytes" }
+    ]
+  };
+  const block = await ethers.provider.getBlock("latest");
+  const request = {
+    from: signer.address,
+    to,
+    value: 0n,
+    gas: 1000000n,
+    nonce: await forwarder.nonces(signer.address),
+    deadline: block.timestamp + 3600,
+    data
+  };
+  return { ...request, signature: await signer.signTypedData(domain, types, request) };
+}
+
+module.exports = { deployMarketFactory, signPermit, signForwardRequest };
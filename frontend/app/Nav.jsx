@@ -5,6 +5,7 @@ import Link from 'next/link'
 import { usePathname } from 'next/navigation'
 import { APP_URL } from '../lib/config'
 import { useWallet } from '../contexts/WalletContext'
+import { formatTokenAmount } from '../lib/markets/collateral'
 
 function LaxoIcon({ className }) {
   return (
@@ -56,7 +57,7 @@ export default function Nav() {
                     <span>Wallet</span>
                     {wallet.balance && (
                       <span className="text-xs opacity-80">
-                        {(wallet.balance.usdc / 1000000).toFixed(2)} USDC
+                        {formatTokenAmount(wallet.balance.usdc, 'USDC')}
                       </span>
                     )}
                   </div>
@@ -10,6 +10,15 @@ import PriceChart from '../../../components/PriceChart'
 import CreateMarketModal from '../../../components/CreateMarketModal'
 import { subscribeToPrice, getCurrentPrice } from '../../../lib/oracle/priceFeed'
 import { savePositions, loadPositions, savePosition, removePosition } from '../../../lib/wallet/persistence'
+import { createPool, applyBuy, applySell, quoteSell, impliedProbability, DEFAULT_SUBSIDY_TOKENS } from '../../../lib/markets/marketMaker'
+import { getCollateral, collateralForCurrency, toTokenUnits, formatTokenAmount, balanceAsset } from '../../../lib/markets/collateral'
+import { applyEntryFees } from '../../../lib/markets/fees'
+import { MARKET_KINDS, createOutcomePool, applyStake, settleOutcome, outcomePayout, outcomeLabels, hitsBarrier } from '../../../lib/markets/outcomeMarkets'
+import BucketPicker from '../../../components/BucketPicker'
+import OrderBookDepth from '../../../components/OrderBookDepth'
+import { MARKET_FACTORY_ADDRESS, fetchActiveMarkets } from '../../../lib/markets/marketRegistry'
+import { getBlockchainClient } from '../../../lib/blockchain/blockchainClient'
+import { ORDER_BOOK_ADDRESS } from '../../../lib/markets/orderBook'
 
 // Currency definitions - showing price of currency vs USD
 const CURRENCIES = [
@@ -243,6 +252,70 @@ export default function ForexPerps() {
     }
   }
 
+  // Load live markets from the on-chain registry when a factory is configured
+  useEffect(() => {
+    if (!MARKET_FACTORY_ADDRESS) return
+    let cancelled = false
+
+    const loadOnChainMarkets = async () => {
+      try {
+        const blockchainClient = getBlockchainClient()
+        if (!blockchainClient.client) {
+          await blockchainClient.connect()
+        }
+        if (!blockchainClient.isConnected || cancelled) return
+
+        const PAGE_SIZE = 50
+        const loaded = []
+        let total = Infinity
+        for (let offset = 0; offset < total; offset += PAGE_SIZE) {
+          const page = await fetchActiveMarkets(blockchainClient.client, { offset, limit: PAGE_SIZE })
+          loaded.push(...page.markets)
+          total = page.total
+        }
+        if (cancelled) return
+
+        setMarkets(prev => {
+          const updated = new Map(prev)
+          loaded.forEach(market => {
+            const currency = CURRENCIES.find(c => c.code === market.currencyCode)
+            if (!currency) return
+            // Keep local state (e.g. observed touches) for markets already loaded
+            updated.set(market.id, { ...updated.get(market.id), ...market, currency })
+          })
+          return updated
+        })
+      } catch (err) {
+        console.error('Error loading markets from registry:', err)
+      }
+    }
+
+    loadOnChainMarkets()
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Record barrier touches on live touch markets before they expire
+  useEffect(() => {
+    const now = Math.floor(Date.now() / 1000)
+    const touchedIds = Array.from(markets.values())
+      .filter(market => market.kind === MARKET_KINDS.TOUCH && !market.touched && market.resolutionTime > now)
+      .filter(market => {
+        const price = currentPrices.get(market.currencyCode)
+        return price !== undefined && hitsBarrier(price, market.barrier, market.upward)
+      })
+      .map(market => market.id)
+
+    if (touchedIds.length > 0) {
+      setMarkets(prev => {
+        const updated = new Map(prev)
+        touchedIds.forEach(id => updated.set(id, { ...updated.get(id), touched: true }))
+        return updated
+      })
+    }
+  }, [currentPrices, markets])
+
   // Check and resolve markets that have reached their resolution time
   useEffect(() => {
     const checkMarketResolutions = async () => {
@@ -273,7 +346,12 @@ export default function ForexPerps() {
         
         let updatedPositions = new Map(prevPositions)
         const marketsToResolve = []
-        let totalUserPayout = 0
+        // Payouts in token units, per test wallet asset (markets settle in different collateral)
+        const payoutsByAsset = {}
+        const creditPayout = (position, payout) => {
+          const asset = balanceAsset(position.collateralSymbol)
+          payoutsByAsset[asset] = (payoutsByAsset[asset] || 0n) + BigInt(payout)
+        }
         
         // Resolve each market's positions
         positionsByMarket.forEach((marketPositions, marketId) => {
@@ -303,68 +381,64 @@ export default function ForexPerps() {
           
           marketsToResolve.push(marketId)
           
-          // Calculate total pool (all positions in this market)
-          const totalPool = marketPositions.reduce((sum, [_, pos]) => sum + Number(pos.amount), 0)
-          
-          // Separate winners and losers
-          const winners = marketPositions.filter(([_, pos]) => {
-            const isLong = pos.positionType === 'long'
-            return isLong 
-              ? (currentPrice >= targetPrice)
-              : (currentPrice < targetPrice)
-          })
-          const losers = marketPositions.filter(([_, pos]) => {
-            const isLong = pos.positionType === 'long'
-            return isLong 
-              ? (currentPrice < targetPrice)
-              : (currentPrice >= targetPrice)
-          })
+          // Range and touch markets settle to one outcome and split the pool pari-mutuel
+          const isOutcomeMarket = firstPosition.outcome !== undefined
+          const winningOutcome = isOutcomeMarket && market?.outcomePool
+            ? settleOutcome(market, currentPrice, market.touched)
+            : null
           
-          // Include artificial liquidity in the pool if market data is available
-          const artificialLiquidity = market?.artificialLiquidity || { long: 0, short: 0, total: 0 }
-          const totalPoolWithLiquidity = totalPool + artificialLiquidity.total
+          // A tie at the target, or a winning side nobody holds, refunds everyone (like PredictionMarket)
+          const longWins = currentPrice > targetPrice
+          const refund = isOutcomeMarket
+            ? winningOutcome === null
+            : currentPrice === targetPrice ||
+              !marketPositions.some(([, position]) => (position.positionType === 'long') === longWins)
           
-          // Calculate payouts: winners split the total pool (including artificial liquidity) proportionally
+          // Calculate payouts: each winning share redeems for one unit of collateral
           marketPositions.forEach(([key, position]) => {
             const isLong = position.positionType === 'long'
-            const isWinner = isLong 
-              ? (currentPrice >= targetPrice)
-              : (currentPrice < targetPrice)
+            const isWinner = isOutcomeMarket
+              ? position.outcome === winningOutcome
+              : isLong ? longWins : !longWins
             
-            if (isWinner && winners.length > 0) {
-              // Winner gets their bet back + proportional share of losers' bets + artificial liquidity
-              const totalWinnerAmount = winners.reduce((sum, [_, p]) => sum + Number(p.amount), 0)
-              const totalLoserAmount = losers.reduce((sum, [_, p]) => sum + Number(p.amount), 0)
-              const winnerShare = totalWinnerAmount > 0 ? Number(position.amount) / totalWinnerAmount : 0
-              
-              // Payout = bet back + share of losers + share of artificial liquidity
-              const payout = Number(position.amount) + 
-                (totalLoserAmount * winnerShare) + 
-                (artificialLiquidity.total * winnerShare)
+            if (refund) {
+              const refundedPosition = {
+                ...position,
+                status: 'resolved',
+                refunded: true,
+                payout: String(position.collateral ?? position.amount),
+                finalPrice: currentPrice,
+                resolvedAt: now
+              }
               
+              updatedPositions.set(key, refundedPosition)
+              creditPayout(position, refundedPosition.payout)
+            } else if (isWinner) {
               const resolvedPosition = {
                 ...position,
                 status: 'resolved',
-                payout: Math.floor(payout),
+                payout: isOutcomeMarket
+                  ? outcomePayout(market.outcomePool, winningOutcome, position.collateral ?? position.amount)
+                  : String(position.shares ?? position.amount),
                 finalPrice: currentPrice,
                 resolvedAt: now
               }
               
               updatedPositions.set(key, resolvedPosition)
-              totalUserPayout += resolvedPosition.payout
+              creditPayout(position, resolvedPosition.payout)
             } else {
               // Loser - mark as resolved with no payout
               updatedPositions.set(key, {
                 ...position,
                 status: 'resolved',
-                payout: 0,
+                payout: '0',
                 finalPrice: currentPrice,
                 resolvedAt: now
               })
             }
           })
           
-          console.log(`✅ Market ${marketId} resolved at price ${currentPrice} (target: ${targetPrice})`)
+          console.log(`✅ Market ${marketId} resolved at price ${currentPrice} (target: ${targetPrice})${refund ? ' - refunded' : ''}`)
         })
         
         // Mark markets as resolved
@@ -376,24 +450,25 @@ export default function ForexPerps() {
           })
           
           // Add payout to balance if user won
-          if (totalUserPayout > 0 && yellowClient) {
+          if (Object.keys(payoutsByAsset).length > 0 && yellowClient) {
             const status = yellowClient.getStatus()
             if (status.isTestWallet) {
-              const currentBalance = BigInt(yellowClient.testBalance.usdc || 0)
-              const payoutBigInt = BigInt(totalUserPayout)
-              yellowClient.testBalance.usdc = (currentBalance + payoutBigInt).toString()
+              Object.entries(payoutsByAsset).forEach(([asset, payout]) => {
+                const currentBalance = BigInt(yellowClient.testBalance[asset] || 0)
+                yellowClient.testBalance[asset] = (currentBalance + payout).toString()
+                
+                // Emit balance update
+                yellowClient.emit('balance_update', {
+                  asset,
+                  balance: yellowClient.testBalance[asset],
+                  total: { ...yellowClient.testBalance }
+                })
+                
+                console.log(`💰 Payout: +${formatTokenAmount(payout, asset)}`)
+              })
               
               // Update wallet balance display
               updateBalance(yellowClient, isConnected)
-              
-              // Emit balance update
-              yellowClient.emit('balance_update', {
-                asset: 'usdc',
-                balance: yellowClient.testBalance.usdc,
-                total: { ...yellowClient.testBalance }
-              })
-              
-              console.log(`💰 Payout: +${(totalUserPayout / 1000000).toFixed(2)} USDC`)
             }
           }
         }
@@ -417,7 +492,7 @@ export default function ForexPerps() {
 
 
   // Take a position in a market (memoized to prevent recreation)
-  const takePosition = useCallback(async (currency, positionType, amount = '1000000', market = null) => {
+  const takePosition = useCallback(async (currency, positionType, amount = '1', market = null) => {
     if (!yellowClient || !isConnected) {
       setError('Please connect your wallet first')
       return
@@ -437,23 +512,47 @@ export default function ForexPerps() {
         ? `0x${market.id.replace(/[^a-f0-9]/gi, '').padStart(40, '0').slice(0, 40)}`
         : `0x${Math.random().toString(16).substr(2, 40)}`
 
+      // Positions are paid in the market's collateral (e.g. EURC on EUR markets)
+      const currentMarket = market?.id ? markets.get(market.id) : null
+      const collateral = getCollateral(currentMarket?.collateralSymbol || market?.collateralSymbol)
+
       // Create or get session for this market
       const sessionKey = market?.id || currency.code
       let session = sessions.get(sessionKey)
       if (!session) {
-        session = createMarketSession(marketAddress, { client: yellowClient })
+        session = createMarketSession(marketAddress, { client: yellowClient, asset: balanceAsset(collateral) })
         await session.initialize()
         setSessions(prev => new Map(prev.set(sessionKey, session)))
       }
 
-      // Convert amount to smallest unit (6 decimals for USDC)
-      // Amount should be in USDC (e.g., 10 = 10 USDC)
-      // Convert to smallest unit: 10 USDC = 10000000 (10 * 10^6)
-      const amountNum = typeof amount === 'string' ? parseFloat(amount) : parseFloat(amount)
-      const amountInSmallestUnit = Math.floor(amountNum * 1000000).toString()
+      // Convert the amount in whole tokens (e.g., 10 = 10 EURC) to the collateral's smallest unit
+      const amountInSmallestUnit = toTokenUnits(amount, collateral)
+
+      // Price shares from the market maker pool before committing; entry fees come off the top
+      const fees = applyEntryFees(amountInSmallestUnit, currentMarket || {})
+      const trade = currentMarket?.pool
+        ? applyBuy(currentMarket.pool, positionType, fees.investment)
+        : null
+
+      // Range and touch markets take an outcome index instead of long/short
+      const outcome = typeof positionType === 'number' ? positionType : undefined
+      const outcomePool = outcome !== undefined && currentMarket?.outcomePool
+        ? applyStake(currentMarket.outcomePool, outcome, fees.investment)
+        : null
 
       // Take position off-chain (instant, no gas)
-      const position = await session.takePosition(positionType, amountInSmallestUnit)
+      const position = await session.takePosition(
+        outcome !== undefined ? `outcome-${outcome}` : positionType,
+        amountInSmallestUnit,
+        trade?.shares
+      )
+
+      if (trade) {
+        setMarkets(prev => new Map(prev.set(currentMarket.id, { ...currentMarket, pool: trade.pool })))
+      }
+      if (outcomePool) {
+        setMarkets(prev => new Map(prev.set(currentMarket.id, { ...currentMarket, outcomePool })))
+      }
 
       // Update balance after taking position
       await updateBalance(yellowClient, isConnected)
@@ -464,8 +563,13 @@ export default function ForexPerps() {
         ...position,
         currency: currency.code,
         currencyPair: `${currency.code}/USD`,
-        positionType,
+        positionType: outcome !== undefined ? 'outcome' : positionType,
+        outcome,
+        outcomeLabel: outcome !== undefined ? outcomeLabels(currentMarket || market)[outcome] : undefined,
         amount: amountInSmallestUnit,
+        collateral: fees.investment,
+        collateralSymbol: collateral.symbol,
+        shares: outcome !== undefined ? undefined : (trade?.shares ?? amountInSmallestUnit),
         status: 'active',
         offChain: true,
         marketId: market?.id,
@@ -487,7 +591,8 @@ export default function ForexPerps() {
         currency: currency.code,
         positionType,
         amount: amountInSmallestUnit,
-        amountUSDC: (amountInSmallestUnit / 1000000).toFixed(2),
+        amountFormatted: formatTokenAmount(amountInSmallestUnit, collateral),
+        shares: trade?.shares,
         currentPrice,
         targetPrice: market?.targetPrice,
         marketId: market?.id
@@ -499,161 +604,111 @@ export default function ForexPerps() {
     } finally {
       setLoading(false)
     }
-  }, [yellowClient, isConnected, quoteCurrency])
+  }, [yellowClient, isConnected, quoteCurrency, markets])
 
-  // Calculate probability using normal distribution approximation
-  const calculateProbability = (currentPrice, targetPrice, timeToResolution) => {
-    // Use a simple normal distribution model
-    // Probability that price >= targetPrice (Long wins)
-    
-    // Calculate distance from current to target
-    const priceDiff = Math.abs(currentPrice - targetPrice)
-    const priceDiffPercent = currentPrice > 0 ? (priceDiff / currentPrice) * 100 : 0
-    
-    // Estimate volatility based on time to resolution
-    // More time = more uncertainty (higher volatility)
-    // Typical forex daily volatility is ~0.5-1%, so we scale by time
-    const daysToResolution = timeToResolution / (24 * 60 * 60)
-    const estimatedVolatility = Math.min(0.02, 0.005 * Math.sqrt(daysToResolution)) // Cap at 2%
-    
-    // Calculate z-score (how many standard deviations away)
-    const zScore = (targetPrice - currentPrice) / (currentPrice * estimatedVolatility)
-    
-    // Use cumulative distribution function approximation
-    // P(X >= target) = 1 - Φ(z)
-    // Simple approximation: Φ(z) ≈ 0.5 * (1 + erf(z/√2))
-    const erfApprox = (x) => {
-      // Abramowitz and Stegun approximation
-      const a1 =  0.254829592
-      const a2 = -0.284496736
-      const a3 =  1.421413741
-      const a4 = -1.453152027
-      const a5 =  1.061405429
-      const p  =  0.3275911
-      
-      const sign = x < 0 ? -1 : 1
-      x = Math.abs(x)
-      
-      const t = 1.0 / (1.0 + p * x)
-      const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x)
-      
-      return sign * y
+  // Close (sell) a position before resolution at the current market maker price
+  const closePosition = useCallback(async (positionKey) => {
+    const position = positions.get(positionKey)
+    if (!yellowClient || !isConnected || !position) {
+      setError('Please connect your wallet first')
+      return
     }
-    
-    const probabilityLong = 0.5 * (1 - erfApprox(zScore / Math.sqrt(2)))
-    
-    // Clamp between 0.1 and 0.9 (never 0% or 100% to ensure liquidity on both sides)
-    return Math.max(0.1, Math.min(0.9, probabilityLong))
-  }
 
-  // Create a new market (memoized)
-  const handleCreateMarket = useCallback(async ({ currency, targetPrice, resolutionTime, targetPriceFormatted }) => {
-    // Get current price to calculate probability
-    const currentPrice = currentPrices.get(currency.code)
-    if (!currentPrice) {
-      // Try to fetch it
-      try {
-        const { getCurrentPrice } = await import('../../../lib/oracle/priceFeed')
-        const oraclePair = `${currency.code}/${quoteCurrency}`
-        const { price } = await getCurrentPrice(oraclePair)
-        const probLong = calculateProbability(price, targetPrice, resolutionTime - Math.floor(Date.now() / 1000))
-        
-        // Create artificial liquidity based on probability
-        const totalLiquidity = 10000 // 10 USDC in smallest units (10000 * 1000000 / 1000000 = 10)
-        const longLiquidity = Math.floor(totalLiquidity * probLong)
-        const shortLiquidity = totalLiquidity - longLiquidity
-        
-        const marketId = `${currency.code}-${Date.now()}`
-        const market = {
-          id: marketId,
-          currencyCode: currency.code,
-          currencyPair: `${currency.code}/USD`,
-          targetPrice,
-          targetPriceFormatted,
-          resolutionTime,
-          createdAt: Date.now(),
-          currency,
-          artificialLiquidity: {
-            long: longLiquidity,
-            short: shortLiquidity,
-            total: totalLiquidity,
-            probabilityLong: probLong,
-            probabilityShort: 1 - probLong
-          }
-        }
-        
-        setMarkets(prev => new Map(prev.set(marketId, market)))
-        console.log('✅ Market created with artificial liquidity:', {
-          market,
-          probLong: (probLong * 100).toFixed(1) + '%',
-          longLiquidity: (longLiquidity / 1000000).toFixed(2) + ' USDC',
-          shortLiquidity: (shortLiquidity / 1000000).toFixed(2) + ' USDC'
-        })
-        
-        return market
-      } catch (error) {
-        console.error('Error fetching price for market creation:', error)
-        // Create market without liquidity if price fetch fails
-        const marketId = `${currency.code}-${Date.now()}`
-        const market = {
-          id: marketId,
-          currencyCode: currency.code,
-          currencyPair: `${currency.code}/USD`,
-          targetPrice,
-          targetPriceFormatted,
-          resolutionTime,
-          createdAt: Date.now(),
-          currency,
-          artificialLiquidity: {
-            long: 5000, // Default 50/50 split
-            short: 5000,
-            total: 10000,
-            probabilityLong: 0.5,
-            probabilityShort: 0.5
-          }
-        }
-        setMarkets(prev => new Map(prev.set(marketId, market)))
-        return market
+    const market = position.marketId ? markets.get(position.marketId) : null
+    if (!market?.pool) {
+      setError('Market pricing is unavailable for this position')
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const trade = applySell(market.pool, position.positionType, position.shares)
+
+      // Re-use the market session, restoring the position if the session was recreated
+      const sessionKey = position.marketId || position.currency
+      let session = sessions.get(sessionKey)
+      if (!session) {
+        session = createMarketSession(position.marketAddress, { client: yellowClient, asset: balanceAsset(position.collateralSymbol) })
+        await session.initialize()
+        setSessions(prev => new Map(prev.set(sessionKey, session)))
       }
-    } else {
-      // Calculate probability and create liquidity
-      const timeToResolution = resolutionTime - Math.floor(Date.now() / 1000)
-      const probLong = calculateProbability(currentPrice, targetPrice, timeToResolution)
-      
-      const totalLiquidity = 10000 // 10 USDC
-      const longLiquidity = Math.floor(totalLiquidity * probLong)
-      const shortLiquidity = totalLiquidity - longLiquidity
-      
-      const marketId = `${currency.code}-${Date.now()}`
-      const market = {
-        id: marketId,
-        currencyCode: currency.code,
-        currencyPair: `${currency.code}/USD`,
-        targetPrice,
-        targetPriceFormatted,
-        resolutionTime,
-        createdAt: Date.now(),
-        currency,
-        artificialLiquidity: {
-          long: longLiquidity,
-          short: shortLiquidity,
-          total: totalLiquidity,
-          probabilityLong: probLong,
-          probabilityShort: 1 - probLong
-        }
+      if (!session.getPosition(position.positionKey)) {
+        session.restorePosition(position.positionKey, position)
       }
-      
-      setMarkets(prev => new Map(prev.set(marketId, market)))
-      console.log('✅ Market created with artificial liquidity:', {
-        market,
-        probLong: (probLong * 100).toFixed(1) + '%',
-        longLiquidity: (longLiquidity / 1000000).toFixed(2) + ' USDC',
-        shortLiquidity: (shortLiquidity / 1000000).toFixed(2) + ' USDC'
+
+      await session.closePosition(position.positionKey, {
+        shares: position.shares,
+        payout: trade.payout,
+        fee: trade.fee
       })
-      
-      return market
+
+      setMarkets(prev => new Map(prev.set(market.id, { ...market, pool: trade.pool })))
+      await updateBalance(yellowClient, isConnected)
+
+      setPositions(prev => {
+        const newPositions = new Map(prev)
+        newPositions.set(positionKey, {
+          ...position,
+          status: 'closed',
+          payout: trade.payout,
+          closedAt: Math.floor(Date.now() / 1000)
+        })
+        savePositions(newPositions)
+        return newPositions
+      })
+
+      console.log('✅ Position closed:', {
+        positionKey,
+        payout: formatTokenAmount(trade.payout, position.collateralSymbol),
+        fee: formatTokenAmount(trade.fee, position.collateralSymbol)
+      })
+    } catch (err) {
+      console.error('Close position error:', err)
+      setError(err?.message || 'Failed to close position')
+    } finally {
+      setLoading(false)
     }
-  }, [currentPrices, quoteCurrency])
+  }, [positions, markets, sessions, yellowClient, isConnected])
+
+  // Create a new market (memoized)
+  // Odds come from a market maker pool seeded with a subsidy, like PredictionMarket on-chain
+  const handleCreateMarket = useCallback(async ({ currency, targetPrice, resolutionTime, targetPriceFormatted, protocolFeeBps = 0, creatorFeeBps = 0, kind = MARKET_KINDS.BINARY, boundaries = null, barrier = null, upward = true }) => {
+    const marketId = `${currency.code}-${Date.now()}`
+    const collateral = collateralForCurrency(currency.code)
+    const market = {
+      id: marketId,
+      currencyCode: currency.code,
+      currencyPair: `${currency.code}/USD`,
+      targetPrice,
+      targetPriceFormatted,
+      resolutionTime,
+      createdAt: Date.now(),
+      currency,
+      kind,
+      collateralSymbol: collateral.symbol,
+      protocolFeeBps,
+      creatorFeeBps
+    }
+    
+    if (kind === MARKET_KINDS.RANGE) {
+      market.boundaries = boundaries
+      market.outcomePool = createOutcomePool(boundaries.length - 1)
+    } else if (kind === MARKET_KINDS.TOUCH) {
+      market.barrier = barrier
+      market.upward = upward
+      market.touched = false
+      market.outcomePool = createOutcomePool(2)
+    } else {
+      market.pool = createPool(toTokenUnits(DEFAULT_SUBSIDY_TOKENS, collateral))
+    }
+    
+    setMarkets(prev => new Map(prev.set(marketId, market)))
+    console.log('✅ Market created with market maker pool:', market)
+    
+    return market
+  }, [])
 
   // Pre-compute currency data for all currencies (moved outside map to fix React hooks violation)
   const currencyDataMap = useMemo(() => {
@@ -814,7 +869,8 @@ export default function ForexPerps() {
                   .filter(m => m.currency.code === selectedCurrency)
                   .map((market) => {
                     const currentPriceForMarket = currentPrices.get(selectedCurrency)
-                    const isWinning = currentPriceForMarket 
+                    const isOutcomeMarket = market.kind === MARKET_KINDS.RANGE || market.kind === MARKET_KINDS.TOUCH
+                    const isWinning = currentPriceForMarket && !isOutcomeMarket
                       ? (currentPriceForMarket >= market.targetPrice)
                       : null
                     
@@ -824,8 +880,22 @@ export default function ForexPerps() {
                           <div className="flex-1">
                             <div className="flex items-center gap-2 mb-2">
                               <span className="text-sm font-semibold text-white">
-                                Target: {market.targetPriceFormatted}
+                                {market.kind === MARKET_KINDS.RANGE
+                                  ? `Range: ${market.boundaries[0]} – ${market.boundaries[market.boundaries.length - 1]}`
+                                  : market.kind === MARKET_KINDS.TOUCH
+                                  ? `Barrier: ${market.targetPriceFormatted} ${market.upward ? '↑' : '↓'}`
+                                  : `Target: ${market.targetPriceFormatted}`}
                               </span>
+                              {market.touched && (
+                                <span className="text-xs px-2 py-0.5 rounded bg-laxo-accent/20 text-laxo-accent">
+                                  Touched
+                                </span>
+                              )}
+                              {market.entriesPaused && (
+                                <span className="text-xs px-2 py-0.5 rounded bg-yellow-500/20 text-yellow-400">
+                                  Paused
+                                </span>
+                              )}
                               {isWinning !== null && (
                                 <span className={`text-xs px-2 py-0.5 rounded ${
                                   isWinning ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'
@@ -837,13 +907,13 @@ export default function ForexPerps() {
                             <div className="text-xs text-gray-400 space-y-1">
                               <div>Current: {currentPriceForMarket ? `${currentPriceForMarket.toFixed(4)} ${quoteCurrency}` : '--'}</div>
                               <div>Resolves: {new Date(market.resolutionTime * 1000).toLocaleString()}</div>
-                              {market.artificialLiquidity && (
+                              {market.pool && (
                                 <div className="mt-2 pt-2 border-t border-laxo-border/30">
                                   <div className="text-xs text-gray-500">
-                                    Liquidity: Long {((market.artificialLiquidity.long / market.artificialLiquidity.total) * 100).toFixed(0)}% / Short {((market.artificialLiquidity.short / market.artificialLiquidity.total) * 100).toFixed(0)}%
+                                    Odds: Long {(impliedProbability(market.pool, 'long') * 100).toFixed(1)}% / Short {(impliedProbability(market.pool, 'short') * 100).toFixed(1)}%
                                   </div>
                                   <div className="text-xs text-gray-600">
-                                    Prob: {(market.artificialLiquidity.probabilityLong * 100).toFixed(1)}% Long wins
+                                    Liquidity: {formatTokenAmount(market.pool.subsidy, market.collateralSymbol)}
                                   </div>
                                 </div>
                               )}
@@ -851,6 +921,22 @@ export default function ForexPerps() {
                           </div>
                         </div>
                         
+                        {isOutcomeMarket ? (
+                          <div className="mt-3">
+                            <BucketPicker
+                              market={market}
+                              currentPrice={currentPriceForMarket}
+                              disabled={!isConnected || loading || market.entriesPaused}
+                              onPick={(outcome) => {
+                                if (!isConnected) {
+                                  setError('Please connect your wallet first')
+                                  return
+                                }
+                                takePosition(market.currency, outcome, 1, market)
+                              }}
+                            />
+                          </div>
+                        ) : (
                         <div className="flex gap-2 mt-3">
                           <button
                             onClick={() => {
@@ -860,11 +946,11 @@ export default function ForexPerps() {
                               }
                               takePosition(market.currency, 'long', 1, market)
                             }}
-                            disabled={!isConnected || loading}
+                            disabled={!isConnected || loading || market.entriesPaused}
                             className="flex-1 rounded-lg bg-green-500/20 border border-green-500/50 px-4 py-2 text-sm font-semibold text-green-400 transition hover:bg-green-500/30 disabled:opacity-50 disabled:cursor-not-allowed"
-                            title={!isConnected ? 'Connect wallet to take positions' : ''}
+                            title={!isConnected ? 'Connect wallet to take positions' : market.entriesPaused ? 'Entries are paused for this market' : ''}
                           >
-                            📈 Long (1 USDC)
+                            📈 Long (1 {getCollateral(market.collateralSymbol).symbol})
                           </button>
                           <button
                             onClick={() => {
@@ -874,13 +960,18 @@ export default function ForexPerps() {
                               }
                               takePosition(market.currency, 'short', 1, market)
                             }}
-                            disabled={!isConnected || loading}
+                            disabled={!isConnected || loading || market.entriesPaused}
                             className="flex-1 rounded-lg bg-red-500/20 border border-red-500/50 px-4 py-2 text-sm font-semibold text-red-400 transition hover:bg-red-500/30 disabled:opacity-50 disabled:cursor-not-allowed"
-                            title={!isConnected ? 'Connect wallet to take positions' : ''}
+                            title={!isConnected ? 'Connect wallet to take positions' : market.entriesPaused ? 'Entries are paused for this market' : ''}
                           >
-                            📉 Short (1 USDC)
+                            📉 Short (1 {getCollateral(market.collateralSymbol).symbol})
                           </button>
                         </div>
+                        )}
+
+                        {ORDER_BOOK_ADDRESS && market.onChain && !isOutcomeMarket && (
+                          <OrderBookDepth market={market} />
+                        )}
                       </div>
                     )
                   })}
@@ -901,16 +992,24 @@ export default function ForexPerps() {
               )}
             </h2>
             <div className="space-y-3">
-              {Array.from(positions.values()).map((position, idx) => {
+              {Array.from(positions.entries()).map(([positionKey, position], idx) => {
                 const currency = CURRENCIES.find(c => c.code === position.currency)
                 const currentPriceForCurrency = currentPrices.get(position.currency)
                 const targetPrice = position.targetPrice ? parseFloat(position.targetPrice) : null
-                const isWinning = targetPrice && currentPriceForCurrency
+                const isWinning = targetPrice && currentPriceForCurrency && position.outcome === undefined
                   ? (position.positionType === 'long' 
-                      ? (currentPriceForCurrency >= targetPrice)
+                      ? (currentPriceForCurrency > targetPrice)
                       : (currentPriceForCurrency < targetPrice))
                   : null
                 
+                // Live PnL: what the position would return if closed now, minus its cost
+                const positionMarket = position.marketId ? markets.get(position.marketId) : null
+                const exitValue = position.status === 'active' && positionMarket?.pool && position.shares
+                  ? BigInt(quoteSell(positionMarket.pool, position.positionType, position.shares).payout)
+                  : null
+                const livePnl = exitValue !== null ? exitValue - BigInt(position.amount) : null
+                const token = position.collateralSymbol
+                
                 return (
                   <div
                     key={idx}
@@ -923,13 +1022,19 @@ export default function ForexPerps() {
                           <span className="text-sm font-semibold text-white">
                             {currency?.name || position.currency}
                           </span>
-                          <span className={`text-xs px-2 py-0.5 rounded font-semibold ${
-                            position.positionType === 'long'
-                              ? 'bg-green-500/20 text-green-400'
-                              : 'bg-red-500/20 text-red-400'
-                          }`}>
-                            {position.positionType === 'long' ? '📈 Long' : '📉 Short'}
-                          </span>
+                          {position.outcome !== undefined ? (
+                            <span className="text-xs px-2 py-0.5 rounded font-semibold bg-laxo-accent/20 text-laxo-accent">
+                              🎯 {position.outcomeLabel}
+                            </span>
+                          ) : (
+                            <span className={`text-xs px-2 py-0.5 rounded font-semibold ${
+                              position.positionType === 'long'
+                                ? 'bg-green-500/20 text-green-400'
+                                : 'bg-red-500/20 text-red-400'
+                            }`}>
+                              {position.positionType === 'long' ? '📈 Long' : '📉 Short'}
+                            </span>
+                          )}
                           {position.offChain && (
                             <span className="text-xs px-2 py-0.5 rounded bg-cyan-500/20 text-cyan-400">
                               ⚡ Off-chain
@@ -937,15 +1042,28 @@ export default function ForexPerps() {
                           )}
                         </div>
                         <div className="text-xs text-gray-400">
-                          Amount: {(position.amount / 1000000).toFixed(2)} USDC
+                          Amount: {formatTokenAmount(position.amount, token)}
                         </div>
                       </div>
                       <div className="text-right">
-                          {position.status === 'resolved' ? (
+                          {position.status === 'closed' ? (
                             <>
-                              {position.payout > 0 ? (
+                              <div className="text-xs font-semibold mb-1 text-white">
+                                Closed: {formatTokenAmount(position.payout, token)}
+                              </div>
+                              <div className={`text-xs ${position.payout >= Number(position.amount) ? 'text-green-400' : 'text-red-400'}`}>
+                                PnL: {position.payout >= Number(position.amount) ? '+' : ''}{formatTokenAmount(BigInt(position.payout) - BigInt(position.amount), token)}
+                              </div>
+                            </>
+                          ) : position.status === 'resolved' ? (
+                            <>
+                              {position.refunded ? (
+                                <div className="text-xs font-semibold mb-1 text-gray-300">
+                                  ↺ Refunded: {formatTokenAmount(position.payout, token)}
+                                </div>
+                              ) : position.payout > 0 ? (
                                 <div className="text-xs font-semibold mb-1 text-green-400">
-                                  ✓ Won: +{((position.payout / 1000000).toFixed(2))} USDC
+                                  ✓ Won: +{formatTokenAmount(position.payout, token)}
                                 </div>
                               ) : (
                                 <div className="text-xs font-semibold mb-1 text-red-400">
@@ -963,7 +1081,22 @@ export default function ForexPerps() {
                                   {isWinning ? '✓ Winning' : '✗ Losing'}
                                 </div>
                               )}
+                              {livePnl !== null && (
+                                <div className={`text-xs mb-1 ${livePnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                  PnL: {livePnl >= 0 ? '+' : ''}{formatTokenAmount(livePnl, token)}
+                                </div>
+                              )}
                               <div className="text-xs text-gray-500">{position.status}</div>
+                              {exitValue !== null && (
+                                <button
+                                  onClick={() => closePosition(positionKey)}
+                                  disabled={!isConnected || loading}
+                                  className="mt-2 rounded-lg border border-laxo-border bg-laxo-card px-3 py-1 text-xs font-semibold text-white transition hover:border-laxo-accent disabled:opacity-50 disabled:cursor-not-allowed"
+                                  title={`Sell for ${formatTokenAmount(exitValue, token)}`}
+                                >
+                                  Close
+                                </button>
+                              )}
                             </>
                           )}
                       </div>
@@ -2,13 +2,19 @@
 
 import { useState, useEffect, useCallback } from 'react'
 import Link from 'next/link'
+import { useWalletClient, usePublicClient } from 'wagmi'
 import { getYellowClient } from '../../../lib/yellow/yellowClient'
 import { createMarketSession } from '../../../lib/yellow/yellowSession'
 import ErrorModal from '../../../components/ErrorModal'
 import { useWallet } from '../../../contexts/WalletContext'
 import { subscribeToPrice, getCurrentPrice } from '../../../lib/oracle/priceFeed'
-import { generatePieWalletAddress, generatePieENSName, registerENSName, formatENSName } from '../../../lib/ens/pieWallet'
+import { getPieWalletAddress, isPieWalletDeployed, createPieWallet, getPieUserLabel, generatePieENSName, registerENSName, formatENSName, PIE_COMPOSITION_TEXT_KEY } from '../../../lib/ens/pieWallet'
 import ENSStatus from '../../../components/ENSStatus'
+import { toTokenUnits, fromTokenUnits, formatTokenAmount } from '../../../lib/markets/collateral'
+import { fetchPieVault, redeemPie, depositToPie, createPieVault, pieVaultComponents, PIE_VAULT_FACTORY_ADDRESS } from '../../../lib/pies/pieVault'
+
+// How often vault-backed pies refresh their NAV
+const VAULT_REFRESH_MS = 30000
 
 // Currency definitions - matching forex-perps page
 const CURRENCIES = [
@@ -33,6 +39,10 @@ export default function ForexPortfolios() {
   const [currentPrices, setCurrentPrices] = useState(new Map())
   const [createPieModal, setCreatePieModal] = useState(false)
   const [selectedPie, setSelectedPie] = useState(null)
+  const [vaults, setVaults] = useState(new Map()) // Map of pieId -> on-chain vault state
+  const [walletDeployed, setWalletDeployed] = useState(null) // Whether the selected pie's wallet has code, null while unknown
+  const { data: walletClient } = useWalletClient()
+  const publicClient = usePublicClient()
   
   // Use wallet context state
   const { isConnected, userAddress, balance } = wallet
@@ -49,16 +59,14 @@ export default function ForexPortfolios() {
         const pieData = JSON.parse(stored)
         const piesMap = new Map()
         
-        // Migrate old pies to include ENS names if missing
+        // Migrate old pies to their CREATE2 wallet address and an ENS name
         Object.entries(pieData).forEach(([pieId, pie]) => {
-          if (!pie.walletAddress) {
-            // Generate wallet and ENS for old pies
-            const storedUserAddress = pie.userAddress || userAddress
-            if (storedUserAddress) {
-              pie.walletAddress = generatePieWalletAddress(storedUserAddress, pieId)
-              pie.ensName = generatePieENSName(storedUserAddress, pieId, pie.name)
-              pie.userAddress = storedUserAddress
-            }
+          const storedUserAddress = pie.userAddress || userAddress
+          const walletAddress = getPieWalletAddress(storedUserAddress, pieId)
+          if (walletAddress && pie.walletAddress !== walletAddress) {
+            pie.walletAddress = walletAddress
+            pie.ensName = pie.ensName || generatePieENSName(storedUserAddress, pieId, pie.name)
+            pie.userAddress = storedUserAddress
           }
           piesMap.set(pieId, pie)
         })
@@ -111,6 +119,39 @@ export default function ForexPortfolios() {
     }
   }, [])
 
+  // Poll NAV and the user's stake for pies backed by a PieVault
+  useEffect(() => {
+    if (!publicClient) return
+    const vaultPies = Array.from(pies.values()).filter(pie => pie.vaultAddress)
+    if (vaultPies.length === 0) return
+
+    let cancelled = false
+    const refresh = async () => {
+      const results = await Promise.allSettled(
+        vaultPies.map(pie => fetchPieVault(publicClient, pie.vaultAddress, userAddress))
+      )
+      if (cancelled) return
+      setVaults(prev => {
+        const next = new Map(prev)
+        results.forEach((result, i) => {
+          if (result.status === 'fulfilled') {
+            next.set(vaultPies[i].id, result.value)
+          } else {
+            console.error('Pie vault read error:', result.reason)
+          }
+        })
+        return next
+      })
+    }
+
+    refresh()
+    const interval = setInterval(refresh, VAULT_REFRESH_MS)
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+    }
+  }, [pies, publicClient, userAddress])
+
   // Update balance from Yellow Network
   const updateBalance = async (client, connected) => {
     if (!client || !connected) return
@@ -146,19 +187,25 @@ export default function ForexPortfolios() {
         throw new Error('Allocations must sum to 100%')
       }
 
-      // Convert total amount to smallest unit (6 decimals for USDC)
+      // Convert total amount to USDC's smallest unit
       const totalAmountNum = parseFloat(totalAmount)
-      const totalAmountInSmallestUnit = Math.floor(totalAmountNum * 1000000)
+      const totalAmountInSmallestUnit = toTokenUnits(totalAmountNum, 'USDC')
+
+      // Pies whose currencies all have a configured stablecoin are backed by a PieVault,
+      // funded from the connected wallet's tokens instead of the test balance
+      const vaultComponents = PIE_VAULT_FACTORY_ADDRESS && walletClient && publicClient
+        ? pieVaultComponents(allocations)
+        : null
 
       // Check balance
       const status = yellowClient.getStatus()
-      if (status.isTestWallet) {
+      if (status.isTestWallet && !vaultComponents) {
         const balance = yellowClient.getTestBalance()
         const currentBalance = BigInt(balance?.usdc || 0)
         if (currentBalance < BigInt(totalAmountInSmallestUnit)) {
-          const requiredUSDC = (totalAmountInSmallestUnit / 1000000).toFixed(2)
-          const availableUSDC = (Number(currentBalance) / 1000000).toFixed(2)
-          throw new Error(`Insufficient balance. Required: ${requiredUSDC} USDC, Available: ${availableUSDC} USDC`)
+          const required = formatTokenAmount(totalAmountInSmallestUnit, 'USDC')
+          const available = formatTokenAmount(currentBalance, 'USDC')
+          throw new Error(`Insufficient balance. Required: ${required}, Available: ${available}`)
         }
       }
 
@@ -176,7 +223,7 @@ export default function ForexPortfolios() {
       // Calculate allocations in USDC
       const holdings = allocations.map(alloc => {
         const amountUSDC = (totalAmountNum * alloc.percentage) / 100
-        const amountInSmallestUnit = Math.floor(amountUSDC * 1000000)
+        const amountInSmallestUnit = toTokenUnits(amountUSDC, 'USDC')
         const entryPrice = entryPrices.get(alloc.currencyCode) || 1
         
         return {
@@ -190,24 +237,45 @@ export default function ForexPortfolios() {
         }
       })
 
-      // Generate pie wallet address and ENS name
+      // Compute the pie wallet's counterfactual address and ENS name
+      // Without a configured wallet factory the pie has no wallet of its own
       const pieId = `pie-${Date.now()}`
-      const pieWalletAddress = generatePieWalletAddress(userAddress, pieId)
-      const pieENSName = generatePieENSName(userAddress, pieId, name)
+      const pieWalletAddress = getPieWalletAddress(userAddress, pieId)
+      const userLabel = pieWalletAddress ? await getPieUserLabel(publicClient, userAddress) : null
+      const pieENSName = pieWalletAddress ? generatePieENSName(userAddress, pieId, name, userLabel) : null
       
-      // Register ENS name (simulated for testnet)
-      const ensResult = await registerENSName(pieENSName, pieWalletAddress, userAddress)
-      if (!ensResult.success) {
-        console.warn('ENS registration warning:', ensResult.message)
+      // Register ENS name, on-chain when the pie name registrar is configured
+      if (pieENSName) {
+        const composition = Object.fromEntries(allocations.map(alloc => [alloc.currencyCode, alloc.percentage]))
+        const ensResult = await registerENSName(pieENSName, pieWalletAddress, userAddress, {
+          walletClient,
+          client: publicClient,
+          pieId,
+          texts: [{ key: PIE_COMPOSITION_TEXT_KEY, value: JSON.stringify(composition) }]
+        })
+        if (!ensResult.success) {
+          console.warn('ENS registration warning:', ensResult.message)
+        }
       }
 
       // Create session for this pie using the pie wallet address
-      const session = createMarketSession(pieWalletAddress, { client: yellowClient })
+      const session = createMarketSession(pieWalletAddress || userAddress, { client: yellowClient })
       await session.initialize()
       setSessions(prev => new Map(prev.set(pieId, session)))
 
+      // Deploy the pie's vault and deposit the basket into it
+      const pieName = name || `Pie ${pies.size + 1}`
+      let vaultAddress = null
+      if (vaultComponents) {
+        const symbol = `PIE-${allocations.map(alloc => alloc.currencyCode).join('')}`
+        const vault = await createPieVault(walletClient, publicClient, { name: pieName, symbol, components: vaultComponents })
+        const { hash } = await depositToPie(walletClient, publicClient, vault.address, totalAmountNum)
+        vaultAddress = vault.address
+        console.log('✅ Pie vault funded:', vaultAddress, hash)
+      }
+
       // Deduct balance (simulate trading USDC for currencies)
-      if (status.isTestWallet) {
+      if (status.isTestWallet && !vaultAddress) {
         const currentBalance = BigInt(yellowClient.testBalance.usdc || 0)
         const newBalance = currentBalance - BigInt(totalAmountInSmallestUnit)
         yellowClient.testBalance.usdc = newBalance.toString()
@@ -222,7 +290,7 @@ export default function ForexPortfolios() {
       // Create pie object with wallet and ENS info
       const pie = {
         id: pieId,
-        name: name || `Pie ${pies.size + 1}`,
+        name: pieName,
         createdAt: Date.now(),
         totalAmountUSDC: totalAmountNum,
         totalAmountInSmallestUnit: totalAmountInSmallestUnit.toString(),
@@ -230,7 +298,8 @@ export default function ForexPortfolios() {
         sessionId: session.sessionId,
         walletAddress: pieWalletAddress,
         ensName: pieENSName,
-        userAddress: userAddress
+        userAddress: userAddress,
+        vaultAddress
       }
 
       setPies(prev => {
@@ -250,7 +319,45 @@ export default function ForexPortfolios() {
     } finally {
       setLoading(false)
     }
-  }, [yellowClient, isConnected, pies])
+  }, [yellowClient, isConnected, pies, walletClient, publicClient])
+
+  // Calculate current value and P&L for a pie
+  // Vault-backed pies are valued at the vault's oracle NAV, pro rata to the user's shares
+  const calculatePieValue = useCallback((pie) => {
+    let totalValueUSDC = 0
+    let totalPnl = 0
+    const vault = vaults.get(pie.id)
+    const stake = vault && BigInt(vault.totalSupply) > 0n
+      ? Number(vault.shares) / Number(vault.totalSupply)
+      : null
+    
+    const holdingsWithValue = pie.holdings.map((holding, i) => {
+      const currentPrice = currentPrices.get(holding.currencyCode) || holding.entryPrice
+      const valueUSDC = stake !== null && vault.components[i]
+        ? vault.components[i].value * stake
+        : holding.amountUSDC * (currentPrice / holding.entryPrice)
+      const pnl = valueUSDC - holding.amountUSDC
+      const pnlPercent = (pnl / holding.amountUSDC) * 100
+      
+      totalValueUSDC += valueUSDC
+      totalPnl += pnl
+      
+      return {
+        ...holding,
+        currentPrice,
+        valueUSDC,
+        pnl,
+        pnlPercent
+      }
+    })
+
+    return {
+      totalValueUSDC,
+      totalPnl,
+      totalPnlPercent: (totalPnl / pie.totalAmountUSDC) * 100,
+      holdingsWithValue
+    }
+  }, [currentPrices, vaults])
 
   // Liquidate a pie (convert all holdings back to USDC)
   const liquidatePie = useCallback(async (pieId) => {
@@ -268,29 +375,24 @@ export default function ForexPortfolios() {
         throw new Error('Pie not found')
       }
 
-      // Calculate current value of all holdings
-      let totalValueUSDC = 0
-      const liquidatedHoldings = pie.holdings.map(holding => {
-        const currentPrice = currentPrices.get(holding.currencyCode) || holding.entryPrice
-        // Value in USDC = amount in currency * current price
-        // Since we're tracking in USDC terms, we need to account for price changes
-        const valueUSDC = holding.amountUSDC * (currentPrice / holding.entryPrice)
-        totalValueUSDC += valueUSDC
-        return {
-          ...holding,
-          currentPrice,
-          valueUSDC,
-          pnl: valueUSDC - holding.amountUSDC,
-          pnlPercent: ((currentPrice / holding.entryPrice) - 1) * 100
+      // Current value of all holdings
+      const { totalValueUSDC } = calculatePieValue(pie)
+
+      // Vault-backed pies redeem their shares for the basket's tokens on-chain
+      if (pie.vaultAddress) {
+        if (!walletClient || !publicClient) {
+          throw new Error('Connect an on-chain wallet to liquidate this pie')
         }
-      })
+        const { hash } = await redeemPie(walletClient, publicClient, pie.vaultAddress)
+        console.log('✅ Pie shares redeemed:', hash)
+      }
 
       // Convert back to smallest unit
-      const totalValueInSmallestUnit = Math.floor(totalValueUSDC * 1000000)
+      const totalValueInSmallestUnit = toTokenUnits(totalValueUSDC, 'USDC')
 
       // Add back to balance
       const status = yellowClient.getStatus()
-      if (status.isTestWallet) {
+      if (status.isTestWallet && !pie.vaultAddress) {
         const currentBalance = BigInt(yellowClient.testBalance.usdc || 0)
         const newBalance = currentBalance + BigInt(totalValueInSmallestUnit)
         yellowClient.testBalance.usdc = newBalance.toString()
@@ -342,38 +444,41 @@ export default function ForexPortfolios() {
     } finally {
       setLoading(false)
     }
-  }, [yellowClient, isConnected, pies, currentPrices, sessions])
+  }, [yellowClient, isConnected, pies, sessions, walletClient, publicClient, calculatePieValue])
 
-  // Calculate current value and P&L for a pie
-  const calculatePieValue = useCallback((pie) => {
-    let totalValueUSDC = 0
-    let totalPnl = 0
-    
-    const holdingsWithValue = pie.holdings.map(holding => {
-      const currentPrice = currentPrices.get(holding.currencyCode) || holding.entryPrice
-      const valueUSDC = holding.amountUSDC * (currentPrice / holding.entryPrice)
-      const pnl = valueUSDC - holding.amountUSDC
-      const pnlPercent = ((currentPrice / holding.entryPrice) - 1) * 100
-      
-      totalValueUSDC += valueUSDC
-      totalPnl += pnl
-      
-      return {
-        ...holding,
-        currentPrice,
-        valueUSDC,
-        pnl,
-        pnlPercent
-      }
-    })
+  // Check whether the selected pie's wallet is deployed yet
+  useEffect(() => {
+    const pie = selectedPie ? pies.get(selectedPie) : null
+    setWalletDeployed(null)
+    if (!pie?.walletAddress || !publicClient) return
+
+    let cancelled = false
+    isPieWalletDeployed(publicClient, pie.walletAddress)
+      .then(deployed => { if (!cancelled) setWalletDeployed(deployed) })
+      .catch(err => console.error('Error checking pie wallet:', err))
+    return () => { cancelled = true }
+  }, [selectedPie, pies, publicClient])
+
+  // Deploy the pie's wallet at its counterfactual address
+  const deployPieWallet = useCallback(async (pieId) => {
+    if (!walletClient || !publicClient) {
+      setError('Connect an on-chain wallet to deploy the pie wallet')
+      return
+    }
 
-    return {
-      totalValueUSDC,
-      totalPnl,
-      totalPnlPercent: (totalPnl / pie.totalAmountUSDC) * 100,
-      holdingsWithValue
+    try {
+      setLoading(true)
+      setError(null)
+      const { address, hash } = await createPieWallet(walletClient, publicClient, pieId)
+      console.log('✅ Pie wallet deployed:', address, hash)
+      setWalletDeployed(true)
+    } catch (err) {
+      console.error('Pie wallet deployment error:', err)
+      setError(err?.shortMessage || err?.message || 'Failed to deploy pie wallet')
+    } finally {
+      setLoading(false)
     }
-  }, [currentPrices])
+  }, [walletClient, publicClient])
 
   return (
     <div className="min-h-screen bg-laxo-bg">
@@ -574,6 +679,8 @@ export default function ForexPortfolios() {
             pie={pies.get(selectedPie)}
             onClose={() => setSelectedPie(null)}
             onLiquidate={() => liquidatePie(selectedPie)}
+            walletDeployed={walletDeployed}
+            onDeployWallet={() => deployPieWallet(selectedPie)}
             calculateValue={calculatePieValue}
             loading={loading}
           />
@@ -600,7 +707,7 @@ function CreatePieModal({ isOpen, onClose, onCreatePie, balance }) {
   const [allocations, setAllocations] = useState([])
   const [selectedCurrency, setSelectedCurrency] = useState(null)
 
-  const availableBalance = balance?.usdc ? (balance.usdc / 1000000).toFixed(2) : '0.00'
+  const availableBalance = balance?.usdc ? fromTokenUnits(balance.usdc, 'USDC').toFixed(2) : '0.00'
 
   const addAllocation = () => {
     if (!selectedCurrency) return
@@ -799,7 +906,7 @@ function CreatePieModal({ isOpen, onClose, onCreatePie, balance }) {
 }
 
 // Pie Detail Modal Component
-function PieDetailModal({ pie, onClose, onLiquidate, calculateValue, loading }) {
+function PieDetailModal({ pie, onClose, onLiquidate, walletDeployed, onDeployWallet, calculateValue, loading }) {
   const { totalValueUSDC, totalPnl, totalPnlPercent, holdingsWithValue } = calculateValue(pie)
 
   return (
@@ -842,6 +949,16 @@ function PieDetailModal({ pie, onClose, onLiquidate, calculateValue, loading })
                 >
                   📋
                 </button>
+                {walletDeployed === false && (
+                  <button
+                    onClick={onDeployWallet}
+                    disabled={loading}
+                    className="text-xs px-2 py-0.5 rounded bg-laxo-accent/20 text-laxo-accent hover:bg-laxo-accent/30 transition disabled:opacity-50"
+                    title="The address already receives funds; deploying lets you move them"
+                  >
+                    Deploy wallet
+                  </button>
+                )}
               </div>
             )}
             <p className="text-sm text-gray-400">
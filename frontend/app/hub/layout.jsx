@@ -123,7 +123,7 @@ export default function HubLayout({ children }) {
   }
 
   // Add test funds to test wallet
-  async function addTestFunds(amount = '100000000') {
+  async function addTestFunds(amount = '100000000', asset = 'usdc') {
     if (!yellowClient || !wallet.isConnected) {
       setError('Please connect your wallet first')
       return
@@ -133,8 +133,8 @@ export default function HubLayout({ children }) {
       setLoading(true)
       setError(null)
       
-      // Add funds (amount is in smallest unit, e.g., 100000000 = 100 USDC with 6 decimals)
-      yellowClient.addTestFunds(amount, 'usdc')
+      // Add funds (amount is in the token's smallest unit, e.g., 100000000 = 100 USDC with 6 decimals)
+      yellowClient.addTestFunds(amount, asset)
       
       // Update balance display
       await updateBalance(yellowClient, wallet.isConnected)
@@ -236,8 +236,8 @@ export default function HubLayout({ children }) {
             }
           }
         }}
-        onAddFunds={async (amount) => {
-          await addTestFunds(amount)
+        onAddFunds={async (amount, asset) => {
+          await addTestFunds(amount, asset)
         }}
         onDisconnect={async () => {
           await disconnectWallet()
@@ -2,9 +2,12 @@
 
 import { useState, useEffect } from 'react'
 import Link from 'next/link'
+import { useWalletClient, usePublicClient } from 'wagmi'
 import { useWallet } from '../../../contexts/WalletContext'
 import { loadPositions, loadPies, getMarketAddresses } from '../../../lib/wallet/persistence'
 import { getCurrentPrice, subscribeToPrice } from '../../../lib/oracle/priceFeed'
+import { claimAll, MARKET_ROUTER_ADDRESS } from '../../../lib/markets/router'
+import { balanceEntries, formatTokenAmount, fromTokenUnits } from '../../../lib/markets/collateral'
 import ArcIntegration from '../../../components/ArcIntegration'
 
 // Currency definitions - matching forex-perps and forex-portfolios
@@ -27,6 +30,11 @@ export default function Wallet() {
   const [pies, setPies] = useState(new Map())
   const [currentPrices, setCurrentPrices] = useState(new Map())
   const [loading, setLoading] = useState(true)
+  const [claiming, setClaiming] = useState(false)
+  const [claimSummary, setClaimSummary] = useState(null)
+  const [claimError, setClaimError] = useState(null)
+  const { data: walletClient } = useWalletClient()
+  const publicClient = usePublicClient()
 
   // Load positions and pies from localStorage
   useEffect(() => {
@@ -121,11 +129,32 @@ export default function Wallet() {
     return sum + totalValueUSDC
   }, 0)
 
-  // Calculate free balance (total balance minus locked in portfolios)
+  // Calculate free balance (USDC balance minus locked in portfolios)
   const freeBalance = balance?.usdc 
-    ? (balance.usdc / 1000000) - totalLockedInPortfolios
+    ? fromTokenUnits(balance.usdc, 'USDC') - totalLockedInPortfolios
     : 0
 
+  // Claim payouts and cancelled-market refunds across every known market in one transaction
+  const handleClaimAll = async () => {
+    if (!walletClient || !publicClient) return
+    setClaiming(true)
+    setClaimError(null)
+    try {
+      const summary = await claimAll(walletClient, publicClient, marketAddresses)
+      setClaimSummary(summary)
+    } catch (error) {
+      console.error('Claim all failed:', error)
+      setClaimError(error.shortMessage || error.message)
+    } finally {
+      setClaiming(false)
+    }
+  }
+
+  // Claimed amounts per collateral token, e.g. "12.00 USDC, 3.50 EURC"
+  const claimedTotals = claimSummary
+    ? Object.entries(claimSummary.totals).map(([token, amount]) => formatTokenAmount(amount, token)).join(', ')
+    : ''
+
   // Format address for display
   const formatAddress = (address) => {
     if (!address) return 'Not connected'
@@ -180,9 +209,11 @@ export default function Wallet() {
               {balance && (
                 <div className="text-right">
                   <div className="text-xs text-gray-500 mb-1">Total Balance</div>
-                  <div className="text-2xl font-bold text-white mb-1">
-                    {(balance.usdc / 1000000).toFixed(2)} USDC
-                  </div>
+                  {balanceEntries(balance).map(entry => (
+                    <div key={entry.symbol} className="text-2xl font-bold text-white mb-1">
+                      {formatTokenAmount(entry.units, entry.symbol)}
+                    </div>
+                  ))}
                   {pies.size > 0 && (
                     <div className="text-xs text-gray-400">
                       Free: {freeBalance.toFixed(2)} USDC
@@ -319,9 +350,32 @@ export default function Wallet() {
         {/* Contracts Section */}
         {marketAddresses.length > 0 && (
           <div className="mb-8 rounded-2xl border border-laxo-border bg-laxo-card p-6">
-            <h2 className="font-display text-xl font-bold text-white mb-4">
-              Active Contracts ({marketAddresses.length})
-            </h2>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="font-display text-xl font-bold text-white">
+                Active Contracts ({marketAddresses.length})
+              </h2>
+              {MARKET_ROUTER_ADDRESS && isConnected && (
+                <button
+                  onClick={handleClaimAll}
+                  disabled={claiming || !walletClient}
+                  className="rounded-lg bg-laxo-accent/20 border border-laxo-accent/50 px-4 py-2 text-sm font-semibold text-laxo-accent transition hover:bg-laxo-accent/30 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {claiming ? 'Claiming...' : 'Claim all'}
+                </button>
+              )}
+            </div>
+            {claimSummary && (
+              <div className="mb-4 rounded-lg border border-green-500/30 bg-green-500/10 p-3 text-sm text-green-400">
+                {claimSummary.claimedCount > 0
+                  ? `Claimed from ${claimSummary.claimedCount} market${claimSummary.claimedCount === 1 ? '' : 's'}: ${claimedTotals}`
+                  : 'Nothing to claim yet'}
+              </div>
+            )}
+            {claimError && (
+              <div className="mb-4 rounded-lg border border-red-500/30 bg-red-500/10 p-3 text-sm text-red-400">
+                {claimError}
+              </div>
+            )}
             <div className="space-y-2">
               {marketAddresses.map((address, idx) => (
                 <div
@@ -392,7 +446,7 @@ export default function Wallet() {
                           )}
                         </div>
                         <div className="text-xs text-gray-400">
-                          Amount: {(position.amount / 1000000).toFixed(2)} USDC
+                          Amount: {formatTokenAmount(position.amount, position.collateralSymbol)}
                         </div>
                       </div>
                       <div className="text-right">
@@ -400,7 +454,7 @@ export default function Wallet() {
                           <>
                             {position.payout > 0 ? (
                               <div className="text-xs font-semibold mb-1 text-green-400">
-                                ✓ Won: +{((position.payout / 1000000).toFixed(2))} USDC
+                                ✓ Won: +{formatTokenAmount(position.payout, position.collateralSymbol)}
                               </div>
                             ) : (
                               <div className="text-xs font-semibold mb-1 text-red-400">
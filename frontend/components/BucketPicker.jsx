@@ -0,0 +1,45 @@
+'use client'
+
+import { MARKET_KINDS, findBucket, hitsBarrier, outcomeLabels, outcomeProbability, TOUCH, NO_TOUCH } from '../lib/markets/outcomeMarkets'
+
+/**
+ * Outcome picker for range (price bucket) and touch (barrier) markets
+ */
+export default function BucketPicker({ market, currentPrice, amount = 1, disabled, onPick }) {
+  const labels = outcomeLabels(market)
+
+  // Outcome the live price currently points to
+  let liveOutcome = null
+  if (currentPrice) {
+    liveOutcome = market.kind === MARKET_KINDS.TOUCH
+      ? (market.touched || hitsBarrier(currentPrice, market.barrier, market.upward) ? TOUCH : NO_TOUCH)
+      : findBucket(market.boundaries, currentPrice)
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="text-xs text-gray-500">
+        {market.kind === MARKET_KINDS.TOUCH ? 'Pick an outcome:' : 'Pick a price bucket:'}
+      </div>
+      <div className={`grid gap-2 ${labels.length > 2 ? 'grid-cols-2 sm:grid-cols-3' : 'grid-cols-2'}`}>
+        {labels.map((label, outcome) => (
+          <button
+            key={outcome}
+            onClick={() => onPick(outcome)}
+            disabled={disabled}
+            className={`rounded-lg border px-3 py-2 text-left text-xs transition disabled:opacity-50 disabled:cursor-not-allowed ${
+              liveOutcome === outcome
+                ? 'border-laxo-accent bg-laxo-accent/10 text-white'
+                : 'border-laxo-border bg-laxo-card text-gray-300 hover:border-laxo-accent/50'
+            }`}
+          >
+            <div className="font-semibold">{label}</div>
+            <div className="text-gray-500">
+              {(outcomeProbability(market.outcomePool, outcome) * 100).toFixed(1)}% · {amount} USDC
+            </div>
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
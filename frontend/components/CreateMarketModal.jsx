@@ -2,8 +2,16 @@
 
 import { useState, useEffect } from 'react'
 import { getCurrentPrice } from '../lib/oracle/priceFeed'
+import { DEFAULT_PROTOCOL_FEE_BPS, MAX_FEE_BPS, formatBps } from '../lib/markets/fees'
+import { MARKET_KINDS, buildBoundaries } from '../lib/markets/outcomeMarkets'
 
-export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurrency = 'USD', onCreateMarket }) {
+const MARKET_KIND_OPTIONS = [
+  { kind: MARKET_KINDS.BINARY, label: 'Above / Below' },
+  { kind: MARKET_KINDS.RANGE, label: 'Price Range' },
+  { kind: MARKET_KINDS.TOUCH, label: 'Touch' }
+]
+
+export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurrency = 'USD', protocolFeeBps = DEFAULT_PROTOCOL_FEE_BPS, onCreateMarket }) {
   const [targetPrice, setTargetPrice] = useState('')
   const [resolutionTime, setResolutionTime] = useState('')
   const [customMinutes, setCustomMinutes] = useState('5')
@@ -11,6 +19,11 @@ export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurr
   const [loading, setLoading] = useState(false)
   const [currentPrice, setCurrentPrice] = useState(null)
   const [priceLoading, setPriceLoading] = useState(false)
+  const [creatorFeeBps, setCreatorFeeBps] = useState('0')
+  const [marketKind, setMarketKind] = useState(MARKET_KINDS.BINARY)
+  const [bucketWidth, setBucketWidth] = useState('')
+  const [bucketCount, setBucketCount] = useState('4')
+  const [upward, setUpward] = useState(true)
 
   // Determine decimal places for display based on price magnitude
   const getDisplayDecimals = (price) => {
@@ -59,6 +72,11 @@ export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurr
       setCustomMinutes('5')
       setUseCustomTime(false)
       setCurrentPrice(null)
+      setCreatorFeeBps('0')
+      setMarketKind(MARKET_KINDS.BINARY)
+      setBucketWidth('')
+      setBucketCount('4')
+      setUpward(true)
     }
   }, [isOpen])
 
@@ -91,6 +109,20 @@ export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurr
 
   const percentageDiff = calculatePercentageDiff()
 
+  const creatorFee = parseInt(creatorFeeBps) || 0
+  const creatorFeeValid = creatorFee >= 0 && creatorFee <= MAX_FEE_BPS
+  const totalFeeBps = Number(protocolFeeBps) + creatorFee
+
+  // Range markets: buckets start at the entered price
+  const bucketWidthValue = parseFloat(bucketWidth) || (currentPrice ? parseFloat((currentPrice * 0.005).toPrecision(2)) : 0)
+  const bucketCountValue = parseInt(bucketCount) || 0
+  const boundaries = marketKind === MARKET_KINDS.RANGE && parseFloat(targetPrice) > 0 && bucketWidthValue > 0 && bucketCountValue >= 2
+    ? buildBoundaries(parseFloat(targetPrice), bucketWidthValue, bucketCountValue)
+    : null
+  const priceLabel = marketKind === MARKET_KINDS.RANGE
+    ? 'Lowest Bucket Bound'
+    : marketKind === MARKET_KINDS.TOUCH ? 'Barrier Price' : 'Target Price'
+
   if (!isOpen) return null
 
   const handleCreateMarket = async () => {
@@ -99,6 +131,16 @@ export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurr
       return
     }
 
+    if (!creatorFeeValid) {
+      alert(`Creator fee must be between 0 and ${MAX_FEE_BPS} bps`)
+      return
+    }
+
+    if (marketKind === MARKET_KINDS.RANGE && !boundaries) {
+      alert('Please enter a bucket width and at least 2 buckets')
+      return
+    }
+
     setLoading(true)
     try {
       // Calculate resolution time
@@ -124,7 +166,13 @@ export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurr
         currency,
         targetPrice: parseFloat(targetPrice),
         resolutionTime: resolutionTimestamp,
-        targetPriceFormatted: targetPrice
+        targetPriceFormatted: targetPrice,
+        protocolFeeBps: Number(protocolFeeBps),
+        creatorFeeBps: creatorFee,
+        kind: marketKind,
+        boundaries,
+        barrier: marketKind === MARKET_KINDS.TOUCH ? parseFloat(targetPrice) : null,
+        upward
       })
       
       // Reset form
@@ -182,10 +230,32 @@ export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurr
             </p>
           </div>
 
+          {/* Market Type */}
+          <div className="mb-6">
+            <label className="block text-xs text-gray-500 mb-2">
+              Market Type
+            </label>
+            <div className="grid grid-cols-3 gap-2">
+              {MARKET_KIND_OPTIONS.map((option) => (
+                <button
+                  key={option.kind}
+                  onClick={() => setMarketKind(option.kind)}
+                  className={`rounded-lg px-3 py-2 text-sm font-semibold transition ${
+                    marketKind === option.kind
+                      ? 'bg-laxo-accent text-laxo-bg'
+                      : 'bg-laxo-bg border border-laxo-border text-white hover:border-laxo-accent'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
           {/* Target Price */}
           <div className="mb-6">
             <label className="block text-xs text-gray-500 mb-2">
-              Target Price ({quoteCurrency})
+              {priceLabel} ({quoteCurrency})
             </label>
             <div className="relative">
               <input
@@ -231,6 +301,64 @@ export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurr
             </div>
           </div>
 
+          {/* Range buckets */}
+          {marketKind === MARKET_KINDS.RANGE && (
+            <div className="mb-6">
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-xs text-gray-500 mb-2">Bucket Width</label>
+                  <input
+                    type="number"
+                    step="0.0001"
+                    min="0"
+                    value={bucketWidth}
+                    onChange={(e) => setBucketWidth(e.target.value)}
+                    placeholder={bucketWidthValue ? String(bucketWidthValue) : '0.02'}
+                    className="w-full rounded-lg border border-laxo-border bg-laxo-bg px-4 py-2 text-sm text-white placeholder-gray-500 focus:border-laxo-accent focus:outline-none focus:ring-2 focus:ring-laxo-accent/20"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-500 mb-2">Buckets</label>
+                  <input
+                    type="number"
+                    min="2"
+                    max="10"
+                    value={bucketCount}
+                    onChange={(e) => setBucketCount(e.target.value)}
+                    className="w-full rounded-lg border border-laxo-border bg-laxo-bg px-4 py-2 text-sm text-white placeholder-gray-500 focus:border-laxo-accent focus:outline-none focus:ring-2 focus:ring-laxo-accent/20"
+                  />
+                </div>
+              </div>
+              {boundaries && (
+                <p className="mt-2 text-xs text-gray-500">
+                  Buckets from {boundaries[0]} to {boundaries[boundaries.length - 1]} {quoteCurrency}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Touch direction */}
+          {marketKind === MARKET_KINDS.TOUCH && (
+            <div className="mb-6">
+              <label className="block text-xs text-gray-500 mb-2">Barrier Direction</label>
+              <div className="grid grid-cols-2 gap-2">
+                {[true, false].map((isUp) => (
+                  <button
+                    key={String(isUp)}
+                    onClick={() => setUpward(isUp)}
+                    className={`rounded-lg px-3 py-2 text-sm font-semibold transition ${
+                      upward === isUp
+                        ? 'bg-laxo-accent text-laxo-bg'
+                        : 'bg-laxo-bg border border-laxo-border text-white hover:border-laxo-accent'
+                    }`}
+                  >
+                    {isUp ? '↑ Hit from below' : '↓ Hit from above'}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Resolution Time Options */}
           <div className="mb-6">
             <label className="block text-xs text-gray-500 mb-2">
@@ -295,6 +423,41 @@ export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurr
             </div>
           </div>
 
+          {/* Fees */}
+          <div className="mb-6">
+            <label className="block text-xs text-gray-500 mb-2">
+              Creator Fee (bps, max {MAX_FEE_BPS})
+            </label>
+            <input
+              type="number"
+              min="0"
+              max={MAX_FEE_BPS}
+              step="1"
+              value={creatorFeeBps}
+              onChange={(e) => setCreatorFeeBps(e.target.value)}
+              className="w-full rounded-lg border border-laxo-border bg-laxo-bg px-4 py-2 text-sm text-white placeholder-gray-500 focus:border-laxo-accent focus:outline-none focus:ring-2 focus:ring-laxo-accent/20"
+            />
+            {!creatorFeeValid && (
+              <p className="mt-1 text-xs text-red-400">
+                Creator fee must be between 0 and {MAX_FEE_BPS} bps
+              </p>
+            )}
+            <div className="mt-3 space-y-1 text-xs">
+              <div className="flex justify-between">
+                <span className="text-gray-500">Protocol fee (treasury):</span>
+                <span className="text-gray-300">{formatBps(protocolFeeBps)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-500">Creator fee (you):</span>
+                <span className="text-gray-300">{creatorFeeValid ? formatBps(creatorFee) : '--'}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-500">Total charged on each entry:</span>
+                <span className="text-white font-semibold">{creatorFeeValid ? formatBps(totalFeeBps) : '--'}</span>
+              </div>
+            </div>
+          </div>
+
           {/* Summary */}
           <div className="mb-6 p-4 bg-laxo-bg rounded-lg">
             <div className="text-xs text-gray-500 mb-2">Market Summary:</div>
@@ -304,7 +467,13 @@ export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurr
                 <span className="text-white font-semibold">{currency?.name || currency?.code}</span>
               </div>
               <div className="flex justify-between">
-                <span className="text-gray-400">Target Price:</span>
+                <span className="text-gray-400">Type:</span>
+                <span className="text-white font-semibold">
+                  {MARKET_KIND_OPTIONS.find(option => option.kind === marketKind)?.label}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-400">{priceLabel}:</span>
                 <span className="text-white font-semibold">{targetPrice || '--'} {quoteCurrency}</span>
               </div>
               {currency && targetPrice && (
@@ -335,7 +504,7 @@ export default function CreateMarketModal({ isOpen, onClose, currency, quoteCurr
             </button>
             <button
               onClick={handleCreateMarket}
-              disabled={loading || !targetPrice}
+              disabled={loading || !targetPrice || !creatorFeeValid}
               className="flex-1 rounded-lg bg-laxo-accent px-4 py-3 text-base font-semibold text-laxo-bg transition hover:bg-cyan-400 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {loading ? 'Creating...' : 'Create Market'}
@@ -1,6 +1,7 @@
 'use client'
 
 import { useState, useEffect } from 'react'
+import { usePublicClient } from 'wagmi'
 import { resolveENS } from '../lib/ens/pieWallet'
 
 /**
@@ -10,6 +11,7 @@ import { resolveENS } from '../lib/ens/pieWallet'
 export default function ENSStatus({ ensName, address }) {
   const [isResolved, setIsResolved] = useState(false)
   const [isChecking, setIsChecking] = useState(true)
+  const publicClient = usePublicClient()
 
   useEffect(() => {
     if (!ensName) {
@@ -20,7 +22,7 @@ export default function ENSStatus({ ensName, address }) {
     const checkResolution = async () => {
       setIsChecking(true)
       try {
-        const resolvedAddress = await resolveENS(ensName)
+        const resolvedAddress = await resolveENS(ensName, publicClient)
         setIsResolved(resolvedAddress?.toLowerCase() === address?.toLowerCase())
       } catch (error) {
         console.error('Error checking ENS resolution:', error)
@@ -31,7 +33,7 @@ export default function ENSStatus({ ensName, address }) {
     }
 
     checkResolution()
-  }, [ensName, address])
+  }, [ensName, address, publicClient])
 
   if (!ensName) return null
 
@@ -54,7 +56,7 @@ export default function ENSStatus({ ensName, address }) {
   }
 
   return (
-    <span className="text-xs px-2 py-0.5 rounded bg-yellow-500/20 text-yellow-400 flex items-center gap-1" title="ENS name tracked locally. Register on-chain if you own the parent domain.">
+    <span className="text-xs px-2 py-0.5 rounded bg-yellow-500/20 text-yellow-400 flex items-center gap-1" title="ENS name tracked locally. It is registered on-chain when the pie name registrar is configured.">
       <span>ℹ️</span>
       <span>Local ENS</span>
     </span>
@@ -0,0 +1,74 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { usePublicClient } from 'wagmi'
+import { fetchBookDepth } from '../lib/markets/orderBook'
+import { formatTokenAmount } from '../lib/markets/collateral'
+
+// Price levels shown per side of the book
+const DEPTH_LEVELS = 5
+
+function DepthLevels({ levels, collateralSymbol, className }) {
+  if (levels.length === 0) {
+    return <div className="text-gray-600">—</div>
+  }
+  return levels.slice(0, DEPTH_LEVELS).map(level => (
+    <div key={level.price} className="flex justify-between gap-2">
+      <span className={className}>{(level.price * 100).toFixed(1)}¢</span>
+      <span className="text-gray-400">{formatTokenAmount(level.amount, collateralSymbol)}</span>
+    </div>
+  ))
+}
+
+/**
+ * Limit order book depth for an on-chain binary market's Long and Short shares
+ * Prices are collateral per share (a winning share pays 1), sizes are shares
+ */
+export default function OrderBookDepth({ market }) {
+  const [depth, setDepth] = useState(null)
+  const [error, setError] = useState(null)
+  const publicClient = usePublicClient()
+
+  useEffect(() => {
+    if (!publicClient) return
+    let cancelled = false
+
+    fetchBookDepth(publicClient, market.address)
+      .then(result => {
+        if (!cancelled) setDepth(result)
+      })
+      .catch(err => {
+        console.error('Error loading order book:', err)
+        if (!cancelled) setError('Order book unavailable')
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [publicClient, market.address])
+
+  return (
+    <div className="mt-3 pt-3 border-t border-laxo-border/30">
+      <div className="text-xs text-gray-500 mb-2">Order book</div>
+      {error ? (
+        <div className="text-xs text-gray-600">{error}</div>
+      ) : !depth ? (
+        <div className="text-xs text-gray-600">Loading...</div>
+      ) : (
+        <div className="grid grid-cols-2 gap-4 text-xs">
+          {['long', 'short'].map(side => (
+            <div key={side}>
+              <div className={`font-semibold mb-1 ${side === 'long' ? 'text-green-400' : 'text-red-400'}`}>
+                {side === 'long' ? '📈 Long' : '📉 Short'}
+              </div>
+              <div className="text-gray-500">Asks</div>
+              <DepthLevels levels={depth[side].asks.slice(0, DEPTH_LEVELS).reverse()} collateralSymbol={market.collateralSymbol} className="text-red-400" />
+              <div className="text-gray-500 mt-1">Bids</div>
+              <DepthLevels levels={depth[side].bids} collateralSymbol={market.collateralSymbol} className="text-green-400" />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
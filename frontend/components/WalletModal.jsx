@@ -2,6 +2,7 @@
 
 import { useState } from 'react'
 import { requestUSDC, formatAddress, copyToClipboard } from '../lib/faucet'
+import { COLLATERAL_TOKENS, DEFAULT_COLLATERAL, balanceAsset, balanceEntries, formatTokenAmount, toTokenUnits } from '../lib/markets/collateral'
 
 export default function WalletModal({ 
   isOpen, 
@@ -21,6 +22,7 @@ export default function WalletModal({
   const [copied, setCopied] = useState(false)
   const [customAmount, setCustomAmount] = useState('')
   const [amountError, setAmountError] = useState(null)
+  const [fundsToken, setFundsToken] = useState(DEFAULT_COLLATERAL)
 
   if (!isOpen) return null
 
@@ -57,7 +59,7 @@ export default function WalletModal({
             await onAddFunds(result.amount)
             setFaucetMessage({
               type: 'success',
-              text: `Successfully received ${(parseInt(result.amount) / 1000000).toFixed(2)} USDC!`
+              text: `Successfully received ${formatTokenAmount(result.amount, 'USDC')}!`
             })
           }
         }
@@ -88,16 +90,15 @@ export default function WalletModal({
     }
 
     if (amount > 1000000) {
-      setAmountError('Amount too large (max 1,000,000 USDC)')
+      setAmountError(`Amount too large (max 1,000,000 ${fundsToken})`)
       return
     }
 
-    // Convert USDC to smallest unit (6 decimals)
-    // e.g., 100 USDC = 100000000 (100 * 10^6)
-    const amountInSmallestUnit = Math.floor(amount * 1000000).toString()
+    // Convert to the token's smallest unit (e.g. 100 USDC = 100000000 at 6 decimals)
+    const amountInSmallestUnit = toTokenUnits(amount, fundsToken)
     
     if (onAddFunds) {
-      onAddFunds(amountInSmallestUnit)
+      onAddFunds(amountInSmallestUnit, balanceAsset(fundsToken))
       setCustomAmount('') // Clear input after adding
     }
   }
@@ -106,7 +107,7 @@ export default function WalletModal({
     setCustomAmount('')
     setAmountError(null)
     if (onAddFunds) {
-      onAddFunds((amount * 1000000).toString())
+      onAddFunds(toTokenUnits(amount, fundsToken), balanceAsset(fundsToken))
     }
   }
 
@@ -164,7 +165,7 @@ export default function WalletModal({
                     </div>
                     {balance && (
                       <div className="text-xs text-gray-500 mt-2">
-                        Balance: {(balance.usdc / 1000000).toFixed(2)} USDC
+                        Balance: {balanceEntries(balance).map(entry => formatTokenAmount(entry.units, entry.symbol)).join(' · ')}
                       </div>
                     )}
                   </div>
@@ -216,9 +217,11 @@ export default function WalletModal({
               {balance && (
                 <div className="rounded-lg border border-laxo-border bg-laxo-bg p-4">
                   <div className="text-xs text-gray-500 mb-1">Balance</div>
-                  <div className="text-2xl font-bold text-white">
-                    {(balance.usdc / 1000000).toFixed(2)} USDC
-                  </div>
+                  {balanceEntries(balance).map(entry => (
+                    <div key={entry.symbol} className="text-2xl font-bold text-white">
+                      {formatTokenAmount(entry.units, entry.symbol)}
+                    </div>
+                  ))}
                 </div>
               )}
 
@@ -279,6 +282,23 @@ export default function WalletModal({
 
                 {/* Custom Amount Input */}
                 <div className="space-y-2">
+                  {/* Token to add */}
+                  <div className="flex gap-2">
+                    {Object.keys(COLLATERAL_TOKENS).map(symbol => (
+                      <button
+                        key={symbol}
+                        onClick={() => setFundsToken(symbol)}
+                        disabled={loading}
+                        className={`flex-1 rounded-lg border px-3 py-1.5 text-xs font-semibold transition disabled:opacity-50 disabled:cursor-not-allowed ${
+                          fundsToken === symbol
+                            ? 'border-laxo-accent/50 bg-laxo-accent/20 text-laxo-accent'
+                            : 'border-laxo-border bg-laxo-bg text-gray-400 hover:border-laxo-accent'
+                        }`}
+                      >
+                        {symbol}
+                      </button>
+                    ))}
+                  </div>
                   <div className="flex gap-2">
                     <input
                       type="number"
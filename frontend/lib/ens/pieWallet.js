@@ -1,12 +1,50 @@
 /**
  * Pie Wallet & ENS Utilities
- * Generates deterministic wallet addresses for pies and ENS names
- * Uses real ENS registry via viem for resolution
+ * Computes the CREATE2 address of each pie's PieWallet and names it with ENS.
+ * Pie names (pie-<slug>.<user>.laxo.eth) are issued on-chain by PieNameRegistrar,
+ * with the pie composition as a text record; other names resolve on mainnet.
  */
 
-import { createPublicClient, http } from 'viem'
+import { createPublicClient, http, parseAbi, keccak256, toBytes, concat, encodeAbiParameters, getContractAddress, isAddressEqual, zeroAddress } from 'viem'
 import { mainnet } from 'viem/chains'
-import { normalize as normalizeENS } from 'viem/ens'
+import { normalize as normalizeENS, namehash } from 'viem/ens'
+
+export const PIE_WALLET_FACTORY_ADDRESS = process.env.NEXT_PUBLIC_PIE_WALLET_FACTORY_ADDRESS || null
+export const PIE_WALLET_IMPLEMENTATION_ADDRESS = process.env.NEXT_PUBLIC_PIE_WALLET_IMPLEMENTATION_ADDRESS || null
+
+export const PIE_NAME_REGISTRAR_ADDRESS = process.env.NEXT_PUBLIC_PIE_NAME_REGISTRAR_ADDRESS || null
+export const PIE_NAME_PARENT = process.env.NEXT_PUBLIC_PIE_NAME_PARENT || 'laxo.eth'
+
+// Text record holding a pie's allocations, e.g. {"EUR":40,"JPY":60}
+export const PIE_COMPOSITION_TEXT_KEY = 'laxo.pie.composition'
+
+export const PIE_WALLET_FACTORY_ABI = parseAbi([
+  'function createWallet(address owner, bytes32 pieId) returns (address wallet)',
+  'function getWalletAddress(address owner, bytes32 pieId) view returns (address)',
+  'function implementation() view returns (address)',
+  'event PieWalletCreated(address indexed owner, bytes32 indexed pieId, address wallet)'
+])
+
+export const PIE_NAME_REGISTRAR_ABI = parseAbi([
+  'struct TextRecord { string key; string value; }',
+  'function register(string userLabel, string slug, bytes32 pieId, TextRecord[] texts) returns (bytes32 node)',
+  'function userLabels(address account) view returns (string)',
+  'function ens() view returns (address)',
+  'event PieNameRegistered(address indexed owner, bytes32 indexed node, bytes32 indexed pieId, string name, address wallet)'
+])
+
+const ENS_REGISTRY_ABI = parseAbi([
+  'function resolver(bytes32 node) view returns (address)'
+])
+
+const ENS_RESOLVER_ABI = parseAbi([
+  'function addr(bytes32 node) view returns (address)',
+  'function text(bytes32 node, string key) view returns (string)'
+])
+
+// EIP-1167 minimal proxy creation code around the implementation address (OpenZeppelin Clones)
+const CLONE_PREFIX = '0x3d602d80600a3d3981f3363d3d373d3d3d363d73'
+const CLONE_SUFFIX = '0x5af43d82803e903d91602b57fd5bf3'
 
 // Create public client for ENS resolution (mainnet only - ENS doesn't exist on Sepolia)
 const publicClient = createPublicClient({
@@ -15,47 +53,128 @@ const publicClient = createPublicClient({
 })
 
 /**
- * Generate a deterministic address for a pie wallet
- * Uses user address + pie ID to create a unique, reproducible address
- * @param {string} userAddress - User's main wallet address
+ * On-chain identifier of a pie, as passed to PieWalletFactory
+ * @param {string} pieId - Unique pie identifier (e.g. "pie-1700000000000")
+ * @returns {string} keccak256 of the pie ID
+ */
+export function pieWalletId(pieId) {
+  return keccak256(toBytes(pieId))
+}
+
+/**
+ * Compute the address of a user's pie wallet, deployed or not
+ * Mirrors PieWalletFactory.getWalletAddress: a CREATE2 clone of the PieWallet
+ * implementation, salted with the owner and the pie ID. Funds and ENS records
+ * sent there before deployment are controlled by the owner once it is deployed.
+ * @param {string} userAddress - User's main wallet address, the wallet owner
  * @param {string} pieId - Unique pie identifier
- * @returns {string} Deterministic pie wallet address
+ * @returns {string|null} Pie wallet address, or null if the factory is not configured
  */
-export function generatePieWalletAddress(userAddress, pieId) {
-  // Simple hash-based approach for deterministic address generation
-  // In production, you'd use proper EIP-1014 CREATE2 or similar
-  const input = `${userAddress}-${pieId}`
-  
-  // Use Web Crypto API for hashing (available in browsers)
-  // This creates a deterministic hash
-  let hash = 0
-  for (let i = 0; i < input.length; i++) {
-    const char = input.charCodeAt(i)
-    hash = ((hash << 5) - hash) + char
-    hash = hash & hash // Convert to 32-bit integer
+export function getPieWalletAddress(
+  userAddress,
+  pieId,
+  { factoryAddress = PIE_WALLET_FACTORY_ADDRESS, implementationAddress = PIE_WALLET_IMPLEMENTATION_ADDRESS } = {}
+) {
+  if (!factoryAddress || !implementationAddress || !userAddress) {
+    return null
   }
-  
-  // Convert to hex and pad to 40 characters (20 bytes = Ethereum address length)
-  const hashHex = Math.abs(hash).toString(16).padStart(8, '0')
-  const address = `0x${hashHex}${hashHex}${hashHex}${hashHex}${hashHex}`.slice(0, 42)
-  
-  return address
+
+  const salt = keccak256(encodeAbiParameters(
+    [{ type: 'address' }, { type: 'bytes32' }],
+    [userAddress, pieWalletId(pieId)]
+  ))
+  return getContractAddress({
+    opcode: 'CREATE2',
+    from: factoryAddress,
+    salt,
+    bytecode: concat([CLONE_PREFIX, implementationAddress, CLONE_SUFFIX])
+  })
+}
+
+/**
+ * Check whether a pie wallet has been deployed
+ * @param {Object} client - viem public client on the wallet's chain
+ */
+export async function isPieWalletDeployed(client, walletAddress) {
+  const code = await client.getCode({ address: walletAddress })
+  return !!code && code !== '0x'
+}
+
+/**
+ * Deploy the connected account's wallet for a pie
+ * Returns the existing wallet without a transaction if it is already deployed
+ * @param {Object} walletClient - viem wallet client of the owner
+ * @param {Object} client - viem public client on the wallet's chain
+ * @returns {Promise<{ address: string, hash: string|null }>}
+ */
+export async function createPieWallet(walletClient, client, pieId, { factoryAddress = PIE_WALLET_FACTORY_ADDRESS } = {}) {
+  if (!factoryAddress) {
+    throw new Error('Pie wallet factory address not configured')
+  }
+  const account = walletClient.account
+  const { request, result } = await client.simulateContract({
+    address: factoryAddress,
+    abi: PIE_WALLET_FACTORY_ABI,
+    functionName: 'createWallet',
+    args: [account.address, pieWalletId(pieId)],
+    account
+  })
+
+  const expected = getPieWalletAddress(account.address, pieId, { factoryAddress })
+  if (expected && !isAddressEqual(expected, result)) {
+    throw new Error('Pie wallet factory does not match the configured implementation')
+  }
+  if (await isPieWalletDeployed(client, result)) {
+    return { address: result, hash: null }
+  }
+
+  const hash = await walletClient.writeContract(request)
+  await client.waitForTransactionReceipt({ hash })
+  return { address: result, hash }
+}
+
+/**
+ * Default user label for an account that has not claimed one: the first 8 hex characters of its address
+ * @param {string} userAddress - User's main wallet address
+ * @returns {string} User label (e.g., "f39fd6e5")
+ */
+export function defaultUserLabel(userAddress) {
+  return userAddress.slice(2, 10).toLowerCase()
+}
+
+/**
+ * Get the user label an account's pie names are issued under
+ * Returns the label claimed on PieNameRegistrar, or the default label if none is claimed yet
+ * @param {Object} client - viem public client on the registrar's chain
+ * @param {string} userAddress - User's main wallet address
+ * @returns {Promise<string>} User label
+ */
+export async function getPieUserLabel(client, userAddress, { registrarAddress = PIE_NAME_REGISTRAR_ADDRESS } = {}) {
+  if (client && registrarAddress) {
+    const claimed = await client.readContract({
+      address: registrarAddress,
+      abi: PIE_NAME_REGISTRAR_ABI,
+      functionName: 'userLabels',
+      args: [userAddress]
+    })
+    if (claimed) return claimed
+  }
+  return defaultUserLabel(userAddress)
 }
 
 /**
  * Generate an ENS name for a pie
- * Format: pie-{shortId}.{userShortAddress}.eth
+ * Format: pie-{slug}-{shortId}.{userLabel}.laxo.eth
  * @param {string} userAddress - User's main wallet address
  * @param {string} pieId - Unique pie identifier
  * @param {string} pieName - Optional pie name for more readable ENS
- * @returns {string} ENS name (e.g., "pie-abc123.user.eth")
+ * @param {string} userLabel - Optional user label, see getPieUserLabel
+ * @returns {string} ENS name (e.g., "pie-majors-000000.f39fd6e5.laxo.eth")
  */
-export function generatePieENSName(userAddress, pieId, pieName = null) {
+export function generatePieENSName(userAddress, pieId, pieName = null, userLabel = null) {
   // Extract short identifier from pieId (last 6 chars)
   const shortId = pieId.slice(-6)
-  
-  // Extract short address from user address (last 4 chars before checksum)
-  const userShort = userAddress.slice(2, 6).toLowerCase()
+  const parent = `${userLabel || defaultUserLabel(userAddress)}.${PIE_NAME_PARENT}`
   
   // If pie name provided, create a slug from it
   if (pieName) {
@@ -66,27 +185,72 @@ export function generatePieENSName(userAddress, pieId, pieName = null) {
       .slice(0, 20) // Limit length
     
     if (slug.length > 0) {
-      return `pie-${slug}-${shortId}.${userShort}.eth`
+      return `pie-${slug}-${shortId}.${parent}`
     }
   }
   
-  return `pie-${shortId}.${userShort}.eth`
+  return `pie-${shortId}.${parent}`
+}
+
+/**
+ * Check whether a name is a pie name issued by PieNameRegistrar
+ */
+export function isPieName(ensName) {
+  return !!ensName && ensName.startsWith('pie-') && ensName.endsWith(`.${PIE_NAME_PARENT}`)
+}
+
+// Resolver of a pie name in the registrar's ENS registry, or null if the name is not registered
+async function getPieNameResolver(client, node, registrarAddress) {
+  const registry = await client.readContract({ address: registrarAddress, abi: PIE_NAME_REGISTRAR_ABI, functionName: 'ens' })
+  const resolver = await client.readContract({ address: registry, abi: ENS_REGISTRY_ABI, functionName: 'resolver', args: [node] })
+  return resolver === zeroAddress ? null : resolver
+}
+
+/**
+ * Resolve a pie name through the registrar's ENS registry
+ * @param {Object} client - viem public client on the registrar's chain
+ * @returns {Promise<string|null>} Resolved address or null if not registered
+ */
+async function resolvePieName(client, ensName, registrarAddress) {
+  const node = namehash(ensName)
+  const resolver = await getPieNameResolver(client, node, registrarAddress)
+  if (!resolver) return null
+
+  const address = await client.readContract({ address: resolver, abi: ENS_RESOLVER_ABI, functionName: 'addr', args: [node] })
+  return address === zeroAddress ? null : address
 }
 
 /**
- * Resolve ENS name to address using real ENS registry
- * @param {string} ensName - ENS name (e.g., "pie-abc123.user.eth" or "vitalik.eth")
+ * Read a text record of a pie name, e.g. PIE_COMPOSITION_TEXT_KEY
+ * @param {Object} client - viem public client on the registrar's chain
+ * @returns {Promise<string|null>} Record value or null if unset
+ */
+export async function getPieNameText(client, ensName, key, { registrarAddress = PIE_NAME_REGISTRAR_ADDRESS } = {}) {
+  if (!registrarAddress) return null
+  const node = namehash(ensName)
+  const resolver = await getPieNameResolver(client, node, registrarAddress)
+  if (!resolver) return null
+
+  const value = await client.readContract({ address: resolver, abi: ENS_RESOLVER_ABI, functionName: 'text', args: [node, key] })
+  return value || null
+}
+
+/**
+ * Resolve ENS name to address
+ * Pie names resolve through PieNameRegistrar's registry when a client on its chain
+ * is given; other names use the mainnet ENS registry
+ * @param {string} ensName - ENS name (e.g., "pie-abc123.alice.laxo.eth" or "vitalik.eth")
+ * @param {Object} client - Optional viem public client on the registrar's chain
  * @returns {Promise<string|null>} Resolved address or null if not found
  */
-export async function resolveENS(ensName) {
+export async function resolveENS(ensName, client = null) {
   try {
     // Normalize ENS name (handles emoji, unicode, etc.)
     const normalizedName = normalizeENS(ensName)
     
-    // Resolve ENS name to address using viem
-    const address = await publicClient.getEnsAddress({
-      name: normalizedName,
-    })
+    const address = client && PIE_NAME_REGISTRAR_ADDRESS && isPieName(normalizedName)
+      ? await resolvePieName(client, normalizedName, PIE_NAME_REGISTRAR_ADDRESS)
+      : await publicClient.getEnsAddress({ name: normalizedName })
     
     if (address) {
       // Cache the resolution for faster subsequent lookups
@@ -109,21 +273,17 @@ export async function resolveENS(ensName) {
 
 /**
  * Register ENS name for a pie
- * Note: This function tracks the ENS name locally for display purposes.
- * Actual ENS subdomain registration requires:
- * 1. User to own the parent domain (e.g., user.eth)
- * 2. Using ENS resolver contract to set subdomain
- * 3. Paying gas fees on mainnet
- * 
- * For this hackathon, we track the generated ENS names locally and resolve them
- * if they exist on-chain. Users can manually register subdomains if they own the parent domain.
+ * With PieNameRegistrar configured and a connected wallet, the name is issued
+ * on-chain: it resolves to the caller's pie wallet and gets the given text
+ * records. Otherwise the name is only tracked locally for display.
  * 
- * @param {string} ensName - ENS name to register (e.g., "pie-abc123.user.eth")
- * @param {string} address - Address to point the ENS name to
+ * @param {string} ensName - ENS name to register (e.g., "pie-majors-000000.alice.laxo.eth")
+ * @param {string} address - Address the name should point to (the pie wallet)
  * @param {string} userAddress - User's main wallet address (for authorization)
- * @returns {Promise<{success: boolean, txHash?: string, message: string}>}
+ * @param {Object} options - { walletClient, client, pieId, texts: [{ key, value }] } for on-chain registration
+ * @returns {Promise<{success: boolean, txHash?: string, message: string, localOnly: boolean}>}
  */
-export async function registerENSName(ensName, address, userAddress) {
+export async function registerENSName(ensName, address, userAddress, { walletClient = null, client = null, pieId = null, texts = [] } = {}) {
   try {
     // Validate ENS name format
     if (!isValidENSName(ensName)) {
@@ -134,81 +294,116 @@ export async function registerENSName(ensName, address, userAddress) {
     }
     
     // Check if ENS name already resolves on-chain
-    const existingAddress = await resolveENS(ensName)
+    const existingAddress = await resolveENS(ensName, client)
     if (existingAddress && existingAddress.toLowerCase() !== address.toLowerCase()) {
       return {
         success: false,
         message: `ENS name ${ensName} already resolves to ${existingAddress}`
       }
     }
+
+    let txHash = null
+    const onChain = !!(PIE_NAME_REGISTRAR_ADDRESS && walletClient && client && pieId && isPieName(ensName))
+    if (onChain && !existingAddress) {
+      const [pieLabel, userLabel] = ensName.split('.')
+      const { request } = await client.simulateContract({
+        address: PIE_NAME_REGISTRAR_ADDRESS,
+        abi: PIE_NAME_REGISTRAR_ABI,
+        functionName: 'register',
+        args: [userLabel, pieLabel.slice('pie-'.length), pieWalletId(pieId), texts],
+        account: walletClient.account
+      })
+      txHash = await walletClient.writeContract(request)
+      await client.waitForTransactionReceipt({ hash: txHash })
+    }
     
-    // Store locally for tracking (even if not registered on-chain)
-    // This allows the UI to display the ENS name
+    // Track locally so the UI can list the name before events are indexed
     localStorage.setItem(`ens_resolution_${ensName}`, address)
     localStorage.setItem(`ens_owner_${ensName}`, userAddress)
     localStorage.setItem(`ens_registered_${ensName}`, Date.now().toString())
     
-    // Note: Actual on-chain registration would require:
-    // 1. Getting wallet client from wagmi
-    // 2. Calling ENS resolver contract's setSubnodeRecord function
-    // 3. Paying gas fees
-    // For hackathon purposes, we track locally and note that users can register manually
-    
+    if (onChain) {
+      console.log(`✅ ENS name registered: ${ensName} → ${address}`)
+      return {
+        success: true,
+        txHash,
+        message: `ENS name ${ensName} registered on-chain.`,
+        localOnly: false
+      }
+    }
+
     console.log(`✅ ENS name tracked locally: ${ensName} → ${address}`)
-    console.log(`ℹ️  To register on-chain, user needs to own parent domain and use ENS resolver`)
-    
     return {
       success: true,
-      txHash: null, // No on-chain transaction yet
-      message: `ENS name ${ensName} tracked locally. To register on-chain, ensure you own the parent domain.`,
+      txHash: null, // No on-chain transaction
+      message: `ENS name ${ensName} tracked locally. Configure the pie name registrar to register it on-chain.`,
       localOnly: true
     }
   } catch (error) {
     console.error('ENS registration error:', error)
     return {
       success: false,
-      message: error.message || 'Failed to register ENS name'
+      message: error.shortMessage || error.message || 'Failed to register ENS name'
     }
   }
 }
 
 /**
  * Get all ENS names owned by a user
- * Checks both local storage (for tracked names) and on-chain resolution
+ * Pie names are enumerated from PieNameRegistered events when a client on the
+ * registrar's chain is given; names only tracked locally are added after them
  * @param {string} userAddress - User's main wallet address
+ * @param {Object} client - Optional viem public client on the registrar's chain
  * @returns {Promise<Array<{name: string, address: string, registeredAt: number, onChain: boolean}>>}
  */
-export async function getUserENSNames(userAddress) {
+export async function getUserENSNames(userAddress, client = null) {
   try {
     const ensNames = []
-    const userShort = userAddress.slice(2, 6).toLowerCase()
+    const seen = new Set()
+
+    if (client && PIE_NAME_REGISTRAR_ADDRESS) {
+      const events = await client.getContractEvents({
+        address: PIE_NAME_REGISTRAR_ADDRESS,
+        abi: PIE_NAME_REGISTRAR_ABI,
+        eventName: 'PieNameRegistered',
+        args: { owner: userAddress },
+        fromBlock: 'earliest'
+      })
+
+      for (const event of events) {
+        const { name, wallet } = event.args
+        const block = await client.getBlock({ blockNumber: event.blockNumber })
+        // The owner may have repointed the name since registration
+        const address = await resolvePieName(client, name, PIE_NAME_REGISTRAR_ADDRESS)
+
+        seen.add(name)
+        ensNames.push({
+          name,
+          address: address || wallet,
+          registeredAt: Number(block.timestamp) * 1000,
+          onChain: true,
+          localOnly: false
+        })
+      }
+    }
     
     // Check localStorage for tracked ENS names
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i)
-      if (key && key.startsWith('ens_registered_pie-') && key.includes(userShort)) {
-        const ensName = key.replace('ens_registered_', '')
-        const localAddress = localStorage.getItem(`ens_resolution_${ensName}`)
-        const registeredAt = parseInt(localStorage.getItem(key) || '0')
-        
-        if (localAddress) {
-          // Verify if it resolves on-chain
-          let onChainAddress = null
-          try {
-            onChainAddress = await resolveENS(ensName)
-          } catch (err) {
-            // Ignore resolution errors
-          }
-          
-          ensNames.push({
-            name: ensName,
-            address: onChainAddress || localAddress,
-            registeredAt,
-            onChain: !!onChainAddress,
-            localOnly: !onChainAddress
-          })
-        }
-      }
+      if (!key || !key.startsWith('ens_registered_pie-')) continue
+
+      const ensName = key.replace('ens_registered_', '')
+      const owner = localStorage.getItem(`ens_owner_${ensName}`)
+      const localAddress = localStorage.getItem(`ens_resolution_${ensName}`)
+      if (seen.has(ensName) || !localAddress || owner?.toLowerCase() !== userAddress.toLowerCase()) continue
+
+      ensNames.push({
+        name: ensName,
+        address: localAddress,
+        registeredAt: parseInt(localStorage.getItem(key) || '0'),
+        onChain: false,
+        localOnly: true
+      })
     }
     
     return ensNames.sort((a, b) => b.registeredAt - a.registeredAt)
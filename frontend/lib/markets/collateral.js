@@ -0,0 +1,100 @@
+import { parseUnits, formatUnits } from 'viem'
+
+/**
+ * Collateral tokens
+ * Markets settle in the collateral they were created with, in that token's own
+ * units. Amounts are kept as integer strings in token units and only converted
+ * for display, so every conversion goes through the token's decimals.
+ * Addresses come from env and must match MarketFactory's collateral allowlist.
+ */
+
+export const DEFAULT_COLLATERAL = 'USDC'
+
+export const COLLATERAL_TOKENS = {
+  USDC: { symbol: 'USDC', currency: 'USD', decimals: 6, address: process.env.NEXT_PUBLIC_USDC_ADDRESS || null },
+  EURC: { symbol: 'EURC', currency: 'EUR', decimals: 6, address: process.env.NEXT_PUBLIC_EURC_ADDRESS || null },
+  JPYC: { symbol: 'JPYC', currency: 'JPY', decimals: 18, address: process.env.NEXT_PUBLIC_JPYC_ADDRESS || null }
+}
+
+/**
+ * Look up a collateral token by symbol or address
+ * Token objects (e.g. built from the registry's decimals) are returned as is;
+ * unknown tokens fall back to USDC, which every market used before multi-collateral
+ * @param {string | Object} [symbolOrAddress]
+ * @returns {{ symbol: string, currency: string, decimals: number, address: string | null }}
+ */
+export function getCollateral(symbolOrAddress) {
+  if (typeof symbolOrAddress === 'object' && symbolOrAddress) return symbolOrAddress
+  return findCollateral(symbolOrAddress) || COLLATERAL_TOKENS[DEFAULT_COLLATERAL]
+}
+
+/**
+ * Look up a configured collateral token by symbol or address
+ * @returns {Object | null} null if the token is not configured
+ */
+export function findCollateral(symbolOrAddress) {
+  if (!symbolOrAddress) return null
+  const bySymbol = COLLATERAL_TOKENS[symbolOrAddress.toUpperCase()]
+  if (bySymbol) return bySymbol
+
+  const address = symbolOrAddress.toLowerCase()
+  return Object.values(COLLATERAL_TOKENS).find(token => token.address?.toLowerCase() === address) || null
+}
+
+/**
+ * Collateral a market on a currency settles in: the currency's own stablecoin
+ * (EUR markets in EURC) when there is one, USDC otherwise
+ * @param {string} currencyCode - e.g. 'EUR'
+ */
+export function collateralForCurrency(currencyCode) {
+  return Object.values(COLLATERAL_TOKENS).find(token => token.currency === currencyCode)
+    || COLLATERAL_TOKENS[DEFAULT_COLLATERAL]
+}
+
+// Fraction digits read from user input; more would only add float noise at 18 decimals
+const MAX_INPUT_FRACTION_DIGITS = 6
+
+/**
+ * Convert a human amount (e.g. 10.5) to token units
+ * @returns {string} Integer amount in the token's smallest unit
+ */
+export function toTokenUnits(amount, symbolOrAddress) {
+  const { decimals } = getCollateral(symbolOrAddress)
+  return parseUnits(Number(amount).toFixed(Math.min(decimals, MAX_INPUT_FRACTION_DIGITS)), decimals).toString()
+}
+
+/**
+ * Convert token units to a human number
+ * @param {string | number | bigint} units - Token units; fractional numbers (e.g. computed PnL) are truncated
+ */
+export function fromTokenUnits(units, symbolOrAddress) {
+  const { decimals } = getCollateral(symbolOrAddress)
+  const value = typeof units === 'bigint' ? units : BigInt(Math.trunc(Number(units || 0)))
+  return Number(formatUnits(value, decimals))
+}
+
+/**
+ * Format token units for display, e.g. "10.50 EURC"
+ */
+export function formatTokenAmount(units, symbolOrAddress, fractionDigits = 2) {
+  const token = getCollateral(symbolOrAddress)
+  return `${fromTokenUnits(units, token).toFixed(fractionDigits)} ${token.symbol}`
+}
+
+/**
+ * Test wallet asset key for a token (balances are keyed by lowercase symbol, e.g. 'eurc')
+ */
+export function balanceAsset(symbolOrAddress) {
+  return getCollateral(symbolOrAddress).symbol.toLowerCase()
+}
+
+/**
+ * Wallet balances to display: USDC always, other known tokens when held
+ * @param {Object} balance - { usdc: '1000000', eurc: '0', ... } in token units
+ * @returns {{ symbol: string, units: string }[]}
+ */
+export function balanceEntries(balance = {}) {
+  return Object.values(COLLATERAL_TOKENS)
+    .map(token => ({ symbol: token.symbol, units: String(balance?.[balanceAsset(token.symbol)] || 0) }))
+    .filter(entry => entry.symbol === DEFAULT_COLLATERAL || BigInt(entry.units) > 0n)
+}
@@ -0,0 +1,55 @@
+import { parseAbi } from 'viem'
+
+/**
+ * Market fee schedule
+ * Mirrors the entry fees charged by PredictionMarket: a protocol fee set on
+ * MarketFactory (paid to its treasury) and a per-market creator fee chosen at
+ * creation. Both are in basis points and taken off the top of every deposit.
+ */
+
+export const MAX_FEE_BPS = 500
+
+// Protocol fee applied to new markets, until read from the factory
+export const DEFAULT_PROTOCOL_FEE_BPS = Number(process.env.NEXT_PUBLIC_PROTOCOL_FEE_BPS || 0)
+
+export const MARKET_FACTORY_FEES_ABI = parseAbi([
+  'function protocolFeeBps() view returns (uint256)',
+  'function MAX_PROTOCOL_FEE_BPS() view returns (uint256)'
+])
+
+/**
+ * Read the current protocol fee from a deployed MarketFactory
+ * @param {Object} publicClient - viem public client
+ */
+export async function fetchProtocolFeeBps(publicClient, factoryAddress) {
+  const fee = await publicClient.readContract({
+    address: factoryAddress,
+    abi: MARKET_FACTORY_FEES_ABI,
+    functionName: 'protocolFeeBps'
+  })
+  return Number(fee)
+}
+
+/**
+ * Split a deposit into entry fees and the amount that buys shares
+ * Rounds each fee down, like the contract
+ * @returns {{ investment: string, protocolFee: string, creatorFee: string }}
+ */
+export function applyEntryFees(amount, { protocolFeeBps = 0, creatorFeeBps = 0 } = {}) {
+  const gross = BigInt(amount)
+  const protocolFee = (gross * BigInt(protocolFeeBps)) / 10000n
+  const creatorFee = (gross * BigInt(creatorFeeBps)) / 10000n
+
+  return {
+    investment: (gross - protocolFee - creatorFee).toString(),
+    protocolFee: protocolFee.toString(),
+    creatorFee: creatorFee.toString()
+  }
+}
+
+/**
+ * Format basis points as a percentage string (e.g. 150 -> "1.5%")
+ */
+export function formatBps(bps) {
+  return `${(Number(bps) / 100).toFixed(2).replace(/\.?0+$/, '')}%`
+}
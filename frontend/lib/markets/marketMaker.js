@@ -0,0 +1,181 @@
+import { parseAbi } from 'viem'
+
+/**
+ * Market maker math
+ * Mirrors contracts/src/MarketMaker.sol (constant-product market maker) so the UI
+ * prices Long/Short shares exactly like PredictionMarket does on-chain.
+ * Reserves and amounts are in token smallest units, stored as strings (JSON-safe).
+ */
+
+export const PROBABILITY_PRECISION = 10n ** 18n
+
+// Default market maker subsidy for new markets, in whole collateral tokens
+export const DEFAULT_SUBSIDY_TOKENS = 10
+
+// DEFAULT_SUBSIDY_TOKENS in USDC units (6 decimals)
+export const DEFAULT_SUBSIDY = '10000000'
+
+// Fee on early exits in basis points (PredictionMarket.EXIT_FEE_BPS)
+export const EXIT_FEE_BPS = 100n
+
+export const PREDICTION_MARKET_ODDS_ABI = parseAbi([
+  'function impliedProbability(uint8 positionType) view returns (uint256)',
+  'function quoteShares(uint8 positionType, uint256 amount) view returns (uint256)',
+  'function quoteCost(uint8 positionType, uint256 shares) view returns (uint256)',
+  'function quoteSell(uint8 positionType, uint256 shares) view returns (uint256 payout, uint256 fee)',
+  'function longReserve() view returns (uint256)',
+  'function shortReserve() view returns (uint256)'
+])
+
+// Integer square root (floor)
+function sqrt(value) {
+  if (value < 2n) return value
+  let x = value
+  let y = (x + 1n) / 2n
+  while (y < x) {
+    x = y
+    y = (x + value / x) / 2n
+  }
+  return x
+}
+
+function ceilDiv(a, b) {
+  return (a + b - 1n) / b
+}
+
+// Reserves ordered as [bought side, other side]
+function sideReserves(pool, side) {
+  const longReserve = BigInt(pool.longReserve)
+  const shortReserve = BigInt(pool.shortReserve)
+  return side === 'long' ? [longReserve, shortReserve] : [shortReserve, longReserve]
+}
+
+/**
+ * Create a pool seeded with one complete set per unit of subsidy (50/50 odds)
+ */
+export function createPool(subsidy = DEFAULT_SUBSIDY) {
+  return {
+    longReserve: BigInt(subsidy).toString(),
+    shortReserve: BigInt(subsidy).toString(),
+    subsidy: BigInt(subsidy).toString()
+  }
+}
+
+/**
+ * Shares received for investing `amount` into `side` ('long' or 'short')
+ */
+export function quoteShares(pool, side, amount) {
+  const [buyReserve, otherReserve] = sideReserves(pool, side)
+  const investment = BigInt(amount)
+  const newBuyReserve = ceilDiv(buyReserve * otherReserve, otherReserve + investment)
+  return buyReserve + investment - newBuyReserve
+}
+
+/**
+ * Collateral required to buy an exact number of shares of `side`
+ */
+export function quoteCost(pool, side, shares) {
+  const [buyReserve, otherReserve] = sideReserves(pool, side)
+  const wanted = BigInt(shares)
+  const sum = buyReserve + otherReserve
+  const diff = sum > wanted ? sum - wanted : wanted - sum
+  const discriminant = diff * diff + 4n * wanted * otherReserve
+  let root = sqrt(discriminant)
+  if (root * root < discriminant) root += 1n
+  const cost = sum > wanted ? root - diff : root + diff
+  return (cost + 1n) / 2n
+}
+
+/**
+ * Collateral returned for selling `shares` of `side` back to the pool
+ * @returns {{ payout: bigint, fee: bigint }} Payout after the exit fee, and the fee
+ */
+export function quoteSell(pool, side, shares) {
+  const [sellReserve, otherReserve] = sideReserves(pool, side)
+  const sold = BigInt(shares)
+  const sum = sellReserve + sold + otherReserve
+  const discriminant = sum * sum - 4n * sold * otherReserve
+  let root = sqrt(discriminant)
+  if (root * root < discriminant) root += 1n
+  const amount = (sum - root) / 2n
+  const fee = (amount * EXIT_FEE_BPS) / 10000n
+  return { payout: amount - fee, fee }
+}
+
+/**
+ * Implied probability (0..1) that `side` wins
+ */
+export function impliedProbability(pool, side = 'long') {
+  const [reserve, otherReserve] = sideReserves(pool, side)
+  const total = reserve + otherReserve
+  if (total === 0n) return 0.5
+  return Number((otherReserve * PROBABILITY_PRECISION) / total) / Number(PROBABILITY_PRECISION)
+}
+
+/**
+ * Apply a buy to the pool
+ * @returns {{ pool: Object, shares: string }} Updated pool and shares bought
+ */
+export function applyBuy(pool, side, amount) {
+  const investment = BigInt(amount)
+  const shares = quoteShares(pool, side, investment)
+  const longReserve = BigInt(pool.longReserve)
+  const shortReserve = BigInt(pool.shortReserve)
+
+  const updated = side === 'long'
+    ? { longReserve: longReserve + investment - shares, shortReserve: shortReserve + investment }
+    : { longReserve: longReserve + investment, shortReserve: shortReserve + investment - shares }
+
+  return {
+    pool: {
+      ...pool,
+      longReserve: updated.longReserve.toString(),
+      shortReserve: updated.shortReserve.toString()
+    },
+    shares: shares.toString()
+  }
+}
+
+/**
+ * Apply a sell to the pool
+ * @returns {{ pool: Object, payout: string, fee: string }} Updated pool, payout after fee, and fee
+ */
+export function applySell(pool, side, shares) {
+  const sold = BigInt(shares)
+  const { payout, fee } = quoteSell(pool, side, sold)
+  const amount = payout + fee
+  const longReserve = BigInt(pool.longReserve)
+  const shortReserve = BigInt(pool.shortReserve)
+
+  const updated = side === 'long'
+    ? { longReserve: longReserve + sold - amount, shortReserve: shortReserve - amount }
+    : { longReserve: longReserve - amount, shortReserve: shortReserve + sold - amount }
+
+  return {
+    pool: {
+      ...pool,
+      longReserve: updated.longReserve.toString(),
+      shortReserve: updated.shortReserve.toString()
+    },
+    payout: payout.toString(),
+    fee: fee.toString()
+  }
+}
+
+/**
+ * Read live odds from a deployed PredictionMarket
+ * @param {Object} publicClient - viem public client
+ */
+export async function fetchMarketOdds(publicClient, marketAddress) {
+  const [longReserve, shortReserve] = await Promise.all([
+    publicClient.readContract({ address: marketAddress, abi: PREDICTION_MARKET_ODDS_ABI, functionName: 'longReserve' }),
+    publicClient.readContract({ address: marketAddress, abi: PREDICTION_MARKET_ODDS_ABI, functionName: 'shortReserve' })
+  ])
+  const pool = { longReserve: longReserve.toString(), shortReserve: shortReserve.toString() }
+
+  return {
+    pool,
+    probabilityLong: impliedProbability(pool, 'long'),
+    probabilityShort: impliedProbability(pool, 'short')
+  }
+}
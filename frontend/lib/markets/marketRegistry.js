@@ -0,0 +1,149 @@
+import { parseAbi, formatUnits } from 'viem'
+import { MARKET_KINDS } from './outcomeMarkets'
+import { findCollateral } from './collateral'
+
+/**
+ * Market registry
+ * Reads live markets from MarketFactory, which keeps each market's creator,
+ * kind, status, resolution time and collateral (with its decimals), and drops
+ * markets from its active list once they resolve or are cancelled. The factory
+ * also gates entries: a guardian pause (global or per market) or a tripped
+ * circuit breaker makes new positions revert, so the UI disables them.
+ */
+
+export const MARKET_FACTORY_ADDRESS = process.env.NEXT_PUBLIC_MARKET_FACTORY_ADDRESS || null
+
+// Oracle prices and market price parameters use 8 decimals
+const PRICE_DECIMALS = 8
+
+// MarketFactory.MarketKind / MarketStatus indexes
+const KINDS_BY_INDEX = [MARKET_KINDS.BINARY, MARKET_KINDS.RANGE, MARKET_KINDS.TOUCH]
+export const MARKET_STATUSES = ['active', 'resolved', 'cancelled']
+
+export const MARKET_REGISTRY_ABI = parseAbi([
+  'struct MarketInfo { address creator; uint8 kind; uint8 status; uint256 resolutionTime; address collateralToken; uint8 collateralDecimals; string currencyPair; }',
+  'function getActiveMarkets(uint256 offset, uint256 limit) view returns (address[] page, uint256 total)',
+  'function getMarketsByCreator(address creator, uint256 offset, uint256 limit) view returns (address[] page, uint256 total)',
+  'function getMarketInfo(address market) view returns (MarketInfo)',
+  'function entriesPaused() view returns (bool)',
+  'function marketPaused(address market) view returns (bool)',
+  'event MarketStatusUpdated(address indexed market, uint8 status)'
+])
+
+const BINARY_MARKET_ABI = parseAbi([
+  'function market() view returns (string currencyPair, address collateralToken, uint256 targetPrice, uint256 resolutionTime, uint8 state, uint256 totalLongShares, uint256 totalShortShares, uint256 totalCollateral, bool resolved, int256 finalPrice)',
+  'function longReserve() view returns (uint256)',
+  'function shortReserve() view returns (uint256)',
+  'function subsidy() view returns (uint256)',
+  'function protocolFeeBps() view returns (uint256)',
+  'function creatorFeeBps() view returns (uint256)'
+])
+
+const OUTCOME_MARKET_ABI = parseAbi([
+  'function getOutcomeStakes() view returns (uint256[])',
+  'function getBoundaries() view returns (uint256[])',
+  'function barrier() view returns (uint256)',
+  'function upward() view returns (bool)',
+  'function protocolFeeBps() view returns (uint256)',
+  'function creatorFeeBps() view returns (uint256)'
+])
+
+function toPrice(value) {
+  return Number(formatUnits(value, PRICE_DECIMALS))
+}
+
+function read(publicClient, address, abi, functionName, args = []) {
+  return publicClient.readContract({ address, abi, functionName, args })
+}
+
+/**
+ * Page through the factory's active markets
+ * @param {Object} publicClient - viem public client
+ * @returns {Promise<{ markets: Object[], total: number }>} Markets in the forex-perps page shape
+ */
+export async function fetchActiveMarkets(publicClient, { factoryAddress = MARKET_FACTORY_ADDRESS, offset = 0, limit = 50 } = {}) {
+  const [addresses, total] = await read(publicClient, factoryAddress, MARKET_REGISTRY_ABI, 'getActiveMarkets', [BigInt(offset), BigInt(limit)])
+  const markets = await Promise.all(addresses.map(address => fetchMarket(publicClient, address, factoryAddress)))
+  return { markets, total: Number(total) }
+}
+
+/**
+ * Page through the markets an account created
+ * @returns {Promise<{ addresses: string[], total: number }>}
+ */
+export async function fetchMarketsByCreator(publicClient, creator, { factoryAddress = MARKET_FACTORY_ADDRESS, offset = 0, limit = 50 } = {}) {
+  const [addresses, total] = await read(publicClient, factoryAddress, MARKET_REGISTRY_ABI, 'getMarketsByCreator', [creator, BigInt(offset), BigInt(limit)])
+  return { addresses: [...addresses], total: Number(total) }
+}
+
+/**
+ * Load one market's registry entry and the kind-specific state the UI prices from
+ */
+export async function fetchMarket(publicClient, address, factoryAddress = MARKET_FACTORY_ADDRESS) {
+  const [info, entriesPaused, marketPaused] = await Promise.all([
+    read(publicClient, factoryAddress, MARKET_REGISTRY_ABI, 'getMarketInfo', [address]),
+    read(publicClient, factoryAddress, MARKET_REGISTRY_ABI, 'entriesPaused'),
+    read(publicClient, factoryAddress, MARKET_REGISTRY_ABI, 'marketPaused', [address])
+  ])
+  const kind = KINDS_BY_INDEX[Number(info.kind)]
+  const market = {
+    id: address,
+    address,
+    onChain: true,
+    creator: info.creator,
+    kind,
+    status: MARKET_STATUSES[Number(info.status)],
+    currencyPair: info.currencyPair,
+    currencyCode: info.currencyPair.split('/')[0],
+    collateralToken: info.collateralToken,
+    collateralSymbol: findCollateral(info.collateralToken)?.symbol ?? null,
+    collateralDecimals: Number(info.collateralDecimals),
+    resolutionTime: Number(info.resolutionTime),
+    entriesPaused: entriesPaused || marketPaused
+  }
+
+  if (kind === MARKET_KINDS.BINARY) {
+    const [details, longReserve, shortReserve, subsidy, protocolFeeBps, creatorFeeBps] = await Promise.all([
+      read(publicClient, address, BINARY_MARKET_ABI, 'market'),
+      read(publicClient, address, BINARY_MARKET_ABI, 'longReserve'),
+      read(publicClient, address, BINARY_MARKET_ABI, 'shortReserve'),
+      read(publicClient, address, BINARY_MARKET_ABI, 'subsidy'),
+      read(publicClient, address, BINARY_MARKET_ABI, 'protocolFeeBps'),
+      read(publicClient, address, BINARY_MARKET_ABI, 'creatorFeeBps')
+    ])
+    market.targetPrice = toPrice(details[2])
+    market.pool = {
+      longReserve: longReserve.toString(),
+      shortReserve: shortReserve.toString(),
+      subsidy: subsidy.toString()
+    }
+    market.protocolFeeBps = Number(protocolFeeBps)
+    market.creatorFeeBps = Number(creatorFeeBps)
+  } else {
+    const [stakes, protocolFeeBps, creatorFeeBps] = await Promise.all([
+      read(publicClient, address, OUTCOME_MARKET_ABI, 'getOutcomeStakes'),
+      read(publicClient, address, OUTCOME_MARKET_ABI, 'protocolFeeBps'),
+      read(publicClient, address, OUTCOME_MARKET_ABI, 'creatorFeeBps')
+    ])
+    market.outcomePool = { stakes: stakes.map(stake => stake.toString()) }
+    market.protocolFeeBps = Number(protocolFeeBps)
+    market.creatorFeeBps = Number(creatorFeeBps)
+
+    if (kind === MARKET_KINDS.RANGE) {
+      const boundaries = await read(publicClient, address, OUTCOME_MARKET_ABI, 'getBoundaries')
+      market.boundaries = boundaries.map(toPrice)
+      market.targetPrice = (market.boundaries[0] + market.boundaries[market.boundaries.length - 1]) / 2
+    } else {
+      const [barrier, upward] = await Promise.all([
+        read(publicClient, address, OUTCOME_MARKET_ABI, 'barrier'),
+        read(publicClient, address, OUTCOME_MARKET_ABI, 'upward')
+      ])
+      market.barrier = toPrice(barrier)
+      market.upward = upward
+      market.targetPrice = market.barrier
+    }
+  }
+
+  market.targetPriceFormatted = market.targetPrice.toFixed(4)
+  return market
+}
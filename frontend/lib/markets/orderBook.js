@@ -0,0 +1,193 @@
+import { parseAbi, parseUnits, formatUnits } from 'viem'
+
+/**
+ * Outcome share order book
+ * Makers sign limit orders for a market's Long/Short shares off-chain
+ * (EIP-712) and broadcast them through OutcomeOrderBook.postOrder. The book
+ * is rebuilt from those events, keeping what is left of each order on-chain,
+ * so filled, cancelled and expired orders drop out on their own.
+ */
+
+export const ORDER_BOOK_ADDRESS = process.env.NEXT_PUBLIC_ORDER_BOOK_ADDRESS || null
+
+// Order prices are collateral per share with 18 decimals (1 = a share priced at its full payout)
+const ORDER_PRICE_DECIMALS = 18
+
+// PredictionMarket.PositionType indexes
+const POSITION_TYPES = { long: 0, short: 1 }
+const SIDES = ['long', 'short']
+
+export const ORDER_TYPES = {
+  Order: [
+    { name: 'maker', type: 'address' },
+    { name: 'market', type: 'address' },
+    { name: 'positionType', type: 'uint8' },
+    { name: 'isBuy', type: 'bool' },
+    { name: 'price', type: 'uint256' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'salt', type: 'uint256' }
+  ]
+}
+
+export const ORDER_BOOK_ABI = parseAbi([
+  'struct Order { address maker; address market; uint8 positionType; bool isBuy; uint256 price; uint256 amount; uint256 expiry; uint256 salt; }',
+  'function postOrder(Order order, bytes signature)',
+  'function fillOrder(Order order, bytes signature, uint256 amount) returns (uint256 cost)',
+  'function matchOrders(Order buy, bytes buySignature, Order sell, bytes sellSignature, uint256 amount) returns (uint256 cost)',
+  'function cancelOrder(Order order)',
+  'function remaining(Order order) view returns (uint256)',
+  'function hashOrder(Order order) view returns (bytes32)',
+  'event OrderPosted(bytes32 indexed orderHash, address indexed market, address indexed maker, Order order, bytes signature)',
+  'event OrderFilled(bytes32 indexed orderHash, address indexed maker, address indexed taker, uint256 amount, uint256 cost)',
+  'event OrderCancelled(bytes32 indexed orderHash, address indexed maker)'
+])
+
+function requireOrderBook(orderBookAddress) {
+  if (!orderBookAddress) {
+    throw new Error('Order book address not configured')
+  }
+  return orderBookAddress
+}
+
+/**
+ * Build an order for signing
+ * @param {Object} params
+ * @param {'long' | 'short'} params.side - Shares traded
+ * @param {boolean} params.isBuy - Maker buys shares (true) or sells them
+ * @param {number} params.price - Collateral per share, between 0 and 1
+ * @param {string | bigint} params.amount - Shares, in collateral token units
+ * @param {number} [params.expiresIn=86400] - Seconds the order stays fillable
+ */
+export function buildOrder({ maker, market, side, isBuy, price, amount, expiresIn = 86400 }) {
+  return {
+    maker,
+    market,
+    positionType: POSITION_TYPES[side],
+    isBuy,
+    price: parseUnits(Number(price).toFixed(6), ORDER_PRICE_DECIMALS),
+    amount: BigInt(amount),
+    expiry: BigInt(Math.floor(Date.now() / 1000) + expiresIn),
+    salt: BigInt(Date.now()) * 1000n + BigInt(Math.floor(Math.random() * 1000))
+  }
+}
+
+/**
+ * Sign an order with the maker's wallet
+ * @param {Object} walletClient - viem wallet client of the maker
+ * @returns {Promise<string>} EIP-712 signature
+ */
+export async function signOrder(walletClient, order, { orderBookAddress = ORDER_BOOK_ADDRESS } = {}) {
+  return walletClient.signTypedData({
+    account: walletClient.account,
+    domain: {
+      name: 'Laxo Order Book',
+      version: '1',
+      chainId: await walletClient.getChainId(),
+      verifyingContract: requireOrderBook(orderBookAddress)
+    },
+    types: ORDER_TYPES,
+    primaryType: 'Order',
+    message: order
+  })
+}
+
+async function writeOrderBook(walletClient, publicClient, functionName, args, orderBookAddress) {
+  const { request } = await publicClient.simulateContract({
+    address: requireOrderBook(orderBookAddress),
+    abi: ORDER_BOOK_ABI,
+    functionName,
+    args,
+    account: walletClient.account
+  })
+  const hash = await walletClient.writeContract(request)
+  await publicClient.waitForTransactionReceipt({ hash })
+  return hash
+}
+
+/**
+ * Broadcast a signed order so it shows in the book
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function postOrder(walletClient, publicClient, order, signature, { orderBookAddress = ORDER_BOOK_ADDRESS } = {}) {
+  return writeOrderBook(walletClient, publicClient, 'postOrder', [order, signature], orderBookAddress)
+}
+
+/**
+ * Take the other side of an order at its price
+ * Buying needs a collateral approval for the order book, selling a
+ * setApprovalForAll on the OutcomeToken
+ * @param {string | bigint} amount - Shares to fill
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function fillOrder(walletClient, publicClient, order, signature, amount, { orderBookAddress = ORDER_BOOK_ADDRESS } = {}) {
+  return writeOrderBook(walletClient, publicClient, 'fillOrder', [order, signature, BigInt(amount)], orderBookAddress)
+}
+
+/**
+ * Cancel one of the connected account's orders
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function cancelOrder(walletClient, publicClient, order, { orderBookAddress = ORDER_BOOK_ADDRESS } = {}) {
+  return writeOrderBook(walletClient, publicClient, 'cancelOrder', [order], orderBookAddress)
+}
+
+/**
+ * Load a market's posted orders that can still be filled
+ * @param {Object} publicClient - viem public client
+ * @returns {Promise<Object[]>} { orderHash, order, signature, remaining }
+ */
+export async function fetchOpenOrders(publicClient, market, { orderBookAddress = ORDER_BOOK_ADDRESS } = {}) {
+  const address = requireOrderBook(orderBookAddress)
+  const events = await publicClient.getContractEvents({
+    address,
+    abi: ORDER_BOOK_ABI,
+    eventName: 'OrderPosted',
+    args: { market },
+    fromBlock: 'earliest'
+  })
+
+  // An order may be posted more than once
+  const posted = new Map()
+  events.forEach(event => posted.set(event.args.orderHash, event.args))
+
+  const orders = await Promise.all(Array.from(posted.values()).map(async ({ orderHash, order, signature }) => ({
+    orderHash,
+    order,
+    signature,
+    remaining: await publicClient.readContract({ address, abi: ORDER_BOOK_ABI, functionName: 'remaining', args: [order] })
+  })))
+  return orders.filter(entry => entry.remaining > 0n)
+}
+
+/**
+ * Aggregate open orders into depth per side: bids best (highest) first, asks best (lowest) first
+ * @param {Object[]} orders - From fetchOpenOrders
+ * @returns {{ long: { bids: Object[], asks: Object[] }, short: { bids: Object[], asks: Object[] } }}
+ *   Levels are { price, amount, orders } with price between 0 and 1 and amount in share units
+ */
+export function aggregateDepth(orders) {
+  const levels = { long: { bids: new Map(), asks: new Map() }, short: { bids: new Map(), asks: new Map() } }
+  orders.forEach(({ order, remaining }) => {
+    const book = levels[SIDES[order.positionType]][order.isBuy ? 'bids' : 'asks']
+    const level = book.get(order.price) || { amount: 0n, orders: 0 }
+    book.set(order.price, { amount: level.amount + remaining, orders: level.orders + 1 })
+  })
+
+  const toLevels = (book, descending) => Array.from(book.entries())
+    .sort(([a], [b]) => (a === b ? 0 : (a > b) === descending ? -1 : 1))
+    .map(([price, level]) => ({ price: Number(formatUnits(price, ORDER_PRICE_DECIMALS)), ...level }))
+
+  return Object.fromEntries(SIDES.map(side => [side, {
+    bids: toLevels(levels[side].bids, true),
+    asks: toLevels(levels[side].asks, false)
+  }]))
+}
+
+/**
+ * Book depth of a market's Long and Short shares
+ * @param {Object} publicClient - viem public client
+ */
+export async function fetchBookDepth(publicClient, market, options = {}) {
+  return aggregateDepth(await fetchOpenOrders(publicClient, market, options))
+}
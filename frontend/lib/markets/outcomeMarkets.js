@@ -0,0 +1,109 @@
+/**
+ * Range and touch markets
+ * Mirrors contracts/src/RangeMarket.sol and TouchMarket.sol: stakes on each
+ * outcome form one pari-mutuel pool that the winning outcome splits pro rata.
+ * Amounts are in token smallest units, stored as strings (JSON-safe).
+ */
+
+export const MARKET_KINDS = {
+  BINARY: 'binary',
+  RANGE: 'range',
+  TOUCH: 'touch'
+}
+
+// TouchMarket outcome indexes
+export const NO_TOUCH = 0
+export const TOUCH = 1
+
+/**
+ * Bucket boundaries from a lower bound, bucket width and bucket count
+ * @returns {number[]} count + 1 ascending boundaries
+ */
+export function buildBoundaries(lower, width, count) {
+  const decimals = Math.max(decimalPlaces(lower), decimalPlaces(width))
+  return Array.from({ length: count + 1 }, (_, i) => Number((lower + width * i).toFixed(decimals)))
+}
+
+function decimalPlaces(value) {
+  const [, fraction = ''] = String(value).split('.')
+  return fraction.length
+}
+
+/**
+ * Index of the bucket containing `price`, or -1 if outside every bucket
+ * Buckets are half-open: [boundaries[i], boundaries[i + 1])
+ */
+export function findBucket(boundaries, price) {
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    if (price >= boundaries[i] && price < boundaries[i + 1]) return i
+  }
+  return -1
+}
+
+export function hitsBarrier(price, barrier, upward) {
+  return upward ? price >= barrier : price <= barrier
+}
+
+/**
+ * Display labels for a market's outcomes
+ */
+export function outcomeLabels(market, decimals = 4) {
+  if (market.kind === MARKET_KINDS.TOUCH) {
+    const direction = market.upward ? '≥' : '≤'
+    return ['No touch', `Touch ${direction} ${Number(market.barrier).toFixed(decimals)}`]
+  }
+  return market.boundaries.slice(0, -1).map((lower, i) =>
+    `[${lower.toFixed(decimals)}, ${market.boundaries[i + 1].toFixed(decimals)})`
+  )
+}
+
+export function createOutcomePool(outcomeCount) {
+  return { stakes: Array(outcomeCount).fill('0') }
+}
+
+function poolTotal(pool) {
+  return pool.stakes.reduce((sum, stake) => sum + BigInt(stake), 0n)
+}
+
+/**
+ * Apply a stake to the pool
+ * @returns {Object} Updated pool
+ */
+export function applyStake(pool, outcome, amount) {
+  const stakes = pool.stakes.map((stake, i) =>
+    i === outcome ? (BigInt(stake) + BigInt(amount)).toString() : stake
+  )
+  return { ...pool, stakes }
+}
+
+/**
+ * Implied probability (0..1) of an outcome from the pool's stakes
+ */
+export function outcomeProbability(pool, outcome) {
+  const total = poolTotal(pool)
+  if (total === 0n) return 1 / pool.stakes.length
+  return Number((BigInt(pool.stakes[outcome]) * 10000n) / total) / 10000
+}
+
+/**
+ * Winning outcome for a settlement price, or null for a refund
+ * @param {boolean} touched - Whether the barrier was hit before expiry (touch markets)
+ */
+export function settleOutcome(market, price, touched = false) {
+  const outcome = market.kind === MARKET_KINDS.TOUCH
+    ? (touched || hitsBarrier(price, market.barrier, market.upward) ? TOUCH : NO_TOUCH)
+    : findBucket(market.boundaries, price)
+
+  // Outside every bucket, or nobody backed the winner: refund
+  if (outcome < 0 || BigInt(market.outcomePool.stakes[outcome]) === 0n) return null
+  return outcome
+}
+
+/**
+ * Pari-mutuel payout for a stake on the winning outcome
+ */
+export function outcomePayout(pool, winningOutcome, stake) {
+  const winningStake = BigInt(pool.stakes[winningOutcome])
+  if (winningStake === 0n) return '0'
+  return ((BigInt(stake) * poolTotal(pool)) / winningStake).toString()
+}
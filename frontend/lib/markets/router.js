@@ -0,0 +1,117 @@
+import { parseAbi } from 'viem'
+
+/**
+ * Market router
+ * Batches entries and claims across PredictionMarkets through MarketRouter.
+ * A claim is previewed with a simulated call, which returns the same summary
+ * the transaction produces.
+ */
+
+export const MARKET_ROUTER_ADDRESS = process.env.NEXT_PUBLIC_MARKET_ROUTER_ADDRESS || null
+
+// MarketRouter.ClaimKind indexes
+export const CLAIM_KINDS = ['skipped', 'payout', 'withdrawal']
+
+// PredictionMarket.PositionType indexes
+const POSITION_TYPES = { long: 0, short: 1 }
+
+export const MARKET_ROUTER_ABI = parseAbi([
+  'struct Entry { address market; uint8 positionType; uint256 amount; uint256 minShares; }',
+  'struct ClaimResult { address market; address collateralToken; uint8 kind; uint256 amount; }',
+  'function enterMarkets(Entry[] entries) returns (uint256[] shares)',
+  'function claimAll(address user, address[] markets) returns (ClaimResult[] results, uint256 claimedCount)',
+  'event ClaimsRouted(address indexed user, uint256 marketCount, uint256 claimedCount)'
+])
+
+function requireRouter(routerAddress) {
+  if (!routerAddress) {
+    throw new Error('Market router address not configured')
+  }
+  return routerAddress
+}
+
+/**
+ * Turn claimAll's return values into a summary with totals per collateral token
+ * @returns {{ results: Object[], claimedCount: number, totals: Object<string, string> }}
+ */
+function toClaimSummary([results, claimedCount]) {
+  const totals = {}
+  const summary = results.map(result => {
+    const kind = CLAIM_KINDS[Number(result.kind)]
+    if (kind !== 'skipped') {
+      const token = result.collateralToken
+      totals[token] = (BigInt(totals[token] || 0) + result.amount).toString()
+    }
+    return {
+      market: result.market,
+      collateralToken: result.collateralToken,
+      kind,
+      amount: result.amount.toString()
+    }
+  })
+  return { results: summary, claimedCount: Number(claimedCount), totals }
+}
+
+/**
+ * Preview what claiming across markets would pay a user, without sending a transaction
+ * @param {Object} publicClient - viem public client
+ */
+export async function previewClaimAll(publicClient, user, markets, { routerAddress = MARKET_ROUTER_ADDRESS } = {}) {
+  const { result } = await publicClient.simulateContract({
+    address: requireRouter(routerAddress),
+    abi: MARKET_ROUTER_ABI,
+    functionName: 'claimAll',
+    args: [user, markets],
+    account: user
+  })
+  return toClaimSummary(result)
+}
+
+/**
+ * Claim every payout and cancelled-market refund of the connected account
+ * @param {Object} walletClient - viem wallet client of the user
+ * @param {Object} publicClient - viem public client
+ * @returns {Promise<Object>} Claim summary plus the transaction hash
+ */
+export async function claimAll(walletClient, publicClient, markets, { routerAddress = MARKET_ROUTER_ADDRESS } = {}) {
+  const user = walletClient.account.address
+  const { request, result } = await publicClient.simulateContract({
+    address: requireRouter(routerAddress),
+    abi: MARKET_ROUTER_ABI,
+    functionName: 'claimAll',
+    args: [user, markets],
+    account: walletClient.account
+  })
+  const summary = toClaimSummary(result)
+  if (summary.claimedCount === 0) {
+    return { ...summary, hash: null }
+  }
+
+  const hash = await walletClient.writeContract(request)
+  await publicClient.waitForTransactionReceipt({ hash })
+  return { ...summary, hash }
+}
+
+/**
+ * Take positions in several markets in one transaction
+ * The account must have approved the router for each market's collateral
+ * @param {Object[]} entries - { market, side: 'long' | 'short', amount, minShares }
+ * @returns {Promise<string>} Transaction hash
+ */
+export async function enterMarkets(walletClient, publicClient, entries, { routerAddress = MARKET_ROUTER_ADDRESS } = {}) {
+  const { request } = await publicClient.simulateContract({
+    address: requireRouter(routerAddress),
+    abi: MARKET_ROUTER_ABI,
+    functionName: 'enterMarkets',
+    args: [entries.map(entry => ({
+      market: entry.market,
+      positionType: POSITION_TYPES[entry.side],
+      amount: BigInt(entry.amount),
+      minShares: BigInt(entry.minShares || 0)
+    }))],
+    account: walletClient.account
+  })
+  const hash = await walletClient.writeContract(request)
+  await publicClient.waitForTransactionReceipt({ hash })
+  return hash
+}
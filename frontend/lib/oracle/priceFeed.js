@@ -266,25 +266,36 @@ export function subscribeToPrice(pair, callback) {
   }
 }
 
+// Stablecoin symbol => fiat currency it tracks
+const STABLECOIN_CURRENCIES = {
+  USDC: 'USD',
+  EURC: 'EUR',
+  JPYC: 'JPY',
+  BRLA: 'BRL',
+  MXNB: 'MXN',
+  QCAD: 'CAD',
+  AUDF: 'AUD',
+  KRW1: 'KRW',
+  PHPC: 'PHP',
+  ZARU: 'ZAR',
+}
+
 /**
  * Convert currency pair format
- * @param {string} pair - Pair in format "USDC/EURC"
- * @returns {string} Pair in format "EUR/USD" for oracle
+ * USDC pairs map to the oracle's USD legs ("USDC/EURC" -> "EUR/USD"); any other
+ * stablecoin pair maps to the fiat cross ("EURC/JPYC" -> "EUR/JPY"), which
+ * CrossRateOracle derives from the two USD legs
+ * @param {string} pair - Pair in format "USDC/EURC" or "EURC/JPYC"
+ * @returns {string} Pair in format "EUR/USD" or "EUR/JPY" for oracle
  */
 export function convertPairFormat(pair) {
-  // Convert "USDC/EURC" to "EUR/USD"
-  const map = {
-    'USDC/EURC': 'EUR/USD',
-    'USDC/JPYC': 'JPY/USD',
-    'USDC/BRLA': 'BRL/USD',
-    'USDC/MXNB': 'MXN/USD',
-    'USDC/QCAD': 'CAD/USD',
-    'USDC/AUDF': 'AUD/USD',
-    'USDC/KRW1': 'KRW/USD',
-    'USDC/PHPC': 'PHP/USD',
-    'USDC/ZARU': 'ZAR/USD',
-  }
-  return map[pair] || pair
+  const [base, quote] = pair.split('/')
+  const baseCurrency = STABLECOIN_CURRENCIES[base]
+  const quoteCurrency = STABLECOIN_CURRENCIES[quote]
+  if (!baseCurrency || !quoteCurrency || baseCurrency === quoteCurrency) return pair
+
+  if (baseCurrency === 'USD') return `${quoteCurrency}/USD`
+  return `${baseCurrency}/${quoteCurrency}`
 }
 
 /**
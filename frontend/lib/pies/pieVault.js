@@ -0,0 +1,218 @@
+import { parseAbi, parseUnits, formatUnits } from 'viem'
+import { COLLATERAL_TOKENS } from '../markets/collateral'
+
+/**
+ * Pie vaults
+ * A pie backed by a PieVault holds its basket on-chain: deposits pull each
+ * stablecoin at its target weight and mint shares at the oracle NAV, and
+ * liquidating redeems the shares for a pro-rata slice of every token.
+ * Each pie gets its own vault from PieVaultFactory when it is built.
+ * Values are USD with 18 decimals, the vault's unit of account.
+ */
+
+export const PIE_VAULT_FACTORY_ADDRESS = process.env.NEXT_PUBLIC_PIE_VAULT_FACTORY_ADDRESS || null
+
+export const PIE_VALUE_DECIMALS = 18
+
+// Extra allowance over the quoted amounts, in case a price update lands before the deposit
+const APPROVAL_BUFFER_BPS = 100n
+
+export const PIE_VAULT_ABI = parseAbi([
+  'struct Component { address token; uint256 weightBps; string pricePair; }',
+  'function getComponents() view returns (Component[])',
+  'function getHoldings() view returns (uint256[] balances, uint256[] values)',
+  'function totalAssets() view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function convertToAssets(uint256 shares) view returns (uint256)',
+  'function quoteDeposit(uint256 value) view returns (uint256[] amounts)',
+  'function previewRedeem(uint256 shares) view returns (uint256[] amounts)',
+  'function deposit(uint256 value, address receiver) returns (uint256 shares)',
+  'function redeem(uint256 shares, address receiver, address owner) returns (uint256[] amounts)',
+  'event Deposit(address indexed sender, address indexed owner, uint256 value, uint256 shares)',
+  'event Redeem(address indexed sender, address indexed receiver, address indexed owner, uint256 shares, uint256[] amounts)'
+])
+
+const PIE_VAULT_FACTORY_ABI = parseAbi([
+  'struct Component { address token; uint256 weightBps; string pricePair; }',
+  'function createVault(string name, string symbol, Component[] components) returns (address vault)'
+])
+
+const ERC20_ABI = parseAbi([
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+])
+
+function read(publicClient, vaultAddress, functionName, args = []) {
+  return publicClient.readContract({ address: vaultAddress, abi: PIE_VAULT_ABI, functionName, args })
+}
+
+/**
+ * Convert a USD amount (e.g. 250.5) to a vault value
+ * @returns {bigint} USD with 18 decimals
+ */
+export function toPieValue(usdAmount) {
+  return parseUnits(Number(usdAmount).toFixed(6), PIE_VALUE_DECIMALS)
+}
+
+/**
+ * Convert a vault value to a USD number
+ */
+export function fromPieValue(value) {
+  return Number(formatUnits(BigInt(value || 0), PIE_VALUE_DECIMALS))
+}
+
+/**
+ * Vault basket for a pie's allocations, in allocation order
+ * Each currency is held in its stablecoin from collateral.js and priced from
+ * its `XXX/USD` pair; USD stablecoins need no pair
+ * @param {Object[]} allocations - { currencyCode, percentage }
+ * @returns {Object[] | null} Components, or null if a currency has no configured stablecoin
+ */
+export function pieVaultComponents(allocations) {
+  const components = []
+  for (const alloc of allocations) {
+    const token = Object.values(COLLATERAL_TOKENS).find(t => t.currency === alloc.currencyCode)
+    if (!token?.address) return null
+    components.push({
+      token: token.address,
+      weightBps: BigInt(Math.round(alloc.percentage * 100)),
+      pricePair: token.currency === 'USD' ? '' : `${token.currency}/USD`
+    })
+  }
+  if (components.length === 0) return null
+
+  // Percentages may not round to exactly 100%; the last component takes the difference
+  const totalBps = components.reduce((sum, component) => sum + component.weightBps, 0n)
+  components[components.length - 1].weightBps += 10000n - totalBps
+  return components
+}
+
+/**
+ * Deploy a pie's vault through the factory
+ * @param {Object} walletClient - viem wallet client of the creator
+ * @param {Object} publicClient - viem public client
+ * @param {Object} params
+ * @param {string} params.name - Share token name (the pie's name)
+ * @param {string} params.symbol - Share token symbol
+ * @param {Object[]} params.components - From pieVaultComponents
+ * @returns {Promise<{ address: string, hash: string }>}
+ */
+export async function createPieVault(walletClient, publicClient, { name, symbol, components }, { factoryAddress = PIE_VAULT_FACTORY_ADDRESS } = {}) {
+  if (!factoryAddress) {
+    throw new Error('Pie vault factory address not configured')
+  }
+  const { request, result } = await publicClient.simulateContract({
+    address: factoryAddress,
+    abi: PIE_VAULT_FACTORY_ABI,
+    functionName: 'createVault',
+    args: [name, symbol, components],
+    account: walletClient.account
+  })
+  const hash = await walletClient.writeContract(request)
+  await publicClient.waitForTransactionReceipt({ hash })
+  return { address: result, hash }
+}
+
+/**
+ * Load a vault's basket, NAV and, with an account, that account's stake
+ * @param {Object} publicClient - viem public client
+ * @returns {Promise<Object>} { address, components, nav, totalSupply, shares, positionValue }
+ *          with components as { token, weightBps, pricePair, balance, value } and values in USD
+ */
+export async function fetchPieVault(publicClient, vaultAddress, account = null) {
+  const [components, [balances, values], nav, totalSupply, shares] = await Promise.all([
+    read(publicClient, vaultAddress, 'getComponents'),
+    read(publicClient, vaultAddress, 'getHoldings'),
+    read(publicClient, vaultAddress, 'totalAssets'),
+    read(publicClient, vaultAddress, 'totalSupply'),
+    account ? read(publicClient, vaultAddress, 'balanceOf', [account]) : 0n
+  ])
+  const positionValue = shares > 0n ? await read(publicClient, vaultAddress, 'convertToAssets', [shares]) : 0n
+
+  return {
+    address: vaultAddress,
+    components: components.map((component, i) => ({
+      token: component.token,
+      weightBps: Number(component.weightBps),
+      pricePair: component.pricePair,
+      balance: balances[i].toString(),
+      value: fromPieValue(values[i])
+    })),
+    nav: fromPieValue(nav),
+    totalSupply: totalSupply.toString(),
+    shares: shares.toString(),
+    positionValue: fromPieValue(positionValue)
+  }
+}
+
+/**
+ * Deposit a USD amount of the basket into a vault, approving each token first
+ * The account must hold every component in the quoted amounts
+ * @param {Object} walletClient - viem wallet client of the depositor
+ * @param {Object} publicClient - viem public client
+ * @returns {Promise<{ hash: string, shares: string, amounts: string[] }>}
+ */
+export async function depositToPie(walletClient, publicClient, vaultAddress, usdAmount) {
+  const account = walletClient.account
+  const value = toPieValue(usdAmount)
+  const [components, amounts] = await Promise.all([
+    read(publicClient, vaultAddress, 'getComponents'),
+    read(publicClient, vaultAddress, 'quoteDeposit', [value])
+  ])
+
+  for (let i = 0; i < components.length; i++) {
+    const token = components[i].token
+    const required = amounts[i] + (amounts[i] * APPROVAL_BUFFER_BPS) / 10000n
+    const allowance = await publicClient.readContract({
+      address: token,
+      abi: ERC20_ABI,
+      functionName: 'allowance',
+      args: [account.address, vaultAddress]
+    })
+    if (allowance < required) {
+      const hash = await walletClient.writeContract({
+        address: token,
+        abi: ERC20_ABI,
+        functionName: 'approve',
+        args: [vaultAddress, required],
+        account
+      })
+      await publicClient.waitForTransactionReceipt({ hash })
+    }
+  }
+
+  const { request, result } = await publicClient.simulateContract({
+    address: vaultAddress,
+    abi: PIE_VAULT_ABI,
+    functionName: 'deposit',
+    args: [value, account.address],
+    account
+  })
+  const hash = await walletClient.writeContract(request)
+  await publicClient.waitForTransactionReceipt({ hash })
+  return { hash, shares: result.toString(), amounts: amounts.map(amount => amount.toString()) }
+}
+
+/**
+ * Redeem all of the connected account's shares for the underlying tokens
+ * @returns {Promise<{ hash: string, shares: string, amounts: string[] }>} Token amounts in component order
+ */
+export async function redeemPie(walletClient, publicClient, vaultAddress) {
+  const account = walletClient.account
+  const shares = await read(publicClient, vaultAddress, 'balanceOf', [account.address])
+  if (shares === 0n) {
+    throw new Error('No pie shares to redeem')
+  }
+
+  const { request, result } = await publicClient.simulateContract({
+    address: vaultAddress,
+    abi: PIE_VAULT_ABI,
+    functionName: 'redeem',
+    args: [shares, account.address, account.address],
+    account
+  })
+  const hash = await walletClient.writeContract(request)
+  await publicClient.waitForTransactionReceipt({ hash })
+  return { hash, shares: shares.toString(), amounts: result.map(amount => amount.toString()) }
+}
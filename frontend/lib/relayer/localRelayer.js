@@ -0,0 +1,210 @@
+import { parseAbi, encodeFunctionData, parseSignature } from 'viem'
+
+/**
+ * Gasless entry relayer
+ * Users sign intents (an EIP-2612 permit for the collateral plus an ERC-2771
+ * forward request for the market call); a relayer account submits them through
+ * the TrustedForwarder and pays the gas. PredictionMarket and YellowIntegration
+ * see the signer as the caller. Must stay in sync with TrustedForwarder's
+ * EIP-712 domain and OpenZeppelin's ForwardRequest type.
+ */
+
+export const TRUSTED_FORWARDER_ADDRESS = process.env.NEXT_PUBLIC_TRUSTED_FORWARDER_ADDRESS || null
+
+export const FORWARDER_DOMAIN_NAME = 'Laxo Forwarder'
+export const FORWARDER_DOMAIN_VERSION = '1'
+
+// Gas the forwarder passes to the market call, and how long intents stay valid
+const DEFAULT_REQUEST_GAS = 500000n
+const DEFAULT_VALIDITY_SECONDS = 3600
+
+// PredictionMarket.PositionType indexes
+const POSITION_TYPES = { long: 0, short: 1 }
+
+export const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' }
+  ]
+}
+
+export const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+export const TRUSTED_FORWARDER_ABI = parseAbi([
+  'struct ForwardRequestData { address from; address to; uint256 value; uint256 gas; uint48 deadline; bytes data; bytes signature; }',
+  'function nonces(address owner) view returns (uint256)',
+  'function verify(ForwardRequestData request) view returns (bool)',
+  'function execute(ForwardRequestData request) payable'
+])
+
+const PERMIT_TOKEN_ABI = parseAbi([
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)'
+])
+
+export const GASLESS_ENTRY_ABI = parseAbi([
+  'function takePositionWithPermit(uint8 positionType, uint256 amount, uint256 minShares, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function recordOffChainPositionWithPermit(bytes32 sessionId, address market, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)'
+])
+
+function defaultDeadline() {
+  return BigInt(Math.floor(Date.now() / 1000) + DEFAULT_VALIDITY_SECONDS)
+}
+
+/**
+ * Sign an EIP-2612 permit letting `spender` pull `value` of the user's collateral
+ * @param {Object} walletClient - viem wallet client of the user
+ * @param {Object} publicClient - viem public client, reads the token's name and nonce
+ * @returns {Promise<{ v: number, r: string, s: string, deadline: bigint }>}
+ */
+export async function signPermit(walletClient, publicClient, { token, spender, value, deadline = defaultDeadline() }) {
+  const owner = walletClient.account.address
+  const [name, nonce, chainId] = await Promise.all([
+    publicClient.readContract({ address: token, abi: PERMIT_TOKEN_ABI, functionName: 'name' }),
+    publicClient.readContract({ address: token, abi: PERMIT_TOKEN_ABI, functionName: 'nonces', args: [owner] }),
+    publicClient.getChainId()
+  ])
+
+  const signature = await walletClient.signTypedData({
+    account: walletClient.account,
+    domain: { name, version: '1', chainId, verifyingContract: token },
+    types: PERMIT_TYPES,
+    primaryType: 'Permit',
+    message: { owner, spender, value: BigInt(value), nonce, deadline }
+  })
+  const { v, r, s, yParity } = parseSignature(signature)
+  return { v: Number(v ?? BigInt(yParity + 27)), r, s, deadline }
+}
+
+/**
+ * Sign a forward request for the trusted forwarder to relay
+ * @returns {Promise<Object>} ForwardRequestData ready for `relay`
+ */
+export async function signForwardRequest(walletClient, publicClient, {
+  to,
+  data,
+  forwarder = TRUSTED_FORWARDER_ADDRESS,
+  gas = DEFAULT_REQUEST_GAS,
+  deadline = defaultDeadline()
+}) {
+  if (!forwarder) {
+    throw new Error('Trusted forwarder address not configured')
+  }
+
+  const from = walletClient.account.address
+  const [nonce, chainId] = await Promise.all([
+    publicClient.readContract({ address: forwarder, abi: TRUSTED_FORWARDER_ABI, functionName: 'nonces', args: [from] }),
+    publicClient.getChainId()
+  ])
+  const request = { from, to, value: 0n, gas, nonce, deadline: Number(deadline), data }
+
+  const signature = await walletClient.signTypedData({
+    account: walletClient.account,
+    domain: {
+      name: FORWARDER_DOMAIN_NAME,
+      version: FORWARDER_DOMAIN_VERSION,
+      chainId,
+      verifyingContract: forwarder
+    },
+    types: FORWARD_REQUEST_TYPES,
+    primaryType: 'ForwardRequest',
+    message: request
+  })
+
+  return { from, to, value: 0n, gas, deadline: Number(deadline), data, signature }
+}
+
+/**
+ * Sign a gasless `takePositionWithPermit` intent for a binary market
+ * @param {Object} options - { market, collateralToken, side: 'long' | 'short', amount, minShares }
+ */
+export async function signTakePositionIntent(walletClient, publicClient, { market, collateralToken, side, amount, minShares = 0n, forwarder }) {
+  const { v, r, s, deadline } = await signPermit(walletClient, publicClient, {
+    token: collateralToken,
+    spender: market,
+    value: amount
+  })
+  const data = encodeFunctionData({
+    abi: GASLESS_ENTRY_ABI,
+    functionName: 'takePositionWithPermit',
+    args: [POSITION_TYPES[side], BigInt(amount), BigInt(minShares), deadline, v, r, s]
+  })
+  return signForwardRequest(walletClient, publicClient, { to: market, data, forwarder, deadline })
+}
+
+/**
+ * Sign a gasless YellowIntegration position record
+ * @param {Object} options - { yellowIntegration, collateralToken, sessionId (bytes32), market, amount }
+ */
+export async function signRecordPositionIntent(walletClient, publicClient, { yellowIntegration, collateralToken, sessionId, market, amount, forwarder }) {
+  const { v, r, s, deadline } = await signPermit(walletClient, publicClient, {
+    token: collateralToken,
+    spender: yellowIntegration,
+    value: amount
+  })
+  const data = encodeFunctionData({
+    abi: GASLESS_ENTRY_ABI,
+    functionName: 'recordOffChainPositionWithPermit',
+    args: [sessionId, market, BigInt(amount), deadline, v, r, s]
+  })
+  return signForwardRequest(walletClient, publicClient, { to: yellowIntegration, data, forwarder, deadline })
+}
+
+/**
+ * Relayer that submits signed intents from a funded local account
+ * (e.g. a dev key or a server-side hot wallet)
+ * @param {Object} walletClient - viem wallet client of the relayer, pays the gas
+ * @param {Object} publicClient - viem public client
+ */
+export function createLocalRelayer(walletClient, publicClient, { forwarder = TRUSTED_FORWARDER_ADDRESS } = {}) {
+  if (!forwarder) {
+    throw new Error('Trusted forwarder address not configured')
+  }
+
+  return {
+    forwarder,
+
+    /**
+     * Check a signed request against the forwarder (signature, nonce, deadline, target trust)
+     */
+    async verify(request) {
+      return await publicClient.readContract({
+        address: forwarder,
+        abi: TRUSTED_FORWARDER_ABI,
+        functionName: 'verify',
+        args: [request]
+      })
+    },
+
+    /**
+     * Submit a signed request and wait for it to be mined
+     * @returns {Promise<Object>} Transaction receipt
+     */
+    async relay(request) {
+      if (!(await this.verify(request))) {
+        throw new Error('Invalid or expired forward request')
+      }
+      const hash = await walletClient.writeContract({
+        address: forwarder,
+        abi: TRUSTED_FORWARDER_ABI,
+        functionName: 'execute',
+        args: [request],
+        account: walletClient.account
+      })
+      return await publicClient.waitForTransactionReceipt({ hash })
+    }
+  }
+}
@@ -0,0 +1,103 @@
+import { keccak256, stringToHex, isHex, parseAbi } from 'viem';
+
+/**
+ * Yellow Settlement helpers
+ * Builds, signs and submits EIP-712 settlement messages for the
+ * YellowIntegration contract. Must stay in sync with SETTLEMENT_TYPEHASH.
+ */
+
+export const YELLOW_INTEGRATION_ADDRESS = process.env.NEXT_PUBLIC_YELLOW_INTEGRATION_ADDRESS || null;
+
+export const SETTLEMENT_DOMAIN_NAME = 'YellowIntegration';
+export const SETTLEMENT_DOMAIN_VERSION = '1';
+
+export const SETTLEMENT_TYPES = {
+  Settlement: [
+    { name: 'sessionId', type: 'bytes32' },
+    { name: 'user', type: 'address' },
+    { name: 'market', type: 'address' },
+    { name: 'payout', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+export const YELLOW_INTEGRATION_ABI = parseAbi([
+  'function finalizeSettlement(bytes32 sessionId, uint256 payout, uint256 nonce, bytes signature)',
+  'function getSettlement(bytes32 sessionId) view returns (address user, address market, uint256 amount, uint256 timestamp, bool finalized, uint256 payout)',
+  'function usedNonces(bytes32 sessionId, uint256 nonce) view returns (bool)',
+  'function operators(address operator) view returns (bool)'
+]);
+
+/**
+ * Convert a Yellow session id to the bytes32 id used on-chain
+ * Hex strings of 32 bytes are used as-is, anything else is hashed (like ethers.id)
+ */
+export function toSessionIdBytes32(sessionId) {
+  const value = String(sessionId);
+  if (isHex(value) && value.length === 66) {
+    return value;
+  }
+  return keccak256(stringToHex(value));
+}
+
+/**
+ * Build EIP-712 typed data for a settlement message
+ */
+export function buildSettlementTypedData({
+  chainId,
+  verifyingContract = YELLOW_INTEGRATION_ADDRESS,
+  sessionId,
+  user,
+  market,
+  payout,
+  nonce
+}) {
+  if (!verifyingContract) {
+    throw new Error('YellowIntegration contract address not configured');
+  }
+
+  return {
+    domain: {
+      name: SETTLEMENT_DOMAIN_NAME,
+      version: SETTLEMENT_DOMAIN_VERSION,
+      chainId: Number(chainId),
+      verifyingContract
+    },
+    types: SETTLEMENT_TYPES,
+    primaryType: 'Settlement',
+    message: {
+      sessionId: toSessionIdBytes32(sessionId),
+      user,
+      market,
+      payout: BigInt(payout),
+      nonce: BigInt(nonce)
+    }
+  };
+}
+
+/**
+ * Sign settlement typed data with a ClearNode operator key
+ * @param {Object} signer - viem account or wallet client exposing signTypedData
+ */
+export async function signSettlement(signer, typedData) {
+  if (!signer?.signTypedData) {
+    throw new Error('Signer does not support EIP-712 typed data');
+  }
+  return await signer.signTypedData(typedData);
+}
+
+/**
+ * Submit a signed settlement to the YellowIntegration contract
+ * @param {Object} walletClient - viem wallet client used to send the transaction
+ */
+export async function submitSettlement(walletClient, { typedData, signature }) {
+  const { domain, message } = typedData;
+
+  return await walletClient.writeContract({
+    address: domain.verifyingContract,
+    abi: YELLOW_INTEGRATION_ABI,
+    functionName: 'finalizeSettlement',
+    args: [message.sessionId, message.payout, message.nonce, signature],
+    account: walletClient.account
+  });
+}
@@ -1,4 +1,13 @@
 import { getYellowClient } from './yellowClient';
+import {
+  buildSettlementTypedData,
+  signSettlement,
+  submitSettlement
+} from './settlement';
+import { formatTokenAmount } from '../markets/collateral';
+
+// How long to wait for a ClearNode operator to sign a settlement
+const SETTLEMENT_SIGNATURE_TIMEOUT = 30000;
 
 /**
  * Yellow Session Manager
@@ -9,10 +18,12 @@ export class YellowSession {
   constructor(marketAddress, options = {}) {
     this.marketAddress = marketAddress;
     this.client = options.client || getYellowClient(options.clientOptions);
+    this.asset = options.asset || 'usdc'; // Collateral the market settles in, as a test wallet asset key
     this.sessionId = null;
     this.positions = new Map(); // Track off-chain positions
     this.balance = null;
     this.isActive = false;
+    this.pendingSettlements = new Map(); // Settlement signature requests awaiting ClearNode
   }
 
   /**
@@ -58,9 +69,10 @@ export class YellowSession {
   /**
    * Take a position off-chain (instant, no gas)
    * @param {string} positionType - 'long' or 'short'
-   * @param {string} amount - Amount in token units (e.g., "1000000" for 1 USDC with 6 decimals)
+   * @param {string} amount - Amount in units of the session's collateral (e.g., "1000000" for 1 USDC with 6 decimals)
+   * @param {string} shares - Shares bought, as priced by the market maker (defaults to amount)
    */
-  async takePosition(positionType, amount) {
+  async takePosition(positionType, amount, shares = amount) {
     if (!this.isActive) {
       await this.initialize();
     }
@@ -70,23 +82,22 @@ export class YellowSession {
     if (status.isTestWallet) {
       const balance = this.client.getTestBalance();
       const amountNum = BigInt(amount);
-      const currentBalance = BigInt(balance?.usdc || 0);
+      const currentBalance = BigInt(balance?.[this.asset] || 0);
       
       if (currentBalance < amountNum) {
-        // Format amounts for human-readable error messages
-        // USDC has 6 decimals, so divide by 1,000,000 to get USDC amount
-        const requiredUSDC = (Number(amountNum) / 1000000).toFixed(2);
-        const availableUSDC = (Number(currentBalance) / 1000000).toFixed(2);
-        throw new Error(`Insufficient balance. Required: ${requiredUSDC} USDC, Available: ${availableUSDC} USDC`);
+        // Format amounts in the collateral's own decimals for the error message
+        const required = formatTokenAmount(amountNum, this.asset);
+        const available = formatTokenAmount(currentBalance, this.asset);
+        throw new Error(`Insufficient balance. Required: ${required}, Available: ${available}`);
       }
       
       // Deduct balance for test wallet
       const newBalance = currentBalance - amountNum;
-      this.client.testBalance.usdc = newBalance.toString();
+      this.client.testBalance[this.asset] = newBalance.toString();
       
       // Emit balance update
       this.client.emit('balance_update', {
-        asset: 'usdc',
+        asset: this.asset,
         balance: newBalance.toString(),
         total: { ...this.client.testBalance }
       });
@@ -96,6 +107,7 @@ export class YellowSession {
       type: 'position',
       positionType, // 'long' or 'short'
       amount,
+      shares,
       market: this.marketAddress,
       timestamp: Date.now()
     };
@@ -163,41 +175,187 @@ export class YellowSession {
     return position;
   }
 
+  /**
+   * Close (sell) all or part of a position off-chain before resolution
+   * The caller prices the exit with the market maker (see lib/markets/marketMaker)
+   * @param {string} positionKey - Position to close
+   * @param {Object} exit - { shares, payout, fee } in token units
+   */
+  async closePosition(positionKey, { shares, payout, fee = '0' }) {
+    const position = this.positions.get(positionKey);
+    if (!position) {
+      throw new Error('Position not found');
+    }
+
+    const heldShares = BigInt(position.shares ?? position.amount);
+    const sharesToClose = BigInt(shares);
+    if (sharesToClose <= 0n || sharesToClose > heldShares) {
+      throw new Error('Invalid number of shares to close');
+    }
+
+    const closeData = {
+      type: 'position_close',
+      positionKey,
+      positionType: position.positionType,
+      shares: sharesToClose.toString(),
+      payout: payout.toString(),
+      fee: fee.toString(),
+      market: this.marketAddress,
+      timestamp: Date.now()
+    };
+
+    await this.client.sendMessage('position_close', closeData);
+
+    // Credit the exit proceeds to the test wallet
+    const status = this.client.getStatus();
+    if (status.isTestWallet) {
+      const newBalance = BigInt(this.client.testBalance[this.asset] || 0) + BigInt(payout);
+      this.client.testBalance[this.asset] = newBalance.toString();
+      this.client.saveTestWalletToCache();
+
+      this.client.emit('balance_update', {
+        asset: this.asset,
+        balance: newBalance.toString(),
+        total: { ...this.client.testBalance }
+      });
+    }
+
+    // Reduce the position pro rata
+    const amount = BigInt(position.amount);
+    const released = (amount * sharesToClose) / heldShares;
+    position.shares = (heldShares - sharesToClose).toString();
+    position.amount = (amount - released).toString();
+    position.status = position.shares === '0' ? 'closed' : position.status;
+    position.updatedAt = Date.now();
+
+    if (this.client.blockchainClient) {
+      this.client.blockchainClient.log('event', `Position closed: ${position.positionType}`, {
+        ...closeData,
+        userAddress: this.client.userAddress,
+        sessionId: this.sessionId
+      });
+    }
+
+    return {
+      ...closeData,
+      remainingShares: position.shares,
+      remainingAmount: position.amount
+    };
+  }
+
+  /**
+   * Re-attach a persisted position to this session (e.g., after a page reload)
+   */
+  restorePosition(positionKey, position) {
+    this.positions.set(positionKey, { ...position });
+    return this.positions.get(positionKey);
+  }
+
   /**
    * Finalize settlement on-chain
-   * This should be called after market resolution to move funds on-chain
+   * This should be called after market resolution to move funds on-chain.
+   * Builds an EIP-712 settlement message, has it signed by a ClearNode operator
+   * and, when a wallet client is given, submits it to YellowIntegration.
+   * @param {string} positionKey - Local position key
+   * @param {string} payout - Payout in token units
+   * @param {Object} options - { chainId, nonce, contractAddress, operatorSigner, walletClient }
    */
-  async finalizeSettlement(positionKey, payout) {
+  async finalizeSettlement(positionKey, payout, options = {}) {
     const position = this.positions.get(positionKey);
     if (!position) {
       throw new Error('Position not found');
     }
 
-    // Record settlement in YellowIntegration contract
-    // This would typically be done through a backend or directly from frontend
+    const typedData = buildSettlementTypedData({
+      chainId: options.chainId ?? this.client.blockchainClient?.chain?.id,
+      verifyingContract: options.contractAddress,
+      sessionId: this.sessionId,
+      user: this.client.userAddress,
+      market: this.marketAddress,
+      payout,
+      nonce: options.nonce ?? Date.now()
+    });
+
+    // Operator signature: sign locally if an operator key is supplied, else ask the ClearNode
+    const signature = options.operatorSigner
+      ? await signSettlement(options.operatorSigner, typedData)
+      : await this.requestSettlementSignature(typedData);
+
     const settlementData = {
       sessionId: this.sessionId,
       positionKey,
       payout,
       market: this.marketAddress,
+      nonce: typedData.message.nonce.toString(),
+      signature,
       timestamp: Date.now()
     };
 
-    // Send settlement message
+    // Send signed settlement message
     await this.client.sendMessage('settlement', settlementData);
 
+    if (options.walletClient) {
+      settlementData.txHash = await submitSettlement(options.walletClient, { typedData, signature });
+
+      if (this.client.blockchainClient) {
+        this.client.blockchainClient.log('transaction', 'Settlement submitted', {
+          txHash: settlementData.txHash,
+          sessionId: this.sessionId,
+          payout,
+          market: this.marketAddress
+        });
+      }
+    }
+
     // Update position status
     position.status = 'settled';
     position.payout = payout;
+    position.signature = signature;
     position.settledAt = Date.now();
 
     return settlementData;
   }
 
+  /**
+   * Ask the ClearNode to co-sign a settlement message
+   * Resolves when a matching 'settlement_signed' session message arrives
+   */
+  async requestSettlementSignature(typedData) {
+    const requestKey = `${typedData.message.sessionId}-${typedData.message.nonce}`;
+
+    let timer;
+    const signaturePromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        this.pendingSettlements.delete(requestKey);
+        reject(new Error('Timed out waiting for ClearNode settlement signature'));
+      }, SETTLEMENT_SIGNATURE_TIMEOUT);
+
+      this.pendingSettlements.set(requestKey, { resolve, timer });
+    });
+
+    try {
+      await this.client.sendMessage('settlement_request', {
+        sessionId: typedData.message.sessionId,
+        user: typedData.message.user,
+        market: typedData.message.market,
+        payout: typedData.message.payout.toString(),
+        nonce: typedData.message.nonce.toString(),
+        domain: typedData.domain
+      });
+    } catch (error) {
+      // Nothing will await the signature, so its timer must not reject later
+      clearTimeout(timer);
+      this.pendingSettlements.delete(requestKey);
+      throw error;
+    }
+
+    return signaturePromise;
+  }
+
   /**
    * Deposit funds into state channel
    */
-  async deposit(amount, asset = 'usdc') {
+  async deposit(amount, asset = this.asset) {
     if (!this.isActive) {
       await this.initialize();
     }
@@ -223,7 +381,7 @@ export class YellowSession {
   /**
    * Withdraw funds from state channel
    */
-  async withdraw(amount, asset = 'usdc') {
+  async withdraw(amount, asset = this.asset) {
     if (!this.isActive) {
       throw new Error('Session not initialized');
     }
@@ -270,13 +428,22 @@ export class YellowSession {
       }
     } else if (message.data?.type === 'balance_update') {
       this.balance = message.data.balance;
+    } else if (message.data?.type === 'settlement_signed') {
+      // ClearNode operator co-signed a settlement request
+      const requestKey = `${message.data.sessionId}-${message.data.nonce}`;
+      const pending = this.pendingSettlements.get(requestKey);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pendingSettlements.delete(requestKey);
+        pending.resolve(message.data.signature);
+      }
     }
   }
 
   /**
    * Get current balance
    */
-  getBalance(asset = 'usdc') {
+  getBalance(asset = this.asset) {
     return this.balance?.[asset] || 0;
   }
 